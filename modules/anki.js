@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { createZip, readZip } = require('./zip');
+
+// Decks, cards and review logs for Anki. Every active concept becomes a card
+// with its name on the front and its description on the back, and every
+// reinforcement question stored with a session becomes a card of its own.
+// Note GUIDs carry the concept id, so re-importing a deck updates the notes
+// instead of duplicating them and review logs can be traced back.
+
+const GUID_PREFIX = 'eumicus';
+const ROOT_DECK = 'Eumicus';
+const MODEL_NAME = 'Eumicus Basic';
+const FIELD_SEPARATOR = '\x1f';
+
+// Review buttons: 1 Again, 2 Hard, 3 Good, 4 Easy
+const EASE_NAMES = { 1: 'again', 2: 'hard', 3: 'good', 4: 'easy' };
+
+function ankiError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '<br>');
+}
+
+function stripHtml(html) {
+  return html.replace(/<br>/g, ' ').replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+// Anki tags are single words
+function toTag(text) {
+  return String(text).trim().replace(/\s+/g, '_');
+}
+
+function shortHash(text, length = 10) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, length);
+}
+
+// Deck and note type ids are derived from their names, so every export
+// lands in the same decks
+function stableId(name) {
+  return parseInt(shortHash(name, 12), 16);
+}
+
+// Concept id from a note GUID ('eumicus:<concept id>' or
+// 'eumicus:<concept id>:<question>'), or null for notes from elsewhere
+function conceptIdFromGuid(guid) {
+  const parts = String(guid || '').split(':');
+  return parts[0] === GUID_PREFIX && parts[1] ? parts[1] : null;
+}
+
+// Questions kept with reinforcement sessions, grouped by concept id. The
+// same question asked in several sessions becomes one card.
+function storedQuestions(graph) {
+  const byConcept = new Map();
+  (graph.reinforcement_sessions || []).forEach(session => {
+    (session.questions || []).forEach(question => {
+      const concept = graph.concepts.find(c => c.id === question.concept_id) ||
+        graph.concepts.find(c => c.name === question.concept_name);
+      if (!concept || !question.question) return;
+
+      if (!byConcept.has(concept.id)) byConcept.set(concept.id, new Map());
+      byConcept.get(concept.id).set(question.question, question);
+    });
+  });
+  return byConcept;
+}
+
+// The notes of the deck: { guid, deck, front, back, tags }, fields in HTML
+function ankiNotes(graph) {
+  const questions = storedQuestions(graph);
+  const notes = [];
+
+  graph.concepts.filter(concept => !concept.archived_at).forEach(concept => {
+    const deck = `${ROOT_DECK}::${concept.category || 'Uncategorized'}`;
+    const tags = [GUID_PREFIX, ...(concept.category ? [toTag(concept.category)] : []), ...(concept.tags || []).map(toTag)];
+    const aliases = concept.aliases?.length > 0 ? `<div class="aliases">${escapeHtml(concept.aliases.join(', '))}</div>` : '';
+
+    notes.push({
+      guid: `${GUID_PREFIX}:${concept.id}`,
+      deck,
+      front: `${escapeHtml(concept.name)}${aliases}`,
+      back: escapeHtml(concept.description || ''),
+      tags
+    });
+
+    (questions.get(concept.id) || new Map()).forEach(question => {
+      notes.push({
+        guid: `${GUID_PREFIX}:${concept.id}:${shortHash(question.question)}`,
+        deck,
+        front: `${escapeHtml(question.question)}<div class="concept">${escapeHtml(concept.name)}</div>`,
+        back: escapeHtml(question.expected_answer || concept.description || ''),
+        tags: [...tags, ...(question.type ? [toTag(question.type)] : [])]
+      });
+    });
+  });
+
+  return notes;
+}
+
+function tsvField(value) {
+  return `"${String(value).replace(/\t/g, ' ').replace(/"/g, '""')}"`;
+}
+
+// Tab-separated notes with the header lines Anki 2.1.55+ reads, so File >
+// Import picks the deck, tags and GUID columns without any setup
+function toAnkiTSV(graph) {
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    '#notetype:Basic',
+    '#guid column:1',
+    '#deck column:2',
+    '#tags column:5',
+    '#columns:GUID\tDeck\tFront\tBack\tTags'
+  ];
+  ankiNotes(graph).forEach(note => {
+    lines.push([note.guid, note.deck, note.front, note.back, note.tags.join(' ')].map(tsvField).join('\t'));
+  });
+  return lines.join('\n') + '\n';
+}
+
+const APKG_SCHEMA = `
+  CREATE TABLE col (
+    id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+    ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+    conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+  );
+  CREATE TABLE notes (
+    id integer primary key, guid text not null, mid integer not null, mod integer not null,
+    usn integer not null, tags text not null, flds text not null, sfld integer not null,
+    csum integer not null, flags integer not null, data text not null
+  );
+  CREATE TABLE cards (
+    id integer primary key, nid integer not null, did integer not null, ord integer not null,
+    mod integer not null, usn integer not null, type integer not null, queue integer not null,
+    due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+    lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+    flags integer not null, data text not null
+  );
+  CREATE TABLE revlog (
+    id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+    ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+    type integer not null
+  );
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+  CREATE INDEX ix_notes_usn on notes (usn);
+  CREATE INDEX ix_cards_usn on cards (usn);
+  CREATE INDEX ix_revlog_usn on revlog (usn);
+  CREATE INDEX ix_cards_nid on cards (nid);
+  CREATE INDEX ix_cards_sched on cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid on revlog (cid);
+  CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CARD_CSS = `.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }
+.concept, .aliases { margin-top: 12px; font-size: 14px; color: #888; }`;
+
+function deckRecord(id, name, now) {
+  return {
+    id,
+    name,
+    desc: '',
+    mod: Math.floor(now / 1000),
+    usn: 0,
+    collapsed: false,
+    dyn: 0,
+    conf: 1,
+    extendNew: 10,
+    extendRev: 50,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0]
+  };
+}
+
+function defaultDeckConfig(now) {
+  return {
+    id: 1,
+    name: 'Default',
+    mod: Math.floor(now / 1000),
+    usn: 0,
+    dyn: false,
+    maxTaken: 60,
+    timer: 0,
+    autoplay: true,
+    replayq: true,
+    new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+    rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100 },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 }
+  };
+}
+
+// An .apkg package: a zip holding an Anki 2 collection (schema 11) with the
+// deck's notes as new cards, which every Anki client can import
+function toAnkiPackage(graph) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('Anki packages require the better-sqlite3 package. Install it with "npm install better-sqlite3".');
+  }
+
+  const now = Date.now();
+  const notes = ankiNotes(graph);
+  const modelId = stableId(MODEL_NAME);
+
+  const decks = { 1: deckRecord(1, 'Default', now) };
+  const deckIds = new Map();
+  [ROOT_DECK, ...notes.map(note => note.deck)].forEach(name => {
+    if (deckIds.has(name)) return;
+    const id = stableId(name);
+    deckIds.set(name, id);
+    decks[id] = deckRecord(id, name, now);
+  });
+
+  const model = {
+    id: modelId,
+    name: MODEL_NAME,
+    type: 0,
+    mod: Math.floor(now / 1000),
+    usn: 0,
+    sortf: 0,
+    did: deckIds.get(ROOT_DECK),
+    tmpls: [{
+      name: 'Card 1',
+      ord: 0,
+      qfmt: '{{Front}}',
+      afmt: '{{FrontSide}}<hr id="answer">{{Back}}',
+      did: null,
+      bqfmt: '',
+      bafmt: ''
+    }],
+    flds: ['Front', 'Back'].map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+    css: CARD_CSS,
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    tags: [],
+    vers: [],
+    req: [[0, 'any', [0]]]
+  };
+
+  const conf = {
+    activeDecks: [1],
+    curDeck: 1,
+    newSpread: 0,
+    collapseTime: 1200,
+    timeLim: 0,
+    estTimes: true,
+    dueCounts: true,
+    curModel: String(modelId),
+    nextPos: notes.length + 1,
+    sortType: 'noteFld',
+    sortBackwards: false,
+    addToCur: true
+  };
+
+  const db = new Database(':memory:');
+  try {
+    db.exec(APKG_SCHEMA);
+    db.prepare('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)').run(
+      Math.floor(now / 1000),
+      now,
+      now,
+      JSON.stringify(conf),
+      JSON.stringify({ [modelId]: model }),
+      JSON.stringify(decks),
+      JSON.stringify({ 1: defaultDeckConfig(now) }),
+      '{}'
+    );
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')');
+    const modified = Math.floor(now / 1000);
+
+    db.transaction(() => {
+      notes.forEach((note, index) => {
+        const id = now + index;
+        const sortField = stripHtml(note.front);
+        insertNote.run(
+          id,
+          note.guid,
+          modelId,
+          modified,
+          ` ${note.tags.join(' ')} `,
+          [note.front, note.back].join(FIELD_SEPARATOR),
+          sortField,
+          parseInt(shortHash(sortField, 8), 16)
+        );
+        insertCard.run(id, id, deckIds.get(note.deck), modified, index + 1);
+      });
+    })();
+
+    return createZip([
+      { name: 'collection.anki2', content: db.serialize() },
+      { name: 'media', content: '{}' }
+    ]);
+  } finally {
+    db.close();
+  }
+}
+
+function parseCsvLine(line, separator) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+// Reviews from a CSV or TSV file with a header row. It needs a guid column
+// (or concept_id), an ease column (1-4) and the review time, either as
+// reviewed_at or as id, Anki's review id in milliseconds since the epoch.
+function reviewsFromCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const separator = lines[0].includes('\t') ? '\t' : ',';
+  const header = parseCsvLine(lines[0], separator).map(name => name.toLowerCase());
+  const column = name => header.indexOf(name);
+  if ((column('guid') === -1 && column('concept_id') === -1) || column('ease') === -1 ||
+    (column('reviewed_at') === -1 && column('id') === -1)) {
+    throw ankiError('The review log needs a header with guid (or concept_id), ease and reviewed_at (or id) columns', 'INVALID_REVIEW_LOG');
+  }
+
+  return lines.slice(1).map(line => {
+    const row = parseCsvLine(line, separator);
+    const value = name => (column(name) === -1 ? undefined : row[column(name)]);
+    const reviewedAt = value('reviewed_at') || (value('id') ? new Date(Number(value('id'))).toISOString() : null);
+    return {
+      guid: value('guid') || null,
+      concept_id: value('concept_id') || conceptIdFromGuid(value('guid')),
+      ease: Number(value('ease')),
+      reviewed_at: reviewedAt,
+      interval: value('ivl') !== undefined ? Number(value('ivl')) : null
+    };
+  });
+}
+
+function reviewsFromCollection(db) {
+  return db.prepare(`
+    SELECT revlog.id AS id, revlog.ease AS ease, revlog.ivl AS ivl, notes.guid AS guid
+    FROM revlog
+    JOIN cards ON cards.id = revlog.cid
+    JOIN notes ON notes.id = cards.nid
+    WHERE notes.guid LIKE ?
+    ORDER BY revlog.id
+  `).all(`${GUID_PREFIX}:%`).map(row => ({
+    guid: row.guid,
+    concept_id: conceptIdFromGuid(row.guid),
+    ease: row.ease,
+    reviewed_at: new Date(row.id).toISOString(),
+    interval: row.ivl
+  }));
+}
+
+// Reviews of Eumicus cards, oldest first: [{ guid, concept_id, ease,
+// reviewed_at, interval }]. Reads Anki collections (.apkg or .colpkg
+// exported with "Support older Anki versions", or a collection.anki2 file)
+// and CSV/TSV review logs. Manual reschedules and unknown notes are skipped.
+async function readAnkiReviews(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  let reviews;
+
+  if (['.apkg', '.colpkg', '.anki2', '.anki21'].includes(extension)) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('Reading Anki collections requires the better-sqlite3 package. Install it with "npm install better-sqlite3".');
+    }
+
+    let collection = await fs.readFile(filePath);
+    if (extension === '.apkg' || extension === '.colpkg') {
+      const files = readZip(collection);
+      const entry = files.find(file => file.name === 'collection.anki21') || files.find(file => file.name === 'collection.anki2');
+      if (!entry) {
+        throw ankiError(
+          `${filePath} uses Anki's newer compressed format. Export it again with "Support older Anki versions" checked.`,
+          'INVALID_REVIEW_LOG'
+        );
+      }
+      collection = entry.content;
+    }
+
+    const db = new Database(collection, { readonly: true });
+    try {
+      reviews = reviewsFromCollection(db);
+    } finally {
+      db.close();
+    }
+  } else {
+    reviews = reviewsFromCsv(await fs.readFile(filePath, 'utf8'));
+  }
+
+  return reviews
+    .filter(review => review.concept_id && EASE_NAMES[review.ease] && !Number.isNaN(Date.parse(review.reviewed_at)))
+    .sort((a, b) => Date.parse(a.reviewed_at) - Date.parse(b.reviewed_at));
+}
+
+module.exports = {
+  EASE_NAMES,
+  ankiNotes,
+  toAnkiTSV,
+  toAnkiPackage,
+  readAnkiReviews,
+  conceptIdFromGuid
+};
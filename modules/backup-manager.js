@@ -0,0 +1,238 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./storage/write-lock');
+
+const DEFAULT_RETENTION = {
+  last: 5,
+  daily: 7,
+  weekly: 4
+};
+
+// Files in the data directory that are never part of a snapshot. Other
+// workspaces live under workspaces/ and are snapshotted separately.
+const EXCLUDED_NAMES = ['backups', 'workspaces', '.eumicus.lock'];
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function dayKey(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+// Weeks start on Monday (UTC)
+function weekKey(timestamp) {
+  const date = new Date(timestamp);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return dayKey(date.toISOString());
+}
+
+// Copies whole-directory snapshots of the data directory in and out of
+// data/backups/snapshots. Each snapshot is a folder holding a manifest.json
+// and a copy of the data files. This class only moves files; callers hold
+// the write lock and close the storage backend around a restore.
+class BackupManager {
+  constructor(dataDir = './data', options = {}) {
+    this.dataDir = dataDir;
+    this.snapshotDir = options.snapshotDir || path.join(dataDir, 'backups', 'snapshots');
+    this.retention = {
+      last: envInt('EUMICUS_BACKUP_KEEP_LAST', DEFAULT_RETENTION.last),
+      daily: envInt('EUMICUS_BACKUP_KEEP_DAILY', DEFAULT_RETENTION.daily),
+      weekly: envInt('EUMICUS_BACKUP_KEEP_WEEKLY', DEFAULT_RETENTION.weekly),
+      ...options.retention
+    };
+  }
+
+  async listDataFiles() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshotRoot = path.resolve(this.snapshotDir);
+    return entries.filter(name =>
+      !EXCLUDED_NAMES.includes(name) &&
+      !name.endsWith('.tmp') &&
+      !snapshotRoot.startsWith(path.resolve(this.dataDir, name) + path.sep) &&
+      path.resolve(this.dataDir, name) !== snapshotRoot
+    );
+  }
+
+  async createSnapshot(options = {}) {
+    const createdAt = new Date().toISOString();
+    const id = await this.uniqueId(createdAt.replace(/[:.]/g, '-'));
+    const snapshotPath = path.join(this.snapshotDir, id);
+    const filesPath = path.join(snapshotPath, 'data');
+
+    await fs.mkdir(filesPath, { recursive: true });
+
+    const files = [];
+    for (const name of await this.listDataFiles()) {
+      await fs.cp(path.join(this.dataDir, name), path.join(filesPath, name), { recursive: true });
+      files.push({ name, size: await this.sizeOf(path.join(filesPath, name)) });
+    }
+
+    const manifest = {
+      id,
+      created_at: createdAt,
+      reason: options.reason || 'manual',
+      label: options.label || '',
+      storage_type: options.storageType || null,
+      files,
+      size: files.reduce((sum, file) => sum + file.size, 0)
+    };
+    await writeFileAtomic(path.join(snapshotPath, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    return manifest;
+  }
+
+  async uniqueId(base) {
+    let id = base;
+    for (let attempt = 1; await this.exists(path.join(this.snapshotDir, id)); attempt++) {
+      id = `${base}-${attempt}`;
+    }
+    return id;
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async sizeOf(filePath) {
+    const stats = await fs.stat(filePath);
+    if (!stats.isDirectory()) return stats.size;
+
+    let total = 0;
+    for (const name of await fs.readdir(filePath)) {
+      total += await this.sizeOf(path.join(filePath, name));
+    }
+    return total;
+  }
+
+  // Newest first. Folders without a readable manifest are skipped.
+  async listSnapshots() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.snapshotDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const id of entries) {
+      const snapshot = await this.getSnapshot(id);
+      if (snapshot) snapshots.push(snapshot);
+    }
+
+    return snapshots.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  async getSnapshot(id) {
+    // Ids are folder names; refuse anything that could leave the snapshot directory
+    if (!id || id !== path.basename(id)) return null;
+
+    try {
+      const data = await fs.readFile(path.join(this.snapshotDir, id, 'manifest.json'), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  // Replaces the current data files with the snapshot's copies. The storage
+  // backend must be closed while this runs.
+  async restoreSnapshot(id) {
+    const snapshot = await this.getSnapshot(id);
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${id}`);
+    }
+
+    await this.clearDataFiles();
+
+    const filesPath = path.join(this.snapshotDir, id, 'data');
+    for (const file of snapshot.files) {
+      await fs.cp(path.join(filesPath, file.name), path.join(this.dataDir, file.name), { recursive: true });
+    }
+
+    return snapshot;
+  }
+
+  // Removes everything a snapshot would contain, leaving backups in place
+  async clearDataFiles() {
+    for (const name of await this.listDataFiles()) {
+      await fs.rm(path.join(this.dataDir, name), { recursive: true, force: true });
+    }
+  }
+
+  // Re-reads the file list and sizes after a snapshot's files were rewritten
+  // in place, e.g. re-encrypted
+  async refreshSnapshot(id) {
+    const snapshot = await this.getSnapshot(id);
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${id}`);
+    }
+
+    const filesPath = path.join(this.snapshotDir, id, 'data');
+    const files = [];
+    for (const name of await fs.readdir(filesPath)) {
+      files.push({ name, size: await this.sizeOf(path.join(filesPath, name)) });
+    }
+
+    const manifest = { ...snapshot, files, size: files.reduce((sum, file) => sum + file.size, 0) };
+    await writeFileAtomic(path.join(this.snapshotDir, id, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  async deleteSnapshot(id) {
+    if (!(await this.getSnapshot(id))) {
+      throw new Error(`Snapshot not found: ${id}`);
+    }
+    await fs.rm(path.join(this.snapshotDir, id), { recursive: true, force: true });
+  }
+
+  // Keeps the newest `last` snapshots, plus the newest snapshot of each of
+  // the last `daily` days and `weekly` weeks that have one. Everything else
+  // is deleted. Returns the ids that were removed.
+  async pruneSnapshots(retention = this.retention) {
+    const snapshots = await this.listSnapshots();
+    const keep = new Set(snapshots.slice(0, retention.last).map(snapshot => snapshot.id));
+
+    const keepNewestPer = (keyOf, count) => {
+      const seen = new Set();
+      for (const snapshot of snapshots) {
+        const key = keyOf(snapshot.created_at);
+        if (seen.has(key)) continue;
+        if (seen.size >= count) break;
+        seen.add(key);
+        keep.add(snapshot.id);
+      }
+    };
+    keepNewestPer(dayKey, retention.daily);
+    keepNewestPer(weekKey, retention.weekly);
+
+    const removed = [];
+    for (const snapshot of snapshots) {
+      if (keep.has(snapshot.id)) continue;
+      await fs.rm(path.join(this.snapshotDir, snapshot.id), { recursive: true, force: true });
+      removed.push(snapshot.id);
+    }
+
+    return removed;
+  }
+}
+
+BackupManager.DEFAULT_RETENTION = DEFAULT_RETENTION;
+
+module.exports = BackupManager;
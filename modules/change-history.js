@@ -0,0 +1,149 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { recordKey } = require('./storage/collections');
+
+// Carries the current change set (id, agent, description) through every
+// awaited call, so all writes made by one operation share a change set.
+const changeContext = new AsyncLocalStorage();
+
+// Bookkeeping fields that change on every write and carry no history
+const UNTRACKED_FIELDS = ['last_updated'];
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function keyOf(collection, record, index) {
+  return recordKey(collection, record) || `#${index}`;
+}
+
+// Per-record differences between two versions of the graph. Collection
+// records are matched by key; everything else is compared as a document.
+function diffGraphs(before, after) {
+  const changes = [];
+  const names = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const name of names) {
+    if (UNTRACKED_FIELDS.includes(name)) continue;
+
+    const previous = before?.[name];
+    const next = after?.[name];
+
+    if (Array.isArray(previous) || Array.isArray(next)) {
+      changes.push(...diffCollection(name, previous || [], next || []));
+    } else if (!isEqual(previous, next)) {
+      changes.push({ collection: null, key: name, before: clone(previous) ?? null, after: clone(next) ?? null });
+    }
+  }
+
+  return changes;
+}
+
+function diffCollection(collection, before, after) {
+  const previous = new Map(before.map((record, index) => [keyOf(collection, record, index), record]));
+  const next = new Map(after.map((record, index) => [keyOf(collection, record, index), record]));
+  const changes = [];
+
+  for (const [key, record] of next) {
+    if (!isEqual(previous.get(key), record)) {
+      changes.push({ collection, key, before: clone(previous.get(key)) ?? null, after: clone(record) });
+    }
+  }
+
+  for (const [key, record] of previous) {
+    if (!next.has(key)) {
+      changes.push({ collection, key, before: clone(record), after: null });
+    }
+  }
+
+  return changes;
+}
+
+function readValue(graph, collection, key) {
+  if (!collection) return graph[key] ?? null;
+  const records = graph[collection] || [];
+  return records.find((record, index) => keyOf(collection, record, index) === key) || null;
+}
+
+// Sets a document or record to value, removing it when value is null
+function applyValue(graph, collection, key, value) {
+  if (!collection) {
+    if (value === null) {
+      delete graph[key];
+    } else {
+      graph[key] = clone(value);
+    }
+    return;
+  }
+
+  if (!graph[collection]) graph[collection] = [];
+  const records = graph[collection];
+  const index = records.findIndex((record, i) => keyOf(collection, record, i) === key);
+
+  if (value === null) {
+    if (index >= 0) records.splice(index, 1);
+  } else if (index >= 0) {
+    records[index] = clone(value);
+  } else {
+    records.push(clone(value));
+  }
+}
+
+function operationFor(change) {
+  if (change.before === null) return 'create';
+  if (change.after === null) return 'delete';
+  return 'update';
+}
+
+const EVENT_SUFFIXES = { create: 'added', update: 'updated', delete: 'removed' };
+
+// concepts/create -> 'concept-added', edges/update -> 'edge-updated',
+// the user_profile document -> 'user-profile-updated'
+function changeEventName(change) {
+  const subject = change.collection ? change.collection.replace(/s$/, '') : change.key;
+  return `${subject.replace(/_/g, '-')}-${EVENT_SUFFIXES[operationFor(change)]}`;
+}
+
+// Groups change events into one summary per change set, newest first
+function summarizeChangeSets(events) {
+  const sets = new Map();
+
+  for (const event of events) {
+    if (!sets.has(event.change_set)) {
+      sets.set(event.change_set, {
+        id: event.change_set,
+        agent: event.agent,
+        description: event.description,
+        started_at: event.timestamp,
+        ended_at: event.timestamp,
+        changes: 0,
+        operations: {},
+        collections: {}
+      });
+    }
+
+    const set = sets.get(event.change_set);
+    set.ended_at = event.timestamp;
+    set.changes++;
+    set.operations[event.operation] = (set.operations[event.operation] || 0) + 1;
+    const target = event.collection || 'documents';
+    set.collections[target] = (set.collections[target] || 0) + 1;
+  }
+
+  return [...sets.values()].reverse();
+}
+
+module.exports = {
+  changeContext,
+  isEqual,
+  clone,
+  diffGraphs,
+  readValue,
+  applyValue,
+  operationFor,
+  changeEventName,
+  summarizeChangeSets
+};
@@ -0,0 +1,462 @@
+const KnowledgeGraphManager = require('./knowledge-graph');
+
+// Words that don't tell concept names apart
+const STOPWORDS = new Set(['a', 'an', 'the', 'of', 'and', 'for', 'in', 'on', 'to', 'with', 'by']);
+
+// Plurals the suffix rules below get wrong
+const IRREGULAR = {
+  analyses: 'analysis',
+  axes: 'axis',
+  bases: 'basis',
+  children: 'child',
+  corpora: 'corpus',
+  criteria: 'criterion',
+  curricula: 'curriculum',
+  feet: 'foot',
+  genera: 'genus',
+  hypotheses: 'hypothesis',
+  indices: 'index',
+  matrices: 'matrix',
+  media: 'medium',
+  men: 'man',
+  mice: 'mouse',
+  nuclei: 'nucleus',
+  people: 'person',
+  phenomena: 'phenomenon',
+  radii: 'radius',
+  stimuli: 'stimulus',
+  theses: 'thesis',
+  vertices: 'vertex',
+  women: 'woman'
+};
+
+// Names that mean the same thing, compared after normalization. Aliases
+// stored on concepts extend this table.
+const SYNONYMS = [
+  ['neural network', 'artificial neural network', 'neural net', 'ann'],
+  ['machine learning', 'ml'],
+  ['artificial intelligence', 'ai'],
+  ['deep learning', 'dl'],
+  ['natural language processing', 'nlp'],
+  ['large language model', 'llm'],
+  ['convolutional neural network', 'cnn', 'convnet'],
+  ['recurrent neural network', 'rnn'],
+  ['long short-term memory', 'lstm'],
+  ['generative adversarial network', 'gan'],
+  ['reinforcement learning', 'rl'],
+  ['support vector machine', 'svm'],
+  ['principal component analysis', 'pca'],
+  ['stochastic gradient descent', 'sgd'],
+  ['k-nearest neighbors', 'knn', 'k-nn'],
+  ['backpropagation', 'backprop', 'backward propagation of errors'],
+  ['application programming interface', 'api'],
+  ['user interface', 'ui'],
+  ['user experience', 'ux'],
+  ['object-oriented programming', 'oop'],
+  ['test-driven development', 'tdd'],
+  ['continuous integration', 'ci'],
+  ['central processing unit', 'cpu', 'processor'],
+  ['graphics processing unit', 'gpu'],
+  ['spaced repetition', 'spaced repetition system', 'srs'],
+  ['cognitive behavioral therapy', 'cbt'],
+  ['return on investment', 'roi'],
+  ['gross domestic product', 'gdp'],
+  ['deoxyribonucleic acid', 'dna']
+];
+
+// Pairs scoring at least this are proposed as they are; lower-scoring ones
+// are borderline and go to the LLM for confirmation when there is one
+const LIKELY_SCORE = 0.9;
+const SIMILAR_SCORE = 0.75;
+// Token buckets larger than this ("learning", "theory") are too common to
+// suggest anything
+const MAX_TOKEN_BUCKET = 100;
+const LLM_BATCH_SIZE = 20;
+const AGENT = 'Concept Deduplicator';
+
+function foldCase(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Singular form of an English noun, good enough to compare names
+function lemmatize(word) {
+  if (IRREGULAR[word]) return IRREGULAR[word];
+  if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+  if (/[^aeiou]ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (/(x|ch|sh|zz|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+function lemmaKey(name) {
+  return foldCase(name).split(' ').filter(Boolean).map(lemmatize).join(' ');
+}
+
+function compactKey(name) {
+  return lemmaKey(name).replace(/ /g, '');
+}
+
+// "artificial neural network" -> "ann"
+function initialsOf(name) {
+  const words = lemmaKey(name).split(' ').filter(word => word && !STOPWORDS.has(word));
+  return words.length > 1 ? words.map(word => word[0]).join('') : null;
+}
+
+const SYNONYM_GROUPS = new Map(SYNONYMS.flatMap((group, index) => group.map(name => [compactKey(name), index])));
+
+function bigrams(text) {
+  const result = new Set();
+  for (let i = 0; i < text.length - 1; i++) result.add(text.slice(i, i + 2));
+  return result;
+}
+
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return { shared: 0, union: a.size + b.size };
+  let shared = 0;
+  a.forEach(item => { if (b.has(item)) shared++; });
+  return { shared, union: a.size + b.size - shared };
+}
+
+// Everything pairs are compared on, worked out once per concept
+function profile(concept) {
+  const names = [concept.name, ...(concept.aliases || [])].filter(Boolean);
+  const compacts = new Set(names.map(compactKey));
+  const words = names.filter(name => !/[\s-]/.test(name.trim())).map(compactKey);
+  const tokens = new Set(lemmaKey(concept.name).split(' ').filter(word => word && !STOPWORDS.has(word)));
+  return {
+    concept,
+    names,
+    folded: foldCase(concept.name),
+    compact: compactKey(concept.name),
+    compacts,
+    synonyms: new Set([...compacts].map(key => SYNONYM_GROUPS.get(key)).filter(group => group !== undefined)),
+    initials: new Set(names.map(initialsOf).filter(Boolean)),
+    acronyms: new Set(words.filter(key => /^[a-z0-9]{2,6}$/.test(key))),
+    tokens,
+    bigrams: bigrams(compactKey(concept.name))
+  };
+}
+
+// Why two concepts look like the same one, and how sure that is
+function compare(a, b) {
+  if (a.folded === b.folded) {
+    return { method: 'case', score: 1, reason: 'Same name apart from case and punctuation' };
+  }
+  if (a.compact === b.compact) {
+    return { method: 'lemma', score: 0.95, reason: 'Same name apart from plurals, spacing or hyphens' };
+  }
+  if ([...a.compacts].some(key => b.compacts.has(key))) {
+    return { method: 'alias', score: 0.9, reason: 'One is already known by a name or alias of the other' };
+  }
+  if ([...a.synonyms].some(group => b.synonyms.has(group))) {
+    return { method: 'synonym', score: 0.9, reason: 'Listed as synonyms' };
+  }
+  const acronym = [...a.acronyms].find(key => b.initials.has(key)) || [...b.acronyms].find(key => a.initials.has(key));
+  if (acronym) {
+    return { method: 'acronym', score: 0.75, reason: `"${acronym.toUpperCase()}" abbreviates the other name` };
+  }
+
+  const tokens = overlap(a.tokens, b.tokens);
+  const chars = overlap(a.bigrams, b.bigrams);
+  const score = Math.max(
+    tokens.union > 0 ? tokens.shared / tokens.union : 0,
+    chars.union > 0 ? (2 * chars.shared) / (a.bigrams.size + b.bigrams.size) : 0
+  );
+  if (score >= SIMILAR_SCORE) {
+    return { method: 'similar', score: Math.round(score * 100) / 100, reason: 'Similar names' };
+  }
+  return null;
+}
+
+function pairKey(a, b) {
+  return [a, b].sort().join('|');
+}
+
+// Pairs of active concepts that may name the same thing, each
+// { a, b, method, score, reason }. Only concepts that share a name key,
+// synonym, acronym or word are compared, so large graphs stay cheap.
+function findCandidatePairs(concepts) {
+  const profiles = concepts.filter(concept => !KnowledgeGraphManager.isArchived(concept)).map(profile);
+  const buckets = new Map();
+  const add = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  };
+
+  profiles.forEach((entry, index) => {
+    entry.compacts.forEach(key => add(`name:${key}`, index));
+    entry.synonyms.forEach(group => add(`synonym:${group}`, index));
+    entry.initials.forEach(key => add(`acronym:${key}`, index));
+    entry.acronyms.forEach(key => add(`acronym:${key}`, index));
+    entry.tokens.forEach(token => add(`token:${token}`, index));
+    // Misspellings share no word but usually share a start
+    if (entry.compact.length >= 3) add(`start:${entry.compact.slice(0, 3)}`, index);
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  buckets.forEach((members, key) => {
+    if (members.length < 2 || (!key.startsWith('name:') && members.length > MAX_TOKEN_BUCKET)) return;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const a = profiles[members[i]];
+        const b = profiles[members[j]];
+        const id = pairKey(a.concept.id, b.concept.id);
+        if (a.concept.id === b.concept.id || seen.has(id)) continue;
+        seen.add(id);
+
+        const match = compare(a, b);
+        if (match) pairs.push({ a: a.concept, b: b.concept, ...match });
+      }
+    }
+  });
+  return pairs;
+}
+
+// Finds concepts that name the same thing and merges them on request. Pairs
+// are found by comparing case-folded and lemmatized names and aliases, a
+// table of common synonyms and acronyms, and name similarity; borderline
+// pairs are confirmed with the LLM. Verdicts (the LLM's, and pairs the user
+// marked as different) are kept in the graph's duplicate_reviews document so
+// a pair is only judged once.
+class ConceptDeduplicator {
+  constructor(openaiClient, knowledgeGraphManager) {
+    this.openai = openaiClient;
+    this.knowledgeGraph = knowledgeGraphManager;
+  }
+
+  // Merge proposals, most certain first. Each is { concepts, keep, status,
+  // score, pairs }: the concepts to merge, the id of the one suggested to
+  // keep, 'likely' or 'confirmed' (by the LLM) or 'unconfirmed', and the
+  // pairs behind it with their method, score and reason. Set confirm to false
+  // to leave borderline pairs unconfirmed instead of asking the LLM.
+  async findDuplicates(options = {}) {
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
+    const reviews = graph.duplicate_reviews || {};
+
+    const pairs = [];
+    const borderline = [];
+    for (const pair of findCandidatePairs(graph.concepts)) {
+      const review = reviews[pairKey(pair.a.id, pair.b.id)];
+      if (review?.verdict === 'different') continue;
+
+      if (review?.verdict === 'same') {
+        pairs.push({ ...pair, status: 'confirmed', reason: review.reason || pair.reason });
+      } else if (pair.score >= LIKELY_SCORE) {
+        pairs.push({ ...pair, status: 'likely' });
+      } else {
+        borderline.push(pair);
+      }
+    }
+
+    const llm = { checked: 0, confirmed: 0, rejected: 0 };
+    if (borderline.length > 0 && options.confirm !== false && this.openai) {
+      const verdicts = await this.confirmPairs(borderline);
+      borderline.forEach((pair, index) => {
+        const verdict = verdicts[index];
+        if (!verdict) {
+          pairs.push({ ...pair, status: 'unconfirmed' });
+          return;
+        }
+        llm.checked++;
+        if (verdict.same_concept) {
+          llm.confirmed++;
+          pairs.push({ ...pair, status: 'confirmed', reason: verdict.reason || pair.reason });
+        } else {
+          llm.rejected++;
+        }
+      });
+    } else {
+      borderline.forEach(pair => pairs.push({ ...pair, status: 'unconfirmed' }));
+    }
+
+    return { proposals: this.groupPairs(pairs, graph), llm };
+  }
+
+  // Asks the LLM about borderline pairs in batches and stores its verdicts.
+  // Returns one verdict per pair, null where the LLM gave none or failed.
+  async confirmPairs(pairs) {
+    const verdicts = new Array(pairs.length).fill(null);
+
+    for (let start = 0; start < pairs.length; start += LLM_BATCH_SIZE) {
+      const batch = pairs.slice(start, start + LLM_BATCH_SIZE);
+      try {
+        const response = await this.openai.confirmDuplicateConcepts(batch.map(pair => [pair.a, pair.b]));
+        (response.verdicts || []).forEach(verdict => {
+          const index = Number(verdict.pair);
+          if (Number.isInteger(index) && index >= 0 && index < batch.length) {
+            verdicts[start + index] = verdict;
+          }
+        });
+      } catch (error) {
+        console.error('Error confirming duplicate concepts:', error.message);
+      }
+    }
+
+    const reviewed = {};
+    pairs.forEach((pair, index) => {
+      const verdict = verdicts[index];
+      if (!verdict) return;
+      reviewed[pairKey(pair.a.id, pair.b.id)] = {
+        verdict: verdict.same_concept ? 'same' : 'different',
+        by: 'llm',
+        reason: verdict.reason || '',
+        reviewed_at: new Date().toISOString()
+      };
+    });
+    if (Object.keys(reviewed).length > 0) {
+      await this.updateReviews(reviews => Object.assign(reviews, reviewed), 'Record duplicate concept verdicts');
+    }
+    return verdicts;
+  }
+
+  // Likely and confirmed pairs that share a concept form one proposal, so
+  // "Neural Networks", "neural network" and "ANNs" are merged in one go.
+  // Unconfirmed pairs stay proposals of their own.
+  groupPairs(pairs, graph) {
+    const parent = new Map();
+    const find = id => {
+      while (parent.get(id) !== id) id = parent.get(id);
+      return id;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+
+    pairs.forEach(pair => {
+      [pair.a.id, pair.b.id].forEach(id => !parent.has(id) && parent.set(id, id));
+      if (pair.status !== 'unconfirmed') union(pair.a.id, pair.b.id);
+    });
+
+    const groups = new Map();
+    pairs.forEach(pair => {
+      const id = pair.status === 'unconfirmed' && find(pair.a.id) !== find(pair.b.id)
+        ? pairKey(pair.a.id, pair.b.id)
+        : find(pair.a.id);
+      if (!groups.has(id)) groups.set(id, { concepts: new Map(), pairs: [] });
+      const group = groups.get(id);
+      group.concepts.set(pair.a.id, pair.a);
+      group.concepts.set(pair.b.id, pair.b);
+      group.pairs.push(pair);
+    });
+
+    const degree = new Map();
+    (graph.edges || []).forEach(edge => {
+      degree.set(edge.from, (degree.get(edge.from) || 0) + 1);
+      degree.set(edge.to, (degree.get(edge.to) || 0) + 1);
+    });
+    // The concept with the most edges, sources and reviews is kept
+    const weight = concept => (degree.get(concept.id) || 0) + (concept.sources || []).length + (concept.last_reinforced ? 1 : 0);
+
+    return [...groups.values()]
+      .map(group => {
+        const concepts = [...group.concepts.values()];
+        const keep = [...concepts].sort((a, b) =>
+          weight(b) - weight(a) || String(a.created_at || '').localeCompare(String(b.created_at || ''))
+        )[0];
+        return {
+          concepts: concepts.map(concept => ({
+            id: concept.id,
+            name: concept.name,
+            aliases: concept.aliases || [],
+            description: concept.description || '',
+            category: concept.category || null,
+            confidence: concept.confidence ?? null,
+            edges: degree.get(concept.id) || 0,
+            sources: (concept.sources || []).length,
+            last_reinforced: concept.last_reinforced || null
+          })),
+          keep: keep.id,
+          status: group.pairs.every(pair => pair.status === 'unconfirmed') ? 'unconfirmed'
+            : group.pairs.some(pair => pair.status === 'confirmed') ? 'confirmed' : 'likely',
+          score: Math.max(...group.pairs.map(pair => pair.score)),
+          pairs: group.pairs.map(pair => ({
+            a: pair.a.name,
+            b: pair.b.name,
+            method: pair.method,
+            score: pair.score,
+            status: pair.status,
+            reason: pair.reason
+          }))
+        };
+      })
+      .sort((a, b) => (a.status === 'unconfirmed') - (b.status === 'unconfirmed') || b.score - a.score);
+  }
+
+  // Merges the other concepts into keep (see KnowledgeGraphManager.mergeConcepts)
+  async merge(keep, others) {
+    const target = await this.knowledgeGraph.getConcept(keep);
+    const gone = new Set();
+    for (const nameOrId of others) {
+      const other = await this.knowledgeGraph.getConcept(nameOrId);
+      if (other && other.id !== target?.id) gone.add(other.id);
+    }
+    const description = `Merge ${others.map(name => `"${name}"`).join(', ')} into "${target ? target.name : keep}"`;
+
+    const result = await this.knowledgeGraph.runInChangeSet({ agent: AGENT, description }, async changeSet => {
+      const merged = await this.knowledgeGraph.mergeConcepts(keep, others);
+
+      // Verdicts about the merged concepts no longer apply
+      await this.updateReviews(reviews => {
+        Object.keys(reviews).forEach(key => {
+          if (key.split('|').some(id => gone.has(id))) delete reviews[key];
+        });
+        return reviews;
+      }, description);
+      return { ...merged, change_set: changeSet.id };
+    });
+
+    await this.knowledgeGraph.addActivity({
+      type: 'concept_merge',
+      agent: AGENT,
+      message: `Merged ${result.merged.join(', ')} into ${result.concept.name}`,
+      status: 'completed',
+      details: { concept_id: result.concept.id, merged: result.merged, edges: result.edges }
+    });
+    return result;
+  }
+
+  // Marks concepts as different from each other, so they aren't proposed
+  // again
+  async dismiss(namesOrIds) {
+    const concepts = [];
+    for (const nameOrId of namesOrIds) {
+      const concept = await this.knowledgeGraph.getConcept(nameOrId);
+      if (!concept) {
+        throw new Error(`Concept not found: ${nameOrId}`);
+      }
+      if (!concepts.some(other => other.id === concept.id)) concepts.push(concept);
+    }
+    if (concepts.length < 2) {
+      throw new Error('At least two different concepts are required');
+    }
+
+    const reviewed_at = new Date().toISOString();
+    await this.updateReviews(reviews => {
+      concepts.forEach((a, i) => concepts.slice(i + 1).forEach(b => {
+        reviews[pairKey(a.id, b.id)] = { verdict: 'different', by: 'user', reason: '', reviewed_at };
+      }));
+      return reviews;
+    }, `Mark ${concepts.map(concept => `"${concept.name}"`).join(', ')} as different concepts`);
+    return concepts.map(concept => concept.name);
+  }
+
+  async updateReviews(update, description) {
+    await this.knowledgeGraph.withWriteLock(async () => {
+      const graph = await this.knowledgeGraph.readKnowledgeGraph();
+      const reviews = update(JSON.parse(JSON.stringify(graph.duplicate_reviews || {})));
+      await this.knowledgeGraph.writeDocument('duplicate_reviews', reviews, { agent: AGENT, description });
+    });
+  }
+}
+
+ConceptDeduplicator.foldCase = foldCase;
+ConceptDeduplicator.lemmaKey = lemmaKey;
+ConceptDeduplicator.findCandidatePairs = findCandidatePairs;
+
+module.exports = ConceptDeduplicator;
@@ -1,4 +1,5 @@
 const OpenAIClient = require('./openai-client');
+const { EDGE_TYPES } = require('./edges');
 
 class ConnectionMapper {
   constructor(openaiClient, knowledgeGraphManager) {
@@ -16,7 +17,7 @@ class ConnectionMapper {
       status: 'in_progress'
     });
 
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const existingConcepts = graph.concepts.filter(c => !newConcepts.some(nc => nc.name === c.name));
     
     const allConnections = [];
@@ -76,40 +77,44 @@ class ConnectionMapper {
   }
 
   async applyConnections(newConcepts, connections) {
-    const updatedConcepts = [...newConcepts];
-    
-    for (const connection of connections) {
-      // Update the 'from' concept
-      const fromConcept = updatedConcepts.find(c => c.name === connection.from_concept);
-      if (fromConcept) {
-        if (!fromConcept.connections) {
-          fromConcept.connections = [];
-        }
-        if (!fromConcept.connections.includes(connection.to_concept)) {
-          fromConcept.connections.push(connection.to_concept);
+    await this.knowledgeGraph.runInChangeSet({
+      agent: 'Connection Mapper',
+      description: `Map ${connections.length} connections for ${newConcepts.length} new concepts`
+    }, async () => {
+      // Make sure every new concept exists before linking them. Stored ones
+      // are left alone: these copies were read before the LLM calls, and
+      // saving them again would undo reviews and edits made since.
+      for (const concept of newConcepts) {
+        if (!(await this.knowledgeGraph.getConcept(concept.id || concept.name))) {
+          await this.knowledgeGraph.addConcept(concept);
         }
       }
 
-      // Update the 'to' concept (if it's also a new concept)
-      const toConcept = updatedConcepts.find(c => c.name === connection.to_concept);
-      if (toConcept) {
-        if (!toConcept.connections) {
-          toConcept.connections = [];
-        }
-        if (!toConcept.connections.includes(connection.from_concept)) {
-          toConcept.connections.push(connection.from_concept);
-        }
-      }
-    }
+      await this.knowledgeGraph.addEdges(
+        connections.map(connection => this.toEdge(connection)),
+        { agent: 'Connection Mapper', method: 'new_concept_mapping' }
+      );
+    });
 
-    // Save updated concepts to knowledge graph
-    for (const concept of updatedConcepts) {
-      await this.knowledgeGraph.addConcept(concept);
+    const updatedConcepts = [];
+    for (const concept of newConcepts) {
+      updatedConcepts.push(await this.knowledgeGraph.getConcept(concept.name) || concept);
     }
 
     return updatedConcepts;
   }
 
+  toEdge(connection) {
+    return {
+      from: connection.from_concept,
+      to: connection.to_concept,
+      type: connection.relationship_type,
+      strength: connection.strength,
+      description: connection.description,
+      discovered_at: connection.discovered_at
+    };
+  }
+
   async discoverHiddenConnections() {
     console.log('🔍 Discovering hidden connections in existing knowledge...');
     
@@ -120,7 +125,7 @@ class ConnectionMapper {
       status: 'in_progress'
     });
 
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const concepts = graph.concepts;
     
     const hiddenConnections = [];
@@ -193,7 +198,7 @@ class ConnectionMapper {
             properties: {
               from_concept: { type: 'string' },
               to_concept: { type: 'string' },
-              relationship_type: { type: 'string' },
+              relationship_type: { type: 'string', enum: EDGE_TYPES },
               strength: { type: 'number', minimum: 0.6, maximum: 1 },
               description: { type: 'string' }
             },
@@ -217,39 +222,19 @@ class ConnectionMapper {
   }
 
   async applyNewConnections(connections) {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
-    
-    for (const connection of connections) {
-      // Update the 'from' concept
-      const fromConcept = graph.concepts.find(c => c.name === connection.from_concept);
-      if (fromConcept) {
-        if (!fromConcept.connections) {
-          fromConcept.connections = [];
-        }
-        if (!fromConcept.connections.includes(connection.to_concept)) {
-          fromConcept.connections.push(connection.to_concept);
-        }
-      }
-
-      // Update the 'to' concept
-      const toConcept = graph.concepts.find(c => c.name === connection.to_concept);
-      if (toConcept) {
-        if (!toConcept.connections) {
-          toConcept.connections = [];
-        }
-        if (!toConcept.connections.includes(connection.from_concept)) {
-          toConcept.connections.push(connection.from_concept);
-        }
-      }
-    }
-
-    await this.knowledgeGraph.saveKnowledgeGraph(graph);
+    await this.knowledgeGraph.runInChangeSet({
+      agent: 'Connection Mapper',
+      description: `Add ${connections.length} hidden connections`
+    }, () => this.knowledgeGraph.addEdges(
+      connections.map(connection => this.toEdge(connection)),
+      { agent: 'Connection Mapper', method: 'hidden_connection_discovery' }
+    ));
   }
 
   async analyzeKnowledgeStructure() {
     console.log('📊 Analyzing knowledge structure...');
     
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const concepts = graph.concepts;
     
     const analysis = {
@@ -268,7 +253,9 @@ class ConnectionMapper {
 
     // Calculate connection statistics
     let totalConnections = 0;
-    const connectionTypeCounts = {};
+    (graph.edges || []).forEach(edge => {
+      analysis.connection_types[edge.type] = (analysis.connection_types[edge.type] || 0) + 1;
+    });
     
     concepts.forEach(concept => {
       const connectionCount = concept.connections?.length || 0;
@@ -350,7 +337,7 @@ class ConnectionMapper {
   }
 
   async getConnectionStats() {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const concepts = graph.concepts;
     
     if (concepts.length === 0) {
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [/^utm_/, /^fbclid$/, /^gclid$/, /^mc_[ce]id$/, /^ref$/, /^ref_src$/];
+
+// One spelling per page: lowercase host without www., no fragment, no
+// tracking parameters, sorted query, no trailing slash. YouTube links are
+// reduced to the video id.
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.replace(/^www\./, '');
+
+  if (parsed.hostname === 'youtu.be') {
+    return `https://youtube.com/watch?v=${parsed.pathname.slice(1)}`;
+  }
+  if (parsed.hostname.endsWith('youtube.com') && parsed.searchParams.has('v')) {
+    return `https://youtube.com/watch?v=${parsed.searchParams.get('v')}`;
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.some(pattern => pattern.test(name)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+  return parsed.toString();
+}
+
+// Whitespace differences between two fetches of a page don't count as changes
+function hashContent(text) {
+  const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Fetched pages keyed by normalized URL, so a URL submitted again within
+// the TTL is not scraped a second time. Entries live in the storage backend's
+// content cache; hit and miss counts are kept for this process only.
+class ContentCache {
+  constructor(knowledgeGraphManager, options = {}) {
+    this.knowledgeGraph = knowledgeGraphManager;
+    const ttl = parseInt(process.env.CONTENT_CACHE_TTL);
+    this.ttl = options.ttl ?? (Number.isInteger(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL);
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  isFresh(entry, now = Date.now()) {
+    return now - Date.parse(entry.fetched_at) < this.ttl;
+  }
+
+  // The cached page for url, or null when it was never fetched or has expired
+  async get(url) {
+    const entry = await this.knowledgeGraph.getContentCacheEntry(normalizeUrl(url));
+    if (entry && this.isFresh(entry)) {
+      this.hits++;
+      return entry;
+    }
+    this.misses++;
+    return null;
+  }
+
+  async put(url, page) {
+    const key = normalizeUrl(url);
+    const entry = {
+      ...page,
+      key,
+      requested_url: url,
+      content_hash: hashContent(page.content),
+      fetched_at: new Date().toISOString()
+    };
+    return await this.knowledgeGraph.putContentCacheEntry(key, entry);
+  }
+
+  async stats() {
+    const { items, last_updated } = await this.knowledgeGraph.loadContentCache();
+    const entries = Object.values(items || {});
+    const now = Date.now();
+    const fetched = entries.map(entry => entry.fetched_at).filter(Boolean).sort();
+
+    return {
+      entries: entries.length,
+      fresh: entries.filter(entry => this.isFresh(entry, now)).length,
+      expired: entries.filter(entry => !this.isFresh(entry, now)).length,
+      size_bytes: entries.reduce((sum, entry) => sum + Buffer.byteLength(entry.content || ''), 0),
+      oldest: fetched[0] || null,
+      newest: fetched[fetched.length - 1] || null,
+      ttl: this.ttl,
+      hits: this.hits,
+      misses: this.misses,
+      last_updated
+    };
+  }
+
+  // Options: url (only that page) or expired (only entries past the TTL).
+  // Without either the whole cache is cleared. Returns the number removed.
+  async purge(options = {}) {
+    if (options.url) {
+      return await this.knowledgeGraph.deleteContentCacheEntries([normalizeUrl(options.url)]);
+    }
+
+    const { items } = await this.knowledgeGraph.loadContentCache();
+    const keys = Object.entries(items || {})
+      .filter(([, entry]) => !options.expired || !this.isFresh(entry))
+      .map(([key]) => key);
+    return await this.knowledgeGraph.deleteContentCacheEntries(keys);
+  }
+}
+
+ContentCache.normalizeUrl = normalizeUrl;
+ContentCache.hashContent = hashContent;
+
+module.exports = ContentCache;
@@ -1,23 +1,32 @@
 const puppeteer = require('puppeteer');
 const cheerio = require('cheerio');
 const OpenAIClient = require('./openai-client');
+const ContentCache = require('./content-cache');
+const { categoryPath } = require('./taxonomy');
+const { locateExcerpts } = require('./provenance');
 
-// Use built-in fetch for Node.js 18+ or fallback to node-fetch
-let fetch;
-try {
-  fetch = globalThis.fetch;
-} catch (error) {
-  fetch = require('node-fetch');
-}
+const DEFAULT_MAX_CONTENT_LENGTH = 50000;
 
 class ContentProcessor {
   constructor(openaiClient, knowledgeGraphManager) {
     this.openai = openaiClient;
     this.knowledgeGraph = knowledgeGraphManager;
     this.browser = null;
+    this.ownsBrowser = false;
+    this.cache = new ContentCache(knowledgeGraphManager);
+
+    const maxContentLength = parseInt(process.env.MAX_CONTENT_LENGTH);
+    this.maxContentLength = maxContentLength > 0 ? maxContentLength : DEFAULT_MAX_CONTENT_LENGTH;
   }
 
-  async initialize() {
+  // Workspaces share one headless browser; pass it in to reuse it
+  async initialize(browser = null) {
+    if (browser) {
+      this.browser = browser;
+      return;
+    }
+
+    this.ownsBrowser = true;
     this.browser = await puppeteer.launch({
       headless: true,
       args: [
@@ -35,12 +44,16 @@ class ContentProcessor {
   }
 
   async cleanup() {
-    if (this.browser) {
+    if (this.browser && this.ownsBrowser) {
       await this.browser.close();
     }
   }
 
-  async processContent(contentInput) {
+  // A URL is fetched once per cache TTL. Content that was already processed
+  // is skipped; a URL whose page changed since is merged into its existing
+  // item. options.force refetches and re-extracts regardless, still merging
+  // into the existing item rather than adding a duplicate.
+  async processContent(contentInput, options = {}) {
     console.log('📚 Processing content...');
     
     await this.knowledgeGraph.addActivity({
@@ -48,67 +61,166 @@ class ContentProcessor {
       agent: 'Content Processor',
       message: 'Starting content analysis',
       status: 'in_progress',
-      details: { input_type: typeof contentInput }
+      details: { input_type: typeof contentInput, force: !!options.force }
     });
 
     let processedContent = null;
+    let url = null;
 
     if (typeof contentInput === 'string') {
       if (this.isUrl(contentInput)) {
-        processedContent = await this.processUrl(contentInput);
+        url = contentInput;
       } else {
         processedContent = await this.processText(contentInput);
       }
     } else if (contentInput.url) {
-      processedContent = await this.processUrl(contentInput.url);
+      url = contentInput.url;
     } else if (contentInput.text) {
       processedContent = await this.processText(contentInput.text);
     }
 
+    if (url) {
+      processedContent = await this.fetchUrl(url, options);
+    }
+
     if (!processedContent) {
       throw new Error('Unable to process content input');
     }
 
+    processedContent = this.limitContent(processedContent);
+    const contentHash = ContentCache.hashContent(processedContent.content);
+    const existing = await this.findExistingItem(url, processedContent, contentHash);
+
+    if (existing && !options.force && (existing.content_hash || ContentCache.hashContent(existing.content)) === contentHash) {
+      await this.knowledgeGraph.addActivity({
+        type: 'content_processing',
+        agent: 'Content Processor',
+        message: `Skipped "${existing.title}", it was already processed`,
+        status: 'completed',
+        details: { content_id: existing.id, reason: 'duplicate' }
+      });
+
+      return {
+        contentItem: { ...existing },
+        changeSetId: null,
+        concepts: [],
+        insights: [],
+        keyTakeaways: [],
+        skipped: true,
+        cached: !!processedContent.cached
+      };
+    }
+
     // Extract concepts and insights
     const extraction = await this.extractKnowledge(processedContent);
     
-    // Add to knowledge graph
-    const contentItem = await this.knowledgeGraph.addContentItem({
-      type: processedContent.type,
-      url: processedContent.url,
-      title: processedContent.title,
-      content: processedContent.content,
-      key_concepts: extraction.concepts.map(c => c.name),
-      insights: extraction.insights,
-      key_takeaways: extraction.key_takeaways,
-      processed_date: new Date().toISOString()
-    });
+    // Add to knowledge graph as one change set, so a bad ingestion can be reverted as a whole
+    const { contentItem, changeSetId } = await this.knowledgeGraph.runInChangeSet({
+      agent: 'Content Processor',
+      description: `${existing ? 'Reprocess' : 'Process'} ${processedContent.type}: "${processedContent.title}"`
+    }, async (changeSet) => {
+      // Add new concepts to knowledge graph. Their excerpts are kept on the
+      // content item, under the id each concept is stored with.
+      const excerpts = [];
+      for (const { excerpts: spans, ...concept } of extraction.concepts) {
+        const stored = await this.knowledgeGraph.addConcept(concept);
+        excerpts.push(...spans.map(span => ({ concept_id: stored.id, ...span })));
+      }
 
-    // Add new concepts to knowledge graph
-    for (const concept of extraction.concepts) {
-      await this.knowledgeGraph.addConcept(concept);
-    }
+      const fields = {
+        type: processedContent.type,
+        url: processedContent.url,
+        title: processedContent.title,
+        content: processedContent.content,
+        content_hash: contentHash,
+        key_concepts: extraction.concepts.map(c => c.name),
+        insights: extraction.insights,
+        key_takeaways: extraction.key_takeaways,
+        excerpts
+      };
+      const item = existing
+        ? await this.knowledgeGraph.mergeContentItem(existing.id, fields)
+        : await this.knowledgeGraph.addContentItem({ ...fields, processed_date: new Date().toISOString() });
+
+      return { contentItem: item, changeSetId: changeSet.id };
+    });
 
     await this.knowledgeGraph.addActivity({
       type: 'content_processing',
       agent: 'Content Processor',
-      message: `Successfully processed ${processedContent.type}: "${processedContent.title}"`,
+      message: `Successfully ${existing ? 'reprocessed' : 'processed'} ${processedContent.type}: "${processedContent.title}"`,
       status: 'completed',
       details: {
         content_id: contentItem.id,
+        change_set: changeSetId,
+        merged: !!existing,
+        cached: !!processedContent.cached,
+        truncated: !!processedContent.truncated,
         concepts_extracted: extraction.concepts.length,
-        insights_generated: extraction.insights.length
+        insights_generated: extraction.insights.length,
+        excerpts_unmatched: extraction.excerpts_unmatched
       }
     });
 
     return {
       contentItem,
-      concepts: extraction.concepts,
+      changeSetId,
+      // Their excerpts are on the content item
+      concepts: extraction.concepts.map(({ excerpts, ...concept }) => concept),
       insights: extraction.insights,
-      keyTakeaways: extraction.key_takeaways
+      keyTakeaways: extraction.key_takeaways,
+      skipped: false,
+      merged: !!existing,
+      cached: !!processedContent.cached
     };
   }
 
+  // Serves the page from the content cache while it's fresh, unless force is set
+  async fetchUrl(url, options = {}) {
+    if (!options.force) {
+      const cached = await this.cache.get(url);
+      if (cached) {
+        console.log(`💾 Using cached copy of ${url}`);
+        return { type: cached.type, url: cached.url, title: cached.title, content: cached.content, truncated: cached.truncated, cached: true };
+      }
+    }
+
+    const page = this.limitContent(await this.processUrl(url));
+    // Placeholders for pages that couldn't be read are not worth keeping
+    if (!page.error) {
+      await this.cache.put(url, page);
+    }
+    return page;
+  }
+
+  // MAX_CONTENT_LENGTH bounds what is stored and sent for extraction
+  limitContent(page) {
+    if (!page.content || page.content.length <= this.maxContentLength) return page;
+    return { ...page, content: page.content.slice(0, this.maxContentLength), truncated: true };
+  }
+
+  // A content item for the same page (by normalized URL, before or after
+  // redirects) or, failing that, one with the same text
+  async findExistingItem(url, page, contentHash) {
+    const items = await this.knowledgeGraph.readRecords('content_items');
+    const normalize = value => {
+      try {
+        return ContentCache.normalizeUrl(value);
+      } catch {
+        return value;
+      }
+    };
+
+    if (url) {
+      const urls = new Set([url, page.url].filter(Boolean).map(normalize));
+      const sameUrl = items.find(item => item.url && urls.has(normalize(item.url)));
+      if (sameUrl) return sameUrl;
+    }
+
+    if (!String(page.content || '').trim()) return null;
+    return items.find(item => (item.content_hash || ContentCache.hashContent(item.content)) === contentHash) || null;
+  }
+
   isUrl(string) {
     try {
       new URL(string);
@@ -258,30 +370,47 @@ class ContentProcessor {
     console.log('🧠 Extracting knowledge from content...');
     
     const existingConcepts = await this.getExistingConcepts();
+    const categories = await this.getCategoryPaths();
     
-    const extraction = await this.openai.extractConcepts(content.content, existingConcepts);
+    const extraction = await this.openai.extractConcepts(content.content, existingConcepts, categories);
     
-    // Enhance concepts with additional metadata
-    const enhancedConcepts = extraction.concepts.map(concept => ({
-      ...concept,
-      sources: [content.url || 'text_input'],
-      last_reinforced: null,
-      reinforcement_schedule: this.calculateReinforcementSchedule(concept.confidence),
-      created_from: content.type
-    }));
+    // Enhance concepts with additional metadata, and turn the passages the
+    // LLM quoted for each into excerpts: spans of content.content, timed for
+    // video transcripts. Quotes that aren't in the text are dropped.
+    let unmatched = 0;
+    const enhancedConcepts = extraction.concepts.map(concept => {
+      const { excerpts, missing } = locateExcerpts(content, concept.excerpts);
+      unmatched += missing;
+      return {
+        ...concept,
+        excerpts,
+        sources: [content.url || 'text_input'],
+        last_reinforced: null,
+        reinforcement_schedule: this.calculateReinforcementSchedule(concept.confidence),
+        created_from: content.type
+      };
+    });
 
     return {
       concepts: enhancedConcepts,
       insights: extraction.insights,
-      key_takeaways: extraction.key_takeaways
+      key_takeaways: extraction.key_takeaways,
+      excerpts_unmatched: unmatched
     };
   }
 
   async getExistingConcepts() {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     return graph.concepts;
   }
 
+  // Every node of the category tree as "Domain > Subdomain > Topic", so the
+  // LLM files new concepts where similar ones already are
+  async getCategoryPaths() {
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
+    return (graph.categories || []).map(category => categoryPath(graph.categories, category.id)).sort();
+  }
+
   calculateReinforcementSchedule(confidence) {
     const now = new Date();
     let daysToAdd;
@@ -0,0 +1,45 @@
+// Relationship types understood by the knowledge graph. The LLM is asked for
+// one of these, but free-text answers are mapped onto the closest type.
+const EDGE_TYPES = [
+  'prerequisite',
+  'application',
+  'example',
+  'contrasts-with',
+  'part-of',
+  'similar-to',
+  'related-to'
+];
+
+const DEFAULT_EDGE_TYPE = 'related-to';
+
+function normalizeEdgeType(type) {
+  const value = String(type || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (EDGE_TYPES.includes(value)) return value;
+
+  if (/prereq|foundation|require|depend|builds?-on|underlie/.test(value)) return 'prerequisite';
+  if (/appl|used-(in|for|by)|uses|implement/.test(value)) return 'application';
+  if (/example|instance|case/.test(value)) return 'example';
+  if (/contrast|opposite|versus|vs|differ|alternative/.test(value)) return 'contrasts-with';
+  if (/part|component|subset|compos|subfield|type-of|kind-of/.test(value)) return 'part-of';
+  if (/similar|analog|shared|parallel|pattern/.test(value)) return 'similar-to';
+  return DEFAULT_EDGE_TYPE;
+}
+
+function normalizeStrength(strength) {
+  const value = Number(strength);
+  if (strength === null || strength === undefined || Number.isNaN(value)) return null;
+  return Math.max(0, Math.min(1, value));
+}
+
+// Edges are unique per direction and type between the same two concepts
+function edgeSignature(edge) {
+  return `${edge.from}\u0000${edge.to}\u0000${edge.type}`;
+}
+
+module.exports = {
+  EDGE_TYPES,
+  DEFAULT_EDGE_TYPE,
+  normalizeEdgeType,
+  normalizeStrength,
+  edgeSignature
+};
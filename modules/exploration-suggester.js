@@ -1,4 +1,5 @@
 const OpenAIClient = require('./openai-client');
+const { categoryLineage, groupConceptsByCategory } = require('./taxonomy');
 
 class ExplorationSuggester {
   constructor(openaiClient, knowledgeGraphManager) {
@@ -17,9 +18,10 @@ class ExplorationSuggester {
     });
 
     // Get current knowledge state
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const userProfile = graph.user_profile;
-    const concepts = graph.concepts;
+    // Archived concepts are kept out of suggestions
+    const concepts = graph.concepts.filter(c => !c.archived_at);
     const contentItems = graph.content_items;
     const knowledgeGaps = await this.knowledgeGraph.getKnowledgeGaps();
 
@@ -27,12 +29,17 @@ class ExplorationSuggester {
     const analysis = await this.openai.identifyKnowledgeGaps(userProfile, concepts, contentItems);
     
     // Generate personalized suggestions
-    const suggestions = await this.generatePersonalizedSuggestions(analysis, userProfile, concepts);
+    const suggestions = await this.generatePersonalizedSuggestions(analysis, userProfile, concepts, graph.categories);
     
     // Save suggestions to knowledge graph
-    for (const suggestion of suggestions) {
-      await this.knowledgeGraph.addExplorationSuggestion(suggestion);
-    }
+    await this.knowledgeGraph.runInChangeSet({
+      agent: 'Exploration Suggester',
+      description: `Add ${suggestions.length} exploration suggestions`
+    }, async () => {
+      for (const suggestion of suggestions) {
+        await this.knowledgeGraph.addExplorationSuggestion(suggestion);
+      }
+    });
 
     await this.knowledgeGraph.addActivity({
       type: 'exploration',
@@ -53,13 +60,13 @@ class ExplorationSuggester {
     };
   }
 
-  async generatePersonalizedSuggestions(analysis, userProfile, concepts) {
+  async generatePersonalizedSuggestions(analysis, userProfile, concepts, categories = []) {
     const suggestions = [];
 
     // Process knowledge gaps
     for (const gap of analysis.knowledge_gaps) {
       if (gap.priority === 'high' || gap.priority === 'medium') {
-        const suggestion = await this.createSuggestionFromGap(gap, userProfile, concepts);
+        const suggestion = await this.createSuggestionFromGap(gap, userProfile, concepts, categories);
         if (suggestion) {
           suggestions.push(suggestion);
         }
@@ -68,22 +75,22 @@ class ExplorationSuggester {
 
     // Process exploration suggestions
     for (const exploration of analysis.exploration_suggestions) {
-      const suggestion = await this.createSuggestionFromExploration(exploration, userProfile, concepts);
+      const suggestion = await this.createSuggestionFromExploration(exploration, userProfile, concepts, categories);
       if (suggestion) {
         suggestions.push(suggestion);
       }
     }
 
     // Add cross-domain connections
-    const crossDomainSuggestions = await this.generateCrossDomainSuggestions(concepts, userProfile);
+    const crossDomainSuggestions = await this.generateCrossDomainSuggestions(concepts, userProfile, categories);
     suggestions.push(...crossDomainSuggestions);
 
     // Sort by priority and relevance
     return this.rankSuggestions(suggestions, userProfile);
   }
 
-  async createSuggestionFromGap(gap, userProfile, concepts) {
-    const relatedConcepts = this.findRelatedConcepts(gap.area, concepts);
+  async createSuggestionFromGap(gap, userProfile, concepts, categories = []) {
+    const relatedConcepts = this.findRelatedConcepts(gap.area, concepts, categories);
     
     return {
       area: gap.area,
@@ -91,7 +98,7 @@ class ExplorationSuggester {
       priority: gap.priority,
       reason: gap.reason,
       connection_to_goals: this.assessGoalConnection(gap.area, userProfile.goals),
-      difficulty_level: this.assessDifficulty(gap.area, concepts),
+      difficulty_level: this.assessDifficulty(gap.area, concepts, categories),
       estimated_time: this.estimateLearningTime(gap.area, gap.priority),
       suggested_resources: gap.suggested_resources || [],
       related_concepts: relatedConcepts,
@@ -100,7 +107,7 @@ class ExplorationSuggester {
     };
   }
 
-  async createSuggestionFromExploration(exploration, userProfile, concepts) {
+  async createSuggestionFromExploration(exploration, userProfile, concepts, categories = []) {
     return {
       area: exploration.topic,
       type: 'exploration',
@@ -110,17 +117,17 @@ class ExplorationSuggester {
       difficulty_level: exploration.difficulty_level || 'intermediate',
       estimated_time: exploration.estimated_time || '2-4 weeks',
       suggested_resources: [],
-      related_concepts: this.findRelatedConcepts(exploration.topic, concepts),
+      related_concepts: this.findRelatedConcepts(exploration.topic, concepts, categories),
       learning_path: await this.generateLearningPath(exploration.topic, concepts),
       created_at: new Date().toISOString()
     };
   }
 
-  async generateCrossDomainSuggestions(concepts, userProfile) {
+  async generateCrossDomainSuggestions(concepts, userProfile, categories = []) {
     const suggestions = [];
     
     // Find concepts from different domains that could be connected
-    const domains = this.groupConceptsByDomain(concepts);
+    const domains = this.groupConceptsByDomain(concepts, categories);
     const domainNames = Object.keys(domains);
     
     for (let i = 0; i < domainNames.length; i++) {
@@ -174,11 +181,14 @@ class ExplorationSuggester {
     }
   }
 
-  findRelatedConcepts(area, concepts) {
+  // Matches the area against names, connections and every level of the
+  // concept's category
+  findRelatedConcepts(area, concepts, categories = []) {
     const areaLower = area.toLowerCase();
     return concepts.filter(concept => 
       concept.name.toLowerCase().includes(areaLower) ||
       concept.category?.toLowerCase().includes(areaLower) ||
+      categoryLineage(categories, concept.category_id).some(category => category.name.toLowerCase().includes(areaLower)) ||
       concept.connections?.some(conn => conn.toLowerCase().includes(areaLower))
     ).slice(0, 5);
   }
@@ -197,8 +207,8 @@ class ExplorationSuggester {
     }
   }
 
-  assessDifficulty(area, concepts) {
-    const relatedConcepts = this.findRelatedConcepts(area, concepts);
+  assessDifficulty(area, concepts, categories = []) {
+    const relatedConcepts = this.findRelatedConcepts(area, concepts, categories);
     if (relatedConcepts.length === 0) {
       return 'beginner';
     }
@@ -265,18 +275,9 @@ class ExplorationSuggester {
     }
   }
 
-  groupConceptsByDomain(concepts) {
-    const domains = {};
-    
-    concepts.forEach(concept => {
-      const domain = concept.category || 'general';
-      if (!domains[domain]) {
-        domains[domain] = [];
-      }
-      domains[domain].push(concept);
-    });
-    
-    return domains;
+  // Groups by the category tree's level-th level, domains by default
+  groupConceptsByDomain(concepts, categories = [], level = 1) {
+    return groupConceptsByCategory(concepts, categories, level);
   }
 
   rankSuggestions(suggestions, userProfile) {
@@ -318,7 +319,7 @@ class ExplorationSuggester {
   }
 
   async getExplorationStats() {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const suggestions = graph.exploration_suggestions;
     
     if (suggestions.length === 0) {
@@ -0,0 +1,635 @@
+const { EDGE_TYPES, DEFAULT_EDGE_TYPE, normalizeEdgeType, edgeSignature } = require('./edges');
+const { GRAPH_COLLECTIONS } = require('./storage/collections');
+const { CURRENT_SCHEMA_VERSION, getSchemaVersion } = require('./schema-migrations');
+const { generateId } = require('./ids');
+const { isEqual } = require('./change-history');
+const ContentCache = require('./content-cache');
+const { normalizeCategoryName, categoryPath, resolveCategoryPath } = require('./taxonomy');
+const { relocateExcerpts, mergeExcerpts } = require('./provenance');
+
+// What each record of the graph should look like. Types are string, number,
+// date (an ISO string), list (array of strings), array and object. Missing
+// optional fields and null values of optional fields are fine. repair is the
+// value an invalid field is given when fixing: a value, 'now', or 'id' for a
+// new id. Fields without one can't be fixed automatically.
+const SCHEMA = {
+  concepts: {
+    id: { type: 'string', required: true, repair: 'id' },
+    name: { type: 'string', required: true },
+    aliases: { type: 'list', repair: [] },
+    description: { type: 'string' },
+    confidence: { type: 'number', required: true, min: 0, max: 1, repair: 0 },
+    category: { type: 'string' },
+    category_id: { type: 'string' },
+    tags: { type: 'list', repair: [] },
+    sources: { type: 'list', repair: [] },
+    connections: { type: 'list', repair: [] },
+    created_at: { type: 'date', repair: 'now' },
+    last_updated: { type: 'date', repair: 'now' },
+    last_reinforced: { type: 'date', repair: null },
+    // Without a schedule a concept is due now
+    reinforcement_schedule: { type: 'date', repair: null },
+    // Stays archived, from now
+    archived_at: { type: 'date', repair: 'now' }
+  },
+  edges: {
+    id: { type: 'string', required: true, repair: 'id' },
+    from: { type: 'string', required: true },
+    to: { type: 'string', required: true },
+    type: { type: 'string', required: true, values: EDGE_TYPES, repair: DEFAULT_EDGE_TYPE },
+    strength: { type: 'number', min: 0, max: 1, repair: null },
+    description: { type: 'string', repair: '' },
+    provenance: { type: 'object', repair: {} },
+    discovered_at: { type: 'date', repair: 'now' },
+    last_updated: { type: 'date', repair: 'now' }
+  },
+  content_items: {
+    id: { type: 'string', required: true, repair: 'id' },
+    type: { type: 'string' },
+    url: { type: 'string' },
+    title: { type: 'string' },
+    key_concepts: { type: 'list', repair: [] },
+    key_takeaways: { type: 'array', repair: [] },
+    insights: { type: 'array', repair: [] },
+    excerpts: { type: 'array', repair: [] },
+    processed_date: { type: 'date', repair: 'now' }
+  },
+  reinforcement_sessions: {
+    id: { type: 'string', required: true, repair: 'id' },
+    date: { type: 'date', repair: 'now' },
+    concepts_reviewed: { type: 'list', repair: [] },
+    questions: { type: 'array', repair: [] },
+    performance_scores: { type: 'array', repair: [] }
+  },
+  exploration_suggestions: {
+    id: { type: 'string', required: true, repair: 'id' },
+    created_at: { type: 'date', repair: 'now' }
+  },
+  reflection_sessions: {
+    id: { type: 'string', required: true, repair: 'id' }
+  },
+  categories: {
+    id: { type: 'string', required: true, repair: 'id' },
+    name: { type: 'string', required: true },
+    parent: { type: 'string', repair: null },
+    aliases: { type: 'list', repair: [] },
+    created_at: { type: 'date', repair: 'now' },
+    last_updated: { type: 'date', repair: 'now' }
+  }
+};
+
+const ID_PREFIXES = {
+  concepts: 'concept',
+  edges: 'edge',
+  content_items: 'content',
+  reinforcement_sessions: 'session',
+  exploration_suggestions: 'suggestion',
+  reflection_sessions: 'reflection',
+  categories: 'category'
+};
+
+const DEFAULT_PROFILE = {
+  goals: [],
+  interests: [],
+  learning_style: '',
+  time_commitment: ''
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+function labelOf(collection, record) {
+  if (!isPlainObject(record)) return '';
+  if (collection === 'concepts') return record.name || record.id || '';
+  if (collection === 'content_items') return record.title || record.url || record.id || '';
+  if (collection === 'categories') return record.name || record.id || '';
+  return record.id || '';
+}
+
+// Collects problems while the checks run, fixing them as they are found when
+// fix is set. Each problem says where it is (collection, index in it, record
+// key and label, field), what is wrong, and whether it was or can be fixed.
+class Report {
+  constructor(fix) {
+    this.fix = fix;
+    this.problems = [];
+  }
+
+  add(problem, repair) {
+    const location = [
+      problem.collection ? `${problem.collection}[${problem.index}]` : null,
+      problem.label ? `"${problem.label}"` : null,
+      problem.field
+    ].filter(part => part !== null && part !== undefined && part !== '').join(' ');
+
+    const entry = {
+      code: problem.code,
+      severity: problem.severity || 'error',
+      collection: problem.collection || null,
+      index: problem.index ?? null,
+      key: problem.key ?? null,
+      label: problem.label || null,
+      field: problem.field || null,
+      location,
+      message: problem.message,
+      fixable: typeof repair === 'function',
+      fixed: false
+    };
+    if (this.fix && repair) {
+      repair();
+      entry.fixed = true;
+    }
+    this.problems.push(entry);
+  }
+}
+
+function repairValue(spec, collection) {
+  if (spec.repair === 'now') return new Date().toISOString();
+  if (spec.repair === 'id') return generateId(ID_PREFIXES[collection]);
+  return JSON.parse(JSON.stringify(spec.repair));
+}
+
+// One field against its rule
+function checkField(report, where, record, field, spec) {
+  const value = record[field];
+  const problem = message => ({ ...where, field, message });
+  const repair = spec.repair === undefined ? null : () => {
+    record[field] = repairValue(spec, where.collection);
+  };
+
+  if (value === undefined || value === null || (spec.required && value === '')) {
+    if (spec.required) report.add({ code: 'missing-field', ...problem(`${field} is missing`) }, repair);
+    return;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        report.add({ code: 'invalid-type', ...problem(`${field} should be text, not ${JSON.stringify(value)}`) },
+          ['number', 'boolean'].includes(typeof value) ? () => { record[field] = String(value); } : repair);
+      } else if (spec.values && !spec.values.includes(value)) {
+        report.add({ code: 'invalid-value', ...problem(`${field} "${value}" is not one of ${spec.values.join(', ')}`) },
+          () => { record[field] = normalizeEdgeType(value); });
+      }
+      break;
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        report.add({ code: 'invalid-type', ...problem(`${field} should be a number, not ${JSON.stringify(value)}`) }, repair);
+      } else if (typeof value !== 'number') {
+        report.add({ code: 'invalid-type', ...problem(`${field} is stored as text ("${value}")`) }, () => {
+          record[field] = Math.max(spec.min ?? -Infinity, Math.min(spec.max ?? Infinity, number));
+        });
+      } else if (number < (spec.min ?? -Infinity) || number > (spec.max ?? Infinity)) {
+        report.add({ code: 'out-of-range', ...problem(`${field} ${value} is outside ${spec.min}-${spec.max}`) }, () => {
+          record[field] = Math.max(spec.min, Math.min(spec.max, number));
+        });
+      }
+      break;
+    }
+
+    case 'date':
+      if (!isValidDate(value)) {
+        report.add({ code: 'invalid-date', ...problem(`${field} is not a valid date: ${JSON.stringify(value)}`) }, repair);
+      }
+      break;
+
+    case 'list':
+      if (typeof value === 'string') {
+        report.add({ code: 'invalid-type', ...problem(`${field} should be a list, not text`) }, () => {
+          record[field] = [value];
+        });
+      } else if (!Array.isArray(value)) {
+        report.add({ code: 'invalid-type', ...problem(`${field} should be a list`) }, repair);
+      } else if (value.some(item => typeof item !== 'string')) {
+        report.add({ code: 'invalid-type', ...problem(`${field} contains entries that are not text`) }, () => {
+          record[field] = value.filter(item => typeof item === 'string');
+        });
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        report.add({ code: 'invalid-type', ...problem(`${field} should be a list`) }, repair);
+      }
+      break;
+
+    case 'object':
+      if (!isPlainObject(value)) {
+        report.add({ code: 'invalid-type', ...problem(`${field} should be an object`) }, repair);
+      }
+      break;
+  }
+}
+
+function checkDocuments(report, graph) {
+  const version = getSchemaVersion(graph);
+  if (version !== CURRENT_SCHEMA_VERSION) {
+    report.add({
+      code: 'schema-version',
+      field: 'schema_version',
+      message: version > CURRENT_SCHEMA_VERSION
+        ? `Schema version ${version} is newer than this version of Eumicus supports (${CURRENT_SCHEMA_VERSION})`
+        : `Schema version ${version} has not been migrated to ${CURRENT_SCHEMA_VERSION}; restart Eumicus to migrate it`
+    });
+  }
+
+  if (!isPlainObject(graph.user_profile)) {
+    report.add({ code: 'missing-field', field: 'user_profile', message: 'The user profile is missing or not an object' },
+      () => { graph.user_profile = { ...DEFAULT_PROFILE, created_at: new Date().toISOString() }; });
+  }
+
+  for (const collection of GRAPH_COLLECTIONS) {
+    if (graph[collection] === undefined || graph[collection] === null) {
+      report.add({ code: 'missing-field', field: collection, message: `The ${collection} collection is missing` },
+        () => { graph[collection] = []; });
+    } else if (!Array.isArray(graph[collection])) {
+      report.add({ code: 'invalid-type', field: collection, message: `The ${collection} collection is not a list` });
+    }
+  }
+}
+
+// Field rules and duplicate ids, collection by collection
+function checkRecords(report, graph) {
+  for (const collection of GRAPH_COLLECTIONS) {
+    if (!Array.isArray(graph[collection])) continue;
+
+    const removed = new Set();
+    const firstById = new Map();
+
+    graph[collection].forEach((record, index) => {
+      const where = { collection, index, key: record?.id ?? null, label: labelOf(collection, record) };
+      if (!isPlainObject(record)) {
+        report.add({ code: 'invalid-record', ...where, message: 'Record is not an object' }, () => removed.add(index));
+        return;
+      }
+
+      Object.entries(SCHEMA[collection]).forEach(([field, spec]) => checkField(report, where, record, field, spec));
+
+      if (typeof record.id !== 'string') return;
+      const first = firstById.get(record.id);
+      if (first === undefined) {
+        firstById.set(record.id, index);
+      } else if (isEqual(graph[collection][first], record)) {
+        report.add({ code: 'duplicate-id', ...where, field: 'id', message: `Exact copy of ${collection}[${first}]` },
+          () => removed.add(index));
+      } else {
+        // Edges and other records point at concepts by id, so which of two
+        // concepts sharing one was meant can't be decided automatically
+        report.add({ code: 'duplicate-id', ...where, field: 'id', message: `Same id as ${collection}[${first}]` },
+          collection === 'concepts' ? null : () => { record.id = generateId(ID_PREFIXES[collection]); });
+      }
+    });
+
+    if (removed.size > 0) {
+      graph[collection] = graph[collection].filter((record, index) => !removed.has(index));
+    }
+  }
+}
+
+// Concept names and aliases must each lead to one concept
+function checkNames(report, graph) {
+  const owners = new Map();
+  graph.concepts.forEach((concept, index) => {
+    if (!isPlainObject(concept) || typeof concept.name !== 'string') return;
+    const names = [concept.name, ...(Array.isArray(concept.aliases) ? concept.aliases : [])];
+    [...new Set(names)].forEach(name => {
+      const owner = owners.get(name);
+      if (owner && owner.id !== concept.id) {
+        report.add({
+          code: 'duplicate-name',
+          severity: 'warning',
+          collection: 'concepts',
+          index,
+          key: concept.id,
+          label: concept.name,
+          field: name === concept.name ? 'name' : 'aliases',
+          message: `"${name}" also refers to "${owner.name}", which lookups by it find instead`
+        });
+      } else if (!owner) {
+        owners.set(name, concept);
+      }
+    });
+  });
+  return owners;
+}
+
+function namesOf(concept) {
+  return [concept.name, ...(Array.isArray(concept.aliases) ? concept.aliases : [])];
+}
+
+function lists(concept, other) {
+  return namesOf(other).some(name => (concept.connections || []).includes(name));
+}
+
+function pairKey(concept, other) {
+  return [concept.id, other.id].sort().join('\n');
+}
+
+function connect(concept, other) {
+  if (lists(concept, other)) return;
+  concept.connections = [...(concept.connections || []), other.name];
+  concept.last_updated = new Date().toISOString();
+}
+
+// Edges must join two different, existing concepts once, and both ends must
+// list each other in connections, as addEdges writes them. Returns the pairs
+// of concepts found missing from each other's connections.
+function checkEdges(report, graph) {
+  const byId = new Map(graph.concepts.filter(isPlainObject).map(concept => [concept.id, concept]));
+  const signatures = new Map();
+  const removed = new Set();
+  const unlisted = new Set();
+
+  graph.edges.forEach((edge, index) => {
+    if (!isPlainObject(edge)) return;
+    const from = byId.get(edge.from);
+    const to = byId.get(edge.to);
+    const where = {
+      collection: 'edges',
+      index,
+      key: edge.id,
+      label: `${from?.name || edge.from} → ${to?.name || edge.to}`
+    };
+
+    if (!from || !to) {
+      report.add({ code: 'dangling-edge', ...where, field: from ? 'to' : 'from', message: `Points at a concept that doesn't exist: ${from ? edge.to : edge.from}` },
+        () => removed.add(index));
+      return;
+    }
+    if (from === to) {
+      report.add({ code: 'self-edge', ...where, message: 'Joins a concept to itself' }, () => removed.add(index));
+      return;
+    }
+
+    const signature = edgeSignature(edge);
+    if (signatures.has(signature)) {
+      report.add({ code: 'duplicate-edge', severity: 'warning', ...where, message: `Same relationship as edges[${signatures.get(signature)}]` },
+        () => removed.add(index));
+      return;
+    }
+    signatures.set(signature, index);
+
+    const missing = [
+      !lists(from, to) ? from.name : null,
+      !lists(to, from) ? to.name : null
+    ].filter(Boolean);
+    if (missing.length > 0 && !unlisted.has(pairKey(from, to))) {
+      unlisted.add(pairKey(from, to));
+      report.add({ code: 'edge-without-connection', severity: 'warning', ...where, message: `Missing from the connections of ${missing.join(' and ')}` },
+        () => { connect(from, to); connect(to, from); });
+    }
+  });
+
+  if (removed.size > 0) {
+    graph.edges = graph.edges.filter((edge, index) => !removed.has(index));
+  }
+  return unlisted;
+}
+
+// connections name neighbours, in both directions. Entries that should go
+// are removed together once the concept's list has been checked. Pairs the
+// edge check already reported as unlisted aren't reported again.
+function checkConnections(report, graph, owners, unlisted) {
+  graph.concepts.forEach((concept, index) => {
+    if (!isPlainObject(concept) || !Array.isArray(concept.connections)) return;
+    const where = { collection: 'concepts', index, key: concept.id, label: concept.name, field: 'connections' };
+    const kept = [];
+
+    concept.connections.forEach(name => {
+      const target = owners.get(name);
+      if (kept.includes(name)) {
+        report.add({ code: 'duplicate-connection', severity: 'warning', ...where, message: `"${name}" is listed more than once` }, () => {});
+        return;
+      }
+      if (!target) {
+        report.add({ code: 'dangling-connection', severity: 'warning', ...where, message: `"${name}" is not a concept` }, () => {});
+        return;
+      }
+      if (target === concept) {
+        report.add({ code: 'self-connection', severity: 'warning', ...where, message: 'Lists itself' }, () => {});
+        return;
+      }
+
+      kept.push(name);
+      if (!lists(target, concept) && !unlisted.has(pairKey(concept, target))) {
+        report.add({ code: 'one-way-connection', severity: 'warning', ...where, message: `"${target.name}" doesn't list it back` },
+          () => connect(target, concept));
+      }
+    });
+
+    if (report.fix) {
+      const before = concept.connections.length;
+      concept.connections = concept.connections.filter((name, position) =>
+        kept.includes(name) && concept.connections.indexOf(name) === position
+      );
+      if (concept.connections.length !== before) concept.last_updated = new Date().toISOString();
+    }
+  });
+}
+
+// Categories form a tree with one node per name under each parent, and
+// every concept's category_id leads to one of them
+function checkCategories(report, graph) {
+  const byId = new Map(graph.categories.filter(isPlainObject).map(category => [category.id, category]));
+  const siblings = new Map();
+
+  graph.categories.forEach((category, index) => {
+    if (!isPlainObject(category)) return;
+    const where = { collection: 'categories', index, key: category.id, label: category.name, field: 'parent' };
+
+    if (category.parent && !byId.has(category.parent)) {
+      report.add({ code: 'dangling-category-parent', ...where, message: `Parent category doesn't exist: ${category.parent}` },
+        () => { category.parent = null; });
+    } else if (category.parent) {
+      // Walking up from a node in a cycle comes back to it
+      const seen = new Set([category.id]);
+      let current = byId.get(category.parent);
+      while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        current = current.parent ? byId.get(current.parent) : null;
+      }
+      if (current?.id === category.id) {
+        report.add({ code: 'category-cycle', ...where, message: 'Is its own ancestor' }, () => { category.parent = null; });
+      }
+    }
+
+    const key = `${category.parent || ''}\u0000${normalizeCategoryName(category.name)}`;
+    const first = siblings.get(key);
+    if (first === undefined) {
+      siblings.set(key, index);
+    } else {
+      report.add({
+        code: 'duplicate-category',
+        severity: 'warning',
+        ...where,
+        field: 'name',
+        message: `Same name as categories[${first}] under the same parent; merge them with "eumicus categories merge"`
+      });
+    }
+  });
+
+  graph.concepts.forEach((concept, index) => {
+    if (!isPlainObject(concept)) return;
+    const where = { collection: 'concepts', index, key: concept.id, label: concept.name, field: 'category_id' };
+    const category = concept.category_id ? byId.get(concept.category_id) : null;
+    const file = () => {
+      const resolved = concept.category ? resolveCategoryPath(graph.categories, concept.category).category : null;
+      if (resolved) {
+        concept.category_id = resolved.id;
+        concept.category = resolved.name;
+      } else {
+        delete concept.category_id;
+      }
+      concept.last_updated = new Date().toISOString();
+    };
+
+    if (concept.category_id && !category) {
+      report.add({ code: 'dangling-category', ...where, message: `Filed under a category that doesn't exist: ${concept.category_id}` }, file);
+    } else if (!concept.category_id && typeof concept.category === 'string' && concept.category.trim()) {
+      report.add({ code: 'unfiled-category', severity: 'warning', ...where, message: `Category "${concept.category}" is not in the category tree` }, file);
+    } else if (category && concept.category !== category.name) {
+      report.add({
+        code: 'stale-category',
+        severity: 'warning',
+        ...where,
+        field: 'category',
+        message: `Category "${concept.category}" should be "${categoryPath(graph.categories, category.id)}"`
+      }, () => {
+        concept.category = category.name;
+        concept.last_updated = new Date().toISOString();
+      });
+    }
+  });
+}
+
+function mergeLists(...lists) {
+  return [...new Set(lists.flatMap(list => (Array.isArray(list) ? list : [])))];
+}
+
+// The same page or text processed twice; the later copy is folded into the
+// first, as reprocessing does
+function checkContent(report, graph) {
+  const firstBySource = new Map();
+  const removed = new Set();
+
+  graph.content_items.forEach((item, index) => {
+    if (!isPlainObject(item)) return;
+
+    let source = null;
+    if (typeof item.url === 'string' && item.url) {
+      try {
+        source = `url:${ContentCache.normalizeUrl(item.url)}`;
+      } catch (error) {
+        source = `url:${item.url}`;
+      }
+    } else if (item.content_hash) {
+      source = `hash:${item.content_hash}`;
+    }
+    if (!source) return;
+
+    const first = firstBySource.get(source);
+    if (first === undefined) {
+      firstBySource.set(source, index);
+      return;
+    }
+
+    const original = graph.content_items[first];
+    report.add({
+      code: 'duplicate-content',
+      severity: 'warning',
+      collection: 'content_items',
+      index,
+      key: item.id,
+      label: labelOf('content_items', item),
+      message: `Same ${source.startsWith('url:') ? 'page' : 'text'} as content_items[${first}]`
+    }, () => {
+      ['key_concepts', 'insights', 'key_takeaways'].forEach(field => {
+        if (Array.isArray(original[field]) || Array.isArray(item[field])) {
+          original[field] = mergeLists(original[field], item[field]);
+        }
+      });
+      if (Array.isArray(item.excerpts)) {
+        original.excerpts = mergeExcerpts(original.excerpts, relocateExcerpts(original, item.excerpts.filter(isPlainObject)));
+      }
+      removed.add(index);
+    });
+  });
+
+  if (removed.size > 0) {
+    graph.content_items = graph.content_items.filter((item, index) => !removed.has(index));
+  }
+}
+
+// Excerpts must belong to a concept and still be where they say in the
+// item's text; ones that moved are looked up again by their text
+function checkExcerpts(report, graph) {
+  const conceptIds = new Set(graph.concepts.filter(isPlainObject).map(concept => concept.id));
+
+  graph.content_items.forEach((item, index) => {
+    if (!isPlainObject(item) || !Array.isArray(item.excerpts)) return;
+    const where = { collection: 'content_items', index, key: item.id, label: labelOf('content_items', item), field: 'excerpts' };
+    const belongs = excerpt => isPlainObject(excerpt) && conceptIds.has(excerpt.concept_id);
+
+    const dangling = item.excerpts.filter(excerpt => !belongs(excerpt)).length;
+    if (dangling > 0) {
+      report.add({ code: 'dangling-excerpt', ...where, message: `${dangling} excerpt${dangling === 1 ? '' : 's'} of concepts that don't exist` },
+        () => { item.excerpts = item.excerpts.filter(belongs); });
+    }
+
+    const content = typeof item.content === 'string' ? item.content : '';
+    const stale = item.excerpts.filter(excerpt => belongs(excerpt) && content.slice(excerpt.start, excerpt.end) !== excerpt.text).length;
+    if (stale > 0) {
+      report.add({
+        code: 'stale-excerpt',
+        severity: 'warning',
+        ...where,
+        message: `${stale} excerpt${stale === 1 ? '' : 's'} moved in the text`
+      }, () => { item.excerpts = mergeExcerpts(relocateExcerpts(item, item.excerpts.filter(belongs))); });
+    }
+  });
+}
+
+// Validates the graph and returns every problem found. With fix set, the
+// problems that can be fixed safely are fixed in the graph as they are found
+// and marked fixed; the rest are left for the user.
+function checkGraph(graph, options = {}) {
+  const report = new Report(!!options.fix);
+
+  checkDocuments(report, graph);
+  checkRecords(report, graph);
+
+  if (Array.isArray(graph.concepts)) {
+    const owners = checkNames(report, graph);
+    const unlisted = Array.isArray(graph.edges) ? checkEdges(report, graph) : new Set();
+    checkConnections(report, graph, owners, unlisted);
+  }
+  if (Array.isArray(graph.content_items)) checkContent(report, graph);
+  if (Array.isArray(graph.content_items) && Array.isArray(graph.concepts)) checkExcerpts(report, graph);
+  if (Array.isArray(graph.categories) && Array.isArray(graph.concepts)) checkCategories(report, graph);
+
+  return report.problems;
+}
+
+// Counts for a list of problems
+function summarizeProblems(problems) {
+  return {
+    total: problems.length,
+    errors: problems.filter(problem => problem.severity === 'error').length,
+    warnings: problems.filter(problem => problem.severity === 'warning').length,
+    fixable: problems.filter(problem => problem.fixable).length,
+    fixed: problems.filter(problem => problem.fixed).length
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  checkGraph,
+  summarizeProblems
+};
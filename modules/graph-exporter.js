@@ -0,0 +1,390 @@
+// Serializes the knowledge graph for other tools: GraphML and GEXF for
+// Gephi and friends, CSV files for neo4j-admin import and JSON-LD. Concepts
+// and content items become nodes; typed edges join concepts and "mentions"
+// edges join content items to the concepts they cover.
+
+const EXPORT_FORMATS = ['graphml', 'gexf', 'neo4j-csv', 'jsonld'];
+
+const NODE_ATTRIBUTES = [
+  { name: 'kind', type: 'string' },
+  { name: 'description', type: 'string' },
+  { name: 'category', type: 'string' },
+  { name: 'priority', type: 'string' },
+  { name: 'confidence', type: 'double' },
+  { name: 'tags', type: 'string' },
+  { name: 'aliases', type: 'string' },
+  { name: 'created_at', type: 'string' },
+  { name: 'last_updated', type: 'string' },
+  { name: 'last_reinforced', type: 'string' },
+  { name: 'reinforcement_schedule', type: 'string' },
+  { name: 'archived_at', type: 'string' },
+  { name: 'content_type', type: 'string' },
+  { name: 'url', type: 'string' },
+  { name: 'processed_date', type: 'string' }
+];
+
+const EDGE_ATTRIBUTES = [
+  { name: 'type', type: 'string' },
+  { name: 'strength', type: 'double' },
+  { name: 'description', type: 'string' },
+  { name: 'agent', type: 'string' },
+  { name: 'discovered_at', type: 'string' },
+  { name: 'last_updated', type: 'string' }
+];
+
+const MENTIONS = 'mentions';
+
+function unsupportedFormat(format) {
+  const error = new Error(`Unsupported export format: ${format}. Use one of ${EXPORT_FORMATS.join(', ')}`);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+// Concept and content nodes with the edges between them. Edges whose
+// endpoints are gone and content concepts that don't resolve are left out,
+// since importers reject or invent nodes for them.
+function collectGraph(graph) {
+  const concepts = graph.concepts || [];
+  const conceptIds = new Map();
+  concepts.forEach(concept => {
+    if (!conceptIds.has(concept.name)) conceptIds.set(concept.name, concept.id);
+  });
+  concepts.forEach(concept => {
+    (concept.aliases || []).forEach(alias => {
+      if (!conceptIds.has(alias)) conceptIds.set(alias, concept.id);
+    });
+  });
+  const known = new Set(concepts.map(concept => concept.id));
+
+  const conceptNodes = concepts.map(concept => ({
+    id: concept.id,
+    label: concept.name,
+    attributes: {
+      kind: 'concept',
+      description: concept.description,
+      category: concept.category,
+      priority: concept.priority,
+      confidence: concept.confidence,
+      tags: concept.tags || [],
+      aliases: concept.aliases || [],
+      created_at: concept.created_at,
+      last_updated: concept.last_updated,
+      last_reinforced: concept.last_reinforced,
+      reinforcement_schedule: concept.reinforcement_schedule,
+      archived_at: concept.archived_at
+    }
+  }));
+
+  const contentNodes = (graph.content_items || []).map(item => ({
+    id: item.id,
+    label: item.title || item.url || item.id,
+    attributes: {
+      kind: 'content',
+      content_type: item.type,
+      url: item.url,
+      processed_date: item.processed_date
+    },
+    concepts: [...new Set((item.key_concepts || []).map(name => conceptIds.get(name)).filter(Boolean))]
+  }));
+
+  const conceptEdges = (graph.edges || [])
+    .filter(edge => known.has(edge.from) && known.has(edge.to))
+    .map(edge => ({
+      id: edge.id,
+      source: edge.from,
+      target: edge.to,
+      attributes: {
+        type: edge.type,
+        strength: edge.strength,
+        description: edge.description,
+        agent: edge.provenance?.agent,
+        discovered_at: edge.discovered_at,
+        last_updated: edge.last_updated
+      }
+    }));
+
+  const mentionEdges = contentNodes.flatMap(node => node.concepts.map(conceptId => ({
+    id: `${node.id}_${conceptId}`,
+    source: node.id,
+    target: conceptId,
+    attributes: { type: MENTIONS }
+  })));
+
+  return { conceptNodes, contentNodes, conceptEdges, mentionEdges };
+}
+
+function escapeXml(value) {
+  return String(value)
+    // Characters XML 1.0 cannot represent at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Lists are flattened for formats with scalar attributes only
+function attributeText(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function presentAttributes(attributes, specs) {
+  return specs.filter(spec => {
+    const value = attributes[spec.name];
+    return isPresent(value) && !(Array.isArray(value) && value.length === 0);
+  });
+}
+
+function toGraphML(graph) {
+  const { conceptNodes, contentNodes, conceptEdges, mentionEdges } = collectGraph(graph);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>'
+  ];
+  NODE_ATTRIBUTES.forEach(spec => {
+    lines.push(`  <key id="n_${spec.name}" for="node" attr.name="${spec.name}" attr.type="${spec.type}"/>`);
+  });
+  EDGE_ATTRIBUTES.forEach(spec => {
+    lines.push(`  <key id="e_${spec.name}" for="edge" attr.name="${spec.name}" attr.type="${spec.type}"/>`);
+  });
+  lines.push('  <graph id="knowledge-graph" edgedefault="directed">');
+
+  [...conceptNodes, ...contentNodes].forEach(node => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+    presentAttributes(node.attributes, NODE_ATTRIBUTES).forEach(spec => {
+      lines.push(`      <data key="n_${spec.name}">${escapeXml(attributeText(node.attributes[spec.name]))}</data>`);
+    });
+    lines.push('    </node>');
+  });
+
+  [...conceptEdges, ...mentionEdges].forEach(edge => {
+    lines.push(`    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+    presentAttributes(edge.attributes, EDGE_ATTRIBUTES).forEach(spec => {
+      lines.push(`      <data key="e_${spec.name}">${escapeXml(attributeText(edge.attributes[spec.name]))}</data>`);
+    });
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+function toGEXF(graph) {
+  const { conceptNodes, contentNodes, conceptEdges, mentionEdges } = collectGraph(graph);
+  const today = new Date().toISOString().slice(0, 10);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${today}">`,
+    '    <creator>Eumicus</creator>',
+    '    <description>Knowledge graph</description>',
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="directed">',
+    '    <attributes class="node">'
+  ];
+  NODE_ATTRIBUTES.forEach(spec => {
+    lines.push(`      <attribute id="${spec.name}" title="${spec.name}" type="${spec.type}"/>`);
+  });
+  lines.push('    </attributes>', '    <attributes class="edge">');
+  EDGE_ATTRIBUTES.forEach(spec => {
+    lines.push(`      <attribute id="${spec.name}" title="${spec.name}" type="${spec.type}"/>`);
+  });
+  lines.push('    </attributes>', '    <nodes>');
+
+  [...conceptNodes, ...contentNodes].forEach(node => {
+    lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`);
+    lines.push('        <attvalues>');
+    presentAttributes(node.attributes, NODE_ATTRIBUTES).forEach(spec => {
+      lines.push(`          <attvalue for="${spec.name}" value="${escapeXml(attributeText(node.attributes[spec.name]))}"/>`);
+    });
+    lines.push('        </attvalues>', '      </node>');
+  });
+  lines.push('    </nodes>', '    <edges>');
+
+  [...conceptEdges, ...mentionEdges].forEach(edge => {
+    const { type, strength } = edge.attributes;
+    const weight = isPresent(strength) ? ` weight="${strength}"` : '';
+    lines.push(`      <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" label="${escapeXml(type)}"${weight}>`);
+    lines.push('        <attvalues>');
+    presentAttributes(edge.attributes, EDGE_ATTRIBUTES).forEach(spec => {
+      lines.push(`          <attvalue for="${spec.name}" value="${escapeXml(attributeText(edge.attributes[spec.name]))}"/>`);
+    });
+    lines.push('        </attvalues>', '      </edge>');
+  });
+
+  lines.push('    </edges>', '  </graph>', '</gexf>', '');
+  return lines.join('\n');
+}
+
+function csvField(value) {
+  if (!isPresent(value)) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Relationship types in Neo4j are conventionally upper snake case
+function neo4jType(type) {
+  return String(type || MENTIONS).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+// One CSV per node label and relationship group, with neo4j-admin import
+// headers. Array properties use neo4j-admin's default ';' delimiter.
+function toNeo4jCSV(graph) {
+  const { conceptNodes, contentNodes, conceptEdges, mentionEdges } = collectGraph(graph);
+
+  const concepts = csv(
+    ['id:ID(Concept)', 'name', 'description', 'category', 'priority', 'confidence:float', 'tags:string[]',
+      'aliases:string[]', 'created_at:datetime', 'last_updated:datetime', 'last_reinforced:datetime',
+      'reinforcement_schedule:datetime', 'archived_at:datetime', ':LABEL'],
+    conceptNodes.map(({ id, label, attributes: a }) => [
+      id, label, a.description, a.category, a.priority, a.confidence, a.tags, a.aliases, a.created_at,
+      a.last_updated, a.last_reinforced, a.reinforcement_schedule, a.archived_at, 'Concept'
+    ])
+  );
+
+  const content = csv(
+    ['id:ID(Content)', 'title', 'type', 'url', 'processed_date:datetime', ':LABEL'],
+    contentNodes.map(({ id, label, attributes: a }) => [id, label, a.content_type, a.url, a.processed_date, 'Content'])
+  );
+
+  const relationships = csv(
+    [':START_ID(Concept)', ':END_ID(Concept)', ':TYPE', 'id', 'strength:float', 'description', 'agent',
+      'discovered_at:datetime', 'last_updated:datetime'],
+    conceptEdges.map(({ id, source, target, attributes: a }) => [
+      source, target, neo4jType(a.type), id, a.strength, a.description, a.agent, a.discovered_at, a.last_updated
+    ])
+  );
+
+  const mentions = csv(
+    [':START_ID(Content)', ':END_ID(Concept)', ':TYPE'],
+    mentionEdges.map(({ source, target }) => [source, target, neo4jType(MENTIONS)])
+  );
+
+  return [
+    { name: 'concepts.csv', content: concepts },
+    { name: 'content.csv', content: content },
+    { name: 'relationships.csv', content: relationships },
+    { name: 'mentions.csv', content: mentions }
+  ];
+}
+
+const JSONLD_CONTEXT = {
+  schema: 'https://schema.org/',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  eumicus: 'urn:eumicus:vocab:',
+  Concept: 'schema:DefinedTerm',
+  Content: 'schema:CreativeWork',
+  name: 'schema:name',
+  description: 'schema:description',
+  url: { '@id': 'schema:url', '@type': '@id' },
+  aliases: { '@id': 'schema:alternateName', '@container': '@set' },
+  tags: { '@id': 'schema:keywords', '@container': '@set' },
+  category: 'eumicus:category',
+  priority: 'eumicus:priority',
+  confidence: { '@id': 'eumicus:confidence', '@type': 'xsd:double' },
+  created_at: { '@id': 'schema:dateCreated', '@type': 'xsd:dateTime' },
+  last_updated: { '@id': 'schema:dateModified', '@type': 'xsd:dateTime' },
+  last_reinforced: { '@id': 'eumicus:lastReinforced', '@type': 'xsd:dateTime' },
+  reinforcement_schedule: { '@id': 'eumicus:nextReview', '@type': 'xsd:dateTime' },
+  archived_at: { '@id': 'eumicus:archivedAt', '@type': 'xsd:dateTime' },
+  content_type: 'eumicus:contentType',
+  processed_date: { '@id': 'eumicus:processedDate', '@type': 'xsd:dateTime' },
+  mentions: { '@id': 'schema:about', '@type': '@id', '@container': '@set' },
+  relations: { '@id': 'eumicus:relation', '@container': '@set' },
+  relation_type: 'eumicus:relationType',
+  target: { '@id': 'eumicus:target', '@type': '@id' },
+  strength: { '@id': 'eumicus:strength', '@type': 'xsd:double' },
+  agent: 'eumicus:agent',
+  discovered_at: { '@id': 'eumicus:discoveredAt', '@type': 'xsd:dateTime' }
+};
+
+function nodeIri(id) {
+  return `urn:eumicus:${encodeURIComponent(id)}`;
+}
+
+// Drops empty values, which JSON-LD would otherwise keep as literals
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+    isPresent(value) && !(Array.isArray(value) && value.length === 0)
+  ));
+}
+
+// Edges are nested under the concept they start from, as relation nodes
+function toJSONLD(graph) {
+  const { conceptNodes, contentNodes, conceptEdges } = collectGraph(graph);
+  const relations = new Map();
+  conceptEdges.forEach(edge => {
+    if (!relations.has(edge.source)) relations.set(edge.source, []);
+    relations.get(edge.source).push(compact({
+      relation_type: edge.attributes.type,
+      target: nodeIri(edge.target),
+      strength: edge.attributes.strength,
+      description: edge.attributes.description,
+      agent: edge.attributes.agent,
+      discovered_at: edge.attributes.discovered_at,
+      last_updated: edge.attributes.last_updated
+    }));
+  });
+
+  const concepts = conceptNodes.map(({ id, label, attributes }) => {
+    const { kind, ...rest } = attributes;
+    return compact({
+      '@id': nodeIri(id),
+      '@type': 'Concept',
+      name: label,
+      ...rest,
+      relations: relations.get(id)
+    });
+  });
+
+  const content = contentNodes.map(node => compact({
+    '@id': nodeIri(node.id),
+    '@type': 'Content',
+    name: node.label,
+    content_type: node.attributes.content_type,
+    url: node.attributes.url,
+    processed_date: node.attributes.processed_date,
+    mentions: node.concepts.map(nodeIri)
+  }));
+
+  return JSON.stringify({ '@context': JSONLD_CONTEXT, '@graph': [...concepts, ...content] }, null, 2) + '\n';
+}
+
+// { format, contentType, files: [{ name, content }] }. Every format but
+// neo4j-csv is a single file.
+function exportGraph(graph, format) {
+  switch (format) {
+    case 'graphml':
+      return { format, contentType: 'application/graphml+xml', files: [{ name: 'knowledge-graph.graphml', content: toGraphML(graph) }] };
+    case 'gexf':
+      return { format, contentType: 'application/gexf+xml', files: [{ name: 'knowledge-graph.gexf', content: toGEXF(graph) }] };
+    case 'neo4j-csv':
+      return { format, contentType: 'text/csv', files: toNeo4jCSV(graph) };
+    case 'jsonld':
+      return { format, contentType: 'application/ld+json', files: [{ name: 'knowledge-graph.jsonld', content: toJSONLD(graph) }] };
+    default:
+      throw unsupportedFormat(format);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportGraph,
+  toGraphML,
+  toGEXF,
+  toNeo4jCSV,
+  toJSONLD
+};
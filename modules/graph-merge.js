@@ -0,0 +1,477 @@
+const fs = require('fs');
+const path = require('path');
+const { createStorageAdapter } = require('./storage');
+const { GRAPH_COLLECTIONS, recordKey } = require('./storage/collections');
+const { migrateGraph } = require('./schema-migrations');
+const { edgeSignature } = require('./edges');
+const { normalizeCategoryName, categoryLineage } = require('./taxonomy');
+const BackupManager = require('./backup-manager');
+const { isEqual, clone, diffGraphs, applyValue } = require('./change-history');
+
+// Graph-level documents merged field by field like records
+const DOCUMENTS = ['user_profile'];
+// Timestamps merged by taking the later or the earlier side
+const LATEST_FIELDS = ['last_updated'];
+const EARLIEST_FIELDS = ['created_at'];
+
+function isScalarList(value) {
+  return Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+}
+
+function timeOf(record) {
+  const time = Date.parse(record?.last_updated || record?.date || record?.created_at || '');
+  return Number.isNaN(time) ? 0 : time;
+}
+
+function laterOf(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+function earlierOf(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a < b ? a : b;
+}
+
+// Lists of names, tags or URLs: keep what either side added and drop what
+// either side removed since the base
+function mergeList(base, ours, theirs) {
+  const baseSet = new Set(base || []);
+  const oursSet = new Set(ours || []);
+  const theirsSet = new Set(theirs || []);
+  return [
+    ...(ours || []).filter(item => !(baseSet.has(item) && !theirsSet.has(item))),
+    ...(theirs || []).filter(item => !oursSet.has(item) && !baseSet.has(item))
+  ];
+}
+
+// Three-way merge of one record. Fields changed on one side only are taken
+// from that side; fields changed differently on both sides are conflicts and
+// keep our value until resolved. Without a base every difference counts as a
+// change on both sides. A record added on one side is taken; one deleted on
+// one side and changed on the other is a conflict on the whole record
+// (field null).
+function mergeRecord(base, ours, theirs) {
+  if (isEqual(ours, theirs)) return { value: clone(ours), conflicts: [] };
+  if (base && isEqual(base, ours)) return { value: clone(theirs), conflicts: [] };
+  if (base && isEqual(base, theirs)) return { value: clone(ours), conflicts: [] };
+  if (!base && (!ours || !theirs)) return { value: clone(ours || theirs), conflicts: [] };
+  if (!ours || !theirs) {
+    return { value: clone(ours || theirs), conflicts: [{ field: null, base, ours, theirs }] };
+  }
+
+  const value = {};
+  const conflicts = [];
+  const fields = new Set([...Object.keys(ours), ...Object.keys(theirs)]);
+
+  for (const field of fields) {
+    const fieldBase = base?.[field];
+    const fieldOurs = ours[field];
+    const fieldTheirs = theirs[field];
+
+    if (LATEST_FIELDS.includes(field)) {
+      value[field] = laterOf(fieldOurs, fieldTheirs);
+    } else if (EARLIEST_FIELDS.includes(field)) {
+      value[field] = earlierOf(fieldOurs, fieldTheirs);
+    } else if (isEqual(fieldOurs, fieldTheirs)) {
+      value[field] = clone(fieldOurs);
+    } else if (base && isEqual(fieldBase, fieldOurs)) {
+      value[field] = clone(fieldTheirs);
+    } else if (base && isEqual(fieldBase, fieldTheirs)) {
+      value[field] = clone(fieldOurs);
+    } else if ((fieldOurs === undefined || isScalarList(fieldOurs)) && (fieldTheirs === undefined || isScalarList(fieldTheirs)) &&
+      (isScalarList(fieldOurs) || isScalarList(fieldTheirs))) {
+      value[field] = mergeList(fieldBase, fieldOurs, fieldTheirs);
+    } else {
+      value[field] = clone(fieldOurs);
+      conflicts.push({ field, base: fieldBase ?? null, ours: fieldOurs ?? null, theirs: fieldTheirs ?? null });
+    }
+  }
+
+  Object.keys(value).forEach(field => value[field] === undefined && delete value[field]);
+  return { value, conflicts };
+}
+
+function recordsByKey(collection, records) {
+  return new Map((records || []).map(record => [recordKey(collection, record), record]).filter(([key]) => key));
+}
+
+// A concept created on both machines gets a different id on each. Their
+// concepts that match one of ours by name, and whose ids neither we nor the
+// base know, take our id so they merge instead of duplicating.
+function alignConcepts(base, ours, theirs) {
+  const known = new Set([...(base?.concepts || []), ...ours.concepts].map(concept => concept.id));
+  const theirIds = new Set(theirs.concepts.map(concept => concept.id));
+  const oursByName = new Map(ours.concepts
+    .filter(concept => !theirIds.has(concept.id) && !(base?.concepts || []).some(c => c.id === concept.id))
+    .map(concept => [concept.name.toLowerCase(), concept]));
+
+  const renamed = new Map();
+  theirs.concepts.forEach(concept => {
+    const match = oursByName.get(String(concept.name).toLowerCase());
+    if (concept.id && !known.has(concept.id) && match) {
+      renamed.set(concept.id, match.id);
+      concept.id = match.id;
+    }
+  });
+  if (renamed.size === 0) return 0;
+
+  const remap = id => renamed.get(id) || id;
+  (theirs.edges || []).forEach(edge => {
+    edge.from = remap(edge.from);
+    edge.to = remap(edge.to);
+  });
+  (theirs.reinforcement_sessions || []).forEach(session => {
+    (session.questions || []).forEach(question => {
+      question.concept_id = remap(question.concept_id);
+    });
+  });
+  (theirs.exploration_suggestions || []).forEach(suggestion => {
+    (suggestion.related_concepts || []).forEach(related => {
+      related.id = remap(related.id);
+    });
+  });
+  (theirs.content_items || []).forEach(item => {
+    (item.excerpts || []).forEach(excerpt => {
+      excerpt.concept_id = remap(excerpt.concept_id);
+    });
+  });
+  return renamed.size;
+}
+
+// Categories are matched the same way, by name under the same parent, so
+// the trees of two machines (or of two graphs given one by the schema
+// migration) grow together
+function alignCategories(base, ours, theirs) {
+  const known = new Set([...(base?.categories || []), ...(ours.categories || [])].map(category => category.id));
+  const theirIds = new Set((theirs.categories || []).map(category => category.id));
+  const oursByPath = new Map((ours.categories || [])
+    .filter(category => !theirIds.has(category.id) && !(base?.categories || []).some(c => c.id === category.id))
+    .map(category => [`${category.parent || ''}\u0000${normalizeCategoryName(category.name)}`, category]));
+
+  const renamed = new Map();
+  // Parents before children, so a child is looked up under its aligned parent
+  const depth = category => categoryLineage(theirs.categories, category.id).length;
+  [...(theirs.categories || [])].sort((a, b) => depth(a) - depth(b)).forEach(category => {
+    const parent = category.parent ? renamed.get(category.parent) || category.parent : null;
+    const match = oursByPath.get(`${parent || ''}\u0000${normalizeCategoryName(category.name)}`);
+    if (category.id && !known.has(category.id) && match) {
+      renamed.set(category.id, match.id);
+    }
+  });
+  if (renamed.size === 0) return 0;
+
+  const remap = id => renamed.get(id) || id;
+  theirs.categories.forEach(category => {
+    category.id = remap(category.id);
+    category.parent = category.parent ? remap(category.parent) : category.parent;
+  });
+  theirs.concepts.forEach(concept => {
+    if (concept.category_id) concept.category_id = remap(concept.category_id);
+  });
+  return renamed.size;
+}
+
+// A readable name for a record in diffs and conflict prompts
+function describeRecord(collection, record, graph) {
+  if (!record) return '';
+  const conceptName = id => (graph.concepts || []).find(concept => concept.id === id)?.name || id;
+  switch (collection) {
+    case 'concepts':
+      return record.name;
+    case 'edges':
+      return `${conceptName(record.from)} → ${conceptName(record.to)} (${record.type})`;
+    case 'content_items':
+      return record.title || record.url || record.id;
+    case 'reinforcement_sessions':
+    case 'reflection_sessions':
+      return `${(record.date || record.end_time || record.start_time || '').slice(0, 10)} ${record.id}`.trim();
+    case 'exploration_suggestions':
+      return record.title || record.topic || record.id;
+    case 'categories':
+      return record.name;
+    default:
+      return record.id || collection;
+  }
+}
+
+// Merges their graph into ours against base, their common ancestor (null
+// when there is none). Returns the merged graph and its conflicts, each
+// { collection, key, label, field, base, ours, theirs, newer }. Until a
+// conflict is resolved with resolveConflicts the merged graph holds our side.
+function mergeGraphs(base, ours, theirs) {
+  base = base ? clone(base) : null;
+  ours = clone(ours);
+  theirs = clone(theirs);
+  [base, ours, theirs].filter(Boolean).forEach(graph => migrateGraph(graph));
+  const aligned = alignConcepts(base, ours, theirs);
+  alignCategories(base, ours, theirs);
+
+  const merged = clone(ours);
+  const conflicts = [];
+
+  for (const collection of GRAPH_COLLECTIONS) {
+    const baseRecords = recordsByKey(collection, base?.[collection]);
+    const ourRecords = recordsByKey(collection, ours[collection]);
+    const theirRecords = recordsByKey(collection, theirs[collection]);
+    const keys = [...new Set([...ourRecords.keys(), ...theirRecords.keys(), ...baseRecords.keys()])];
+
+    const result = [];
+    for (const key of keys) {
+      const baseRecord = baseRecords.get(key) || null;
+      const ourRecord = ourRecords.get(key) || null;
+      const theirRecord = theirRecords.get(key) || null;
+      const { value, conflicts: recordConflicts } = mergeRecord(baseRecord, ourRecord, theirRecord);
+
+      recordConflicts.forEach(conflict => conflicts.push({
+        collection,
+        key,
+        label: describeRecord(collection, ourRecord || theirRecord, merged),
+        ...conflict,
+        newer: timeOf(theirRecord) > timeOf(ourRecord) ? 'theirs' : 'ours'
+      }));
+      if (value) result.push(value);
+    }
+
+    // Records without a key can't be matched, so both sides' are kept
+    const unkeyed = graph => (graph[collection] || []).filter(record => !recordKey(collection, record));
+    merged[collection] = [
+      ...result,
+      ...unkeyed(ours),
+      ...unkeyed(theirs).filter(record => !unkeyed(ours).some(other => isEqual(other, record)))
+    ];
+  }
+
+  // The same relationship added on both machines
+  const signatures = new Set();
+  merged.edges = merged.edges.filter(edge => {
+    const signature = edgeSignature(edge);
+    if (signatures.has(signature)) return false;
+    signatures.add(signature);
+    return true;
+  });
+
+  for (const name of DOCUMENTS) {
+    const { value, conflicts: documentConflicts } = mergeRecord(base?.[name] ?? null, ours[name] ?? null, theirs[name] ?? null);
+    documentConflicts.forEach(conflict => conflicts.push({
+      collection: null,
+      key: name,
+      label: name.replace(/_/g, ' '),
+      ...conflict,
+      newer: timeOf(theirs[name]) > timeOf(ours[name]) ? 'theirs' : 'ours'
+    }));
+    if (value) merged[name] = value;
+  }
+
+  merged.last_updated = laterOf(ours.last_updated, theirs.last_updated);
+  return { graph: merged, conflicts, aligned };
+}
+
+// Applies each conflict's resolution ('ours' or 'theirs') to the merged graph
+function resolveConflicts(graph, conflicts) {
+  for (const conflict of conflicts) {
+    if (conflict.resolution !== 'theirs') continue;
+
+    if (conflict.field === null) {
+      applyValue(graph, conflict.collection, conflict.key, conflict.theirs);
+      continue;
+    }
+
+    const record = conflict.collection
+      ? (graph[conflict.collection] || []).find(r => recordKey(conflict.collection, r) === conflict.key)
+      : graph[conflict.key];
+    if (!record) continue;
+    if (conflict.theirs === null) {
+      delete record[conflict.field];
+    } else {
+      record[conflict.field] = clone(conflict.theirs);
+    }
+  }
+  return graph;
+}
+
+// What changes between two graphs, as { collection: { added, updated,
+// removed } } lists of record labels. Documents are listed under 'documents'.
+function diffKnowledgeGraphs(from, to) {
+  const summary = {};
+  for (const change of diffGraphs(from, to)) {
+    const group = change.collection || 'documents';
+    if (change.collection === null && ['schema_version'].includes(change.key)) continue;
+    if (!summary[group]) summary[group] = { added: [], updated: [], removed: [] };
+
+    const record = change.after || change.before;
+    const label = change.collection ? describeRecord(change.collection, record, change.after ? to : from) : change.key;
+    const bucket = change.before === null ? 'added' : change.after === null ? 'removed' : 'updated';
+    summary[group][bucket].push(label);
+  }
+  return summary;
+}
+
+function storageTypeOf(dataDir) {
+  return fs.existsSync(path.join(dataDir, 'eumicus.db')) ? 'sqlite' : 'json';
+}
+
+// The graph, change history and snapshots of another data directory. An
+// encrypted one is opened with EUMICUS_PASSPHRASE.
+async function readDataDirectory(dataDir) {
+  if (!['eumicus.db', 'knowledge-graph.json'].some(name => fs.existsSync(path.join(dataDir, name)))) {
+    throw new Error(`No knowledge graph found in ${dataDir}`);
+  }
+  const storage = createStorageAdapter(dataDir, storageTypeOf(dataDir));
+  await storage.initialize();
+  try {
+    const graph = await storage.loadKnowledgeGraph();
+    if (!graph) {
+      throw new Error(`No knowledge graph found in ${dataDir}`);
+    }
+    return {
+      graph,
+      changes: await storage.loadChanges({}),
+      snapshots: await new BackupManager(dataDir).listSnapshots()
+    };
+  } finally {
+    await storage.close();
+  }
+}
+
+async function loadSnapshotGraph(dataDir, snapshot) {
+  const snapshotData = path.join(new BackupManager(dataDir).snapshotDir, snapshot.id, 'data');
+  const storage = createStorageAdapter(snapshotData, snapshot.storage_type || storageTypeOf(snapshotData));
+  await storage.initialize();
+  try {
+    return await storage.loadKnowledgeGraph();
+  } finally {
+    await storage.close();
+  }
+}
+
+// A side's graph as it was right after one of its change events
+function rewind(side, index) {
+  const graph = clone(side.graph);
+  side.changes.slice(index + 1).reverse().forEach(event => {
+    applyValue(graph, event.collection, event.key, event.before);
+  });
+  return graph;
+}
+
+// The index of the newest event in changes whose id is in ids, or -1
+function lastChangeIn(changes, ids) {
+  return changes.map(event => ids.has(event.id)).lastIndexOf(true);
+}
+
+// The last state both sides went through, preferring the most recent of:
+//  - the newest change both histories contain, as copies of one data
+//    directory share their history up to the point they were copied
+//  - the other side as it was when one side last merged it, which each
+//    merge notes in the graph's merges document (keyed by source directory)
+// Without either, the newest snapshot both sides have is used instead.
+async function findCommonAncestor(ours, theirs, dataDir) {
+  const candidates = [];
+  const mergedFrom = side => new Set(Object.values(side.graph.merges || {}).map(merge => merge.change));
+
+  const shared = lastChangeIn(ours.changes, new Set(theirs.changes.map(event => event.id)));
+  if (shared >= 0) {
+    candidates.push({ at: ours.changes[shared].timestamp, source: 'history', build: () => rewind(ours, shared) });
+  }
+  const oursMerged = lastChangeIn(theirs.changes, mergedFrom(ours));
+  if (oursMerged >= 0) {
+    candidates.push({ at: theirs.changes[oursMerged].timestamp, source: 'merge', build: () => rewind(theirs, oursMerged) });
+  }
+  const theirsMerged = lastChangeIn(ours.changes, mergedFrom(theirs));
+  if (theirsMerged >= 0) {
+    candidates.push({ at: ours.changes[theirsMerged].timestamp, source: 'merge', build: () => rewind(ours, theirsMerged) });
+  }
+
+  if (candidates.length > 0) {
+    const newest = candidates.reduce((a, b) => (b.at > a.at ? b : a));
+    return { graph: newest.build(), source: newest.source, at: newest.at };
+  }
+
+  const theirSnapshots = new Set(theirs.snapshots.map(snapshot => snapshot.id));
+  const snapshot = ours.snapshots.find(candidate => theirSnapshots.has(candidate.id));
+  if (snapshot) {
+    const graph = await loadSnapshotGraph(dataDir, snapshot);
+    if (graph) return { graph, source: 'snapshot', at: snapshot.created_at, snapshot: snapshot.id };
+  }
+
+  return null;
+}
+
+// Merges the knowledge graph in otherDir into the one knowledgeGraph
+// manages. Options:
+//   prefer   'newer' (default, by last_updated), 'ours' or 'theirs'
+//   resolve  async conflict => 'ours' | 'theirs', asked for every conflict
+//   dryRun   report without writing
+// Our data is snapshotted first and the merge is one change set, so it can
+// be reverted. The other directory is only read; the newest of its changes
+// merged is noted in our graph's merges document for the next merge.
+async function mergeDataDirectory(knowledgeGraph, otherDir, options = {}) {
+  if (path.resolve(otherDir) === path.resolve(knowledgeGraph.dataDir)) {
+    throw new Error('Cannot merge a data directory with itself');
+  }
+
+  const theirs = await readDataDirectory(otherDir);
+  const ours = {
+    graph: await knowledgeGraph.loadKnowledgeGraph(),
+    changes: await knowledgeGraph.getChanges(),
+    snapshots: await knowledgeGraph.listSnapshots()
+  };
+  const ancestor = await findCommonAncestor(ours, theirs, knowledgeGraph.dataDir);
+
+  const { graph: merged, conflicts, aligned } = mergeGraphs(ancestor?.graph || null, ours.graph, theirs.graph);
+  const prefer = options.prefer || 'newer';
+  for (const conflict of conflicts) {
+    conflict.resolution = options.resolve
+      ? await options.resolve(conflict)
+      : (prefer === 'newer' ? conflict.newer : prefer);
+  }
+  resolveConflicts(merged, conflicts);
+
+  const result = {
+    base: ancestor ? { source: ancestor.source, at: ancestor.at, snapshot: ancestor.snapshot || null } : null,
+    changes: diffKnowledgeGraphs(ours.graph, merged),
+    incoming: diffKnowledgeGraphs(ours.graph, theirs.graph),
+    aligned_concepts: aligned,
+    conflicts,
+    snapshot: null,
+    change_set: null
+  };
+  if (options.dryRun) return result;
+
+  const changes = diffGraphs(ours.graph, merged).filter(change => change.key !== 'schema_version');
+  if (changes.length === 0) return result;
+
+  const lastChange = theirs.changes[theirs.changes.length - 1];
+  if (lastChange) {
+    const merges = {
+      ...(ours.graph.merges || {}),
+      [path.resolve(otherDir)]: { change: lastChange.id, merged_at: new Date().toISOString() }
+    };
+    changes.push({ collection: null, key: 'merges', before: ours.graph.merges ?? null, after: merges });
+  }
+
+  const snapshot = await knowledgeGraph.createSnapshot({ reason: 'merge', label: `before merging ${otherDir}` });
+  result.snapshot = snapshot.id;
+
+  // Applied record by record, so anything written here since the graph was
+  // read above is kept
+  await knowledgeGraph.runInChangeSet({ agent: 'Merge', description: `Merge ${otherDir}` }, async changeSet => {
+    result.change_set = changeSet.id;
+    await knowledgeGraph.updateKnowledgeGraph(graph => {
+      changes.forEach(change => applyValue(graph, change.collection, change.key, change.after));
+      graph.last_updated = new Date().toISOString();
+    });
+  });
+
+  return result;
+}
+
+module.exports = {
+  mergeGraphs,
+  resolveConflicts,
+  diffKnowledgeGraphs,
+  findCommonAncestor,
+  mergeDataDirectory
+};
@@ -0,0 +1,280 @@
+// Filtering, sorting and cursor pagination over the graph's collections and
+// the activity log. Everything here is pure: functions take the records and
+// return the matching ones, never modifying them.
+
+const { categoryLineage } = require('./taxonomy');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+function toNumber(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw invalidQuery(`${name} must be a number`);
+  }
+  return number;
+}
+
+function toTime(value, name) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw invalidQuery(`${name} must be a timestamp`);
+  }
+  return time;
+}
+
+// True when value falls inside [min, max]; records without a value only
+// match when neither bound is set
+function inRange(value, min, max) {
+  if (min === null && max === null) return true;
+  if (value === null || value === undefined) return false;
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+function timeOf(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Number of edges touching each concept. Graphs without typed edges fall
+// back to the connections list.
+function conceptDegrees(graph) {
+  const degrees = new Map();
+  if (Array.isArray(graph.edges) && graph.edges.length > 0) {
+    graph.edges.forEach(edge => {
+      degrees.set(edge.from, (degrees.get(edge.from) || 0) + 1);
+      degrees.set(edge.to, (degrees.get(edge.to) || 0) + 1);
+    });
+  } else {
+    graph.concepts.forEach(concept => degrees.set(concept.id, (concept.connections || []).length));
+  }
+  return degrees;
+}
+
+// Cursors encode the sort value and id of the last record on a page, so the
+// next page starts after it even if records were added in the meantime
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string') throw new Error('Missing id');
+    return { value, id };
+  } catch (error) {
+    throw invalidQuery('Invalid cursor');
+  }
+}
+
+// Missing values sort last in both directions
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  return a < b ? -1 : 1;
+}
+
+// sort is a field name, with a leading '-' for descending order
+function paginate(records, options, sortFields, defaultSort) {
+  const sort = options.sort || defaultSort;
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  const valueOf = sortFields[field];
+  if (!valueOf) {
+    throw invalidQuery(`Cannot sort by ${field}. Use one of: ${Object.keys(sortFields).join(', ')}`);
+  }
+
+  const limit = options.limit === undefined || options.limit === null || options.limit === ''
+    ? DEFAULT_LIMIT
+    : toNumber(options.limit, 'limit');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw invalidQuery(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const compare = (a, b) => {
+    const byValue = a.value === null || b.value === null || a.value === undefined || b.value === undefined
+      ? compareValues(a.value, b.value)
+      : compareValues(a.value, b.value) * (descending ? -1 : 1);
+    return byValue || a.id.localeCompare(b.id);
+  };
+
+  let entries = records
+    .map(record => ({ record, id: String(record.id), value: valueOf(record) ?? null }))
+    .sort(compare);
+
+  if (options.cursor) {
+    const after = decodeCursor(options.cursor);
+    entries = entries.filter(entry => compare(entry, after) > 0);
+  }
+
+  const page = entries.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(entry => entry.record),
+    total: records.length,
+    next_cursor: entries.length > limit ? encodeCursor(last.value, last.id) : null
+  };
+}
+
+// Filters: category (a category name, path or id, matching concepts filed
+// under it or anywhere below it), tag (one or several, comma separated), minConfidence,
+// maxConfidence, createdAfter, createdBefore, reinforcedAfter,
+// reinforcedBefore, source (substring of a source URL), minDegree,
+// maxDegree and archived ('exclude' by default, 'include' or 'only').
+// Options: sort, limit and cursor.
+function queryConcepts(graph, filters = {}, options = {}) {
+  const categories = toList(filters.category)?.map(category => category.toLowerCase());
+  const tags = toList(filters.tag)?.map(tag => tag.toLowerCase());
+  const minConfidence = toNumber(filters.minConfidence, 'minConfidence');
+  const maxConfidence = toNumber(filters.maxConfidence, 'maxConfidence');
+  const createdAfter = toTime(filters.createdAfter, 'createdAfter');
+  const createdBefore = toTime(filters.createdBefore, 'createdBefore');
+  const reinforcedAfter = toTime(filters.reinforcedAfter, 'reinforcedAfter');
+  const reinforcedBefore = toTime(filters.reinforcedBefore, 'reinforcedBefore');
+  const minDegree = toNumber(filters.minDegree, 'minDegree');
+  const maxDegree = toNumber(filters.maxDegree, 'maxDegree');
+  const source = filters.source ? String(filters.source).toLowerCase() : null;
+  const archived = filters.archived || 'exclude';
+  if (!['exclude', 'include', 'only'].includes(archived)) {
+    throw invalidQuery('archived must be exclude, include or only');
+  }
+
+  const degrees = conceptDegrees(graph);
+  const degreeOf = concept => degrees.get(concept.id) || 0;
+  // A concept is in a category when it or one of the nodes above its own
+  // matches by id, name or path
+  const inCategory = concept => {
+    const lineage = categoryLineage(graph.categories, concept.category_id);
+    const keys = [String(concept.category || '').toLowerCase()];
+    lineage.forEach((category, index) => keys.push(
+      category.id.toLowerCase(),
+      category.name.toLowerCase(),
+      lineage.slice(0, index + 1).map(node => node.name).join(' > ').toLowerCase()
+    ));
+    return categories.some(category => keys.includes(category.replace(/\s*(?:>|::)\s*/g, ' > ')));
+  };
+
+  const matches = graph.concepts.filter(concept =>
+    (archived === 'include' || (archived === 'only') === Boolean(concept.archived_at)) &&
+    (!categories || inCategory(concept)) &&
+    (!tags || (concept.tags || []).some(tag => tags.includes(tag.toLowerCase()))) &&
+    inRange(concept.confidence, minConfidence, maxConfidence) &&
+    inRange(timeOf(concept.created_at), createdAfter, createdBefore) &&
+    inRange(timeOf(concept.last_reinforced), reinforcedAfter, reinforcedBefore) &&
+    (!source || (concept.sources || []).some(url => String(url).toLowerCase().includes(source))) &&
+    inRange(degreeOf(concept), minDegree, maxDegree)
+  );
+
+  const page = paginate(matches, options, {
+    name: concept => String(concept.name || '').toLowerCase(),
+    confidence: concept => concept.confidence,
+    created_at: concept => timeOf(concept.created_at),
+    last_updated: concept => timeOf(concept.last_updated),
+    last_reinforced: concept => timeOf(concept.last_reinforced),
+    degree: degreeOf
+  }, 'name');
+
+  return {
+    concepts: page.items.map(concept => ({ ...concept, degree: degreeOf(concept) })),
+    total: page.total,
+    next_cursor: page.next_cursor
+  };
+}
+
+// Filters: type, source (substring of the URL), concept (name in
+// key_concepts), processedAfter, processedBefore
+function queryContentItems(graph, filters = {}, options = {}) {
+  const types = toList(filters.type);
+  const source = filters.source ? String(filters.source).toLowerCase() : null;
+  const concept = filters.concept || null;
+  const processedAfter = toTime(filters.processedAfter, 'processedAfter');
+  const processedBefore = toTime(filters.processedBefore, 'processedBefore');
+
+  const matches = graph.content_items.filter(item =>
+    (!types || types.includes(item.type)) &&
+    (!source || String(item.url || '').toLowerCase().includes(source)) &&
+    (!concept || (item.key_concepts || []).includes(concept)) &&
+    inRange(timeOf(item.processed_date), processedAfter, processedBefore)
+  );
+
+  const page = paginate(matches, options, {
+    processed_date: item => timeOf(item.processed_date),
+    title: item => String(item.title || '').toLowerCase()
+  }, '-processed_date');
+
+  return { content_items: page.items, total: page.total, next_cursor: page.next_cursor };
+}
+
+// Filters: concept (name in concepts_reviewed), after, before,
+// minPerformance, maxPerformance
+function queryReinforcementSessions(graph, filters = {}, options = {}) {
+  const concept = filters.concept || null;
+  const after = toTime(filters.after, 'after');
+  const before = toTime(filters.before, 'before');
+  const minPerformance = toNumber(filters.minPerformance, 'minPerformance');
+  const maxPerformance = toNumber(filters.maxPerformance, 'maxPerformance');
+
+  const matches = graph.reinforcement_sessions.filter(session =>
+    (!concept || (session.concepts_reviewed || []).includes(concept)) &&
+    inRange(timeOf(session.date), after, before) &&
+    inRange(session.overall_performance, minPerformance, maxPerformance)
+  );
+
+  const page = paginate(matches, options, {
+    date: session => timeOf(session.date),
+    overall_performance: session => session.overall_performance
+  }, '-date');
+
+  return { sessions: page.items, total: page.total, next_cursor: page.next_cursor };
+}
+
+// Filters over a list of activities: type, agent and status (one or
+// several, comma separated; agent ignores case), since and until
+function queryActivities(activities, filters = {}, options = {}) {
+  const types = toList(filters.type);
+  const agents = toList(filters.agent)?.map(agent => agent.toLowerCase());
+  const statuses = toList(filters.status);
+  const since = toTime(filters.since, 'since');
+  const until = toTime(filters.until, 'until');
+
+  const matches = activities.filter(activity =>
+    (!types || types.includes(activity.type)) &&
+    (!agents || agents.includes(String(activity.agent || '').toLowerCase())) &&
+    (!statuses || statuses.includes(activity.status)) &&
+    inRange(timeOf(activity.timestamp), since, until)
+  );
+
+  const page = paginate(matches, options, {
+    timestamp: activity => timeOf(activity.timestamp)
+  }, '-timestamp');
+
+  return { activities: page.items, total: page.total, next_cursor: page.next_cursor };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  queryConcepts,
+  queryContentItems,
+  queryReinforcementSessions,
+  queryActivities
+};
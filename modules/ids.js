@@ -0,0 +1,10 @@
+const crypto = require('crypto');
+
+// Random, prefix-tagged identifiers for records that must survive renames
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomUUID()}`;
+}
+
+module.exports = {
+  generateId
+};
@@ -1,94 +1,536 @@
-const fs = require('fs').promises;
 const path = require('path');
+const EventEmitter = require('events');
+const { createStorageAdapter } = require('./storage');
+const { recordKey } = require('./storage/collections');
+const { WriteLock } = require('./storage/write-lock');
+const { readKeyInfo, writeKeyInfo } = require('./storage/encryption');
+const BackupManager = require('./backup-manager');
+const SearchIndex = require('./search-index');
+const { exportGraph } = require('./graph-exporter');
+const { checkGraph, summarizeProblems } = require('./graph-doctor');
+const { generateId } = require('./ids');
+const { normalizeEdgeType, normalizeStrength, edgeSignature } = require('./edges');
+const { queryConcepts, queryContentItems, queryReinforcementSessions, queryActivities } = require('./graph-query');
+const {
+  categoryError,
+  normalizeCategoryName,
+  categoryLineage,
+  categoryPath,
+  childCategories,
+  descendantIds,
+  findCategory,
+  resolveCategoryPath,
+  buildCategoryTree,
+  groupConceptsByCategory
+} = require('./taxonomy');
+const { relocateExcerpts, mergeExcerpts, conceptExcerpts } = require('./provenance');
+const { CURRENT_SCHEMA_VERSION, getSchemaVersion, assertSupportedSchema, migrateGraph } = require('./schema-migrations');
+const {
+  changeContext,
+  isEqual,
+  clone,
+  diffGraphs,
+  readValue,
+  applyValue,
+  operationFor,
+  changeEventName,
+  summarizeChangeSets
+} = require('./change-history');
 
-class KnowledgeGraphManager {
-  constructor(dataDir = './data') {
+// Activity segments older than this many days are compressed
+const ACTIVITY_ARCHIVE_DAYS = (() => {
+  const days = parseInt(process.env.EUMICUS_ACTIVITY_ARCHIVE_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : 7;
+})();
+
+function mergeLists(existing, incoming) {
+  if (!existing) return incoming;
+  if (!incoming) return existing;
+  return [...new Set([...existing, ...incoming])];
+}
+
+// Distinct descriptions, one paragraph each, leaving out any already
+// contained in a longer one
+function mergeDescriptions(descriptions) {
+  const distinct = [...new Set(descriptions.map(text => (text || '').trim()).filter(Boolean))];
+  return distinct
+    .filter(text => !distinct.some(other => other !== text && other.toLowerCase().includes(text.toLowerCase())))
+    .join('\n\n');
+}
+
+// Resolves a concept by id, then canonical name, then alias
+function findConcept(concepts, nameOrId) {
+  if (!nameOrId) return null;
+  return concepts.find(c => c.id === nameOrId) ||
+    concepts.find(c => c.name === nameOrId) ||
+    concepts.find(c => c.aliases?.includes(nameOrId)) ||
+    null;
+}
+
+// Archived concepts stay in the graph but are left out of review and suggestions
+function isArchived(concept) {
+  return Boolean(concept?.archived_at);
+}
+
+// Removes a concept from the graph along with its edges, the connections and
+// content key_concepts that name it, its source excerpts, questions about it
+// in unfinished reinforcement sessions and its mentions in exploration
+// suggestions. Completed sessions are history and keep their scores.
+// Returns how many of each were removed.
+function removeConcept(graph, concept) {
+  const names = [concept.name, ...(concept.aliases || [])];
+  const mentions = name => names.includes(name);
+  const removed = { edges: 0, connections: 0, key_concepts: 0, excerpts: 0, questions: 0, suggestion_links: 0 };
+
+  graph.concepts = graph.concepts.filter(c => c.id !== concept.id);
+
+  const edgeCount = graph.edges.length;
+  graph.edges = graph.edges.filter(edge => edge.from !== concept.id && edge.to !== concept.id);
+  removed.edges = edgeCount - graph.edges.length;
+
+  graph.concepts.forEach(c => {
+    if (!c.connections?.some(mentions)) return;
+    removed.connections += c.connections.filter(mentions).length;
+    c.connections = c.connections.filter(name => !mentions(name));
+    c.last_updated = new Date().toISOString();
+  });
+
+  graph.content_items.forEach(item => {
+    if (item.excerpts?.some(excerpt => excerpt.concept_id === concept.id)) {
+      removed.excerpts += item.excerpts.filter(excerpt => excerpt.concept_id === concept.id).length;
+      item.excerpts = item.excerpts.filter(excerpt => excerpt.concept_id !== concept.id);
+    }
+    if (!item.key_concepts?.some(mentions)) return;
+    removed.key_concepts += item.key_concepts.filter(mentions).length;
+    item.key_concepts = item.key_concepts.filter(name => !mentions(name));
+  });
+
+  graph.reinforcement_sessions
+    .filter(session => session.status !== 'completed' && Array.isArray(session.questions))
+    .forEach(session => {
+      const kept = session.questions.filter(question =>
+        question.concept_id !== concept.id && !mentions(question.concept_name)
+      );
+      removed.questions += session.questions.length - kept.length;
+      session.questions = kept;
+    });
+
+  graph.exploration_suggestions.forEach(suggestion => {
+    if (!Array.isArray(suggestion.related_concepts)) return;
+    const kept = suggestion.related_concepts.filter(related =>
+      related.id !== concept.id && !mentions(related.name)
+    );
+    removed.suggestion_links += suggestion.related_concepts.length - kept.length;
+    suggestion.related_concepts = kept;
+  });
+
+  return removed;
+}
+
+function renameInList(list, oldName, newName) {
+  if (!Array.isArray(list)) return list;
+  return [...new Set(list.map(item => item === oldName ? newName : item))];
+}
+
+function toTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return date.toISOString();
+}
+
+// Emits one typed event per recorded change ('concept-added',
+// 'edge-updated', 'user-profile-updated', ...), a 'changes' event with each
+// batch, and 'graph-reloaded' when the graph was replaced wholesale (another
+// process wrote it, a snapshot was restored, the graph was reset).
+class KnowledgeGraphManager extends EventEmitter {
+  constructor(dataDir = './data', options = {}) {
+    super();
     this.dataDir = dataDir;
     this.knowledgeGraphPath = path.join(dataDir, 'knowledge-graph.json');
-    this.activityLogPath = path.join(dataDir, 'activity-log.json');
+    this.activityDir = path.join(dataDir, 'activity');
     this.contentCachePath = path.join(dataDir, 'content-cache.json');
+    this.storageOptions = options;
+    this.storage = options.storage || createStorageAdapter(dataDir, options.storageType, { passphrase: options.passphrase });
+    this.backups = new BackupManager(dataDir, options.backup);
+    this.writeLock = new WriteLock(path.join(dataDir, '.eumicus.lock'));
+
+    // Write-through copy of the stored graph and the storage revision it matches
+    this.cache = null;
+    this.cacheRevision = null;
+    // Built on the first search, then kept current from change events
+    this.searchIndex = null;
+    // Day of the last activity appended, to archive old segments once a day
+    this.activityDay = null;
+  }
+
+  get storageType() {
+    return this.storage.type;
   }
 
   async initialize() {
-    // Ensure data directory exists
-    try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-    } catch (error) {
-      if (error.code !== 'EEXIST') throw error;
-    }
+    // Ensure data directory and backing store exist
+    await this.storage.initialize();
 
     // Initialize knowledge graph if it doesn't exist
+    await this.withWriteLock(() => this.initializeData());
+  }
+
+  async initializeData() {
     await this.initializeKnowledgeGraph();
     await this.initializeActivityLog();
     await this.initializeContentCache();
+    await this.migrateSchema();
   }
 
-  async initializeKnowledgeGraph() {
+  async close() {
+    await this.storage.close();
+  }
+
+  // Every mutation runs through here so overlapping writers (socket handlers,
+  // pipeline intervals, a CLI in another process) cannot lose each other's updates.
+  // Tasks must not call other locking methods of this class.
+  async withWriteLock(task) {
+    return await this.writeLock.runExclusive(task);
+  }
+
+  // Load, mutate and save the whole graph as one serialized step
+  async updateKnowledgeGraph(mutator) {
+    return await this.withWriteLock(async () => {
+      const graph = await this.loadKnowledgeGraph();
+      const before = clone(graph);
+      const result = await mutator(graph);
+      await this.writeKnowledgeGraph(graph);
+      await this.recordChanges(diffGraphs(before, graph));
+      return result;
+    });
+  }
+
+  // Groups every write made while task runs, including writes from nested
+  // calls, into one change set that can be listed and reverted as a unit.
+  // Nested calls join the outer change set instead of starting their own.
+  async runInChangeSet(options, task) {
+    const current = changeContext.getStore();
+    if (current) return await task(current);
+
+    const changeSet = {
+      id: generateId('changeset'),
+      agent: options.agent || 'System',
+      description: options.description || ''
+    };
+    return await changeContext.run(changeSet, () => task(changeSet));
+  }
+
+  // Appends change events for writes that already succeeded. Writes made
+  // outside runInChangeSet each get a change set of their own.
+  async recordChanges(changes, fallback = {}) {
+    if (changes.length === 0) return [];
+
+    const changeSet = changeContext.getStore() || {
+      id: generateId('changeset'),
+      agent: fallback.agent || 'System',
+      description: fallback.description || ''
+    };
+    const timestamp = new Date().toISOString();
+
+    const events = changes.map(change => ({
+      id: generateId('change'),
+      timestamp,
+      change_set: changeSet.id,
+      agent: changeSet.agent,
+      description: changeSet.description,
+      operation: operationFor(change),
+      collection: change.collection,
+      key: change.key,
+      before: change.before,
+      after: change.after
+    }));
+
+    await this.storage.appendChanges(events);
+    if (this.searchIndex) {
+      events.forEach(event => this.searchIndex.updateRecord(event.collection, event.key, event.after));
+    }
+    events.forEach(event => this.notify(changeEventName(event), event));
+    this.notify('changes', events);
+    return events;
+  }
+
+  // A failing listener must not fail the write that triggered it
+  notify(eventName, payload) {
     try {
-      await fs.access(this.knowledgeGraphPath);
+      this.emit(eventName, payload);
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        const initialGraph = {
-          user_profile: {
-            goals: [],
-            interests: [],
-            learning_style: '',
-            time_commitment: '',
-            created_at: new Date().toISOString()
-          },
-          concepts: [],
-          content_items: [],
-          reinforcement_sessions: [],
-          exploration_suggestions: [],
-          last_updated: new Date().toISOString()
-        };
-        await this.saveKnowledgeGraph(initialGraph);
-      }
+      console.error(`Error in ${eventName} listener:`, error);
     }
   }
 
-  async initializeActivityLog() {
+  // putRecord/putDocument plus a cache update and a change event. Must run
+  // under the write lock, and record must not be an object from the cache.
+  async writeRecord(collection, record, fallback) {
+    const key = recordKey(collection, record);
+    const before = key ? readValue(await this.readKnowledgeGraph(), collection, key) : null;
+    await this.storage.putRecord(collection, record);
+    await this.updateCache(collection, key, record);
+
+    if (!isEqual(before, record)) {
+      await this.recordChanges([{ collection, key, before: clone(before) ?? null, after: clone(record) }], fallback);
+    }
+    return record;
+  }
+
+  async writeDocument(name, value, fallback) {
+    const before = (await this.readKnowledgeGraph())[name];
+    await this.storage.putDocument(name, value);
+    await this.updateCache(null, name, value);
+
+    if (!isEqual(before, value)) {
+      await this.recordChanges([{ collection: null, key: name, before: clone(before) ?? null, after: clone(value) }], fallback);
+    }
+    return value;
+  }
+
+  async initializeKnowledgeGraph() {
+    if (!(await this.storage.hasKnowledgeGraph())) {
+      const initialGraph = {
+        schema_version: CURRENT_SCHEMA_VERSION,
+        user_profile: {
+          goals: [],
+          interests: [],
+          learning_style: '',
+          time_commitment: '',
+          created_at: new Date().toISOString()
+        },
+        concepts: [],
+        edges: [],
+        content_items: [],
+        reinforcement_sessions: [],
+        exploration_suggestions: [],
+        reflection_sessions: [],
+        categories: [],
+        last_updated: new Date().toISOString()
+      };
+      await this.writeKnowledgeGraph(initialGraph);
+    }
+  }
+
+  // Upgrades an older graph one schema version at a time, snapshotting the
+  // data directory first. Runs under the write lock.
+  async migrateSchema() {
+    const graph = await this.loadKnowledgeGraph();
+    const fromVersion = getSchemaVersion(graph);
+    if (fromVersion === CURRENT_SCHEMA_VERSION) return null;
+    assertSupportedSchema(graph);
+
+    const snapshot = await this.writeSnapshot({
+      reason: 'schema-migration',
+      label: `v${fromVersion} to v${CURRENT_SCHEMA_VERSION}`
+    });
+    const before = clone(graph);
+    const applied = migrateGraph(graph);
+    await this.writeKnowledgeGraph(graph);
+    await this.recordChanges(diffGraphs(before, graph), {
+      agent: 'Schema Migration',
+      description: `Migrate schema from v${fromVersion} to v${CURRENT_SCHEMA_VERSION}`
+    });
+
+    await this.storage.appendActivity({
+      id: generateId('activity'),
+      timestamp: new Date().toISOString(),
+      type: 'schema_migration',
+      agent: 'System',
+      message: `Migrated knowledge graph schema from v${fromVersion} to v${CURRENT_SCHEMA_VERSION}`,
+      status: 'completed',
+      details: { snapshot: snapshot.id, migrations: applied }
+    });
+
+    return { fromVersion, toVersion: CURRENT_SCHEMA_VERSION, snapshotId: snapshot.id, applied };
+  }
+
+  async createSnapshot(options = {}) {
+    return await this.withWriteLock(() => this.writeSnapshot(options));
+  }
+
+  // Copies the whole data directory into data/backups/snapshots and applies
+  // the retention policy. Must run under the write lock.
+  async writeSnapshot(options = {}) {
+    const snapshot = await this.takeSnapshot(options);
+    await this.backups.pruneSnapshots();
+    return snapshot;
+  }
+
+  // writeSnapshot without the retention policy, for callers that prune once
+  // they are done with the snapshots they need. Must run under the write lock.
+  async takeSnapshot(options = {}) {
     try {
-      await fs.access(this.activityLogPath);
+      await this.storage.flush();
+      return await this.backups.createSnapshot({ ...options, storageType: this.storageType });
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        const initialLog = {
-          activities: [],
-          last_updated: new Date().toISOString()
-        };
-        await this.saveActivityLog(initialLog);
+      console.error('Error creating snapshot:', error);
+      throw error;
+    }
+  }
+
+  async listSnapshots() {
+    return await this.backups.listSnapshots();
+  }
+
+  async getSnapshot(id) {
+    return await this.backups.getSnapshot(id);
+  }
+
+  // Puts the data directory back the way it was when the snapshot was taken.
+  // The current state is snapshotted first, so a restore can itself be undone.
+  // Old snapshots are pruned only after the restore, which could otherwise
+  // delete the very snapshot being restored.
+  async restoreSnapshot(id) {
+    return await this.withWriteLock(async () => {
+      const snapshot = await this.backups.getSnapshot(id);
+      if (!snapshot) {
+        throw new Error(`Snapshot not found: ${id}`);
       }
+
+      const safetySnapshot = await this.takeSnapshot({ reason: 'pre-restore', label: `before restoring ${id}` });
+
+      await this.storage.close();
+      try {
+        await this.backups.restoreSnapshot(id);
+      } catch (error) {
+        // Put back what was there before giving up
+        await this.backups.restoreSnapshot(safetySnapshot.id);
+        throw error;
+      } finally {
+        // The snapshot decides the backend unless one was configured explicitly
+        await this.reopenStorage(this.storageOptions.storageType);
+      }
+
+      await this.backups.pruneSnapshots();
+      return { restored: snapshot, safetySnapshot };
+    });
+  }
+
+  // Deletes every data file and starts over with an empty graph, after
+  // snapshotting the current state
+  async resetKnowledgeGraph() {
+    return await this.withWriteLock(async () => {
+      const safetySnapshot = await this.takeSnapshot({ reason: 'pre-reset', label: 'before reset' });
+
+      const storageType = this.storageType;
+      // A reset graph stays encrypted with the same key
+      const keyInfo = await readKeyInfo(this.dataDir);
+      await this.storage.close();
+      try {
+        await this.backups.clearDataFiles();
+        if (keyInfo) {
+          await writeKeyInfo(this.dataDir, keyInfo);
+        }
+      } finally {
+        await this.reopenStorage(storageType);
+      }
+
+      await this.backups.pruneSnapshots();
+      return { safetySnapshot };
+    });
+  }
+
+  async reopenStorage(storageType) {
+    if (!this.storageOptions.storage) {
+      this.storage = createStorageAdapter(this.dataDir, storageType, { passphrase: this.storageOptions.passphrase });
+    }
+    this.cache = null;
+    this.cacheRevision = null;
+    this.searchIndex = null;
+    await this.storage.initialize();
+    await this.initializeData();
+    this.notify('graph-reloaded', { reason: 'reopen' });
+  }
+
+  async initializeActivityLog() {
+    await this.storage.upgradeActivityLog();
+    if (!(await this.storage.hasActivityLog())) {
+      const initialLog = {
+        activities: [],
+        last_updated: new Date().toISOString()
+      };
+      await this.writeActivityLog(initialLog);
     }
   }
 
   async initializeContentCache() {
-    try {
-      await fs.access(this.contentCachePath);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        const initialCache = {
-          items: {},
-          last_updated: new Date().toISOString()
-        };
-        await this.saveContentCache(initialCache);
-      }
+    if (!(await this.storage.hasContentCache())) {
+      const initialCache = {
+        items: {},
+        last_updated: new Date().toISOString()
+      };
+      await this.writeContentCache(initialCache);
     }
   }
 
-  async loadKnowledgeGraph() {
+  // The cached graph, shared by every caller: treat it as read-only. Writes
+  // from other processes are picked up by comparing storage revisions.
+  async readKnowledgeGraph() {
     try {
-      const data = await fs.readFile(this.knowledgeGraphPath, 'utf8');
-      return JSON.parse(data);
+      const revision = await this.storage.getRevision();
+      if (this.cache && revision === this.cacheRevision) {
+        return this.cache;
+      }
+
+      const reloaded = this.cache !== null;
+      this.cache = await this.storage.loadKnowledgeGraph();
+      this.cacheRevision = revision;
+      this.searchIndex = null;
+      if (reloaded) {
+        this.notify('graph-reloaded', { reason: 'external-write' });
+      }
+      return this.cache;
     } catch (error) {
       console.error('Error loading knowledge graph:', error);
       throw error;
     }
   }
 
+  // A private copy of the graph that the caller may modify
+  async loadKnowledgeGraph() {
+    return clone(await this.readKnowledgeGraph());
+  }
+
+  async readRecords(collection) {
+    const graph = await this.readKnowledgeGraph();
+    return graph[collection] || [];
+  }
+
+  // Applies a write that already reached storage. Runs under the write lock,
+  // so no other process can have written in between. Copy-on-write, so a
+  // graph handed out earlier stays a consistent snapshot for its reader.
+  async updateCache(collection, key, value) {
+    if (!this.cache) return;
+
+    const graph = { ...this.cache };
+    if (collection) {
+      graph[collection] = [...(graph[collection] || [])];
+    }
+    applyValue(graph, collection, key, value);
+    graph.last_updated = new Date().toISOString();
+
+    this.cache = graph;
+    this.cacheRevision = await this.storage.getRevision();
+  }
+
   async saveKnowledgeGraph(graph) {
+    return await this.withWriteLock(async () => {
+      const before = await this.loadKnowledgeGraph();
+      await this.writeKnowledgeGraph(graph);
+      await this.recordChanges(diffGraphs(before, graph));
+    });
+  }
+
+  async writeKnowledgeGraph(graph) {
     try {
       graph.last_updated = new Date().toISOString();
-      await fs.writeFile(this.knowledgeGraphPath, JSON.stringify(graph, null, 2));
+      await this.storage.saveKnowledgeGraph(graph);
+      this.cache = clone(graph);
+      this.cacheRevision = await this.storage.getRevision();
     } catch (error) {
       console.error('Error saving knowledge graph:', error);
       throw error;
@@ -97,8 +539,7 @@ class KnowledgeGraphManager {
 
   async loadActivityLog() {
     try {
-      const data = await fs.readFile(this.activityLogPath, 'utf8');
-      return JSON.parse(data);
+      return await this.storage.loadActivityLog();
     } catch (error) {
       console.error('Error loading activity log:', error);
       throw error;
@@ -106,9 +547,13 @@ class KnowledgeGraphManager {
   }
 
   async saveActivityLog(log) {
+    return await this.withWriteLock(() => this.writeActivityLog(log));
+  }
+
+  async writeActivityLog(log) {
     try {
       log.last_updated = new Date().toISOString();
-      await fs.writeFile(this.activityLogPath, JSON.stringify(log, null, 2));
+      await this.storage.saveActivityLog(log);
     } catch (error) {
       console.error('Error saving activity log:', error);
       throw error;
@@ -117,8 +562,7 @@ class KnowledgeGraphManager {
 
   async loadContentCache() {
     try {
-      const data = await fs.readFile(this.contentCachePath, 'utf8');
-      return JSON.parse(data);
+      return await this.storage.loadContentCache();
     } catch (error) {
       console.error('Error loading content cache:', error);
       throw error;
@@ -126,138 +570,1056 @@ class KnowledgeGraphManager {
   }
 
   async saveContentCache(cache) {
+    return await this.withWriteLock(() => this.writeContentCache(cache));
+  }
+
+  async writeContentCache(cache) {
     try {
       cache.last_updated = new Date().toISOString();
-      await fs.writeFile(this.contentCachePath, JSON.stringify(cache, null, 2));
+      await this.storage.saveContentCache(cache);
     } catch (error) {
       console.error('Error saving content cache:', error);
       throw error;
     }
   }
 
+  // Single cache entries, so caching one page doesn't rewrite the whole
+  // cache on SQLite
+  async getContentCacheEntry(key) {
+    return await this.storage.getContentCacheEntry(key);
+  }
+
+  async putContentCacheEntry(key, entry) {
+    return await this.withWriteLock(() => this.storage.putContentCacheEntry(key, entry));
+  }
+
+  async deleteContentCacheEntries(keys) {
+    return await this.withWriteLock(() => this.storage.deleteContentCacheEntries(keys));
+  }
+
   async addActivity(activity) {
-    const log = await this.loadActivityLog();
     const newActivity = {
+      id: generateId('activity'),
       timestamp: new Date().toISOString(),
       ...activity
     };
-    log.activities.push(newActivity);
-    
-    // Keep only last 1000 activities to prevent file from growing too large
-    if (log.activities.length > 1000) {
-      log.activities = log.activities.slice(-1000);
-    }
-    
-    await this.saveActivityLog(log);
+
+    await this.withWriteLock(async () => {
+      await this.storage.appendActivity(newActivity);
+      await this.rotateActivityLog(newActivity.timestamp);
+    });
     return newActivity;
   }
 
+  // Runs on the first append of each day: segments older than
+  // ACTIVITY_ARCHIVE_DAYS are compressed. Call with the write lock held.
+  async rotateActivityLog(timestamp) {
+    const day = String(timestamp).slice(0, 10);
+    if (day === this.activityDay) return;
+    this.activityDay = day;
+
+    const cutoff = new Date(Date.parse(day) - ACTIVITY_ARCHIVE_DAYS * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(cutoff.getTime())) return;
+
+    try {
+      await this.storage.archiveActivity(cutoff.toISOString().slice(0, 10));
+    } catch (error) {
+      // The entry is already written; archiving is retried on the next day
+      console.error('Error archiving activity log:', error);
+    }
+  }
+
+  // Activities between since and until (ISO timestamps), oldest first
+  async loadActivities(filters = {}) {
+    try {
+      return await this.storage.loadActivities(filters);
+    } catch (error) {
+      console.error('Error loading activities:', error);
+      throw error;
+    }
+  }
+
+  // Filters: type, agent, status, since, until. Options: sort, limit, cursor.
+  async queryActivities(filters = {}, options = {}) {
+    // Storage only narrows down the segments to read; bounds it can't parse
+    // are left to queryActivities, which rejects them
+    const bound = value => {
+      const time = Date.parse(value);
+      return value && !Number.isNaN(time) ? new Date(time).toISOString() : undefined;
+    };
+    const activities = await this.loadActivities({ since: bound(filters.since), until: bound(filters.until) });
+    return queryActivities(activities, filters, options);
+  }
+
   async addConcept(concept) {
-    const graph = await this.loadKnowledgeGraph();
-    
-    // Check if concept already exists
-    const existingIndex = graph.concepts.findIndex(c => c.name === concept.name);
-    if (existingIndex >= 0) {
-      // Update existing concept
-      graph.concepts[existingIndex] = {
-        ...graph.concepts[existingIndex],
-        ...concept,
-        last_updated: new Date().toISOString()
-      };
-    } else {
+    return await this.withWriteLock(async () => {
+      // Check if concept already exists, under its id, name or one of its aliases
+      const concepts = await this.readRecords('concepts');
+      const existing = (concept.id && concepts.find(c => c.id === concept.id)) ||
+        findConcept(concepts, concept.name);
+
+      if (existing) {
+        // Update existing concept. Callers often pass a copy read before a slow
+        // LLM call, so list fields are merged rather than replaced to keep
+        // connections and sources added in the meantime. The stored id and
+        // canonical name always win; renames go through renameConcept.
+        const updated = {
+          ...existing,
+          ...concept,
+          ...(await this.fileConceptCategory(concept, existing)),
+          id: existing.id,
+          name: existing.name,
+          aliases: mergeLists(existing.aliases, concept.aliases) || [],
+          connections: mergeLists(existing.connections, concept.connections),
+          sources: mergeLists(existing.sources, concept.sources),
+          last_updated: new Date().toISOString()
+        };
+        await this.writeRecord('concepts', updated, { description: `Update concept "${updated.name}"` });
+        return updated;
+      }
+
       // Add new concept
-      graph.concepts.push({
+      const created = {
         ...concept,
+        ...(await this.fileConceptCategory(concept)),
+        id: concept.id || generateId('concept'),
+        aliases: concept.aliases || [],
         created_at: new Date().toISOString(),
         last_updated: new Date().toISOString()
+      };
+      await this.writeRecord('concepts', created, { description: `Add concept "${created.name}"` });
+      return created;
+    });
+  }
+
+  async getConcept(nameOrId) {
+    const concepts = await this.readRecords('concepts');
+    return clone(findConcept(concepts, nameOrId));
+  }
+
+  // Renames a concept and rewrites every reference to its old name. The old
+  // name is kept as an alias by default so existing links keep resolving.
+  async renameConcept(nameOrId, newName, options = {}) {
+    const name = (newName || '').trim();
+    if (!name) {
+      throw new Error('New concept name is required');
+    }
+
+    return await this.updateKnowledgeGraph(graph => {
+      const concept = findConcept(graph.concepts, nameOrId);
+      if (!concept) {
+        throw new Error(`Concept not found: ${nameOrId}`);
+      }
+
+      const oldName = concept.name;
+      if (oldName === name) return concept;
+
+      const conflict = findConcept(graph.concepts, name);
+      if (conflict && conflict.id !== concept.id) {
+        throw new Error(`"${name}" is already used by concept "${conflict.name}"`);
+      }
+
+      concept.name = name;
+      concept.aliases = (concept.aliases || []).filter(alias => alias !== name);
+      if (options.keepAlias !== false && !concept.aliases.includes(oldName)) {
+        concept.aliases.push(oldName);
+      }
+      concept.last_updated = new Date().toISOString();
+
+      this.replaceConceptReferences(graph, concept, oldName);
+      return concept;
+    });
+  }
+
+  // Points every reference to oldName (or to the concept oldId) at concept
+  replaceConceptReferences(graph, concept, oldName, oldId = concept.id) {
+    const newName = concept.name;
+
+    graph.concepts.forEach(c => {
+      c.connections = renameInList(c.connections, oldName, newName);
+    });
+
+    graph.content_items.forEach(item => {
+      item.key_concepts = renameInList(item.key_concepts, oldName, newName);
+      if (oldId !== concept.id && item.excerpts?.some(excerpt => excerpt.concept_id === oldId)) {
+        item.excerpts = mergeExcerpts(item.excerpts.map(excerpt =>
+          (excerpt.concept_id === oldId ? { ...excerpt, concept_id: concept.id } : excerpt)
+        ));
+      }
+    });
+
+    graph.reinforcement_sessions.forEach(session => {
+      session.concepts_reviewed = renameInList(session.concepts_reviewed, oldName, newName);
+      (session.performance_scores || []).forEach(score => {
+        if (score.concept === oldName) score.concept = newName;
       });
+      (session.questions || []).forEach(question => {
+        if (question.concept_id === oldId || question.concept_name === oldName) {
+          question.concept_name = newName;
+          question.concept_id = concept.id;
+        }
+      });
+    });
+
+    graph.exploration_suggestions.forEach(suggestion => {
+      (suggestion.related_concepts || []).forEach(related => {
+        if (related.id === oldId || related.name === oldName) {
+          related.name = newName;
+          if (related.id) related.id = concept.id;
+        }
+      });
+    });
+  }
+
+  async addConceptAlias(nameOrId, alias) {
+    const trimmedAlias = (alias || '').trim();
+    if (!trimmedAlias) {
+      throw new Error('Alias is required');
     }
-    
-    await this.saveKnowledgeGraph(graph);
-    return concept;
+
+    return await this.withWriteLock(async () => {
+      const concepts = await this.readRecords('concepts');
+      const concept = clone(findConcept(concepts, nameOrId));
+      if (!concept) {
+        throw new Error(`Concept not found: ${nameOrId}`);
+      }
+
+      const conflict = findConcept(concepts, trimmedAlias);
+      if (conflict && conflict.id !== concept.id) {
+        throw new Error(`"${trimmedAlias}" is already used by concept "${conflict.name}"`);
+      }
+
+      if (concept.name !== trimmedAlias && !concept.aliases?.includes(trimmedAlias)) {
+        concept.aliases = [...(concept.aliases || []), trimmedAlias];
+        concept.last_updated = new Date().toISOString();
+        await this.writeRecord('concepts', concept, { description: `Add alias "${trimmedAlias}" to "${concept.name}"` });
+      }
+      return concept;
+    });
+  }
+
+  // Replaces the given fields of a concept, unlike addConcept, which merges
+  // lists. The id and name are left alone; renames go through renameConcept.
+  async updateConcept(nameOrId, updates = {}, fallback = {}) {
+    const { id, name, created_at, ...fields } = updates;
+
+    return await this.withWriteLock(async () => {
+      const concepts = await this.readRecords('concepts');
+      const concept = findConcept(concepts, nameOrId);
+      if (!concept) {
+        throw new Error(`Concept not found: ${nameOrId}`);
+      }
+
+      (fields.aliases || []).forEach(alias => {
+        const conflict = findConcept(concepts, alias);
+        if (conflict && conflict.id !== concept.id) {
+          throw new Error(`"${alias}" is already used by concept "${conflict.name}"`);
+        }
+      });
+
+      const updated = { ...clone(concept), ...clone(fields) };
+      // A category given by name is filed in the tree like an extracted one
+      if (fields.category !== undefined && fields.category_id === undefined && fields.category !== concept.category) {
+        delete updated.category_id;
+        Object.assign(updated, await this.fileConceptCategory(updated));
+      }
+      if (isEqual(updated, concept)) return clone(concept);
+
+      updated.last_updated = new Date().toISOString();
+      await this.writeRecord('concepts', updated, {
+        agent: fallback.agent,
+        description: fallback.description || `Update concept "${concept.name}"`
+      });
+      return updated;
+    });
+  }
+
+  // Tags are free-form labels for grouping and querying, stored lowercase
+  async updateConceptTags(nameOrId, changes = {}) {
+    const normalize = tags => (tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+    const add = normalize(changes.add);
+    const remove = normalize(changes.remove);
+
+    return await this.withWriteLock(async () => {
+      const concept = clone(findConcept(await this.readRecords('concepts'), nameOrId));
+      if (!concept) {
+        throw new Error(`Concept not found: ${nameOrId}`);
+      }
+
+      const tags = [...new Set([...(concept.tags || []), ...add])].filter(tag => !remove.includes(tag));
+      if (isEqual(tags, concept.tags || [])) return concept;
+
+      concept.tags = tags;
+      concept.last_updated = new Date().toISOString();
+      await this.writeRecord('concepts', concept, { description: `Update tags of "${concept.name}"` });
+      return concept;
+    });
+  }
+
+  // Soft delete. The concept keeps its edges and references and can be
+  // brought back with unarchiveConcept.
+  async archiveConcept(nameOrId, options = {}) {
+    return await this.withWriteLock(async () => {
+      const concept = clone(findConcept(await this.readRecords('concepts'), nameOrId));
+      if (!concept) {
+        throw new Error(`Concept not found: ${nameOrId}`);
+      }
+      if (isArchived(concept)) return concept;
+
+      concept.archived_at = new Date().toISOString();
+      concept.archive_reason = options.reason || '';
+      concept.last_updated = concept.archived_at;
+      await this.writeRecord('concepts', concept, { description: `Archive concept "${concept.name}"` });
+      return concept;
+    });
+  }
+
+  async unarchiveConcept(nameOrId) {
+    return await this.withWriteLock(async () => {
+      const concept = clone(findConcept(await this.readRecords('concepts'), nameOrId));
+      if (!concept) {
+        throw new Error(`Concept not found: ${nameOrId}`);
+      }
+      if (!isArchived(concept)) return concept;
+
+      delete concept.archived_at;
+      delete concept.archive_reason;
+      concept.last_updated = new Date().toISOString();
+      await this.writeRecord('concepts', concept, { description: `Unarchive concept "${concept.name}"` });
+      return concept;
+    });
+  }
+
+  // Removes a concept for good, along with everything that points at it
+  // (see removeConcept). The deletion is one change set, so it can be
+  // reverted.
+  async deleteConcept(nameOrId) {
+    return await this.updateKnowledgeGraph(graph => {
+      const concept = findConcept(graph.concepts, nameOrId);
+      if (!concept) {
+        throw new Error(`Concept not found: ${nameOrId}`);
+      }
+
+      return { concept, removed: removeConcept(graph, concept) };
+    });
+  }
+
+  // Folds duplicate concepts into target. Target keeps its id and name and
+  // takes the others' names and aliases as aliases; descriptions, sources,
+  // tags and connections are combined, and edges and every other reference
+  // move over to it. Review history is combined too: confidence comes from
+  // the most recently reinforced of them and the next review is the earliest
+  // one scheduled. The merge is one change set, so it can be reverted.
+  async mergeConcepts(targetNameOrId, otherNamesOrIds) {
+    return await this.updateKnowledgeGraph(graph => {
+      const target = findConcept(graph.concepts, targetNameOrId);
+      if (!target) {
+        throw new Error(`Concept not found: ${targetNameOrId}`);
+      }
+
+      const others = [];
+      for (const nameOrId of otherNamesOrIds) {
+        const other = findConcept(graph.concepts, nameOrId);
+        if (!other) {
+          throw new Error(`Concept not found: ${nameOrId}`);
+        }
+        if (other.id !== target.id && !others.includes(other)) others.push(other);
+      }
+      if (others.length === 0) {
+        throw new Error('At least one other concept is required to merge');
+      }
+
+      const all = [target, ...others];
+      const now = new Date().toISOString();
+      const otherIds = new Set(others.map(c => c.id));
+      const otherNames = others.flatMap(c => [c.name, ...(c.aliases || [])]);
+
+      target.aliases = [...new Set([...(target.aliases || []), ...otherNames])].filter(alias => alias !== target.name);
+      target.description = mergeDescriptions(all.map(c => c.description));
+      target.sources = [...new Set(all.flatMap(c => c.sources || []))];
+      target.tags = [...new Set(all.flatMap(c => c.tags || []))];
+      target.connections = [...new Set(all.flatMap(c => c.connections || []))];
+      if (!target.category) {
+        const filed = others.find(c => c.category);
+        if (filed) {
+          target.category = filed.category;
+          if (filed.category_id) target.category_id = filed.category_id;
+        }
+      }
+      target.priority = target.priority || others.find(c => c.priority)?.priority || target.priority;
+
+      const earliest = values => values.filter(Boolean).sort()[0];
+      const reinforced = all.filter(c => c.last_reinforced).sort((a, b) => b.last_reinforced.localeCompare(a.last_reinforced));
+      const confidences = all.map(c => c.confidence).filter(value => typeof value === 'number');
+      if (reinforced.length > 0) {
+        target.confidence = reinforced[0].confidence;
+        target.last_reinforced = reinforced[0].last_reinforced;
+      } else if (confidences.length > 0) {
+        target.confidence = confidences.reduce((sum, value) => sum + value, 0) / confidences.length;
+      }
+      target.reinforcement_schedule = earliest(all.map(c => c.reinforcement_schedule)) || target.reinforcement_schedule;
+      target.created_at = earliest(all.map(c => c.created_at)) || target.created_at;
+      target.merged_from = [
+        ...(target.merged_from || []),
+        ...others.map(c => ({ id: c.id, name: c.name, merged_at: now }))
+      ];
+      target.last_updated = now;
+
+      graph.concepts = graph.concepts.filter(c => !otherIds.has(c.id));
+
+      // Edges between the merged concepts disappear; edges that now repeat
+      // one of the target's keep the stronger strength
+      const edges = { moved: 0, dropped: 0 };
+      const bySignature = new Map();
+      graph.edges = graph.edges.filter(edge => {
+        if (otherIds.has(edge.from) || otherIds.has(edge.to)) {
+          edge.from = otherIds.has(edge.from) ? target.id : edge.from;
+          edge.to = otherIds.has(edge.to) ? target.id : edge.to;
+          edge.last_updated = now;
+          edges.moved++;
+        }
+        const existing = bySignature.get(edgeSignature(edge));
+        if (edge.from === edge.to || existing) {
+          if (existing) {
+            existing.strength = Math.max(existing.strength ?? 0, edge.strength ?? 0) || existing.strength;
+            existing.description = existing.description || edge.description;
+          }
+          edges.dropped++;
+          return false;
+        }
+        bySignature.set(edgeSignature(edge), edge);
+        return true;
+      });
+
+      others.forEach(other => {
+        [other.name, ...(other.aliases || [])].forEach(name => this.replaceConceptReferences(graph, target, name, other.id));
+      });
+      target.connections = (target.connections || []).filter(name => name !== target.name && !target.aliases.includes(name));
+
+      return { concept: target, merged: others.map(c => c.name), edges };
+    });
+  }
+
+  // Maps the free-text category an extraction gave a concept onto the
+  // category tree, adding the levels it's missing, and returns the concept's
+  // category fields. A concept already filed keeps its place; moving it is
+  // up to setConceptCategory. Must run under the write lock.
+  async fileConceptCategory(concept, existing = null) {
+    if (existing?.category_id) {
+      return { category: existing.category, category_id: existing.category_id };
+    }
+    const name = concept.category || existing?.category;
+    if (typeof name !== 'string' || !name.trim()) return {};
+
+    const categories = clone(await this.readRecords('categories'));
+    const { category, created } = resolveCategoryPath(categories, name);
+    for (const record of created) {
+      await this.writeRecord('categories', record, { description: `Add category "${categoryPath(categories, record.id)}"` });
+    }
+    return { category: category.name, category_id: category.id };
+  }
+
+  // The category tree with concept counts (see buildCategoryTree)
+  async getCategoryTree() {
+    const graph = await this.readKnowledgeGraph();
+    return buildCategoryTree(graph.categories || [], graph.concepts.filter(concept => !isArchived(concept)));
+  }
+
+  // Active concepts per category at the tree's level-th level (1 for
+  // domains), largest first
+  async getCategoryStats(level = 1) {
+    const graph = await this.readKnowledgeGraph();
+    const now = Date.now();
+    const groups = groupConceptsByCategory(graph.concepts.filter(concept => !isArchived(concept)), graph.categories || [], level);
+
+    return Object.entries(groups)
+      .map(([category, concepts]) => ({
+        category,
+        concepts: concepts.length,
+        average_confidence: concepts.reduce((sum, concept) => sum + (concept.confidence || 0), 0) / concepts.length,
+        due_for_review: concepts.filter(concept =>
+          !concept.reinforcement_schedule || Date.parse(concept.reinforcement_schedule) <= now
+        ).length
+      }))
+      .sort((a, b) => b.concepts - a.concepts || a.category.localeCompare(b.category));
+  }
+
+  async getCategory(idOrPath) {
+    const graph = await this.readKnowledgeGraph();
+    const category = findCategory(graph.categories, idOrPath);
+    return category ? { ...clone(category), path: categoryPath(graph.categories, category.id) } : null;
+  }
+
+  // Adds the levels of a path ("Science > Physics > Optics") that don't
+  // exist yet and returns the last one
+  async createCategory(path) {
+    return await this.updateKnowledgeGraph(graph => {
+      graph.categories = graph.categories || [];
+      const { category } = resolveCategoryPath(graph.categories, path);
+      if (!category) {
+        throw categoryError('INVALID_CATEGORY', 'Category name is required');
+      }
+      return { ...category, path: categoryPath(graph.categories, category.id) };
+    });
+  }
+
+  async renameCategory(idOrPath, newName) {
+    return await this.updateKnowledgeGraph(graph => {
+      const category = this.requireCategory(graph, idOrPath);
+      const name = String(newName || '').trim();
+      if (!name || name.includes('>')) {
+        throw categoryError('INVALID_CATEGORY', 'New name is required and must be a single level');
+      }
+      const conflict = childCategories(graph.categories, category.parent)
+        .find(other => other.id !== category.id && normalizeCategoryName(other.name) === normalizeCategoryName(name));
+      if (conflict) {
+        throw categoryError('CATEGORY_CONFLICT', `"${categoryPath(graph.categories, conflict.id)}" already exists; merge into it instead`);
+      }
+
+      const now = new Date().toISOString();
+      if (category.name !== name && !category.aliases?.includes(category.name)) {
+        category.aliases = [...(category.aliases || []), category.name].filter(alias => alias !== name);
+      }
+      category.name = name;
+      category.last_updated = now;
+      graph.concepts.forEach(concept => {
+        if (concept.category_id === category.id && concept.category !== name) {
+          concept.category = name;
+          concept.last_updated = now;
+        }
+      });
+      return { ...category, path: categoryPath(graph.categories, category.id) };
+    });
+  }
+
+  // Puts a category, with everything below it, under another one, or makes
+  // it a domain when parent is null
+  async moveCategory(idOrPath, parentIdOrPath = null) {
+    return await this.updateKnowledgeGraph(graph => {
+      const category = this.requireCategory(graph, idOrPath);
+      const parent = parentIdOrPath ? this.requireCategory(graph, parentIdOrPath) : null;
+      if (parent && descendantIds(graph.categories, category.id).has(parent.id)) {
+        throw categoryError('INVALID_CATEGORY', `Can't move "${category.name}" under itself`);
+      }
+      const conflict = childCategories(graph.categories, parent?.id)
+        .find(other => other.id !== category.id && normalizeCategoryName(other.name) === normalizeCategoryName(category.name));
+      if (conflict) {
+        throw categoryError('CATEGORY_CONFLICT', `"${categoryPath(graph.categories, conflict.id)}" already exists; merge into it instead`);
+      }
+
+      category.parent = parent ? parent.id : null;
+      category.last_updated = new Date().toISOString();
+      return { ...category, path: categoryPath(graph.categories, category.id) };
+    });
+  }
+
+  // Folds categories into target: their concepts are refiled under it, their
+  // names become its aliases and their subcategories move under it, merging
+  // with any of target's that have the same name. One change set.
+  async mergeCategories(targetIdOrPath, sourceIdsOrPaths) {
+    return await this.updateKnowledgeGraph(graph => {
+      const target = this.requireCategory(graph, targetIdOrPath);
+      const sources = [];
+      for (const idOrPath of sourceIdsOrPaths) {
+        const source = this.requireCategory(graph, idOrPath);
+        if (source.id === target.id || sources.includes(source)) continue;
+        if (categoryLineage(graph.categories, target.id).some(category => category.id === source.id)) {
+          throw categoryError('INVALID_CATEGORY', `Can't merge "${source.name}" into a category below it`);
+        }
+        sources.push(source);
+      }
+      if (sources.length === 0) {
+        throw categoryError('INVALID_CATEGORY', 'At least one other category is required to merge');
+      }
+
+      const now = new Date().toISOString();
+      const merged = [];
+      const fold = (into, source) => {
+        into.aliases = [...new Set([...(into.aliases || []), source.name, ...(source.aliases || [])])]
+          .filter(alias => alias !== into.name);
+        into.last_updated = now;
+
+        graph.concepts.forEach(concept => {
+          if (concept.category_id === source.id) {
+            concept.category_id = into.id;
+            concept.category = into.name;
+            concept.last_updated = now;
+          }
+        });
+        childCategories(graph.categories, source.id).forEach(child => {
+          const same = childCategories(graph.categories, into.id)
+            .find(other => normalizeCategoryName(other.name) === normalizeCategoryName(child.name));
+          if (same) {
+            fold(same, child);
+          } else {
+            child.parent = into.id;
+            child.last_updated = now;
+          }
+        });
+
+        merged.push(categoryPath(graph.categories, source.id));
+        graph.categories = graph.categories.filter(category => category.id !== source.id);
+      };
+      sources.forEach(source => fold(target, source));
+
+      return { ...target, path: categoryPath(graph.categories, target.id), merged };
+    });
+  }
+
+  // Files a concept under a category given by id or path, creating missing
+  // levels, or takes it out of the tree when idOrPath is null
+  async setConceptCategory(nameOrId, idOrPath) {
+    return await this.updateKnowledgeGraph(graph => {
+      const concept = findConcept(graph.concepts, nameOrId);
+      if (!concept) {
+        throw new Error(`Concept not found: ${nameOrId}`);
+      }
+
+      graph.categories = graph.categories || [];
+      const category = idOrPath
+        ? findCategory(graph.categories, idOrPath) || resolveCategoryPath(graph.categories, idOrPath).category
+        : null;
+      concept.category = category ? category.name : null;
+      concept.category_id = category ? category.id : null;
+      concept.last_updated = new Date().toISOString();
+      return { ...concept, category_path: category ? categoryPath(graph.categories, category.id) : null };
+    });
+  }
+
+  requireCategory(graph, idOrPath) {
+    const category = findCategory(graph.categories, idOrPath);
+    if (!category) {
+      throw categoryError('CATEGORY_NOT_FOUND', `Category not found: ${idOrPath}`);
+    }
+    return category;
+  }
+
+  // Stores typed, weighted relationships between concepts. Each edge is
+  // { from, to, type, strength, description }, with from/to given as concept
+  // ids, names or aliases. Edges whose endpoints don't resolve are skipped.
+  // The endpoints' connections lists are kept in sync for older readers.
+  async addEdges(edges, provenance = {}) {
+    return await this.withWriteLock(async () => {
+      const concepts = await this.readRecords('concepts');
+      const existingEdges = await this.readRecords('edges');
+      const bySignature = new Map(existingEdges.map(edge => [edgeSignature(edge), edge]));
+      const changedConcepts = new Map();
+      const stored = [];
+
+      // Endpoints are copied before their connections are touched, since
+      // concepts from the cache must not be modified in place
+      const resolve = nameOrId => {
+        const concept = findConcept(concepts, nameOrId);
+        if (!concept) return null;
+        if (!changedConcepts.has(concept.id)) {
+          changedConcepts.set(concept.id, { concept: clone(concept), changed: false });
+        }
+        return changedConcepts.get(concept.id);
+      };
+
+      for (const edge of edges) {
+        const from = resolve(edge.from);
+        const to = resolve(edge.to);
+        if (!from || !to || from.concept.id === to.concept.id) continue;
+        const fromConcept = from.concept;
+        const toConcept = to.concept;
+
+        const now = new Date().toISOString();
+        const candidate = {
+          from: fromConcept.id,
+          to: toConcept.id,
+          type: normalizeEdgeType(edge.type || edge.relationship_type)
+        };
+        const existing = bySignature.get(edgeSignature(candidate));
+
+        const record = existing ? {
+          ...existing,
+          strength: normalizeStrength(edge.strength) ?? existing.strength,
+          description: edge.description || existing.description,
+          last_updated: now
+        } : {
+          id: generateId('edge'),
+          ...candidate,
+          strength: normalizeStrength(edge.strength),
+          description: edge.description || '',
+          provenance: { ...provenance, ...(edge.provenance || {}) },
+          discovered_at: edge.discovered_at || now,
+          last_updated: now
+        };
+
+        await this.writeRecord('edges', record, { agent: provenance.agent, description: 'Add edges' });
+        bySignature.set(edgeSignature(record), record);
+        stored.push(record);
+
+        if (!fromConcept.connections?.includes(toConcept.name)) {
+          fromConcept.connections = [...(fromConcept.connections || []), toConcept.name];
+          from.changed = true;
+        }
+        if (!toConcept.connections?.includes(fromConcept.name)) {
+          toConcept.connections = [...(toConcept.connections || []), fromConcept.name];
+          to.changed = true;
+        }
+      }
+
+      for (const { concept, changed } of changedConcepts.values()) {
+        if (!changed) continue;
+        concept.last_updated = new Date().toISOString();
+        await this.writeRecord('concepts', concept, { agent: provenance.agent, description: 'Add edges' });
+      }
+
+      return stored;
+    });
+  }
+
+  async addEdge(edge, provenance = {}) {
+    const [stored] = await this.addEdges([edge], provenance);
+    return stored || null;
+  }
+
+  // Removes edges by id. The endpoints drop each other from their
+  // connections lists unless another edge still joins them.
+  async removeEdges(ids) {
+    const removing = new Set(ids);
+
+    return await this.updateKnowledgeGraph(graph => {
+      const removed = graph.edges.filter(edge => removing.has(edge.id));
+      if (removed.length === 0) return [];
+      graph.edges = graph.edges.filter(edge => !removing.has(edge.id));
+
+      const byId = new Map(graph.concepts.map(concept => [concept.id, concept]));
+      removed.forEach(edge => {
+        const stillJoined = graph.edges.some(other =>
+          (other.from === edge.from && other.to === edge.to) || (other.from === edge.to && other.to === edge.from)
+        );
+        const from = byId.get(edge.from);
+        const to = byId.get(edge.to);
+        if (stillJoined || !from || !to) return;
+
+        from.connections = (from.connections || []).filter(name => name !== to.name);
+        to.connections = (to.connections || []).filter(name => name !== from.name);
+        from.last_updated = to.last_updated = new Date().toISOString();
+      });
+
+      return removed;
+    });
+  }
+
+  // Filters: concept (id, name or alias), direction ('out', 'in' or 'both',
+  // relative to concept), type (one or several), minStrength, agent
+  async getEdges(filters = {}) {
+    let edges = await this.readRecords('edges');
+
+    if (filters.concept) {
+      const concept = await this.getConcept(filters.concept);
+      if (!concept) return [];
+
+      const direction = filters.direction || 'both';
+      edges = edges.filter(edge =>
+        ((direction === 'out' || direction === 'both') && edge.from === concept.id) ||
+        ((direction === 'in' || direction === 'both') && edge.to === concept.id)
+      );
+    }
+
+    if (filters.type) {
+      const types = (Array.isArray(filters.type) ? filters.type : [filters.type]).map(normalizeEdgeType);
+      edges = edges.filter(edge => types.includes(edge.type));
+    }
+
+    if (filters.minStrength !== undefined && filters.minStrength !== null) {
+      edges = edges.filter(edge => (edge.strength ?? 0) >= filters.minStrength);
+    }
+
+    if (filters.agent) {
+      edges = edges.filter(edge => edge.provenance?.agent === filters.agent);
+    }
+
+    return clone(edges);
+  }
+
+  // Concepts linked to the given one, with the edge and its direction
+  async getConceptNeighbors(nameOrId, filters = {}) {
+    const concept = await this.getConcept(nameOrId);
+    if (!concept) return [];
+
+    const [edges, concepts] = await Promise.all([
+      this.getEdges({ ...filters, concept: concept.id }),
+      this.readRecords('concepts')
+    ]);
+    const byId = new Map(concepts.map(c => [c.id, c]));
+
+    return edges
+      .map(edge => {
+        const outgoing = edge.from === concept.id;
+        return {
+          concept: clone(byId.get(outgoing ? edge.to : edge.from)),
+          edge,
+          direction: outgoing ? 'out' : 'in'
+        };
+      })
+      .filter(neighbor => neighbor.concept)
+      .sort((a, b) => (b.edge.strength ?? 0) - (a.edge.strength ?? 0));
+  }
+
+  // The passages of the stored content a concept was extracted from, with
+  // the content item each is in
+  async getConceptExcerpts(nameOrId) {
+    const concept = await this.getConcept(nameOrId);
+    if (!concept) return [];
+    return conceptExcerpts(await this.readRecords('content_items'), concept.id);
   }
 
   async addContentItem(contentItem) {
-    const graph = await this.loadKnowledgeGraph();
-    contentItem.id = contentItem.id || `content_${Date.now()}`;
+    contentItem.id = contentItem.id || generateId('content');
     contentItem.processed_date = new Date().toISOString();
     
-    graph.content_items.push(contentItem);
-    await this.saveKnowledgeGraph(graph);
+    await this.withWriteLock(() => this.writeRecord('content_items', contentItem, {
+      description: `Add content "${contentItem.title || contentItem.id}"`
+    }));
     return contentItem;
   }
 
+  // Folds a re-processed version of a content item into the existing one:
+  // text, title and hash are replaced, concept, insight and takeaway lists
+  // are merged, and the old excerpts are kept where the new text still has
+  // them
+  async mergeContentItem(id, updates) {
+    return await this.withWriteLock(async () => {
+      const existing = (await this.readRecords('content_items')).find(item => item.id === id);
+      if (!existing) {
+        throw new Error(`Content item not found: ${id}`);
+      }
+
+      const item = {
+        ...clone(existing),
+        ...updates,
+        key_concepts: mergeLists(existing.key_concepts, updates.key_concepts),
+        insights: mergeLists(existing.insights, updates.insights),
+        key_takeaways: mergeLists(existing.key_takeaways, updates.key_takeaways),
+        processed_date: new Date().toISOString()
+      };
+      item.excerpts = mergeExcerpts(relocateExcerpts(item, existing.excerpts), updates.excerpts);
+      await this.writeRecord('content_items', item, {
+        description: `Update content "${item.title || item.id}"`
+      });
+      return item;
+    });
+  }
+
   async addReinforcementSession(session) {
-    const graph = await this.loadKnowledgeGraph();
+    session.id = session.id || generateId('session');
     session.date = new Date().toISOString();
-    graph.reinforcement_sessions.push(session);
-    await this.saveKnowledgeGraph(graph);
+    await this.withWriteLock(() => this.writeRecord('reinforcement_sessions', session, {
+      description: 'Add reinforcement session'
+    }));
     return session;
   }
 
   async addExplorationSuggestion(suggestion) {
-    const graph = await this.loadKnowledgeGraph();
+    suggestion.id = suggestion.id || generateId('suggestion');
     suggestion.created_at = new Date().toISOString();
-    graph.exploration_suggestions.push(suggestion);
-    await this.saveKnowledgeGraph(graph);
+    await this.withWriteLock(() => this.writeRecord('exploration_suggestions', suggestion, {
+      description: 'Add exploration suggestion'
+    }));
     return suggestion;
   }
 
   async updateUserProfile(profile) {
+    return await this.withWriteLock(async () => {
+      const currentProfile = (await this.readKnowledgeGraph()).user_profile;
+      const userProfile = {
+        ...currentProfile,
+        ...profile,
+        last_updated: new Date().toISOString()
+      };
+      await this.writeDocument('user_profile', userProfile, { description: 'Update user profile' });
+      return userProfile;
+    });
+  }
+
+  // Filters: since, until (timestamps) and changeSet
+  async getChanges(filters = {}) {
+    return await this.storage.loadChanges({
+      since: toTimestamp(filters.since),
+      until: toTimestamp(filters.until),
+      changeSet: filters.changeSet || null
+    });
+  }
+
+  // One summary per change set, newest first
+  async listChangeSets(filters = {}) {
+    const changeSets = summarizeChangeSets(await this.getChanges(filters));
+    return filters.limit ? changeSets.slice(0, filters.limit) : changeSets;
+  }
+
+  // Rebuilds the graph as it was at the given time by undoing every change
+  // recorded after it, newest first. Nothing is written.
+  async getKnowledgeGraphAt(timestamp) {
+    const at = toTimestamp(timestamp);
+    if (!at) {
+      throw new Error('Timestamp is required');
+    }
+
     const graph = await this.loadKnowledgeGraph();
-    graph.user_profile = {
-      ...graph.user_profile,
-      ...profile,
-      last_updated: new Date().toISOString()
-    };
-    await this.saveKnowledgeGraph(graph);
-    return graph.user_profile;
+    const later = (await this.storage.loadChanges({ since: at })).filter(event => event.timestamp > at);
+
+    for (const event of later.reverse()) {
+      applyValue(graph, event.collection, event.key, event.before);
+    }
+
+    graph.last_updated = at;
+    return graph;
+  }
+
+  // Restores every record touched by a change set to its value before the
+  // change set ran. Records changed again since then are reported as
+  // conflicts and nothing is reverted, unless force is set. Concepts the
+  // change set created are removed the way deleteConcept removes them, so
+  // edges, connections and excerpts added to them later go too. The revert
+  // is itself recorded as a new change set.
+  async revertChangeSet(changeSetId, options = {}) {
+    const events = await this.storage.loadChanges({ changeSet: changeSetId });
+    if (events.length === 0) {
+      throw new Error(`Change set not found: ${changeSetId}`);
+    }
+
+    // A record written several times in the change set goes back to its
+    // first before and must still match its last after
+    const targets = new Map();
+    for (const event of events) {
+      const id = `${event.collection || ''}\u0000${event.key}`;
+      if (targets.has(id)) {
+        targets.get(id).after = event.after;
+      } else {
+        targets.set(id, { collection: event.collection, key: event.key, before: event.before, after: event.after });
+      }
+    }
+
+    const description = `Revert ${changeSetId}${events[0].description ? ` (${events[0].description})` : ''}`;
+    return await this.runInChangeSet({ agent: options.agent || 'User', description }, changeSet =>
+      this.updateKnowledgeGraph(graph => {
+        const conflicts = [...targets.values()]
+          .map(target => ({ ...target, current: readValue(graph, target.collection, target.key) }))
+          .filter(target => !isEqual(target.current, target.after))
+          .map(target => ({ collection: target.collection, key: target.key, expected: target.after, current: target.current }));
+
+        if (conflicts.length > 0 && !options.force) {
+          return { change_set: changeSetId, revert_change_set: null, reverted: 0, conflicts };
+        }
+
+        const created = [...targets.values()]
+          .filter(target => target.collection === 'concepts' && !target.before)
+          .map(target => readValue(graph, target.collection, target.key))
+          .filter(Boolean);
+
+        for (const target of [...targets.values()].reverse()) {
+          applyValue(graph, target.collection, target.key, target.before);
+        }
+        created.forEach(concept => removeConcept(graph, concept));
+
+        return { change_set: changeSetId, revert_change_set: changeSet.id, reverted: targets.size, conflicts };
+      })
+    );
+  }
+
+  // Filtered, sorted and paginated views of the graph. See graph-query.js for
+  // the supported filters; each returns { <records>, total, next_cursor }.
+  async queryConcepts(filters = {}, options = {}) {
+    return clone(queryConcepts(await this.readKnowledgeGraph(), filters, options));
+  }
+
+  async queryContentItems(filters = {}, options = {}) {
+    return clone(queryContentItems(await this.readKnowledgeGraph(), filters, options));
+  }
+
+  async queryReinforcementSessions(filters = {}, options = {}) {
+    return clone(queryReinforcementSessions(await this.readKnowledgeGraph(), filters, options));
+  }
+
+  // Full-text search over concepts, content and reflection responses, ranked
+  // with BM25. Options: type ('concept', 'content', 'reflection'), archived
+  // ('exclude' by default, 'include' or 'only') and limit.
+  async search(query, options = {}) {
+    const graph = await this.readKnowledgeGraph();
+    if (!this.searchIndex) {
+      this.searchIndex = SearchIndex.fromGraph(graph);
+    }
+    return this.searchIndex.search(query, options);
+  }
+
+  // The graph as GraphML, GEXF, neo4j-admin CSV or JSON-LD. See
+  // graph-exporter.js; returns { format, contentType, files }.
+  async exportGraph(format) {
+    return exportGraph(await this.readKnowledgeGraph(), format);
+  }
+
+  // Validates the graph; see graph-doctor.js. With fix, the problems that can
+  // be fixed safely are, as one change set after snapshotting the data
+  // directory.
+  async checkIntegrity(options = {}) {
+    const problems = checkGraph(await this.readKnowledgeGraph());
+    if (!options.fix || !problems.some(problem => problem.fixable)) {
+      return { problems, summary: summarizeProblems(problems), snapshot: null, change_set: null };
+    }
+
+    const snapshot = await this.createSnapshot({ reason: 'doctor' });
+    return await this.runInChangeSet({ agent: 'Doctor', description: 'Repair knowledge graph' }, async changeSet => {
+      const fixed = await this.updateKnowledgeGraph(graph => checkGraph(graph, { fix: true }));
+      return { problems: fixed, summary: summarizeProblems(fixed), snapshot: snapshot.id, change_set: changeSet.id };
+    });
   }
 
   async getConceptsForReinforcement() {
-    const graph = await this.loadKnowledgeGraph();
+    const concepts = await this.readRecords('concepts');
     const now = new Date();
     
-    return graph.concepts.filter(concept => {
+    return clone(concepts.filter(concept => {
+      if (isArchived(concept)) return false;
       if (!concept.reinforcement_schedule) return true;
       const scheduleDate = new Date(concept.reinforcement_schedule);
       return scheduleDate <= now;
-    });
+    }));
   }
 
   async getKnowledgeGaps() {
-    const graph = await this.loadKnowledgeGraph();
-    const lowConfidenceConcepts = graph.concepts.filter(c => c.confidence < 0.6);
+    const graph = await this.readKnowledgeGraph();
+    const concepts = graph.concepts.filter(c => !isArchived(c));
+    const lowConfidenceConcepts = concepts.filter(c => c.confidence < 0.6);
     const recentContent = graph.content_items.slice(-10);
     
     return {
-      low_confidence_concepts: lowConfidenceConcepts,
-      recent_content: recentContent,
-      total_concepts: graph.concepts.length,
-      average_confidence: graph.concepts.reduce((sum, c) => sum + (c.confidence || 0), 0) / graph.concepts.length
+      low_confidence_concepts: clone(lowConfidenceConcepts),
+      recent_content: clone(recentContent),
+      total_concepts: concepts.length,
+      average_confidence: concepts.length > 0
+        ? concepts.reduce((sum, c) => sum + (c.confidence || 0), 0) / concepts.length
+        : 0
     };
   }
 
   async getConceptConnections(conceptName) {
-    const graph = await this.loadKnowledgeGraph();
-    const concept = graph.concepts.find(c => c.name === conceptName);
+    const concept = await this.getConcept(conceptName);
     if (!concept) return [];
     
     return concept.connections || [];
   }
 
   async findRelatedConcepts(conceptName, limit = 5) {
-    const graph = await this.loadKnowledgeGraph();
-    const targetConcept = graph.concepts.find(c => c.name === conceptName);
+    const concepts = await this.readRecords('concepts');
+    const targetConcept = findConcept(concepts, conceptName);
     if (!targetConcept) return [];
     
-    const related = graph.concepts.filter(c => 
-      c.name !== conceptName && 
-      (c.connections?.includes(conceptName) || targetConcept.connections?.includes(c.name))
+    const targetNames = [targetConcept.name, ...(targetConcept.aliases || [])];
+    const related = concepts.filter(c => 
+      c.id !== targetConcept.id && 
+      !isArchived(c) &&
+      (c.connections?.some(name => targetNames.includes(name)) || targetConcept.connections?.includes(c.name))
     );
     
-    return related.slice(0, limit);
+    return clone(related.slice(0, limit));
   }
 }
 
+KnowledgeGraphManager.findConcept = findConcept;
+KnowledgeGraphManager.isArchived = isArchived;
+
 module.exports = KnowledgeGraphManager;
@@ -1,4 +1,10 @@
 const OpenAIClient = require('./openai-client');
+const { EASE_NAMES } = require('./anki');
+
+// How well each Anki answer button says the card was known
+const EASE_SCORES = { 1: 0.2, 2: 0.6, 3: 0.85, 4: 1 };
+// Source excerpts shown to the LLM per concept
+const MAX_PROMPT_EXCERPTS = 5;
 
 class KnowledgeReinforcer {
   constructor(openaiClient, knowledgeGraphManager) {
@@ -25,7 +31,7 @@ class KnowledgeReinforcer {
     }
 
     // Get user profile for personalized questions
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const userProfile = graph.user_profile;
 
     // Select concepts for this session (limit to 3-5 concepts)
@@ -106,23 +112,29 @@ class KnowledgeReinforcer {
     return scoredConcepts.slice(0, 5).map(item => item.concept);
   }
 
+  // Questions are grounded in the passages the concept was extracted from,
+  // and a question built on one of them records it as source_excerpt
   async generateQuestionsForConcept(concept, userProfile) {
-    const questions = await this.openai.generateReinforcementQuestions(concept, userProfile);
+    const excerpts = (await this.knowledgeGraph.getConceptExcerpts(concept.id)).slice(0, MAX_PROMPT_EXCERPTS);
+    const questions = await this.openai.generateReinforcementQuestions(concept, userProfile, excerpts);
     
-    return questions.questions.map(question => ({
-      ...question,
-      concept_name: concept.name,
-      concept_id: concept.name, // Using name as ID for simplicity
-      created_at: new Date().toISOString()
-    }));
+    return questions.questions.map(({ excerpt, ...question }) => {
+      const source = Number.isInteger(excerpt) ? excerpts[excerpt] : null;
+      return {
+        ...question,
+        concept_name: concept.name,
+        concept_id: concept.id,
+        ...(source ? { source_excerpt: { content_id: source.content_id, start: source.start, end: source.end, text: source.text } } : {}),
+        created_at: new Date().toISOString()
+      };
+    });
   }
 
   async processUserAnswer(question, userAnswer) {
     console.log(`📝 Processing answer for: ${question.question}`);
     
-    // Get the concept details
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
-    const concept = graph.concepts.find(c => c.name === question.concept_name);
+    // Get the concept details, by id so renames in the meantime don't matter
+    const concept = await this.knowledgeGraph.getConcept(question.concept_id || question.concept_name);
     
     if (!concept) {
       throw new Error(`Concept not found: ${question.concept_name}`);
@@ -135,12 +147,15 @@ class KnowledgeReinforcer {
     const newConfidence = this.calculateNewConfidence(concept.confidence, analysis);
     
     // Update the concept in the knowledge graph
-    await this.knowledgeGraph.addConcept({
+    await this.knowledgeGraph.runInChangeSet({
+      agent: 'Knowledge Reinforcer',
+      description: `Reinforce "${concept.name}"`
+    }, () => this.knowledgeGraph.addConcept({
       ...concept,
       confidence: newConfidence,
       last_reinforced: new Date().toISOString(),
       reinforcement_schedule: this.calculateNextReinforcement(newConfidence)
-    });
+    }));
 
     // Log the reinforcement activity
     await this.knowledgeGraph.addActivity({
@@ -183,8 +198,8 @@ class KnowledgeReinforcer {
     return Math.max(0, Math.min(1, newConfidence));
   }
 
-  calculateNextReinforcement(confidence) {
-    const now = new Date();
+  calculateNextReinforcement(confidence, from = new Date()) {
+    const now = new Date(from);
     let daysToAdd;
     
     if (confidence >= 0.9) {
@@ -206,58 +221,157 @@ class KnowledgeReinforcer {
   async completeReinforcementSession(session, userAnswers) {
     console.log('✅ Completing reinforcement session...');
     
-    const sessionResults = {
-      concepts_reviewed: session.concepts.map(c => c.name),
-      total_questions: session.questions.length,
-      answers_provided: userAnswers.length,
-      performance_scores: [],
-      insights: [],
-      end_time: new Date().toISOString()
-    };
+    // Confidence updates and the session record form one change set
+    return await this.knowledgeGraph.runInChangeSet({
+      agent: 'Knowledge Reinforcer',
+      description: `Complete reinforcement session for ${session.concepts.length} concepts`
+    }, async () => {
+      const sessionResults = {
+        concepts_reviewed: session.concepts.map(c => c.name),
+        total_questions: session.questions.length,
+        answers_provided: userAnswers.length,
+        // Kept so the questions can be exported as flashcards
+        questions: session.questions.map(question => ({
+          question: question.question,
+          type: question.type,
+          difficulty: question.difficulty,
+          expected_answer: question.expected_answer,
+          concept_id: question.concept_id,
+          concept_name: question.concept_name,
+          ...(question.source_excerpt ? { source_excerpt: question.source_excerpt } : {})
+        })),
+        performance_scores: [],
+        insights: [],
+        end_time: new Date().toISOString()
+      };
 
-    // Process all answers and collect results
-    for (const answer of userAnswers) {
-      try {
-        const question = session.questions.find(q => q.concept_name === answer.concept_name);
-        if (question) {
-          const result = await this.processUserAnswer(question, answer.answer);
-          sessionResults.performance_scores.push({
-            concept: answer.concept_name,
-            accuracy: result.analysis.accuracy_score,
-            completeness: result.analysis.completeness_score,
-            new_confidence: result.newConfidence
-          });
-          sessionResults.insights.push(result.analysis.feedback);
+      // Process all answers and collect results
+      for (const answer of userAnswers) {
+        try {
+          const question = session.questions.find(q => q.concept_name === answer.concept_name);
+          if (question) {
+            const result = await this.processUserAnswer(question, answer.answer);
+            sessionResults.performance_scores.push({
+              concept: answer.concept_name,
+              accuracy: result.analysis.accuracy_score,
+              completeness: result.analysis.completeness_score,
+              new_confidence: result.newConfidence
+            });
+            sessionResults.insights.push(result.analysis.feedback);
+          }
+        } catch (error) {
+          console.error(`Error processing answer for ${answer.concept_name}:`, error);
         }
-      } catch (error) {
-        console.error(`Error processing answer for ${answer.concept_name}:`, error);
       }
-    }
 
-    // Calculate overall session performance
-    const avgAccuracy = sessionResults.performance_scores.reduce((sum, score) => sum + score.accuracy, 0) / sessionResults.performance_scores.length;
-    const avgCompleteness = sessionResults.performance_scores.reduce((sum, score) => sum + score.completeness, 0) / sessionResults.performance_scores.length;
+      // Calculate overall session performance
+      const avgAccuracy = sessionResults.performance_scores.reduce((sum, score) => sum + score.accuracy, 0) / sessionResults.performance_scores.length;
+      const avgCompleteness = sessionResults.performance_scores.reduce((sum, score) => sum + score.completeness, 0) / sessionResults.performance_scores.length;
     
-    sessionResults.overall_performance = (avgAccuracy + avgCompleteness) / 2;
-    sessionResults.performance_insights = this.generatePerformanceInsights(sessionResults);
+      sessionResults.overall_performance = (avgAccuracy + avgCompleteness) / 2;
+      sessionResults.performance_insights = this.generatePerformanceInsights(sessionResults);
+
+      // Save the reinforcement session
+      await this.knowledgeGraph.addReinforcementSession(sessionResults);
+
+      // Log completion activity
+      await this.knowledgeGraph.addActivity({
+        type: 'reinforcement',
+        agent: 'Knowledge Reinforcer',
+        message: `Completed reinforcement session with ${sessionResults.overall_performance.toFixed(2)} performance`,
+        status: 'completed',
+        details: {
+          concepts_reviewed: sessionResults.concepts_reviewed.length,
+          total_questions: sessionResults.total_questions,
+          overall_performance: sessionResults.overall_performance
+        }
+      });
+
+      return sessionResults;
+    });
+  }
 
-    // Save the reinforcement session
-    await this.knowledgeGraph.addReinforcementSession(sessionResults);
+  // Applies reviews made elsewhere (see readAnkiReviews in anki.js), oldest
+  // first, the way answers given here are: confidence moves toward the
+  // review's score and the next reinforcement is scheduled from the review
+  // date. Reviews no newer than a concept's last reinforcement were already
+  // counted, so importing the same log twice changes nothing. The reviews
+  // are stored as one reinforcement session.
+  async importReviews(reviews, options = {}) {
+    const source = options.source || 'anki';
 
-    // Log completion activity
-    await this.knowledgeGraph.addActivity({
-      type: 'reinforcement',
+    return await this.knowledgeGraph.runInChangeSet({
       agent: 'Knowledge Reinforcer',
-      message: `Completed reinforcement session with ${sessionResults.overall_performance.toFixed(2)} performance`,
-      status: 'completed',
-      details: {
-        concepts_reviewed: sessionResults.concepts_reviewed.length,
-        total_questions: sessionResults.total_questions,
-        overall_performance: sessionResults.overall_performance
+      description: `Import ${reviews.length} ${source} reviews`
+    }, async () => {
+      const updated = new Map();
+      const result = { applied: 0, skipped: 0, unknown: 0, concepts: [] };
+
+      for (const review of reviews) {
+        const concept = updated.get(review.concept_id) || await this.knowledgeGraph.getConcept(review.concept_id);
+        if (!concept) {
+          result.unknown++;
+          continue;
+        }
+        if (concept.last_reinforced && Date.parse(review.reviewed_at) <= Date.parse(concept.last_reinforced)) {
+          result.skipped++;
+          continue;
+        }
+
+        const score = EASE_SCORES[review.ease];
+        const confidence = this.calculateNewConfidence(concept.confidence ?? 0.5, {
+          accuracy_score: score,
+          completeness_score: score
+        });
+        updated.set(concept.id, {
+          ...concept,
+          confidence,
+          last_reinforced: new Date(review.reviewed_at).toISOString(),
+          reinforcement_schedule: this.calculateNextReinforcement(confidence, review.reviewed_at),
+          reviews: [...(updated.get(concept.id)?.reviews || []), { ease: review.ease, score }],
+          previous_confidence: updated.get(concept.id)?.previous_confidence ?? concept.confidence ?? null
+        });
+        result.applied++;
       }
-    });
 
-    return sessionResults;
+      const performanceScores = [];
+      for (const { reviews: conceptReviews, previous_confidence, ...concept } of updated.values()) {
+        await this.knowledgeGraph.addConcept(concept);
+        const score = conceptReviews.reduce((sum, review) => sum + review.score, 0) / conceptReviews.length;
+        performanceScores.push({ concept: concept.name, accuracy: score, completeness: score, new_confidence: concept.confidence });
+        result.concepts.push({
+          concept: concept.name,
+          reviews: conceptReviews.length,
+          answers: conceptReviews.map(review => EASE_NAMES[review.ease]),
+          previous_confidence,
+          confidence: concept.confidence,
+          next_review: concept.reinforcement_schedule
+        });
+      }
+
+      if (updated.size > 0) {
+        const scores = [...updated.values()].flatMap(concept => concept.reviews.map(review => review.score));
+        await this.knowledgeGraph.addReinforcementSession({
+          source,
+          concepts_reviewed: result.concepts.map(item => item.concept),
+          total_questions: result.applied,
+          answers_provided: result.applied,
+          performance_scores: performanceScores,
+          overall_performance: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+          end_time: new Date().toISOString()
+        });
+      }
+
+      await this.knowledgeGraph.addActivity({
+        type: 'reinforcement',
+        agent: 'Knowledge Reinforcer',
+        message: `Imported ${result.applied} ${source} reviews for ${updated.size} concepts`,
+        status: 'completed',
+        details: { applied: result.applied, skipped: result.skipped, unknown: result.unknown }
+      });
+
+      return result;
+    });
   }
 
   generatePerformanceInsights(sessionResults) {
@@ -293,7 +407,7 @@ class KnowledgeReinforcer {
   }
 
   async getReinforcementStats() {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const sessions = graph.reinforcement_sessions;
     
     if (sessions.length === 0) {
@@ -0,0 +1,73 @@
+const { llmError, withSchemaInstruction, parseStructuredResponse, requestOptions, postJSON, joinURL } = require('./common');
+
+const API_VERSION = '2023-06-01';
+
+// The Messages API takes the system prompt apart from the turns, which must
+// alternate between user and assistant. System messages are joined into the
+// system prompt and consecutive turns of one role merged. Several prompts in
+// this codebase are system messages only; those are sent as the user turn.
+function toAnthropicMessages(messages) {
+  const system = [];
+  const turns = [];
+  messages.forEach(message => {
+    if (message.role === 'system') {
+      system.push(message.content);
+      return;
+    }
+    const role = message.role === 'assistant' ? 'assistant' : 'user';
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.content += `\n\n${message.content}`;
+    } else {
+      turns.push({ role, content: message.content });
+    }
+  });
+
+  if (turns.length === 0) {
+    return { messages: [{ role: 'user', content: system.join('\n\n') }] };
+  }
+  if (turns[0].role !== 'user') {
+    turns.unshift({ role: 'user', content: 'Continue the conversation below.' });
+  }
+  return { system: system.join('\n\n') || undefined, messages: turns };
+}
+
+class AnthropicProvider {
+  constructor(config) {
+    this.name = config.provider;
+    this.model = config.model;
+    this.apiKey = config.apiKey;
+    this.baseURL = config.baseURL;
+  }
+
+  async complete(messages, options, structured) {
+    try {
+      const response = await postJSON(joinURL(this.baseURL, '/v1/messages'), {
+        model: options.model || this.model,
+        ...requestOptions(options, structured),
+        ...toAnthropicMessages(messages)
+      }, {
+        'x-api-key': this.apiKey,
+        'anthropic-version': API_VERSION
+      });
+      return response.content.filter(block => block.type === 'text').map(block => block.text).join('');
+    } catch (error) {
+      console.error(`${this.name} API error:`, error.message);
+      throw error;
+    }
+  }
+
+  async generateResponse(messages, options = {}) {
+    return await this.complete(messages, options, false);
+  }
+
+  async generateStructuredResponse(messages, schema, options = {}) {
+    return parseStructuredResponse(await this.complete(withSchemaInstruction(messages, schema), options, true));
+  }
+
+  async createEmbeddings() {
+    throw llmError('EMBEDDINGS_UNSUPPORTED', 'Anthropic has no embeddings API');
+  }
+}
+
+module.exports = AnthropicProvider;
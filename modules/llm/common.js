@@ -0,0 +1,80 @@
+// Helpers shared by the LLM providers
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_STRUCTURED_TEMPERATURE = 0.3;
+const DEFAULT_MAX_TOKENS = 2000;
+
+function llmError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Every provider is asked for JSON the same way, with the schema spelled out
+// in a closing system message; JSON modes where a provider has one only
+// make it more reliable
+function withSchemaInstruction(messages, schema) {
+  return [
+    ...messages,
+    {
+      role: 'system',
+      content: `Respond with valid JSON that matches this schema: ${JSON.stringify(schema)}`
+    }
+  ];
+}
+
+// The JSON object in a reply. Models without a JSON mode tend to wrap it in
+// a code fence or a sentence, so the outermost braces are tried as well.
+function parseStructuredResponse(text) {
+  const candidates = [String(text || '').trim()];
+  const fenced = candidates[0].match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) candidates.push(fenced[1].trim());
+  const first = candidates[0].indexOf('{');
+  const last = candidates[0].lastIndexOf('}');
+  if (first !== -1 && last > first) candidates.push(candidates[0].slice(first, last + 1));
+
+  for (const candidate of candidates) {
+    try {
+      const value = JSON.parse(candidate);
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) return value;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  throw llmError('INVALID_LLM_RESPONSE', `Expected a JSON object from the LLM, got: ${candidates[0].slice(0, 200)}`);
+}
+
+function requestOptions(options, structured) {
+  return {
+    temperature: options.temperature ?? (structured ? DEFAULT_STRUCTURED_TEMPERATURE : DEFAULT_TEMPERATURE),
+    max_tokens: options.max_tokens || DEFAULT_MAX_TOKENS
+  };
+}
+
+async function postJSON(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+  if (!response.ok) {
+    const error = llmError('LLM_REQUEST_FAILED', `${url} returned ${response.status}: ${text.slice(0, 300)}`);
+    error.status = response.status;
+    throw error;
+  }
+  return JSON.parse(text);
+}
+
+function joinURL(base, path) {
+  return `${String(base).replace(/\/+$/, '')}${path}`;
+}
+
+module.exports = {
+  llmError,
+  withSchemaInstruction,
+  parseStructuredResponse,
+  requestOptions,
+  postJSON,
+  joinURL
+};
@@ -0,0 +1,91 @@
+const OpenAIProvider = require('./openai-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const OllamaProvider = require('./ollama-provider');
+const MockProvider = require('./mock-provider');
+const { llmError } = require('./common');
+
+// Each provider answers generateResponse(messages, options),
+// generateStructuredResponse(messages, schema, options), which resolves to
+// the parsed JSON object, and createEmbeddings(texts, options), which
+// resolves to one vector per text. messages are OpenAI-style
+// { role, content } and options may set model, temperature and max_tokens.
+const PROVIDERS = {
+  openai: {
+    Provider: OpenAIProvider,
+    model: 'gpt-4o',
+    embeddingModel: 'text-embedding-3-small',
+    apiKeyVariable: 'OPENAI_API_KEY'
+  },
+  anthropic: {
+    Provider: AnthropicProvider,
+    model: 'claude-3-5-sonnet-latest',
+    baseURL: 'https://api.anthropic.com',
+    apiKeyVariable: 'ANTHROPIC_API_KEY'
+  },
+  // Needs EUMICUS_LLM_BASE_URL and EUMICUS_LLM_MODEL, and
+  // EUMICUS_EMBEDDING_MODEL for embeddings; the key is optional
+  'openai-compatible': {
+    Provider: OpenAIProvider,
+    apiKey: 'none'
+  },
+  'llama.cpp': {
+    Provider: OpenAIProvider,
+    // The server answers with whichever model it has loaded
+    model: 'default',
+    embeddingModel: 'default',
+    baseURL: 'http://localhost:8080/v1',
+    apiKey: 'none'
+  },
+  ollama: {
+    Provider: OllamaProvider,
+    model: 'llama3.1',
+    embeddingModel: 'nomic-embed-text',
+    baseURL: 'http://localhost:11434'
+  },
+  // Offline fixtures, see mock-provider.js
+  mock: {
+    Provider: MockProvider,
+    model: 'mock'
+  }
+};
+
+// Explicit options win, then the EUMICUS_LLM* variables, then the
+// provider's defaults. EUMICUS_LLM picks the provider (openai by default).
+function resolveLLMConfig(options = {}, env = process.env) {
+  const configured = options.provider || env.EUMICUS_LLM || 'openai';
+  const provider = configured.toLowerCase();
+  const defaults = PROVIDERS[provider];
+  if (!defaults) {
+    throw llmError('UNKNOWN_LLM_PROVIDER', `Unknown LLM provider "${configured}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const config = {
+    provider,
+    model: options.model || env.EUMICUS_LLM_MODEL || defaults.model,
+    embeddingModel: options.embeddingModel || env.EUMICUS_EMBEDDING_MODEL || defaults.embeddingModel,
+    baseURL: options.baseURL || env.EUMICUS_LLM_BASE_URL || defaults.baseURL,
+    apiKey: options.apiKey || env.EUMICUS_LLM_API_KEY || (defaults.apiKeyVariable && env[defaults.apiKeyVariable]) || defaults.apiKey
+  };
+
+  if (!config.apiKey && defaults.apiKeyVariable) {
+    throw llmError('LLM_NOT_CONFIGURED', `No API key for ${provider}. Set ${defaults.apiKeyVariable} or EUMICUS_LLM_API_KEY.`);
+  }
+  if (!config.baseURL && provider === 'openai-compatible') {
+    throw llmError('LLM_NOT_CONFIGURED', 'Set EUMICUS_LLM_BASE_URL to the address of the OpenAI-compatible server.');
+  }
+  if (!config.model) {
+    throw llmError('LLM_NOT_CONFIGURED', `Set EUMICUS_LLM_MODEL to the model ${provider} should use.`);
+  }
+  return config;
+}
+
+function createLLMProvider(options = {}, env = process.env) {
+  const config = resolveLLMConfig(options, env);
+  return new PROVIDERS[config.provider].Provider(config);
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveLLMConfig,
+  createLLMProvider
+};
@@ -0,0 +1,507 @@
+const crypto = require('crypto');
+
+// An offline stand-in for a real model, picked with EUMICUS_LLM=mock, for
+// development, demos and tests. Replies are built from the prompt alone, so
+// the same messages always get the same reply. Each prompt family of the
+// modules is recognized by its schema and gets a fixture made from what the
+// prompt contains (concept names, the text being processed, the profile);
+// any other schema gets a value generated from the schema itself.
+
+const EMBEDDING_DIMENSIONS = 64;
+const MAX_EXTRACTED_CONCEPTS = 5;
+const STOPWORDS = new Set([
+  'about', 'above', 'after', 'again', 'against', 'along', 'also', 'among', 'another', 'around', 'because',
+  'before', 'being', 'below', 'between', 'both', 'cannot', 'could', 'different', 'during', 'each', 'either',
+  'every', 'first', 'from', 'further', 'given', 'have', 'having', 'into', 'itself', 'large', 'later', 'least',
+  'makes', 'many', 'might', 'more', 'most', 'much', 'must', 'never', 'often', 'other', 'others', 'over',
+  'rather', 'really', 'same', 'second', 'should', 'since', 'small', 'some', 'still', 'such', 'than', 'that',
+  'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'though',
+  'through', 'today', 'under', 'until', 'using', 'usually', 'very', 'want', 'well', 'were', 'what', 'when',
+  'where', 'whether', 'which', 'while', 'whose', 'will', 'with', 'within', 'without', 'would', 'your'
+]);
+
+function hashOf(value) {
+  return crypto.createHash('sha1').update(typeof value === 'string' ? value : JSON.stringify(value)).digest();
+}
+
+// A number in [0, 1) that depends only on the values given
+function unitOf(...values) {
+  return hashOf(values).readUInt32BE(0) / 0x100000000;
+}
+
+function pick(list, ...values) {
+  return list[Math.floor(unitOf(...values) * list.length)];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function wordsOf(text) {
+  return (String(text || '').toLowerCase().match(/[a-z][a-z0-9-]+/g) || []);
+}
+
+function lastUserMessage(messages) {
+  const user = messages.filter(message => message.role === 'user');
+  return user.length > 0 ? String(user[user.length - 1].content) : '';
+}
+
+// The JSON value following "label:" in the prompt, as the modules embed
+// concepts, profiles and pairs in it
+function jsonAfter(text, label) {
+  const at = text.indexOf(`${label}:`);
+  if (at === -1) return null;
+  let start = at + label.length + 1;
+  while (/\s/.test(text[start] || '')) start++;
+  const open = text[start];
+  if (open !== '{' && open !== '[') return null;
+
+  const close = open === '{' ? '}' : ']';
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close && --depth === 0) {
+      try {
+        return JSON.parse(text.slice(start, i + 1));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function namesIn(value) {
+  return (Array.isArray(value) ? value : value ? [value] : [])
+    .map(item => (typeof item === 'string' ? item : item && item.name))
+    .filter(Boolean);
+}
+
+// The text's sentences, trimmed but otherwise exact, since excerpts have to
+// be found in the text
+function sentencesOf(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]+[.!?]?/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const trimmed = match[0].trim();
+    if (trimmed.length > 0) sentences.push(trimmed);
+  }
+  return sentences;
+}
+
+function listOf(value) {
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+}
+
+// A value for any schema: every property filled in, enums and ranges
+// respected, two items per array
+function fromSchema(schema, path = 'value') {
+  if (!schema || typeof schema !== 'object') return null;
+  if (Array.isArray(schema.enum)) return pick(schema.enum, path);
+
+  switch (schema.type) {
+    case 'object': {
+      const value = {};
+      Object.entries(schema.properties || {}).forEach(([key, property]) => {
+        value[key] = fromSchema(property, key);
+      });
+      return value;
+    }
+    case 'array':
+      return [0, 1].map(index => fromSchema(schema.items, `${path} ${index + 1}`));
+    case 'number':
+    case 'integer': {
+      const min = schema.minimum ?? 0;
+      const max = schema.maximum ?? (schema.type === 'integer' ? 10 : 1);
+      const value = min + (max - min) * unitOf(path);
+      return schema.type === 'integer' ? Math.floor(value) : round(value);
+    }
+    case 'boolean':
+      return unitOf(path) < 0.5;
+    default:
+      return `Mock ${path.replace(/_/g, ' ')}`;
+  }
+}
+
+// The edge types or other values the schema allows for an array item field
+function itemEnum(schema, list, field) {
+  return schema.properties?.[list]?.items?.properties?.[field]?.enum || [];
+}
+
+function itemRange(schema, list, field) {
+  const property = schema.properties?.[list]?.items?.properties?.[field] || {};
+  return { min: property.minimum ?? 0, max: property.maximum ?? 1 };
+}
+
+// Two-word phrases used at least twice ("gradient descent") come first, then
+// single words, most frequent first
+function keyPhrasesOf(text) {
+  const counts = new Map();
+  const count = phrase => counts.set(phrase, (counts.get(phrase) || 0) + 1);
+  sentencesOf(text).forEach(sentence => {
+    const words = wordsOf(sentence).map(word => (word.length < 5 || STOPWORDS.has(word) ? null : word));
+    words.forEach((word, index) => {
+      if (!word) return;
+      count(word);
+      if (words[index + 1]) count(`${word} ${words[index + 1]}`);
+    });
+  });
+
+  const phrases = [...counts.entries()]
+    .filter(([phrase, times]) => !phrase.includes(' ') || times >= 2)
+    .sort((a, b) => b[0].split(' ').length - a[0].split(' ').length || b[1] - a[1])
+    .map(([phrase]) => phrase);
+  const chosen = [];
+  phrases.forEach(phrase => {
+    if (chosen.length >= MAX_EXTRACTED_CONCEPTS) return;
+    if (chosen.some(other => other.split(' ').some(word => phrase.split(' ').includes(word)))) return;
+    chosen.push(phrase);
+  });
+  return chosen;
+}
+
+// extractConcepts: the text's key phrases become concepts, each quoting the
+// first sentence that uses it
+function extractionFixture(messages) {
+  const text = lastUserMessage(messages);
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n');
+  const categoryList = (system.match(/Existing categories: (.*)/) || [])[1] || '';
+  const categories = categoryList === 'none yet' ? [] : categoryList.split(';').map(category => category.trim()).filter(Boolean);
+
+  const phrases = keyPhrasesOf(text);
+  const sentences = sentencesOf(text);
+  const names = phrases.map(capitalize);
+  const concepts = phrases.map((phrase, index) => {
+    const sentence = sentences.find(candidate => wordsOf(candidate).join(' ').includes(phrase)) || text.slice(0, 200);
+    return {
+      name: names[index],
+      description: sentence.length > 200 ? `${sentence.slice(0, 197)}...` : sentence,
+      confidence: round(0.5 + unitOf(phrase) * 0.3),
+      category: categories.length > 0 ? pick(categories, phrase) : 'General',
+      connections: names.filter(name => name !== names[index]).slice(0, 2),
+      excerpts: [sentence]
+    };
+  });
+
+  return {
+    concepts,
+    insights: names.length > 0 ? [`The text centers on ${names.slice(0, 3).join(', ')}.`] : [],
+    key_takeaways: sentences.slice(0, 2)
+  };
+}
+
+// generateReinforcementQuestions
+function questionsFixture(messages) {
+  const system = messages.map(message => message.content).join('\n');
+  const concept = jsonAfter(system, 'Concept') || {};
+  const name = concept.name || 'this concept';
+  const related = listOf(concept.connections)[0];
+  const cited = system.includes('Source excerpts') ? { excerpt: 0 } : {};
+
+  return {
+    questions: [
+      { question: `What is ${name}?`, type: 'recall', difficulty: 'beginner', expected_answer: concept.description || `A definition of ${name}.`, ...cited },
+      { question: `Describe a situation where you would apply ${name}.`, type: 'application', difficulty: 'intermediate', expected_answer: `A concrete use of ${name}.` },
+      {
+        question: related ? `How does ${name} relate to ${related}?` : `What would change without ${name}?`,
+        type: 'analysis',
+        difficulty: 'advanced',
+        expected_answer: related ? `How ${name} and ${related} depend on or differ from each other.` : `The consequences of leaving out ${name}.`
+      }
+    ]
+  };
+}
+
+// analyzeUserResponse: scored by how much of the concept's description the
+// answer covers
+function answerFixture(messages) {
+  const text = lastUserMessage(messages);
+  const answer = (text.match(/User's Answer: ([\s\S]*?)\n\s*Concept:/) || [])[1] || '';
+  const concept = jsonAfter(text, 'Concept') || {};
+  const expected = new Set(wordsOf(concept.description).filter(word => word.length > 3 && !STOPWORDS.has(word)));
+  const given = new Set(wordsOf(answer));
+  const covered = [...expected].filter(word => given.has(word)).length;
+  const accuracy = expected.size > 0 ? covered / expected.size : 0.5;
+  const accuracyScore = round(Math.min(0.95, Math.max(0.2, 0.2 + accuracy)));
+  const completenessScore = round(Math.min(0.95, Math.max(0.1, given.size / 40)));
+
+  return {
+    accuracy_score: accuracyScore,
+    completeness_score: completenessScore,
+    feedback: accuracyScore >= 0.6
+      ? `Good answer; it covers the main points of ${concept.name || 'the concept'}.`
+      : `Your answer misses parts of ${concept.name || 'the concept'}; review its definition.`,
+    strengths: given.size > 0 ? ['You answered in your own words'] : [],
+    areas_for_improvement: accuracyScore < 0.6 ? [`The key ideas of ${concept.name || 'the concept'}`] : [],
+    suggested_resources: [],
+    next_steps: [`Explain ${concept.name || 'the concept'} to someone else`]
+  };
+}
+
+function profileIn(text) {
+  return jsonAfter(text, 'User Profile') || jsonAfter(text, 'User profile') || jsonAfter(text, 'Current Profile') || jsonAfter(text, 'Profile') || {};
+}
+
+// identifyKnowledgeGaps
+function gapsFixture(messages) {
+  const text = messages.map(message => message.content).join('\n');
+  const profile = profileIn(text);
+  const known = new Set(namesIn(jsonAfter(text, 'Current Concepts')).map(name => name.toLowerCase()));
+  const areas = [...listOf(profile.interests), ...listOf(profile.goals)]
+    .filter(area => !known.has(area.toLowerCase()))
+    .slice(0, 3);
+  if (areas.length === 0) areas.push('Foundations of your main subject');
+
+  return {
+    knowledge_gaps: areas.map((area, index) => ({
+      area,
+      priority: ['high', 'medium', 'low'][index],
+      reason: `None of your concepts cover ${area} yet.`,
+      suggested_resources: [`An introduction to ${area}`]
+    })),
+    exploration_suggestions: areas.map(area => ({
+      topic: `Getting started with ${area}`,
+      connection_to_goals: `Builds toward ${listOf(profile.goals)[0] || 'your goals'}.`,
+      difficulty_level: 'beginner',
+      estimated_time: '1-2 hours'
+    }))
+  };
+}
+
+// "ANNs" for "Artificial Neural Networks"
+function abbreviates(short, long) {
+  const words = wordsOf(long);
+  const compact = String(short).toLowerCase().replace(/[^a-z0-9]/g, '').replace(/s$/, '');
+  return words.length > 1 && words.map(word => word[0]).join('') === compact;
+}
+
+// confirmDuplicateConcepts: the same when the names share most of their
+// words or one is the other's acronym
+function verdictsFixture(messages) {
+  const pairs = jsonAfter(lastUserMessage(messages), 'Pairs') || [];
+  return {
+    verdicts: pairs.map(({ pair, a, b }) => {
+      const wordsA = new Set(wordsOf(a.name).map(word => word.replace(/s$/, '')));
+      const wordsB = new Set(wordsOf(b.name).map(word => word.replace(/s$/, '')));
+      const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+      const acronym = abbreviates(a.name, b.name) || abbreviates(b.name, a.name);
+      const same = acronym || shared / Math.max(wordsA.size, wordsB.size, 1) >= 0.5;
+      return {
+        pair,
+        same_concept: same,
+        confidence: same ? 0.8 : 0.7,
+        reason: same ? `"${a.name}" and "${b.name}" name the same thing` : `"${a.name}" and "${b.name}" are different ideas`
+      };
+    })
+  };
+}
+
+// findConceptConnections and the connection mapper's prompts: each new
+// concept is linked to up to two of the others, preferring ones it shares a
+// word with
+function connectionsFixture(messages, schema) {
+  const text = messages.map(message => message.content).join('\n');
+  const sources = namesIn(jsonAfter(text, 'New Concepts') || jsonAfter(text, 'Concept'));
+  const targets = namesIn(jsonAfter(text, 'Existing Concepts') || jsonAfter(text, 'Other concepts'));
+  const types = itemEnum(schema, 'connections', 'relationship_type');
+  const { min, max } = itemRange(schema, 'connections', 'strength');
+
+  const connections = [];
+  sources.forEach(from => {
+    const words = new Set(wordsOf(from));
+    [...targets]
+      .filter(to => to !== from)
+      .sort((a, b) => wordsOf(b).filter(word => words.has(word)).length - wordsOf(a).filter(word => words.has(word)).length)
+      .slice(0, 2)
+      .forEach(to => {
+        connections.push({
+          from_concept: from,
+          to_concept: to,
+          relationship_type: types.length > 0 ? pick(types, from, to) : 'related-to',
+          strength: round(Math.max(min, Math.min(max, 0.6 + unitOf(from, to) * 0.4))),
+          description: `${from} and ${to} come up together`
+        });
+      });
+  });
+  return { connections };
+}
+
+// ReflectionEngine.generateReflectionPrompts
+function reflectionPromptsFixture(messages) {
+  const text = messages.map(message => message.content).join('\n');
+  const concept = namesIn(jsonAfter(text, 'Recent Concepts'))[0] || 'what you learned recently';
+  const goal = listOf(profileIn(text).goals)[0] || 'your goals';
+  return {
+    prompts: [
+      { category: 'knowledge_connection', question: `How does ${concept} connect to what you already knew?`, context: 'Connecting new knowledge', expected_insight_type: 'connection' },
+      { category: 'goal_progress', question: `How does your recent learning move you toward ${goal}?`, context: 'Progress toward goals', expected_insight_type: 'progress' },
+      { category: 'next_steps', question: 'What do you want to learn next, and why?', context: 'Planning next steps', expected_insight_type: 'planning' }
+    ]
+  };
+}
+
+// ReflectionEngine.analyzeReflectionInsights
+function reflectionAnalysisFixture(messages) {
+  const text = messages.map(message => message.content).join('\n');
+  const goals = listOf(profileIn(text).goals);
+  return {
+    connections: [
+      { concept1: 'Recent learning', concept2: goals[0] || 'Your goals', relationship: 'supports', significance: 'Your reflections tie new material to what you are working toward.' }
+    ],
+    goals_progress: (goals.length > 0 ? goals : ['Your learning']).slice(0, 3).map(goal => ({
+      goal,
+      progress_level: 'developing',
+      evidence: 'You reflected on how recent material relates to it.',
+      next_milestone: `Apply what you learned to ${goal}`
+    })),
+    next_steps: [
+      { action: 'Review the concepts you are least confident in', priority: 'high', timeline: 'this week', rationale: 'They are due for reinforcement.' }
+    ]
+  };
+}
+
+// ReflectionEngine.generateWeeklyReflection
+function weeklyFixture() {
+  return {
+    summary: 'A steady week of learning.',
+    key_achievements: ['Added new concepts to your knowledge graph'],
+    knowledge_growth: 'Your graph grew and connected to what you already knew.',
+    goal_progress: 'You are making progress toward your goals.',
+    areas_for_improvement: ['Review concepts more regularly'],
+    next_week_recommendations: ['Complete a reinforcement session every other day'],
+    learning_insights: ['You learn best by connecting new ideas to known ones']
+  };
+}
+
+// ReflectionEngine.identifyLearningPatterns
+function patternsFixture() {
+  return {
+    learning_preferences: ['Reading articles'],
+    knowledge_patterns: ['New concepts build on existing ones'],
+    reinforcement_effectiveness: 'Regular reviews keep confidence up.',
+    content_preferences: ['In-depth articles'],
+    goal_alignment: 'Most of what you learn relates to your goals.',
+    recommendations: ['Keep reviewing due concepts', 'Explore one new area each week']
+  };
+}
+
+// UserProfiler.processPhaseResponse: the answer goes into the field of the
+// phase it answers
+const PHASE_FIELDS = {
+  goals: 'extracted_goals',
+  interests: 'extracted_interests',
+  current_knowledge: 'extracted_knowledge',
+  learning_style: 'learning_style_indicators',
+  context: 'background_info'
+};
+
+function profilePhaseFixture(messages, schema) {
+  const text = messages.map(message => message.content).join('\n');
+  const [, phase, response] = text.match(/Phase: (\S+)\s+Response: ([\s\S]*?)\n\s*Extract and structure/) || [];
+  const value = {};
+  Object.keys(schema.properties || {}).forEach(key => {
+    value[key] = [];
+  });
+  const field = PHASE_FIELDS[phase];
+  const answer = sentencesOf(response || '')[0];
+  if (field && answer) value[field] = [answer.replace(/[.!?]$/, '')];
+  return value;
+}
+
+// UserProfiler.analyzeUserProfile
+function profileAnalysisFixture(messages) {
+  const profile = profileIn(messages.map(message => message.content).join('\n'));
+  const interests = listOf(profile.interests);
+  return {
+    consolidated_goals: [...new Set(listOf(profile.goals))],
+    consolidated_interests: [...new Set(interests)],
+    consolidated_knowledge: [...new Set(listOf(profile.current_knowledge))],
+    learning_style_assessment: profile.learning_style || 'Mixed: reading and practice',
+    recommended_approach: 'Short daily sessions that connect new material to what you know',
+    initial_concepts: interests.slice(0, 3).map(interest => ({
+      name: capitalize(interest),
+      description: `Your interest in ${interest}.`,
+      confidence: 0.3,
+      category: 'General',
+      priority: 'medium'
+    })),
+    insights: interests.length > 0 ? [`Your interests center on ${interests.slice(0, 2).join(' and ')}.`] : []
+  };
+}
+
+// UserProfiler.updateProfileFromInteraction
+function profileUpdateFixture() {
+  return { new_goals: [], new_interests: [], learning_style_updates: '', profile_insights: [] };
+}
+
+// Which fixture answers a schema, by its top-level properties
+const FIXTURES = [
+  { matches: schema => 'key_takeaways' in schema.properties, build: extractionFixture },
+  { matches: schema => 'questions' in schema.properties, build: questionsFixture },
+  { matches: schema => 'accuracy_score' in schema.properties, build: answerFixture },
+  { matches: schema => 'knowledge_gaps' in schema.properties, build: gapsFixture },
+  { matches: schema => 'verdicts' in schema.properties, build: verdictsFixture },
+  { matches: schema => 'from_concept' in (schema.properties.connections?.items?.properties || {}), build: connectionsFixture },
+  { matches: schema => 'goals_progress' in schema.properties, build: reflectionAnalysisFixture },
+  { matches: schema => 'prompts' in schema.properties, build: reflectionPromptsFixture },
+  { matches: schema => 'key_achievements' in schema.properties, build: weeklyFixture },
+  { matches: schema => 'learning_preferences' in schema.properties, build: patternsFixture },
+  { matches: schema => 'extracted_goals' in schema.properties, build: profilePhaseFixture },
+  { matches: schema => 'consolidated_goals' in schema.properties, build: profileAnalysisFixture },
+  { matches: schema => 'new_goals' in schema.properties, build: profileUpdateFixture }
+];
+
+class MockProvider {
+  constructor(config) {
+    this.name = config.provider;
+    this.model = config.model;
+    // Every call, for tests to inspect: { method, messages, schema }
+    this.calls = [];
+  }
+
+  async generateResponse(messages, options = {}) {
+    this.calls.push({ method: 'generateResponse', messages });
+    const prompt = lastUserMessage(messages) || messages.map(message => message.content).join('\n');
+    const topic = sentencesOf(prompt)[0] || 'that';
+    const reply = pick([
+      `Here is a thought on "${topic}": connect it to something you already know well.`,
+      `"${topic}" is worth exploring step by step, starting from the fundamentals.`,
+      `Good question. For "${topic}", try explaining it in your own words first.`
+    ], messages);
+    return options.max_tokens && options.max_tokens <= 100 ? reply.slice(0, 200) : reply;
+  }
+
+  async generateStructuredResponse(messages, schema, options = {}) {
+    this.calls.push({ method: 'generateStructuredResponse', messages, schema });
+    const fixture = schema && schema.properties ? FIXTURES.find(candidate => candidate.matches(schema)) : null;
+    return fixture ? fixture.build(messages, schema) : fromSchema(schema);
+  }
+
+  // Hashed bag of words: texts sharing words get similar vectors
+  async createEmbeddings(texts, options = {}) {
+    this.calls.push({ method: 'createEmbeddings', texts });
+    return (Array.isArray(texts) ? texts : [texts]).map(text => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      wordsOf(text).forEach(word => {
+        vector[hashOf(word).readUInt16BE(0) % EMBEDDING_DIMENSIONS] += 1;
+      });
+      const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / length);
+    });
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,47 @@
+const { withSchemaInstruction, parseStructuredResponse, requestOptions, postJSON, joinURL } = require('./common');
+
+// A local Ollama server, through its native API. llama.cpp's server speaks
+// the OpenAI API and goes through OpenAIProvider instead.
+class OllamaProvider {
+  constructor(config) {
+    this.name = config.provider;
+    this.model = config.model;
+    this.embeddingModel = config.embeddingModel;
+    this.baseURL = config.baseURL;
+  }
+
+  async complete(messages, options, structured) {
+    const { temperature, max_tokens } = requestOptions(options, structured);
+    try {
+      const response = await postJSON(joinURL(this.baseURL, '/api/chat'), {
+        model: options.model || this.model,
+        messages,
+        stream: false,
+        ...(structured ? { format: 'json' } : {}),
+        options: { temperature, num_predict: max_tokens }
+      });
+      return response.message.content;
+    } catch (error) {
+      console.error(`${this.name} API error:`, error.message);
+      throw error;
+    }
+  }
+
+  async generateResponse(messages, options = {}) {
+    return await this.complete(messages, options, false);
+  }
+
+  async generateStructuredResponse(messages, schema, options = {}) {
+    return parseStructuredResponse(await this.complete(withSchemaInstruction(messages, schema), options, true));
+  }
+
+  async createEmbeddings(texts, options = {}) {
+    const response = await postJSON(joinURL(this.baseURL, '/api/embed'), {
+      model: options.model || this.embeddingModel,
+      input: texts
+    });
+    return response.embeddings;
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,56 @@
+const OpenAI = require('openai');
+const { llmError, withSchemaInstruction, parseStructuredResponse, requestOptions } = require('./common');
+
+// OpenAI, and any server that speaks its chat completions API at baseURL
+// (vLLM, LM Studio, llama.cpp's server, ...)
+class OpenAIProvider {
+  constructor(config) {
+    this.name = config.provider;
+    this.model = config.model;
+    this.embeddingModel = config.embeddingModel;
+    this.client = new OpenAI({
+      apiKey: config.apiKey,
+      ...(config.baseURL ? { baseURL: config.baseURL } : {})
+    });
+  }
+
+  async complete(messages, options, structured) {
+    try {
+      const response = await this.client.chat.completions.create({
+        model: options.model || this.model,
+        messages,
+        ...requestOptions(options, structured),
+        ...(structured ? { response_format: { type: 'json_object' } } : {})
+      });
+      return response.choices[0].message.content;
+    } catch (error) {
+      console.error(`${this.name} API error:`, error.message);
+      throw error;
+    }
+  }
+
+  async generateResponse(messages, options = {}) {
+    return await this.complete(messages, options, false);
+  }
+
+  async generateStructuredResponse(messages, schema, options = {}) {
+    return parseStructuredResponse(await this.complete(withSchemaInstruction(messages, schema), options, true));
+  }
+
+  async createEmbeddings(texts, options = {}) {
+    // Compatible servers name their models freely, so there is no default to fall back on
+    const model = options.model || this.embeddingModel;
+    if (!model) {
+      throw llmError('LLM_NOT_CONFIGURED', `Set EUMICUS_EMBEDDING_MODEL to the embedding model ${this.name} should use.`);
+    }
+    const response = await this.client.embeddings.create({
+      model,
+      input: texts,
+      // Not every compatible server can send base64
+      encoding_format: 'float'
+    });
+    return response.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIProvider;
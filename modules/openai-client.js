@@ -1,59 +1,35 @@
-const OpenAI = require('openai');
+const { createLLMProvider } = require('./llm');
+const { EDGE_TYPES } = require('./edges');
 
+// The prompts every module uses, on top of an LLM provider from
+// modules/llm. Despite the name, any provider works; an API key alone gets
+// the OpenAI one.
 class OpenAIClient {
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error('OpenAI API key is required');
+  constructor(provider) {
+    if (!provider) {
+      throw new Error('An LLM provider or OpenAI API key is required');
     }
-    
-    this.client = new OpenAI({
-      apiKey: apiKey
-    });
+
+    this.provider = typeof provider === 'string'
+      ? createLLMProvider({ provider: 'openai', apiKey: provider })
+      : provider;
   }
 
   async generateResponse(messages, options = {}) {
-    try {
-      const response = await this.client.chat.completions.create({
-        model: options.model || 'gpt-4o',
-        messages: messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.max_tokens || 2000,
-        ...options
-      });
-
-      return response.choices[0].message.content;
-    } catch (error) {
-      console.error('OpenAI API error:', error);
-      throw error;
-    }
+    return await this.provider.generateResponse(messages, options);
   }
 
+  // Resolves to the parsed JSON object, whichever provider produced it
   async generateStructuredResponse(messages, schema, options = {}) {
-    try {
-      const response = await this.client.chat.completions.create({
-        model: options.model || 'gpt-4o',
-        messages: [
-          ...messages,
-          {
-            role: 'system',
-            content: `Respond with valid JSON that matches this schema: ${JSON.stringify(schema)}`
-          }
-        ],
-        temperature: options.temperature || 0.3,
-        max_tokens: options.max_tokens || 2000,
-        response_format: { type: "json_object" },
-        ...options
-      });
+    return await this.provider.generateStructuredResponse(messages, schema, options);
+  }
 
-      const content = response.choices[0].message.content;
-      return JSON.parse(content);
-    } catch (error) {
-      console.error('OpenAI structured response error:', error);
-      throw error;
-    }
+  // One vector per text
+  async createEmbeddings(texts, options = {}) {
+    return await this.provider.createEmbeddings(texts, options);
   }
 
-  async extractConcepts(text, existingConcepts = []) {
+  async extractConcepts(text, existingConcepts = [], categories = []) {
     const messages = [
       {
         role: 'system',
@@ -65,7 +41,13 @@ class OpenAIClient {
         - Relationships between concepts
         
         Consider existing concepts: ${existingConcepts.map(c => c.name).join(', ')}
-        Build upon and connect to existing knowledge when possible.`
+        Build upon and connect to existing knowledge when possible.
+
+        Give each concept a category as a path of at most three levels, "Domain > Subdomain > Topic".
+        Existing categories: ${categories.length > 0 ? categories.join('; ') : 'none yet'}
+        Use an existing category whenever one fits, spelled exactly as listed; only extend or add one when none does.
+
+        For each concept, quote up to three short passages of the text that state or explain it, copied word for word.`
       },
       {
         role: 'user',
@@ -84,8 +66,9 @@ class OpenAIClient {
               name: { type: 'string' },
               description: { type: 'string' },
               confidence: { type: 'number', minimum: 0, maximum: 1 },
-              category: { type: 'string' },
-              connections: { type: 'array', items: { type: 'string' } }
+              category: { type: 'string', description: 'Category path, e.g. "Computer Science > Machine Learning > Optimization"' },
+              connections: { type: 'array', items: { type: 'string' } },
+              excerpts: { type: 'array', items: { type: 'string' }, description: 'Verbatim quotes from the text' }
             },
             required: ['name', 'description', 'confidence']
           }
@@ -105,7 +88,8 @@ class OpenAIClient {
     return await this.generateStructuredResponse(messages, schema);
   }
 
-  async generateReinforcementQuestions(concept, userProfile) {
+  // excerpts are passages of the user's sources the concept was learned from
+  async generateReinforcementQuestions(concept, userProfile, excerpts = []) {
     const messages = [
       {
         role: 'system',
@@ -113,7 +97,11 @@ class OpenAIClient {
         
         User profile: ${JSON.stringify(userProfile)}
         Concept: ${JSON.stringify(concept)}
-        
+        ${excerpts.length > 0 ? `
+        Source excerpts the user learned it from:
+        ${excerpts.map((excerpt, index) => `[${index}] "${excerpt.text}" (${excerpt.title || excerpt.url || 'text'})`).join('\n        ')}
+        Ground questions in these passages where you can, and give the number of the one a question draws on as excerpt.
+        ` : ''}
         Create questions that:
         - Test understanding at different levels (recall, application, analysis)
         - Connect to the user's interests and goals
@@ -133,7 +121,8 @@ class OpenAIClient {
               question: { type: 'string' },
               type: { type: 'string', enum: ['recall', 'application', 'analysis', 'synthesis'] },
               difficulty: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'] },
-              expected_answer: { type: 'string' }
+              expected_answer: { type: 'string' },
+              excerpt: { type: 'integer', description: 'Number of the source excerpt the question draws on' }
             },
             required: ['question', 'type', 'difficulty']
           }
@@ -239,6 +228,48 @@ class OpenAIClient {
     return await this.generateStructuredResponse(messages, schema);
   }
 
+  async confirmDuplicateConcepts(pairs) {
+    const messages = [
+      {
+        role: 'system',
+        content: `You are a knowledge curation expert. For each pair of concepts from a learner's knowledge graph, decide whether both name the same concept and should be merged into one.
+
+        Treat as the same: spelling, number or case variants, abbreviations and acronyms, and synonyms.
+        Treat as different: a concept and a broader or narrower one, a concept and one of its parts or applications, and related but distinct ideas.`
+      },
+      {
+        role: 'user',
+        content: `Pairs: ${JSON.stringify(pairs.map((pair, index) => ({
+          pair: index,
+          a: { name: pair[0].name, aliases: pair[0].aliases || [], description: pair[0].description || '', category: pair[0].category || '' },
+          b: { name: pair[1].name, aliases: pair[1].aliases || [], description: pair[1].description || '', category: pair[1].category || '' }
+        })))}`
+      }
+    ];
+
+    const schema = {
+      type: 'object',
+      properties: {
+        verdicts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              pair: { type: 'number' },
+              same_concept: { type: 'boolean' },
+              confidence: { type: 'number', minimum: 0, maximum: 1 },
+              reason: { type: 'string' }
+            },
+            required: ['pair', 'same_concept', 'reason']
+          }
+        }
+      },
+      required: ['verdicts']
+    };
+
+    return await this.generateStructuredResponse(messages, schema);
+  }
+
   async findConceptConnections(newConcepts, existingConcepts) {
     const messages = [
       {
@@ -246,7 +277,7 @@ class OpenAIClient {
         content: `You are a knowledge mapping expert. Find meaningful connections between new concepts and existing knowledge.
         
         Look for:
-        - Direct relationships (prerequisites, applications, examples)
+        - Direct relationships (prerequisites, applications, examples, contrasts)
         - Indirect connections (shared principles, similar patterns)
         - Learning pathways (how concepts build on each other)
         - Cross-domain connections (unexpected but valuable links)`
@@ -268,7 +299,7 @@ class OpenAIClient {
             properties: {
               from_concept: { type: 'string' },
               to_concept: { type: 'string' },
-              relationship_type: { type: 'string' },
+              relationship_type: { type: 'string', enum: EDGE_TYPES },
               strength: { type: 'number', minimum: 0, maximum: 1 },
               description: { type: 'string' }
             },
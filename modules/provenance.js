@@ -0,0 +1,192 @@
+// Where in a content item's stored text a concept came from. The LLM quotes
+// the passages it extracted each concept from; those quotes are looked up in
+// the text and kept on the content item as excerpts,
+// { concept_id, start, end, text, timestamp }, start and end being character
+// offsets into item.content and text the exact slice between them. Video
+// transcripts also get the time, in seconds, of the cue the excerpt starts in.
+
+// At most this many excerpts per concept and content item
+const MAX_EXCERPTS = 3;
+// A transcript line that is only a cue time, "1:05" or "1:02:03"
+const CUE_LINE = /^[ \t]*(?:(\d+):)?(\d{1,2}):(\d{2})[ \t]*$/gm;
+const ELLIPSIS = /\s*(?:\.{3}|\u2026)\s*/;
+
+function hasTimestamps(source) {
+  return source.type === 'youtube_video';
+}
+
+// Cue lines of a transcript, in order, with their times in seconds
+function transcriptCues(content) {
+  const cues = [];
+  for (const match of content.matchAll(CUE_LINE)) {
+    cues.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      seconds: (parseInt(match[1] || '0', 10) * 60 + parseInt(match[2], 10)) * 60 + parseInt(match[3], 10)
+    });
+  }
+  return cues;
+}
+
+function foldChar(char) {
+  if (/[\u2018\u2019\u02bc`]/.test(char)) return "'";
+  if (/[\u201c\u201d\u00ab\u00bb]/.test(char)) return '"';
+  if (/[\u2010\u2011\u2012\u2013\u2014]/.test(char)) return '-';
+  return char.toLowerCase();
+}
+
+// The text case-folded with typographic quotes and dashes made plain and
+// every run of whitespace (and cue line) made one space, along with the
+// offset in the original of every character of it, so LLM quotes that differ
+// from the source only in those respects are still found
+function foldText(content, skipped = []) {
+  let text = '';
+  const offsets = [];
+  let skip = 0;
+  for (let i = 0; i < content.length; i++) {
+    while (skip < skipped.length && skipped[skip].end <= i) skip++;
+    const blank = (skip < skipped.length && skipped[skip].start <= i) || /\s/.test(content[i]);
+    if (blank) {
+      if (text.length > 0 && text[text.length - 1] !== ' ') {
+        text += ' ';
+        offsets.push(i);
+      }
+      continue;
+    }
+    const folded = foldChar(content[i]);
+    for (const char of folded) {
+      text += char;
+      offsets.push(i);
+    }
+  }
+  return { text, offsets };
+}
+
+function foldQuote(quote) {
+  return foldText(String(quote || '')).text.trim();
+}
+
+function indexSource(source) {
+  const content = source.content || '';
+  const cues = hasTimestamps(source) ? transcriptCues(content) : [];
+  return { content, cues, ...foldText(content, cues) };
+}
+
+// The span of quote in the indexed text. A quote elided with "..." matches
+// its parts in order.
+function findQuote(index, quote) {
+  const parts = String(quote || '').split(ELLIPSIS).map(foldQuote).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  let position = 0;
+  let first = null;
+  let last = null;
+  for (const part of parts) {
+    const found = index.text.indexOf(part, position);
+    if (found === -1) return null;
+    if (first === null) first = found;
+    last = found + part.length - 1;
+    position = last + 1;
+  }
+  return { start: index.offsets[first], end: index.offsets[last] + 1 };
+}
+
+function cueAt(cues, offset) {
+  let current = null;
+  for (const cue of cues) {
+    if (cue.start > offset) break;
+    current = cue;
+  }
+  return current ? current.seconds : null;
+}
+
+function toExcerpt(index, span) {
+  const excerpt = { start: span.start, end: span.end, text: index.content.slice(span.start, span.end) };
+  if (index.cues.length > 0) {
+    const timestamp = cueAt(index.cues, span.start);
+    if (timestamp !== null) excerpt.timestamp = timestamp;
+  }
+  return excerpt;
+}
+
+// Excerpts for the quotes that occur in source ({ content, type }). Quotes
+// the text doesn't contain are dropped, since nothing backs them; missing
+// counts them.
+function locateExcerpts(source, quotes) {
+  const index = indexSource(source);
+  const excerpts = [];
+  let missing = 0;
+  (quotes || []).forEach(quote => {
+    const span = findQuote(index, quote);
+    if (!span) {
+      missing++;
+      return;
+    }
+    if (excerpts.length < MAX_EXCERPTS && !excerpts.some(excerpt => excerpt.start === span.start && excerpt.end === span.end)) {
+      excerpts.push(toExcerpt(index, span));
+    }
+  });
+  return { excerpts, missing };
+}
+
+// Brings stored excerpts in line with source's text after it changed: ones
+// still at their offsets stay, the others are looked up again by their text
+// and dropped if it is gone
+function relocateExcerpts(source, excerpts) {
+  const index = indexSource(source);
+  return (excerpts || []).flatMap(excerpt => {
+    if (index.content.slice(excerpt.start, excerpt.end) === excerpt.text) {
+      return [{ ...excerpt, ...toExcerpt(index, excerpt) }];
+    }
+    const span = findQuote(index, excerpt.text);
+    return span ? [{ ...excerpt, ...toExcerpt(index, span) }] : [];
+  });
+}
+
+function mergeExcerpts(...lists) {
+  const seen = new Set();
+  return lists.flatMap(list => list || []).filter(excerpt => {
+    const key = `${excerpt.concept_id}:${excerpt.start}:${excerpt.end}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Opens a video at the excerpt's time
+function excerptLink(url, timestamp) {
+  if (!url || timestamp === undefined || timestamp === null) return url || null;
+  try {
+    const link = new URL(url);
+    link.searchParams.set('t', `${timestamp}s`);
+    return link.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+// Every excerpt of a concept across the content items, with the item it is in
+function conceptExcerpts(contentItems, conceptId) {
+  return (contentItems || []).flatMap(item => (item.excerpts || [])
+    .filter(excerpt => excerpt.concept_id === conceptId)
+    .map(excerpt => ({
+      content_id: item.id,
+      title: item.title,
+      url: item.url || null,
+      type: item.type,
+      start: excerpt.start,
+      end: excerpt.end,
+      text: excerpt.text,
+      ...(excerpt.timestamp !== undefined ? { timestamp: excerpt.timestamp } : {}),
+      link: excerptLink(item.url, excerpt.timestamp)
+    })));
+}
+
+module.exports = {
+  MAX_EXCERPTS,
+  locateExcerpts,
+  relocateExcerpts,
+  mergeExcerpts,
+  conceptExcerpts,
+  excerptLink
+};
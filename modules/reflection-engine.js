@@ -1,5 +1,19 @@
 const OpenAIClient = require('./openai-client');
 
+// Counts of a period's activities by agent, type and status, small enough
+// to include in a prompt
+function summarizeActivities(activities) {
+  const summary = { total: activities.length, by_agent: {}, by_type: {}, errors: 0 };
+  activities.forEach(activity => {
+    const agent = activity.agent || 'Unknown';
+    const type = activity.type || 'other';
+    summary.by_agent[agent] = (summary.by_agent[agent] || 0) + 1;
+    summary.by_type[type] = (summary.by_type[type] || 0) + 1;
+    if (activity.status === 'error') summary.errors++;
+  });
+  return summary;
+}
+
 class ReflectionEngine {
   constructor(openaiClient, knowledgeGraphManager) {
     this.openai = openaiClient;
@@ -16,7 +30,7 @@ class ReflectionEngine {
       status: 'in_progress'
     });
 
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const userProfile = graph.user_profile;
     const recentContent = graph.content_items.slice(-5);
     const recentConcepts = graph.concepts.filter(c => {
@@ -136,7 +150,7 @@ class ReflectionEngine {
   }
 
   async getCurrentQuestion(sessionId) {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const session = graph.reflection_sessions?.find(s => s.id === sessionId);
     
     if (!session || session.status !== 'active') {
@@ -205,7 +219,7 @@ class ReflectionEngine {
   }
 
   async completeReflectionSession(session) {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const userProfile = graph.user_profile;
 
     // Analyze insights and generate connections
@@ -309,39 +323,41 @@ class ReflectionEngine {
   }
 
   async saveReflectionSession(session) {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
-    
-    if (!graph.reflection_sessions) {
-      graph.reflection_sessions = [];
-    }
-    
     // Only set end_time and completed status if the session is actually completed
     if (session.status === 'completed') {
       session.end_time = new Date().toISOString();
     }
     
-    // Find existing session or add new one
-    const existingIndex = graph.reflection_sessions.findIndex(s => s.id === session.id);
-    if (existingIndex >= 0) {
-      graph.reflection_sessions[existingIndex] = session;
-    } else {
-      graph.reflection_sessions.push(session);
-    }
-    
-    await this.knowledgeGraph.saveKnowledgeGraph(graph);
+    await this.knowledgeGraph.runInChangeSet({
+      agent: 'Reflection Engine',
+      description: `Save reflection session ${session.id}`
+    }, () => this.knowledgeGraph.updateKnowledgeGraph(graph => {
+      if (!graph.reflection_sessions) {
+        graph.reflection_sessions = [];
+      }
+      
+      // Find existing session or add new one
+      const existingIndex = graph.reflection_sessions.findIndex(s => s.id === session.id);
+      if (existingIndex >= 0) {
+        graph.reflection_sessions[existingIndex] = session;
+      } else {
+        graph.reflection_sessions.push(session);
+      }
+    }));
   }
 
   async generateWeeklyReflection() {
     console.log('📅 Generating weekly reflection...');
     
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     
     const weeklyData = {
       new_concepts: graph.concepts.filter(c => new Date(c.created_at) > weekAgo),
       new_content: graph.content_items.filter(c => new Date(c.processed_date) > weekAgo),
       reinforcement_sessions: graph.reinforcement_sessions.filter(s => new Date(s.date) > weekAgo),
-      exploration_suggestions: graph.exploration_suggestions.filter(s => new Date(s.created_at) > weekAgo)
+      exploration_suggestions: graph.exploration_suggestions.filter(s => new Date(s.created_at) > weekAgo),
+      activity: summarizeActivities(await this.knowledgeGraph.loadActivities({ since: weekAgo.toISOString() }))
     };
 
     const messages = [
@@ -400,7 +416,7 @@ class ReflectionEngine {
   async identifyLearningPatterns() {
     console.log('🔍 Identifying learning patterns...');
     
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const concepts = graph.concepts;
     const contentItems = graph.content_items;
     const reinforcementSessions = graph.reinforcement_sessions;
@@ -458,7 +474,7 @@ class ReflectionEngine {
   }
 
   async getReflectionStats() {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const sessions = graph.reflection_sessions || [];
     
     if (sessions.length === 0) {
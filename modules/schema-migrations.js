@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { generateId } = require('./ids');
+const { DEFAULT_EDGE_TYPE } = require('./edges');
+const { normalizeCategoryName } = require('./taxonomy');
+
+// Domains made from the same free-text category get the same id in every
+// copy of a graph, so copies migrated separately still merge cleanly
+function categoryIdFor(key) {
+  const hex = crypto.createHash('sha1').update(key).digest('hex');
+  return `category_${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Versioned upgrades for the knowledge graph document. Each step takes the
+// graph as written by the previous version and mutates it in place. Add new
+// steps to the end; never edit a step that has already shipped.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add schema_version and make every top-level collection explicit',
+    migrate(graph) {
+      graph.user_profile = graph.user_profile || {
+        goals: [],
+        interests: [],
+        learning_style: '',
+        time_commitment: '',
+        created_at: new Date().toISOString()
+      };
+
+      // reflection_sessions used to be created lazily by the reflection engine
+      ['concepts', 'content_items', 'reinforcement_sessions', 'exploration_suggestions', 'reflection_sessions']
+        .forEach(collection => {
+          if (!Array.isArray(graph[collection])) {
+            graph[collection] = [];
+          }
+        });
+    }
+  },
+  {
+    version: 2,
+    description: 'Give every concept connections, sources, priority and created_from fields',
+    migrate(graph) {
+      graph.concepts = graph.concepts.map(concept => ({
+        ...concept,
+        connections: Array.isArray(concept.connections) ? concept.connections : [],
+        sources: Array.isArray(concept.sources) ? concept.sources : [],
+        priority: concept.priority || null,
+        created_from: concept.created_from || 'unknown'
+      }));
+    }
+  },
+  {
+    version: 3,
+    description: 'Give every concept an immutable id and an aliases list',
+    migrate(graph) {
+      graph.concepts = graph.concepts.map(concept => ({
+        id: concept.id || generateId('concept'),
+        ...concept,
+        aliases: Array.isArray(concept.aliases) ? concept.aliases : []
+      }));
+    }
+  },
+  {
+    version: 4,
+    description: 'Copy name-based concept connections into a typed edges collection',
+    migrate(graph) {
+      const edges = Array.isArray(graph.edges) ? graph.edges : [];
+      const byName = new Map();
+      graph.concepts.forEach(concept => {
+        byName.set(concept.name, concept);
+        concept.aliases.forEach(alias => {
+          if (!byName.has(alias)) byName.set(alias, concept);
+        });
+      });
+
+      // Old connections carry no type and were often listed on one side
+      // only, so each linked pair becomes a single untyped edge. Version 7
+      // fills in the missing side.
+      const seenPairs = new Set(edges.map(edge => [edge.from, edge.to].sort().join('\u0000')));
+      const now = new Date().toISOString();
+
+      graph.concepts.forEach(concept => {
+        concept.connections.forEach(name => {
+          const target = byName.get(name);
+          if (!target || target.id === concept.id) return;
+
+          const pair = [concept.id, target.id].sort().join('\u0000');
+          if (seenPairs.has(pair)) return;
+          seenPairs.add(pair);
+
+          edges.push({
+            id: generateId('edge'),
+            from: concept.id,
+            to: target.id,
+            type: DEFAULT_EDGE_TYPE,
+            strength: null,
+            description: '',
+            provenance: { agent: 'Schema Migration', method: 'legacy_connections' },
+            discovered_at: concept.created_at || now,
+            last_updated: now
+          });
+        });
+      });
+
+      graph.edges = edges;
+    }
+  },
+  {
+    version: 5,
+    description: 'Give every content item, session and suggestion an id so changes can be tracked per record',
+    migrate(graph) {
+      const prefixes = {
+        content_items: 'content',
+        reinforcement_sessions: 'session',
+        exploration_suggestions: 'suggestion',
+        reflection_sessions: 'reflection'
+      };
+
+      Object.entries(prefixes).forEach(([collection, prefix]) => {
+        graph[collection] = graph[collection].map(record =>
+          record.id ? record : { id: generateId(prefix), ...record }
+        );
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Move free-text concept categories into a categories tree',
+    migrate(graph) {
+      const categories = Array.isArray(graph.categories) ? graph.categories : [];
+      const byName = new Map(categories.map(category => [normalizeCategoryName(category.name), category]));
+      const now = new Date().toISOString();
+
+      // Spellings that differ only in case, punctuation or plural become one
+      // domain, named as the first concept spelled it
+      graph.concepts.forEach(concept => {
+        if (concept.category_id || typeof concept.category !== 'string' || !concept.category.trim()) return;
+
+        const key = normalizeCategoryName(concept.category);
+        if (!byName.has(key)) {
+          const category = { id: categoryIdFor(key), name: concept.category.trim(), parent: null, aliases: [], created_at: now, last_updated: now };
+          categories.push(category);
+          byName.set(key, category);
+        }
+        const category = byName.get(key);
+        concept.category_id = category.id;
+        concept.category = category.name;
+      });
+
+      graph.categories = categories;
+    }
+  },
+  {
+    version: 7,
+    description: 'List both ends of every edge in each other\'s connections',
+    migrate(graph) {
+      const byId = new Map(graph.concepts.map(concept => [concept.id, concept]));
+      const lists = (concept, other) =>
+        [other.name, ...(other.aliases || [])].some(name => concept.connections.includes(name));
+      const now = new Date().toISOString();
+
+      graph.edges.forEach(edge => {
+        const from = byId.get(edge.from);
+        const to = byId.get(edge.to);
+        if (!from || !to || from === to) return;
+
+        [[from, to], [to, from]].forEach(([concept, other]) => {
+          if (lists(concept, other)) return;
+          concept.connections = [...concept.connections, other.name];
+          concept.last_updated = now;
+        });
+      });
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Files written before versioning was introduced count as version 0
+function getSchemaVersion(graph) {
+  return Number.isInteger(graph.schema_version) ? graph.schema_version : 0;
+}
+
+function assertSupportedSchema(graph) {
+  const version = getSchemaVersion(graph);
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Knowledge graph schema version ${version} is newer than this version of Eumicus supports (${CURRENT_SCHEMA_VERSION}). Please upgrade Eumicus.`);
+  }
+}
+
+function migrateGraph(graph, targetVersion = CURRENT_SCHEMA_VERSION) {
+  assertSupportedSchema(graph);
+  const fromVersion = getSchemaVersion(graph);
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion || migration.version > targetVersion) continue;
+
+    migration.migrate(graph);
+    graph.schema_version = migration.version;
+    applied.push({ version: migration.version, description: migration.description });
+  }
+
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  assertSupportedSchema,
+  migrateGraph
+};
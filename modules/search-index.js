@@ -0,0 +1,233 @@
+// In-memory inverted index with BM25 ranking over the searchable text in the
+// graph: concepts, content items (with their insights and takeaways) and
+// reflection responses. Records are added, replaced and removed one at a
+// time, so the index can follow every write without a rebuild.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_LENGTH = 200;
+const ARCHIVED_MODES = ['exclude', 'include', 'only'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'for', 'from', 'how', 'i', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'where', 'which', 'who', 'with'
+]);
+
+// Field weights: a match in a name or title counts for more than one in a
+// body. Heading fields are shown as the result title rather than as snippets.
+const SEARCHABLE = {
+  concepts: {
+    type: 'concept',
+    title: concept => concept.name,
+    fields: concept => [
+      { name: 'name', weight: 3, heading: true, text: concept.name },
+      { name: 'aliases', weight: 2, heading: true, text: (concept.aliases || []).join(', ') },
+      { name: 'description', weight: 1, text: concept.description }
+    ]
+  },
+  content_items: {
+    type: 'content',
+    title: item => item.title,
+    fields: item => [
+      { name: 'title', weight: 2, heading: true, text: item.title },
+      { name: 'insights', weight: 1.5, text: (item.insights || []).join('\n') },
+      { name: 'key_takeaways', weight: 1.5, text: (item.key_takeaways || []).join('\n') },
+      { name: 'content', weight: 1, text: item.content }
+    ]
+  },
+  reflection_sessions: {
+    type: 'reflection',
+    title: session => `Reflection session ${(session.start_time || '').slice(0, 10)}`.trim(),
+    fields: session => [
+      { name: 'responses', weight: 1, text: (session.insights || []).map(insight => insight.user_response).filter(Boolean).join('\n') }
+    ]
+  }
+};
+
+// Plural 's' is the only suffix folded, so highlights stay predictable
+function normalizeTerm(word) {
+  const term = word.toLowerCase();
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) {
+    return term.slice(0, -1);
+  }
+  return term;
+}
+
+// Terms with their character offsets in text
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    const term = normalizeTerm(match[0]);
+    if (term.length < 2 || STOP_WORDS.has(term)) continue;
+    tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// A window of text around the first match, with the offsets of every
+// matched word inside the window
+function buildSnippet(text, terms) {
+  const matches = tokenize(text).filter(token => terms.has(token.term));
+  if (matches.length === 0) {
+    const snippet = text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH).trimEnd()}…` : text;
+    return { snippet, highlights: [] };
+  }
+
+  let start = Math.max(0, matches[0].start - Math.floor(SNIPPET_LENGTH / 3));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space >= 0 && space < matches[0].start ? space + 1 : start;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > matches[0].end ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end).replace(/\s+/g, ' ')}${suffix}`;
+
+  // Whitespace runs were collapsed, so offsets are found again in the snippet
+  const highlights = tokenize(snippet)
+    .filter(token => terms.has(token.term))
+    .map(token => [token.start, token.end]);
+
+  return { snippet, highlights };
+}
+
+class SearchIndex {
+  constructor() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  static fromGraph(graph) {
+    const index = new SearchIndex();
+    Object.keys(SEARCHABLE).forEach(collection => {
+      (graph[collection] || []).forEach(record => index.updateRecord(collection, record.id || record.name, record));
+    });
+    return index;
+  }
+
+  // Indexes a record, replacing any earlier version. A null record removes it.
+  updateRecord(collection, key, record) {
+    const searchable = SEARCHABLE[collection];
+    if (!searchable || !key) return;
+
+    const id = `${collection}:${key}`;
+    this.removeDocument(id);
+    if (!record) return;
+
+    const fields = searchable.fields(record).filter(field => field.text);
+    const terms = new Map();
+    let length = 0;
+
+    fields.forEach(field => {
+      tokenize(field.text).forEach(token => {
+        terms.set(token.term, (terms.get(token.term) || 0) + field.weight);
+        length += field.weight;
+      });
+    });
+    if (terms.size === 0) return;
+
+    this.documents.set(id, {
+      id,
+      key,
+      type: searchable.type,
+      archived: Boolean(record.archived_at),
+      title: searchable.title(record) || key,
+      fields,
+      terms,
+      length
+    });
+    terms.forEach((_, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(id);
+    });
+    this.totalLength += length;
+  }
+
+  removeDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    document.terms.forEach((_, term) => {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(term);
+    });
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+  }
+
+  // Options: type ('concept', 'content' or 'reflection'; one or several),
+  // archived ('exclude' by default, 'include' or 'only') and limit
+  search(query, options = {}) {
+    const terms = new Set(tokenize(query).map(token => token.term));
+    const types = options.type ? [].concat(options.type) : null;
+    const archived = options.archived || 'exclude';
+    const limit = options.limit || 20;
+    if (!ARCHIVED_MODES.includes(archived)) {
+      const error = new Error('archived must be exclude, include or only');
+      error.code = 'INVALID_QUERY';
+      throw error;
+    }
+    if (terms.size === 0 || this.documents.size === 0) {
+      return { query, total: 0, results: [] };
+    }
+
+    const count = this.documents.size;
+    const averageLength = this.totalLength / count;
+    const scores = new Map();
+
+    terms.forEach(term => {
+      const ids = this.postings.get(term);
+      if (!ids) return;
+
+      const idf = Math.log(1 + (count - ids.size + 0.5) / (ids.size + 0.5));
+      ids.forEach(id => {
+        const document = this.documents.get(id);
+        if (types && !types.includes(document.type)) return;
+        if (archived !== 'include' && (archived === 'only') !== document.archived) return;
+
+        const frequency = document.terms.get(term);
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * document.length / averageLength);
+        scores.set(id, (scores.get(id) || 0) + idf * (frequency * (BM25_K1 + 1)) / norm);
+      });
+    });
+
+    const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+
+    return {
+      query,
+      total: ranked.length,
+      results: ranked.slice(0, limit).map(([id, score]) => this.describe(this.documents.get(id), score, terms))
+    };
+  }
+
+  // The snippet comes from the body field with the most matches, or the
+  // heading when the record has no body
+  describe(document, score, terms) {
+    const candidates = document.fields.map(candidate => ({
+      ...candidate,
+      matches: tokenize(candidate.text).filter(token => terms.has(token.term)).length
+    }));
+    const body = candidates.filter(candidate => !candidate.heading);
+    const field = (body.length > 0 ? body : candidates).sort((a, b) => b.matches - a.matches)[0];
+
+    return {
+      type: document.type,
+      id: document.key,
+      title: document.title,
+      field: field.name,
+      score: Math.round(score * 1000) / 1000,
+      ...buildSnippet(field.text, terms)
+    };
+  }
+}
+
+SearchIndex.tokenize = tokenize;
+
+module.exports = SearchIndex;
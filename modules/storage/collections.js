@@ -0,0 +1,24 @@
+// Top-level arrays of the knowledge graph that are stored record by record
+const GRAPH_COLLECTIONS = [
+  'concepts',
+  'edges',
+  'content_items',
+  'reinforcement_sessions',
+  'exploration_suggestions',
+  'reflection_sessions',
+  'categories'
+];
+
+// Records are keyed by their own id when they have one. Concepts written
+// before ids existed fall back to their name. Records without a natural key
+// are append-only and get no key.
+function recordKey(collection, record) {
+  if (!record) return null;
+  if (collection === 'concepts') return record.id || record.name || null;
+  return record.id || null;
+}
+
+module.exports = {
+  GRAPH_COLLECTIONS,
+  recordKey
+};
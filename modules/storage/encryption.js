@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./write-lock');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Describes how the key is derived. Its presence marks a data directory as
+// encrypted; it holds no secret, only the salt and a value to check the key.
+const KEY_FILE = 'encryption.json';
+const PREFIX = 'enc1:';
+const CHECK_VALUE = 'eumicus-key-check';
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+function encryptionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Only the JSON adapter encrypts. SQLite would keep the graph, change
+// history, activity log and content cache as plain rows, so encrypted
+// directories are refused rather than written out in the clear.
+function encryptionUnsupported(dataDir) {
+  return encryptionError(
+    `The data in ${dataDir} is encrypted, and encryption at rest is only available with JSON storage: ` +
+    'SQLite would keep the knowledge graph, change history, activity log and content cache unencrypted. ' +
+    'Use EUMICUS_STORAGE=json, or decrypt the directory first with "eumicus encryption disable".',
+    'ENCRYPTION_UNSUPPORTED'
+  );
+}
+
+// AES-256-GCM over UTF-8 text. Every value gets its own IV, so single JSONL
+// lines can be encrypted and appended on their own.
+class Cipher {
+  constructor(key) {
+    this.key = key;
+  }
+
+  static isEncrypted(text) {
+    return typeof text === 'string' && text.startsWith(PREFIX);
+  }
+
+  encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+  }
+
+  decrypt(value) {
+    const data = Buffer.from(value.trim().slice(PREFIX.length), 'base64');
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, data.subarray(0, 12));
+      decipher.setAuthTag(data.subarray(12, 28));
+      return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw encryptionError('Unable to decrypt data: it was encrypted with another key or is corrupted', 'DECRYPTION_FAILED');
+    }
+  }
+}
+
+async function deriveKey(passphrase, kdf) {
+  return await scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: SCRYPT_MAXMEM
+  });
+}
+
+async function readKeyInfo(dataDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dataDir, KEY_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function isEncryptedDirectory(dataDir) {
+  return (await readKeyInfo(dataDir)) !== null;
+}
+
+// The cipher for an encrypted data directory, or null when it isn't encrypted
+async function unlock(dataDir, passphrase) {
+  const info = await readKeyInfo(dataDir);
+  if (!info) return null;
+
+  if (!passphrase) {
+    throw encryptionError(
+      `The data in ${dataDir} is encrypted. Set EUMICUS_PASSPHRASE or enter the passphrase when prompted.`,
+      'PASSPHRASE_REQUIRED'
+    );
+  }
+
+  const cipher = new Cipher(await deriveKey(passphrase, info.kdf));
+  try {
+    if (cipher.decrypt(info.check) === CHECK_VALUE) return cipher;
+  } catch (error) {
+    if (error.code !== 'DECRYPTION_FAILED') throw error;
+  }
+  throw encryptionError(`Wrong passphrase for the encrypted data in ${dataDir}`, 'WRONG_PASSPHRASE');
+}
+
+// A fresh salt and key for passphrase, with the key file contents to match
+async function createKey(passphrase) {
+  const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+  const cipher = new Cipher(await deriveKey(passphrase, kdf));
+  const info = {
+    version: 1,
+    cipher: 'aes-256-gcm',
+    kdf,
+    check: cipher.encrypt(CHECK_VALUE),
+    created_at: new Date().toISOString()
+  };
+  return { cipher, info };
+}
+
+async function writeKeyInfo(dataDir, info) {
+  await writeFileAtomic(path.join(dataDir, KEY_FILE), JSON.stringify(info, null, 2));
+}
+
+async function removeKeyInfo(dataDir) {
+  await fs.rm(path.join(dataDir, KEY_FILE), { force: true });
+}
+
+module.exports = {
+  KEY_FILE,
+  Cipher,
+  encryptionUnsupported,
+  readKeyInfo,
+  isEncryptedDirectory,
+  unlock,
+  createKey,
+  writeKeyInfo,
+  removeKeyInfo
+};
@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+const JsonFileAdapter = require('./json-file-adapter');
+const SqliteAdapter = require('./sqlite-adapter');
+
+const ADAPTERS = {
+  json: JsonFileAdapter,
+  sqlite: SqliteAdapter
+};
+
+// Explicit option wins, then EUMICUS_STORAGE. Without either, a data
+// directory that has already been migrated keeps using its database.
+function resolveStorageType(dataDir, type) {
+  const configured = type || process.env.EUMICUS_STORAGE;
+  if (configured) {
+    const normalized = configured.toLowerCase();
+    if (!ADAPTERS[normalized]) {
+      throw new Error(`Unknown storage type "${configured}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return normalized;
+  }
+
+  return fs.existsSync(path.join(dataDir, 'eumicus.db')) ? 'sqlite' : 'json';
+}
+
+function createStorageAdapter(dataDir = './data', type = null, options = {}) {
+  const Adapter = ADAPTERS[resolveStorageType(dataDir, type)];
+  return new Adapter(dataDir, options);
+}
+
+module.exports = {
+  ADAPTERS,
+  resolveStorageType,
+  createStorageAdapter
+};
@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { recordKey } = require('./collections');
+const { writeFileAtomic } = require('./write-lock');
+const { generateId } = require('../ids');
+const { Cipher, unlock } = require('./encryption');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Activity segments are named after the UTC day of their entries, e.g.
+// 2026-10-19.jsonl, and 2026-10-19.jsonl.gz once archived
+const SEGMENT_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl(\.gz)?$/;
+
+// Coarsest modification time resolution of common filesystems (FAT). Two
+// writes closer together than this can leave the same mtime behind.
+const MTIME_RESOLUTION = 2000;
+
+function dayOf(timestamp) {
+  const day = String(timestamp || '').slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : new Date().toISOString().slice(0, 10);
+}
+
+// Map of day to the JSONL lines of that day's activities, in order
+function linesByDay(activities) {
+  const days = new Map();
+  for (const activity of activities) {
+    const day = dayOf(activity.timestamp);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(JSON.stringify(activity));
+  }
+  return days;
+}
+
+class JsonFileAdapter {
+  constructor(dataDir = './data', options = {}) {
+    this.type = 'json';
+    this.dataDir = dataDir;
+    // Set by initialize when the directory is encrypted; see encryption.js
+    this.options = options;
+    this.cipher = options.cipher || null;
+    this.knowledgeGraphPath = path.join(dataDir, 'knowledge-graph.json');
+    this.activityDir = path.join(dataDir, 'activity');
+    // Single-file log written by older versions, converted by upgradeActivityLog
+    this.legacyActivityLogPath = path.join(dataDir, 'activity-log.json');
+    this.contentCachePath = path.join(dataDir, 'content-cache.json');
+    this.changeLogPath = path.join(dataDir, 'changes.jsonl');
+    // Hash of the graph file and the stat signature it was taken at
+    this.revision = null;
+    // Parsed graph file for record writes, and the revision it matches
+    this.graph = null;
+    this.graphRevision = null;
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    // Unlocked on every open, since a restored snapshot brings its own key file
+    this.cipher = this.options.cipher ||
+      await unlock(this.dataDir, this.options.passphrase || process.env.EUMICUS_PASSPHRASE);
+  }
+
+  async close() {
+    // Nothing to release, every call opens and closes its own file
+  }
+
+  async flush() {
+    // Every write is already on disk by the time it returns
+  }
+
+  // A hash of the graph file, so any rewrite is noticed, by this or any other
+  // process. It is kept for the file's inode, size and mtime and only taken
+  // again once they change, or while the mtime is too recent to rule out a
+  // second write with the same size in the same tick; during a burst of
+  // writes that means reading the whole file on every call.
+  async getRevision() {
+    let stats;
+    try {
+      stats = await fs.stat(this.knowledgeGraphPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const signature = `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    if (this.revision?.signature === signature && this.revision.settled) {
+      return this.revision.hash;
+    }
+
+    // Read after the stat, so the hash is never older than the signature
+    const hash = crypto.createHash('sha1').update(await fs.readFile(this.knowledgeGraphPath)).digest('hex');
+    this.revision = { signature, hash, settled: Date.now() - stats.mtimeMs > MTIME_RESOLUTION };
+    return hash;
+  }
+
+  async hasKnowledgeGraph() {
+    return await this.fileExists(this.knowledgeGraphPath);
+  }
+
+  async hasActivityLog() {
+    return await this.fileExists(this.activityDir) || await this.fileExists(this.legacyActivityLogPath);
+  }
+
+  async hasContentCache() {
+    return await this.fileExists(this.contentCachePath);
+  }
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  // Whole files and single JSONL lines are encrypted the same way. Plain
+  // text is still read, so files written before encryption stay readable.
+  encode(text) {
+    return this.cipher ? this.cipher.encrypt(text) : text;
+  }
+
+  decode(text) {
+    if (!Cipher.isEncrypted(text)) return text;
+    if (!this.cipher) {
+      const error = new Error(`The data in ${this.dataDir} is encrypted but no key is loaded`);
+      error.code = 'PASSPHRASE_REQUIRED';
+      throw error;
+    }
+    return this.cipher.decrypt(text);
+  }
+
+  async readJson(filePath) {
+    const data = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(this.decode(data));
+  }
+
+  async writeJson(filePath, value) {
+    await writeFileAtomic(filePath, this.encode(JSON.stringify(value, null, 2)));
+  }
+
+  async loadKnowledgeGraph() {
+    return await this.readJson(this.knowledgeGraphPath);
+  }
+
+  async saveKnowledgeGraph(graph) {
+    await this.writeJson(this.knowledgeGraphPath, graph);
+    this.graph = null;
+  }
+
+  // The graph for a record write. The file is only parsed again when another
+  // process (or saveKnowledgeGraph) rewrote it since the last record write.
+  async readGraphForUpdate() {
+    const revision = await this.getRevision();
+    if (!this.graph || revision !== this.graphRevision) {
+      this.graph = await this.loadKnowledgeGraph();
+    }
+    return this.graph;
+  }
+
+  async writeGraphForUpdate(graph) {
+    graph.last_updated = new Date().toISOString();
+    try {
+      await this.writeJson(this.knowledgeGraphPath, graph);
+    } catch (error) {
+      // The parsed copy no longer matches the file
+      this.graph = null;
+      throw error;
+    }
+    this.graphRevision = await this.getRevision();
+  }
+
+  // The JSON file has no finer granularity than the whole graph. Record
+  // writes reuse the parsed graph instead of reading the file again, but
+  // each one still serializes and rewrites the full file; use SQLite where
+  // that cost matters.
+  async getRecords(collection) {
+    const graph = await this.loadKnowledgeGraph();
+    return graph[collection] || [];
+  }
+
+  async getRecord(collection, key) {
+    const records = await this.getRecords(collection);
+    return records.find(r => recordKey(collection, r) === key) || null;
+  }
+
+  async putRecord(collection, record) {
+    const graph = await this.readGraphForUpdate();
+    if (!graph[collection]) {
+      graph[collection] = [];
+    }
+
+    // Copied, since the caller keeps the record it passed in
+    const stored = structuredClone(record);
+    const key = recordKey(collection, record);
+    const existingIndex = key ? graph[collection].findIndex(r => recordKey(collection, r) === key) : -1;
+    if (existingIndex >= 0) {
+      graph[collection][existingIndex] = stored;
+    } else {
+      graph[collection].push(stored);
+    }
+
+    await this.writeGraphForUpdate(graph);
+    return record;
+  }
+
+  async getDocument(name) {
+    const graph = await this.loadKnowledgeGraph();
+    return graph[name];
+  }
+
+  async putDocument(name, value) {
+    const graph = await this.readGraphForUpdate();
+    graph[name] = structuredClone(value);
+    await this.writeGraphForUpdate(graph);
+    return value;
+  }
+
+  // The activity log is a folder of daily JSONL segments. Appending never
+  // rewrites earlier entries, and segments older than a cutoff are gzipped.
+  async listActivitySegments() {
+    let names;
+    try {
+      names = await fs.readdir(this.activityDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return names
+      .map(name => SEGMENT_PATTERN.exec(name))
+      .filter(Boolean)
+      .map(match => ({ day: match[1], file: path.join(this.activityDir, match[0]), compressed: !!match[2] }))
+      // Archived entries of a day come before any appended after archiving
+      .sort((a, b) => a.day.localeCompare(b.day) || Number(b.compressed) - Number(a.compressed));
+  }
+
+  async readActivitySegment(segment) {
+    const data = segment.compressed
+      ? (await gunzip(await fs.readFile(segment.file))).toString('utf8')
+      : await fs.readFile(segment.file, 'utf8');
+
+    const activities = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        activities.push(JSON.parse(this.decode(line)));
+      } catch (error) {
+        if (error.code === 'PASSPHRASE_REQUIRED') throw error;
+        // A crash mid-append can leave a partial last line; skip it
+      }
+    }
+    return activities;
+  }
+
+  // Filters: since and until (ISO timestamps). Oldest first.
+  async loadActivities(filters = {}) {
+    const inRange = activity =>
+      (!filters.since || activity.timestamp >= filters.since) &&
+      (!filters.until || activity.timestamp <= filters.until);
+
+    let activities = [];
+    if (await this.fileExists(this.legacyActivityLogPath)) {
+      activities = (await this.readJson(this.legacyActivityLogPath)).activities.filter(inRange);
+    }
+
+    const firstDay = filters.since ? filters.since.slice(0, 10) : null;
+    const lastDay = filters.until ? filters.until.slice(0, 10) : null;
+    for (const segment of await this.listActivitySegments()) {
+      if ((firstDay && segment.day < firstDay) || (lastDay && segment.day > lastDay)) continue;
+      activities = activities.concat((await this.readActivitySegment(segment)).filter(inRange));
+    }
+    return activities;
+  }
+
+  async loadActivityLog() {
+    const activities = await this.loadActivities();
+    const last = activities[activities.length - 1];
+    return {
+      activities,
+      last_updated: last ? last.timestamp : null
+    };
+  }
+
+  // Replaces the whole log, e.g. when migrating from another backend
+  async saveActivityLog(log) {
+    await fs.rm(this.activityDir, { recursive: true, force: true });
+    await fs.rm(this.legacyActivityLogPath, { force: true });
+    await fs.mkdir(this.activityDir, { recursive: true });
+
+    for (const [day, lines] of linesByDay(log.activities || [])) {
+      await writeFileAtomic(path.join(this.activityDir, `${day}.jsonl`), lines.map(line => this.encode(line)).join('\n') + '\n');
+    }
+  }
+
+  async appendActivity(activity) {
+    await fs.mkdir(this.activityDir, { recursive: true });
+    await fs.appendFile(path.join(this.activityDir, `${dayOf(activity.timestamp)}.jsonl`), this.encode(JSON.stringify(activity)) + '\n', 'utf8');
+    return activity;
+  }
+
+  // Moves entries from activity-log.json into daily segments
+  async upgradeActivityLog() {
+    if (!(await this.fileExists(this.legacyActivityLogPath))) return 0;
+
+    // Ids give query cursors a stable tiebreaker; older entries had none
+    const activities = (await this.readJson(this.legacyActivityLogPath)).activities
+      .map(activity => activity.id ? activity : { id: generateId('activity'), ...activity });
+    await fs.mkdir(this.activityDir, { recursive: true });
+
+    // Older entries go in front of anything already in a day's segment
+    for (const [day, lines] of linesByDay(activities)) {
+      const file = path.join(this.activityDir, `${day}.jsonl`);
+      const existing = await this.fileExists(file) ? await fs.readFile(file, 'utf8') : '';
+      await writeFileAtomic(file, lines.map(line => this.encode(line)).join('\n') + '\n' + existing);
+    }
+
+    await fs.rm(this.legacyActivityLogPath);
+    return activities.length;
+  }
+
+  // Gzips the segments of days before beforeDay (YYYY-MM-DD). Returns the
+  // days that were archived.
+  async archiveActivity(beforeDay) {
+    const segments = await this.listActivitySegments();
+    const archived = [];
+
+    for (const segment of segments) {
+      if (segment.compressed || segment.day >= beforeDay) continue;
+
+      // Entries appended to a day after it was archived are folded into its archive
+      const archive = segments.find(other => other.compressed && other.day === segment.day);
+      const previous = archive ? (await gunzip(await fs.readFile(archive.file))).toString('utf8') : '';
+      const data = previous + await fs.readFile(segment.file, 'utf8');
+
+      await writeFileAtomic(`${segment.file}.gz`, await gzip(data));
+      await fs.rm(segment.file);
+      archived.push(segment.day);
+    }
+
+    return archived;
+  }
+
+  // Change events are append-only, one JSON object per line, so recording a
+  // change never rewrites the history that came before it.
+  async appendChanges(events) {
+    if (events.length === 0) return;
+    const lines = events.map(event => this.encode(JSON.stringify(event))).join('\n') + '\n';
+    await fs.appendFile(this.changeLogPath, lines, 'utf8');
+  }
+
+  async loadChanges(filters = {}) {
+    if (!(await this.fileExists(this.changeLogPath))) return [];
+
+    const data = await fs.readFile(this.changeLogPath, 'utf8');
+    return data
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(this.decode(line)))
+      .filter(event =>
+        (!filters.since || event.timestamp >= filters.since) &&
+        (!filters.until || event.timestamp <= filters.until) &&
+        (!filters.changeSet || event.change_set === filters.changeSet)
+      );
+  }
+
+  // Rewrites every data file with cipher, or as plain text when cipher is
+  // null. The current cipher must be able to read the files. Other processes
+  // must not be using the directory meanwhile.
+  async reencrypt(cipher) {
+    const convert = text => {
+      const value = this.decode(text);
+      return cipher ? cipher.encrypt(value) : value;
+    };
+    const convertLines = text => text
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => convert(line) + '\n')
+      .join('');
+
+    for (const file of [this.knowledgeGraphPath, this.contentCachePath, this.legacyActivityLogPath]) {
+      if (await this.fileExists(file)) {
+        await writeFileAtomic(file, convert(await fs.readFile(file, 'utf8')));
+      }
+    }
+
+    if (await this.fileExists(this.changeLogPath)) {
+      await writeFileAtomic(this.changeLogPath, convertLines(await fs.readFile(this.changeLogPath, 'utf8')));
+    }
+
+    for (const segment of await this.listActivitySegments()) {
+      if (segment.compressed) {
+        const text = (await gunzip(await fs.readFile(segment.file))).toString('utf8');
+        await writeFileAtomic(segment.file, await gzip(convertLines(text)));
+      } else {
+        await writeFileAtomic(segment.file, convertLines(await fs.readFile(segment.file, 'utf8')));
+      }
+    }
+
+    this.cipher = cipher;
+  }
+
+  async loadContentCache() {
+    return await this.readJson(this.contentCachePath);
+  }
+
+  async saveContentCache(cache) {
+    await this.writeJson(this.contentCachePath, cache);
+  }
+
+  async getContentCacheEntry(key) {
+    const cache = await this.loadContentCache();
+    return cache.items[key] || null;
+  }
+
+  async putContentCacheEntry(key, entry) {
+    const cache = await this.loadContentCache();
+    cache.items[key] = entry;
+    cache.last_updated = new Date().toISOString();
+    await this.saveContentCache(cache);
+    return entry;
+  }
+
+  async deleteContentCacheEntries(keys) {
+    const cache = await this.loadContentCache();
+    const removed = keys.filter(key => key in cache.items);
+    removed.forEach(key => delete cache.items[key]);
+    if (removed.length > 0) {
+      cache.last_updated = new Date().toISOString();
+      await this.saveContentCache(cache);
+    }
+    return removed.length;
+  }
+}
+
+module.exports = JsonFileAdapter;
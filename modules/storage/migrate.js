@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ADAPTERS } = require('./index');
+const { GRAPH_COLLECTIONS } = require('./collections');
+const { WriteLock } = require('./write-lock');
+const { isEncryptedDirectory, encryptionUnsupported } = require('./encryption');
+const BackupManager = require('../backup-manager');
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+// An adapter for the store of the given type in dataDir, or null when there
+// is none. Opening a SQLite store creates its database file, which would
+// then be picked up as the data directory's storage, so it is looked for first.
+async function openExisting(type, dataDir) {
+  if (type === 'sqlite' && !(await exists(path.join(dataDir, 'eumicus.db')))) return null;
+  const adapter = new ADAPTERS[type](dataDir);
+  await adapter.initialize();
+  return adapter;
+}
+
+// A SQLite database file with the write-ahead log that would otherwise be
+// replayed into whatever takes its place
+async function removeDatabase(filePath) {
+  await fs.rm(filePath, { force: true });
+  await fs.rm(`${filePath}-wal`, { force: true });
+  await fs.rm(`${filePath}-shm`, { force: true });
+}
+
+// Moves the files built in stagingDir over their counterparts in dataDir.
+// The knowledge graph file goes last, since its presence is what makes a
+// JSON store count as one.
+async function moveIntoPlace(stagingDir, dataDir) {
+  const names = (await fs.readdir(stagingDir))
+    .sort((a, b) => (a === 'knowledge-graph.json') - (b === 'knowledge-graph.json'));
+  for (const name of names) {
+    const target = path.join(dataDir, name);
+    if (name === 'eumicus.db') {
+      await removeDatabase(target);
+    } else {
+      await fs.rm(target, { recursive: true, force: true });
+    }
+    await fs.rename(path.join(stagingDir, name), target);
+  }
+}
+
+// Copies the knowledge graph, change history, activity log and content cache
+// from one storage backend to another. The source is left untouched, and the
+// data directory is snapshotted before anything is written. Runs under the
+// data directory's write lock, so other processes can't write to the source
+// while it is copied. The target is built in a temporary directory and only
+// moved into place once it is complete; a failed migration leaves nothing
+// behind. Leaving SQLite removes the database, since its presence alone
+// selects SQLite; JSON files are left in place.
+async function migrateStorage(dataDir = './data', options = {}) {
+  const from = options.from || 'json';
+  const to = options.to || 'sqlite';
+
+  if (from === to) {
+    throw new Error(`Source and target storage are both "${from}"`);
+  }
+  if (!ADAPTERS[from] || !ADAPTERS[to]) {
+    throw new Error(`Unknown storage type. Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  // Copying into SQLite would write the encrypted data out in the clear
+  if (to === 'sqlite' && await isEncryptedDirectory(dataDir)) {
+    throw encryptionUnsupported(dataDir);
+  }
+
+  const lock = new WriteLock(path.join(dataDir, '.eumicus.lock'));
+  await fs.mkdir(dataDir, { recursive: true });
+
+  return await lock.runExclusive(async () => {
+    let source = await openExisting(from, dataDir);
+    let existing = null;
+    let staged = null;
+    // Ends in .tmp, so snapshots leave it out
+    const stagingDir = path.join(dataDir, `.migration-${crypto.randomBytes(6).toString('hex')}.tmp`);
+
+    try {
+      if (!source || !(await source.hasKnowledgeGraph())) {
+        throw new Error(`No ${from} knowledge graph found in ${dataDir}`);
+      }
+      existing = await openExisting(to, dataDir);
+      if (existing && await existing.hasKnowledgeGraph() && !options.force) {
+        throw new Error(`A ${to} knowledge graph already exists in ${dataDir}. Use --force to overwrite it.`);
+      }
+
+      await source.flush();
+      if (existing) await existing.flush();
+      const backups = new BackupManager(dataDir);
+      const snapshot = await backups.createSnapshot({ reason: 'storage-migration', label: `${from} to ${to}`, storageType: from });
+      await backups.pruneSnapshots();
+
+      staged = new ADAPTERS[to](stagingDir);
+      await staged.initialize();
+
+      const graph = await source.loadKnowledgeGraph();
+      await staged.saveKnowledgeGraph(graph);
+
+      // The target's own history (from an earlier --force run) is kept, and
+      // events it already has are not repeated
+      const knownChanges = existing ? await existing.loadChanges() : [];
+      const knownIds = new Set(knownChanges.map(event => event.id));
+      const changes = (await source.loadChanges()).filter(event => !knownIds.has(event.id));
+      await staged.appendChanges([...knownChanges, ...changes]);
+
+      let activities = 0;
+      if (await source.hasActivityLog()) {
+        const log = await source.loadActivityLog();
+        await staged.saveActivityLog(log);
+        activities = log.activities.length;
+      }
+
+      let cachedItems = 0;
+      if (await source.hasContentCache()) {
+        const cache = await source.loadContentCache();
+        await staged.saveContentCache(cache);
+        cachedItems = Object.keys(cache.items || {}).length;
+      }
+
+      await staged.close();
+      staged = null;
+      if (existing) {
+        await existing.close();
+        existing = null;
+      }
+      await moveIntoPlace(stagingDir, dataDir);
+
+      // The snapshot taken above still has it
+      if (from === 'sqlite') {
+        await source.close();
+        source = null;
+        await removeDatabase(path.join(dataDir, 'eumicus.db'));
+      }
+
+      const summary = {
+        from,
+        to,
+        snapshot: snapshot.id,
+        source_removed: from === 'sqlite',
+        changes: changes.length,
+        activities,
+        cached_items: cachedItems
+      };
+      GRAPH_COLLECTIONS.forEach(collection => {
+        summary[collection] = (graph[collection] || []).length;
+      });
+      return summary;
+
+    } finally {
+      if (source) await source.close();
+      if (existing) await existing.close();
+      if (staged) await staged.close();
+      await fs.rm(stagingDir, { recursive: true, force: true });
+    }
+  });
+}
+
+module.exports = {
+  migrateStorage
+};
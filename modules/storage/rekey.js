@@ -0,0 +1,79 @@
+const path = require('path');
+const JsonFileAdapter = require('./json-file-adapter');
+const { resolveStorageType } = require('./index');
+const { WriteLock } = require('./write-lock');
+const { unlock, createKey, writeKeyInfo, removeKeyInfo } = require('./encryption');
+const BackupManager = require('../backup-manager');
+
+// Rewrites one data directory from its current key to next ({ cipher, info }
+// from createKey), or to plain text when next is null. The key file is
+// written last, so an interrupted run still has the snapshot to go back to.
+async function rewriteDirectory(dataDir, current, next) {
+  const adapter = new JsonFileAdapter(dataDir, { cipher: current });
+  await adapter.reencrypt(next ? next.cipher : null);
+
+  if (next) {
+    await writeKeyInfo(dataDir, next.info);
+  } else {
+    await removeKeyInfo(dataDir);
+  }
+}
+
+// Encrypts, re-keys or decrypts a JSON data directory and its snapshots.
+// passphrase is the current one (unused when the directory is not
+// encrypted yet); newPassphrase is the one to switch to, or null to decrypt.
+// Snapshots locked with some other passphrase are left as they are and
+// listed in the result. Other Eumicus processes must be stopped.
+async function changeEncryption(dataDir = './data', options = {}) {
+  if (resolveStorageType(dataDir) !== 'json') {
+    const error = new Error(
+      `Encryption at rest is only available with JSON storage, and ${dataDir} uses SQLite. ` +
+      'Its knowledge graph, change history, activity log and content cache stay unencrypted; ' +
+      'run "eumicus migrate-storage --from sqlite --to json" first to encrypt them.'
+    );
+    error.code = 'ENCRYPTION_UNSUPPORTED';
+    throw error;
+  }
+
+  const current = await unlock(dataDir, options.passphrase);
+  if (!current && !options.newPassphrase) {
+    throw new Error(`The data in ${dataDir} is not encrypted`);
+  }
+  const next = options.newPassphrase ? await createKey(options.newPassphrase) : null;
+
+  const lock = new WriteLock(path.join(dataDir, '.eumicus.lock'));
+  return await lock.runExclusive(async () => {
+    const backups = new BackupManager(dataDir);
+    const snapshot = await backups.createSnapshot({
+      reason: 'encryption',
+      label: next ? (current ? 'before key rotation' : 'before encrypting') : 'before decrypting',
+      storageType: 'json'
+    });
+    await backups.pruneSnapshots();
+
+    await rewriteDirectory(dataDir, current, next);
+
+    // Snapshots would otherwise keep the old key, or plain text, around
+    const snapshots = { updated: [], skipped: [] };
+    for (const { id } of await backups.listSnapshots()) {
+      const snapshotDir = path.join(backups.snapshotDir, id, 'data');
+      let snapshotKey;
+      try {
+        snapshotKey = await unlock(snapshotDir, options.passphrase);
+      } catch (error) {
+        if (error.code !== 'WRONG_PASSPHRASE' && error.code !== 'PASSPHRASE_REQUIRED') throw error;
+        snapshots.skipped.push(id);
+        continue;
+      }
+      await rewriteDirectory(snapshotDir, snapshotKey, next);
+      await backups.refreshSnapshot(id);
+      snapshots.updated.push(id);
+    }
+
+    return { encrypted: !!next, snapshot: snapshot.id, snapshots };
+  });
+}
+
+module.exports = {
+  changeEncryption
+};
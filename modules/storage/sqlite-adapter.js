@@ -0,0 +1,380 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { recordKey } = require('./collections');
+const { isEncryptedDirectory, encryptionUnsupported } = require('./encryption');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS collections (
+    name TEXT PRIMARY KEY
+  );
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    key TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, position)
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS records_key ON records (collection, key) WHERE key IS NOT NULL;
+  CREATE TABLE IF NOT EXISTS activities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS activities_timestamp ON activities (json_extract(data, '$.timestamp'));
+  CREATE TABLE IF NOT EXISTS content_cache (
+    key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS changes (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    change_set TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS changes_timestamp ON changes (timestamp);
+  CREATE INDEX IF NOT EXISTS changes_change_set ON changes (change_set);
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+class SqliteAdapter {
+  constructor(dataDir = './data', options = {}) {
+    this.type = 'sqlite';
+    this.dataDir = dataDir;
+    this.databasePath = options.databasePath || path.join(dataDir, 'eumicus.db');
+    this.db = null;
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    if (await isEncryptedDirectory(this.dataDir)) {
+      throw encryptionUnsupported(this.dataDir);
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the better-sqlite3 package. Install it with "npm install better-sqlite3".');
+    }
+
+    this.db = new Database(this.databasePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // Moves everything in the write-ahead log into the main database file, so
+  // copying eumicus.db on its own captures every committed write
+  async flush() {
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+  }
+
+  // data_version only changes when another connection commits, so writes
+  // made through this adapter leave it alone
+  async getRevision() {
+    return String(this.db.pragma('data_version', { simple: true }));
+  }
+
+  async hasKnowledgeGraph() {
+    return !!this.db.prepare('SELECT 1 FROM documents WHERE name = ?').get('last_updated');
+  }
+
+  async hasActivityLog() {
+    return !!this.getMeta('activity_log.last_updated');
+  }
+
+  async hasContentCache() {
+    return !!this.getMeta('content_cache.last_updated');
+  }
+
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  }
+
+  touchKnowledgeGraph() {
+    this.writeDocument('last_updated', new Date().toISOString());
+  }
+
+  writeDocument(name, value) {
+    this.db.prepare('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data')
+      .run(name, JSON.stringify(value === undefined ? null : value));
+  }
+
+  registerCollection(collection) {
+    this.db.prepare('INSERT OR IGNORE INTO collections (name) VALUES (?)').run(collection);
+  }
+
+  async loadKnowledgeGraph() {
+    const graph = {};
+
+    for (const row of this.db.prepare('SELECT name, data FROM documents').all()) {
+      graph[row.name] = JSON.parse(row.data);
+    }
+
+    for (const row of this.db.prepare('SELECT name FROM collections').all()) {
+      graph[row.name] = [];
+    }
+
+    const records = this.db.prepare('SELECT collection, data FROM records ORDER BY collection, position').all();
+    for (const row of records) {
+      if (!graph[row.collection]) graph[row.collection] = [];
+      graph[row.collection].push(JSON.parse(row.data));
+    }
+
+    return graph;
+  }
+
+  async saveKnowledgeGraph(graph) {
+    const replaceAll = this.db.transaction((value) => {
+      this.db.prepare('DELETE FROM documents').run();
+      this.db.prepare('DELETE FROM collections').run();
+      this.db.prepare('DELETE FROM records').run();
+
+      const insertRecord = this.db.prepare('INSERT INTO records (collection, position, key, data) VALUES (?, ?, ?, ?)');
+
+      for (const [name, entry] of Object.entries(value)) {
+        if (Array.isArray(entry)) {
+          this.registerCollection(name);
+          const seenKeys = new Set();
+          entry.forEach((record, position) => {
+            let key = recordKey(name, record);
+            // Keep duplicates from older files instead of failing the whole save
+            if (key && seenKeys.has(key)) key = null;
+            if (key) seenKeys.add(key);
+            insertRecord.run(name, position, key, JSON.stringify(record));
+          });
+        } else {
+          this.writeDocument(name, entry);
+        }
+      }
+    });
+
+    replaceAll(graph);
+  }
+
+  async getRecords(collection) {
+    return this.db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY position')
+      .all(collection)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async getRecord(collection, key) {
+    const row = this.db.prepare('SELECT data FROM records WHERE collection = ? AND key = ?').get(collection, key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async putRecord(collection, record) {
+    const put = this.db.transaction(() => {
+      this.registerCollection(collection);
+
+      const key = recordKey(collection, record);
+      const data = JSON.stringify(record);
+      const updated = key
+        ? this.db.prepare('UPDATE records SET data = ? WHERE collection = ? AND key = ?').run(data, collection, key)
+        : { changes: 0 };
+
+      if (updated.changes === 0) {
+        const { next } = this.db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM records WHERE collection = ?').get(collection);
+        this.db.prepare('INSERT INTO records (collection, position, key, data) VALUES (?, ?, ?, ?)')
+          .run(collection, next, key, data);
+      }
+
+      this.touchKnowledgeGraph();
+    });
+
+    put();
+    return record;
+  }
+
+  async getDocument(name) {
+    const row = this.db.prepare('SELECT data FROM documents WHERE name = ?').get(name);
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  async putDocument(name, value) {
+    const put = this.db.transaction(() => {
+      this.writeDocument(name, value);
+      this.touchKnowledgeGraph();
+    });
+
+    put();
+    return value;
+  }
+
+  // Rows written before activities had ids get one from their row id
+  parseActivity(row) {
+    const activity = JSON.parse(row.data);
+    return activity.id ? activity : { id: `activity_${row.id}`, ...activity };
+  }
+
+  // Filters: since and until (ISO timestamps). Oldest first.
+  async loadActivities(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.since) {
+      conditions.push("json_extract(data, '$.timestamp') >= ?");
+      params.push(filters.since);
+    }
+    if (filters.until) {
+      conditions.push("json_extract(data, '$.timestamp') <= ?");
+      params.push(filters.until);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT id, data FROM activities ${where} ORDER BY id`)
+      .all(...params)
+      .map(row => this.parseActivity(row));
+  }
+
+  async loadActivityLog() {
+    return {
+      activities: await this.loadActivities(),
+      last_updated: this.getMeta('activity_log.last_updated')
+    };
+  }
+
+  async saveActivityLog(log) {
+    const replaceAll = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM activities').run();
+      const insert = this.db.prepare('INSERT INTO activities (data) VALUES (?)');
+      for (const activity of log.activities || []) {
+        insert.run(JSON.stringify(activity));
+      }
+      this.setMeta('activity_log.last_updated', log.last_updated || new Date().toISOString());
+    });
+
+    replaceAll();
+  }
+
+  async appendActivity(activity) {
+    const append = this.db.transaction(() => {
+      this.db.prepare('INSERT INTO activities (data) VALUES (?)').run(JSON.stringify(activity));
+      this.setMeta('activity_log.last_updated', new Date().toISOString());
+    });
+
+    append();
+    return activity;
+  }
+
+  async upgradeActivityLog() {
+    // The activities table has always been the SQLite format
+    return 0;
+  }
+
+  // Rows are appended in place and never rewritten, so there are no
+  // segments to rotate or compress
+  async archiveActivity() {
+    return [];
+  }
+
+  async appendChanges(events) {
+    const append = this.db.transaction(() => {
+      const insert = this.db.prepare('INSERT INTO changes (id, timestamp, change_set, data) VALUES (?, ?, ?, ?)');
+      for (const event of events) {
+        insert.run(event.id, event.timestamp, event.change_set, JSON.stringify(event));
+      }
+    });
+
+    append();
+  }
+
+  async loadChanges(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.since) {
+      conditions.push('timestamp >= ?');
+      params.push(filters.since);
+    }
+    if (filters.until) {
+      conditions.push('timestamp <= ?');
+      params.push(filters.until);
+    }
+    if (filters.changeSet) {
+      conditions.push('change_set = ?');
+      params.push(filters.changeSet);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT data FROM changes ${where} ORDER BY seq`)
+      .all(...params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async loadContentCache() {
+    const items = {};
+    for (const row of this.db.prepare('SELECT key, data FROM content_cache').all()) {
+      items[row.key] = JSON.parse(row.data);
+    }
+
+    return {
+      items,
+      last_updated: this.getMeta('content_cache.last_updated')
+    };
+  }
+
+  async saveContentCache(cache) {
+    const replaceAll = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM content_cache').run();
+      const insert = this.db.prepare('INSERT INTO content_cache (key, data) VALUES (?, ?)');
+      for (const [key, item] of Object.entries(cache.items || {})) {
+        insert.run(key, JSON.stringify(item));
+      }
+      this.setMeta('content_cache.last_updated', cache.last_updated || new Date().toISOString());
+    });
+
+    replaceAll();
+  }
+
+  async getContentCacheEntry(key) {
+    const row = this.db.prepare('SELECT data FROM content_cache WHERE key = ?').get(key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async putContentCacheEntry(key, entry) {
+    const put = this.db.transaction(() => {
+      this.db.prepare('INSERT INTO content_cache (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data')
+        .run(key, JSON.stringify(entry));
+      this.setMeta('content_cache.last_updated', new Date().toISOString());
+    });
+
+    put();
+    return entry;
+  }
+
+  async deleteContentCacheEntries(keys) {
+    const remove = this.db.transaction(() => {
+      const statement = this.db.prepare('DELETE FROM content_cache WHERE key = ?');
+      const removed = keys.reduce((count, key) => count + statement.run(key).changes, 0);
+      if (removed > 0) {
+        this.setMeta('content_cache.last_updated', new Date().toISOString());
+      }
+      return removed;
+    });
+
+    return remove();
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// In-process queues, shared by every lock instance that points at the same file
+const queues = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseOwner(contents) {
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    // Half-written by its owner
+    return null;
+  }
+}
+
+// Serializes writers: first within this process through a promise queue, then
+// across processes through an exclusive lock file next to the data. The lock
+// file names its owner with a token of its own, so a process only ever
+// removes the lock it took, and the owner touches it while it works, so a
+// long write is never mistaken for an abandoned one.
+class WriteLock {
+  constructor(lockPath, options = {}) {
+    this.lockPath = path.resolve(lockPath);
+    this.retryInterval = options.retryInterval || 25;
+    this.timeout = options.timeout || 15000;
+    this.staleAfter = options.staleAfter || 30000;
+    this.refreshInterval = options.refreshInterval || Math.floor(this.staleAfter / 3);
+  }
+
+  async runExclusive(task) {
+    const previous = queues.get(this.lockPath) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    queues.set(this.lockPath, tail);
+
+    await previous;
+    try {
+      const owner = await this.acquireFileLock();
+      let refreshing = Promise.resolve();
+      const heartbeat = setInterval(() => {
+        refreshing = this.refreshFileLock(owner);
+      }, this.refreshInterval);
+      heartbeat.unref();
+      try {
+        return await task();
+      } finally {
+        clearInterval(heartbeat);
+        await refreshing;
+        await this.releaseFileLock(owner);
+      }
+    } finally {
+      release();
+      if (queues.get(this.lockPath) === tail) {
+        queues.delete(this.lockPath);
+      }
+    }
+  }
+
+  // Resolves to the contents of the lock file this call created
+  async acquireFileLock() {
+    const startedAt = Date.now();
+    const owner = JSON.stringify({
+      pid: process.pid,
+      host: os.hostname(),
+      token: crypto.randomBytes(12).toString('hex'),
+      acquired_at: new Date().toISOString()
+    });
+
+    while (true) {
+      try {
+        await fs.writeFile(this.lockPath, owner, { flag: 'wx' });
+        return owner;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stale = await this.readStaleLock();
+      if (stale !== null) {
+        await this.removeFileLock(stale);
+        continue;
+      }
+
+      if (Date.now() - startedAt > this.timeout) {
+        throw new Error(`Timed out waiting for lock ${this.lockPath}. Remove it if no other Eumicus process is running.`);
+      }
+
+      await sleep(this.retryInterval);
+    }
+  }
+
+  // The contents of the lock file when its owner is gone, otherwise null.
+  // An owner on this machine is looked up by process id; one elsewhere (a
+  // shared drive) counts as gone once it stops touching the file.
+  async readStaleLock() {
+    let contents;
+    let stats;
+    try {
+      [contents, stats] = await Promise.all([
+        fs.readFile(this.lockPath, 'utf8'),
+        fs.stat(this.lockPath)
+      ]);
+    } catch (error) {
+      // Lock vanished between attempts
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const owner = parseOwner(contents);
+    if (owner?.pid && owner.host === os.hostname()) {
+      // This process waits its turn in the queue above, so a lock under its
+      // own id was left by an earlier process that had the same id
+      if (owner.pid === process.pid) return contents;
+      try {
+        process.kill(owner.pid, 0);
+        return null;
+      } catch (error) {
+        return error.code === 'ESRCH' ? contents : null;
+      }
+    }
+
+    return Date.now() - stats.mtimeMs > this.staleAfter ? contents : null;
+  }
+
+  // Removes the lock file if it still holds the given contents, read again
+  // right before the unlink, so a lock that changed hands since it was
+  // first read is left alone
+  async removeFileLock(contents) {
+    try {
+      if ((await fs.readFile(this.lockPath, 'utf8')) !== contents) return false;
+      await fs.unlink(this.lockPath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async refreshFileLock(owner) {
+    try {
+      if ((await fs.readFile(this.lockPath, 'utf8')) !== owner) {
+        console.error(`Lock ${this.lockPath} was taken over by another process`);
+        return;
+      }
+      const now = new Date();
+      await fs.utimes(this.lockPath, now, now);
+    } catch (error) {
+      console.error(`Unable to refresh lock ${this.lockPath}:`, error.message);
+    }
+  }
+
+  async releaseFileLock(owner) {
+    if (!(await this.removeFileLock(owner))) {
+      console.error(`Lock ${this.lockPath} was taken over by another process before it was released`);
+    }
+  }
+}
+
+// Writes to a temporary file and renames it over the target, so readers and
+// crashes never see a partially written file.
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+  let handle = null;
+
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) await handle.close().catch(() => {});
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  WriteLock,
+  writeFileAtomic
+};
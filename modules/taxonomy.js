@@ -0,0 +1,193 @@
+const { generateId } = require('./ids');
+
+// The category tree stored in the graph's categories collection. Each node is
+// { id, name, parent, aliases, created_at, last_updated }, with parent the id
+// of the node above it or null for a domain. Concepts point at a node with
+// category_id and keep its name in category. Everything here is pure apart
+// from resolveCategoryPath, which adds the nodes it creates to the list.
+
+// Domain > subdomain > topic
+const MAX_DEPTH = 3;
+// Separators accepted between the levels of a path. Not "/", which names
+// such as "CI/CD" use.
+const PATH_SEPARATOR = /\s*(?:>|::)\s*/;
+const UNCATEGORIZED = 'Uncategorized';
+
+function categoryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// "Machine-Learning", "machine learning" and "Machine Learnings" are one
+// category
+function normalizeCategoryName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word) ? word.slice(0, -1) : word))
+    .join(' ');
+}
+
+function splitCategoryPath(path) {
+  return String(path || '').split(PATH_SEPARATOR).map(part => part.trim()).filter(Boolean);
+}
+
+function nameMatches(category, name) {
+  const key = normalizeCategoryName(name);
+  return [category.name, ...(category.aliases || [])].some(other => normalizeCategoryName(other) === key);
+}
+
+// The node and the nodes above it, domain first
+function categoryLineage(categories, id) {
+  const byId = new Map((categories || []).map(category => [category.id, category]));
+  const lineage = [];
+  const seen = new Set();
+  let current = byId.get(id);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    lineage.unshift(current);
+    current = current.parent ? byId.get(current.parent) : null;
+  }
+  return lineage;
+}
+
+function categoryPath(categories, id) {
+  return categoryLineage(categories, id).map(category => category.name).join(' > ');
+}
+
+function childCategories(categories, parentId) {
+  return (categories || []).filter(category => (category.parent || null) === (parentId || null));
+}
+
+// The node and everything below it
+function descendantIds(categories, id) {
+  const ids = new Set([id]);
+  let added = true;
+  while (added) {
+    added = false;
+    (categories || []).forEach(category => {
+      if (category.parent && ids.has(category.parent) && !ids.has(category.id)) {
+        ids.add(category.id);
+        added = true;
+      }
+    });
+  }
+  return ids;
+}
+
+// By id, by full path ("Science > Physics"), or by name or alias anywhere in
+// the tree, the node closest to the root winning
+function findCategory(categories, idOrPath) {
+  if (!idOrPath) return null;
+  categories = categories || [];
+
+  const byId = categories.find(category => category.id === idOrPath);
+  if (byId) return byId;
+
+  const parts = splitCategoryPath(idOrPath);
+  if (parts.length > 1) {
+    let parent = null;
+    for (const part of parts) {
+      parent = childCategories(categories, parent?.id).find(category => nameMatches(category, part));
+      if (!parent) return null;
+    }
+    return parent;
+  }
+
+  return categories
+    .filter(category => nameMatches(category, parts[0]))
+    .sort((a, b) => categoryLineage(categories, a.id).length - categoryLineage(categories, b.id).length)[0] || null;
+}
+
+// Maps a category name or path, as an LLM makes them up, onto the tree.
+// Levels that exist are reused, matching names case-, punctuation- and
+// plural-insensitively and through aliases; the rest are created below them,
+// at most MAX_DEPTH deep. A path whose first level isn't a domain but names a
+// node deeper down continues from that node. Returns { category, created }.
+function resolveCategoryPath(categories, path, now = new Date().toISOString()) {
+  const parts = splitCategoryPath(path);
+  if (parts.length === 0) return { category: null, created: [] };
+
+  const created = [];
+  const create = (name, parent) => {
+    const category = { id: generateId('category'), name, parent: parent ? parent.id : null, aliases: [], created_at: now, last_updated: now };
+    categories.push(category);
+    created.push(category);
+    return category;
+  };
+
+  let current = childCategories(categories, null).find(category => nameMatches(category, parts[0])) ||
+    findCategory(categories, parts[0]) ||
+    create(parts[0], null);
+
+  for (const part of parts.slice(1)) {
+    if (categoryLineage(categories, current.id).length >= MAX_DEPTH) break;
+    current = childCategories(categories, current.id).find(category => nameMatches(category, part)) || create(part, current);
+  }
+  return { category: current, created };
+}
+
+// Nested nodes, each with its children and the number of concepts filed
+// directly under it (concepts) and under it or below (total)
+function buildCategoryTree(categories, concepts = []) {
+  const direct = new Map();
+  concepts.forEach(concept => {
+    if (concept.category_id) direct.set(concept.category_id, (direct.get(concept.category_id) || 0) + 1);
+  });
+
+  const build = (parentId, seen) => childCategories(categories, parentId)
+    .filter(category => !seen.has(category.id))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(category => {
+      const children = build(category.id, new Set([...seen, category.id]));
+      const count = direct.get(category.id) || 0;
+      return {
+        id: category.id,
+        name: category.name,
+        aliases: category.aliases || [],
+        path: categoryPath(categories, category.id),
+        concepts: count,
+        total: count + children.reduce((sum, child) => sum + child.total, 0),
+        children
+      };
+    });
+  return build(null, new Set());
+}
+
+// Concepts grouped by the tree's level-th level (1 for domains). Concepts
+// filed higher up than that are grouped under their own node, and
+// uncategorized ones under "Uncategorized". Keys are paths.
+function groupConceptsByCategory(concepts, categories, level = 1) {
+  const groups = {};
+  concepts.forEach(concept => {
+    const lineage = categoryLineage(categories, concept.category_id);
+    const key = lineage.length > 0
+      ? lineage.slice(0, Math.max(1, level)).map(category => category.name).join(' > ')
+      : UNCATEGORIZED;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(concept);
+  });
+  return groups;
+}
+
+module.exports = {
+  MAX_DEPTH,
+  UNCATEGORIZED,
+  categoryError,
+  normalizeCategoryName,
+  splitCategoryPath,
+  categoryLineage,
+  categoryPath,
+  childCategories,
+  descendantIds,
+  findCategory,
+  resolveCategoryPath,
+  buildCategoryTree,
+  groupConceptsByCategory
+};
@@ -130,11 +130,18 @@ class UserProfiler {
   async completeProfiling(conversationState) {
     const { profile } = conversationState;
     
-    // Analyze the complete profile
-    const analyzedProfile = await this.analyzeUserProfile(profile);
-    
-    // Save to knowledge graph
-    await this.knowledgeGraph.updateUserProfile(analyzedProfile);
+    // The profile and the initial concepts it seeds form one change set
+    const analyzedProfile = await this.knowledgeGraph.runInChangeSet({
+      agent: 'User Profiler',
+      description: 'Complete user profiling'
+    }, async () => {
+      // Analyze the complete profile
+      const analyzed = await this.analyzeUserProfile(profile);
+
+      // Save to knowledge graph
+      await this.knowledgeGraph.updateUserProfile(analyzed);
+      return analyzed;
+    });
     
     // Log the profiling activity
     await this.knowledgeGraph.addActivity({
@@ -260,7 +267,10 @@ class UserProfiler {
       // Add initial concepts to the knowledge graph
       if (analysis.initial_concepts) {
         for (const concept of analysis.initial_concepts) {
-          await this.knowledgeGraph.addConcept(concept);
+          await this.knowledgeGraph.addConcept({
+            ...concept,
+            created_from: 'user_profile'
+          });
         }
       }
 
@@ -275,7 +285,7 @@ class UserProfiler {
   async updateProfileFromInteraction(interaction) {
     // This method would be called after user interactions to update the profile
     // based on new insights about their learning patterns
-    const currentProfile = await this.knowledgeGraph.loadKnowledgeGraph();
+    const currentProfile = await this.knowledgeGraph.readKnowledgeGraph();
     const userProfile = currentProfile.user_profile;
     
     // Analyze the interaction for profile updates
@@ -311,7 +321,10 @@ class UserProfiler {
         userProfile.learning_style = updates.learning_style_updates;
       }
       
-      await this.knowledgeGraph.updateUserProfile(userProfile);
+      await this.knowledgeGraph.runInChangeSet({
+        agent: 'User Profiler',
+        description: 'Update profile from interaction'
+      }, () => this.knowledgeGraph.updateUserProfile(userProfile));
       
       return userProfile;
       
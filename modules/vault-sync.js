@@ -0,0 +1,662 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./storage/write-lock');
+const { isEqual } = require('./change-history');
+const { normalizeEdgeType } = require('./edges');
+
+const CONCEPTS_DIR = 'Concepts';
+const SOURCES_DIR = 'Sources';
+// What the vault looked like at the last export: the common base that
+// tells edits made in the vault apart from changes made in the graph
+const STATE_FILE = path.join('.eumicus', 'sync-state.json');
+const AGENT = 'Obsidian Vault';
+
+// Front matter fields merged back into the graph, besides the note title
+const NOTE_FIELDS = ['description', 'category', 'confidence', 'priority', 'tags', 'aliases', 'next_review'];
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Characters Obsidian does not allow in file names or link targets
+function toFileName(name) {
+  return String(name || '')
+    .replace(/[\\/:*?"<>|#^[\]]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, 120)
+    .trim();
+}
+
+// Obsidian tags are single words of letters, digits, -, _ and /
+function toTag(tag) {
+  return String(tag).trim().toLowerCase().replace(/^#/, '').replace(/[^\p{L}\p{N}_/-]+/gu, '-');
+}
+
+function toIsoTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? value : new Date(time).toISOString();
+}
+
+// Order doesn't matter for tags and aliases
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return isEqual([...(a || [])].sort(), [...(b || [])].sort());
+  }
+  return isEqual(a ?? null, b ?? null);
+}
+
+function yamlScalar(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = String(value);
+  const plain = /^[^\s\-?:,[\]{}#&*!|>'"%@`][^:#]*$/.test(text) && text === text.trim() &&
+    !/^(true|false|null|~|-?\d[\d.e+-]*)$/i.test(text);
+  return plain ? text : JSON.stringify(text);
+}
+
+// Flat front matter: scalars and lists of scalars, written the way
+// Obsidian's properties editor writes them
+function renderFrontMatter(data) {
+  const lines = ['---'];
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length === 0) return;
+      lines.push(`${key}:`, ...value.map(item => `  - ${yamlScalar(item)}`));
+    } else {
+      lines.push(`${key}: ${yamlScalar(value)}`);
+    }
+  });
+  lines.push('---');
+  return lines.join('\n');
+}
+
+function parseYamlScalar(text) {
+  const value = text.trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+  return value;
+}
+
+// Reads what renderFrontMatter writes, plus inline [a, b] lists and
+// comments. Anything fancier in a note's front matter is ignored.
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = line.match(/^\s+-\s*(.*)$/) || (listKey && line.match(/^-\s*(.*)$/));
+    if (item && listKey) {
+      data[listKey].push(parseYamlScalar(item[1]));
+      return;
+    }
+
+    const entry = line.match(/^([^\s:][^:]*):(.*)$/);
+    if (!entry) return;
+    const key = entry[1].trim();
+    const value = entry[2].trim();
+    listKey = null;
+
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = value.slice(1, -1).split(',').map(parseYamlScalar).filter(item => item !== null);
+    } else {
+      data[key] = parseYamlScalar(value);
+    }
+  });
+
+  return { data, body: text.slice(match[0].length) };
+}
+
+// [[Target]], [[Folder/Target#Heading|Shown text]] -> Target
+function wikilinks(text) {
+  return [...text.matchAll(/\[\[([^\]|#^]+)(?:[#^][^\]|]*)?(?:\|[^\]]*)?\]\]/g)]
+    .map(match => path.posix.basename(match[1].trim()));
+}
+
+function wikilink(fileName, label) {
+  return fileName === label ? `[[${fileName}]]` : `[[${fileName}|${label}]]`;
+}
+
+// The title, the free text and the typed links of a concept note. The
+// Connections and Sources sections are generated; everything else after the
+// title is the description. Links in the description count as related-to.
+function parseNoteBody(body) {
+  const lines = body.split(/\r?\n/);
+  let title = null;
+  const text = [];
+  const connections = [];
+  let section = null;
+
+  lines.forEach(line => {
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*$/);
+    if (heading && heading[1].length === 1 && title === null) {
+      title = heading[2];
+      return;
+    }
+    if (heading && heading[1].length === 2) {
+      const name = heading[2].toLowerCase();
+      section = name === 'connections' || name === 'sources' ? name : null;
+      if (section) return;
+    }
+
+    if (section === 'connections') {
+      const link = line.match(/^\s*[-*+]\s+(?:([\w -]+?)::\s*)?(\[\[.*?\]\])/);
+      if (link) {
+        connections.push({ target: wikilinks(link[2])[0], type: normalizeEdgeType(link[1]) });
+      }
+    } else if (section !== 'sources') {
+      text.push(line);
+    }
+  });
+
+  const description = text.join('\n').trim();
+  const listed = new Set(connections.map(link => link.target));
+  const inline = [...new Set(wikilinks(description))]
+    .filter(target => !listed.has(target))
+    .map(target => ({ target, type: normalizeEdgeType(null) }));
+
+  return { title, description, links: [...connections, ...inline] };
+}
+
+async function listMarkdownFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listMarkdownFiles(fullPath));
+    } else if (entry.name.endsWith('.md')) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Writes the knowledge graph into an Obsidian vault as Markdown notes, one
+// per concept under Concepts/ and one per content item under Sources/, and
+// merges edits made in the vault back through the KnowledgeGraphManager.
+// Only notes in Concepts/ are read back; Sources/ is regenerated each time.
+class VaultSync {
+  constructor(knowledgeGraphManager, vaultDir) {
+    this.knowledgeGraph = knowledgeGraphManager;
+    this.vaultDir = vaultDir;
+    this.statePath = path.join(vaultDir, STATE_FILE);
+  }
+
+  async readState() {
+    try {
+      return JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  relative(file) {
+    return path.relative(this.vaultDir, file).split(path.sep).join('/');
+  }
+
+  // Every concept note in the vault, parsed
+  async scanNotes() {
+    const notes = [];
+    for (const file of await listMarkdownFiles(path.join(this.vaultDir, CONCEPTS_DIR))) {
+      const text = await fs.readFile(file, 'utf8');
+      const { data, body } = parseFrontMatter(text);
+      const { title, description, links } = parseNoteBody(body);
+      const fileName = path.basename(file, '.md');
+
+      notes.push({
+        file: this.relative(file),
+        fileName,
+        hash: hashText(text),
+        id: data.id ? String(data.id) : null,
+        name: (title || fileName).trim(),
+        fields: {
+          description,
+          category: data.category ?? null,
+          confidence: data.confidence ?? null,
+          priority: data.priority ?? null,
+          tags: (data.tags || []).map(toTag),
+          aliases: (data.aliases || []).map(String),
+          next_review: toIsoTime(data.next_review)
+        },
+        links
+      });
+    }
+    return notes;
+  }
+
+  // A concept as the fields of its note, so graph and vault values compare
+  static noteFields(concept) {
+    return {
+      description: (concept.description || '').trim(),
+      category: concept.category ?? null,
+      confidence: concept.confidence ?? null,
+      priority: concept.priority ?? null,
+      tags: (concept.tags || []).map(toTag),
+      aliases: concept.aliases || [],
+      next_review: toIsoTime(concept.reinforcement_schedule)
+    };
+  }
+
+  // The note fields as concept fields
+  static conceptFields(fields) {
+    const updates = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      updates[key === 'next_review' ? 'reinforcement_schedule' : key] = value;
+    });
+    return updates;
+  }
+
+  // Writes every active concept and content item as a note. Notes whose
+  // concept is gone or renamed are removed, unless they were edited since
+  // the last export. Options: keep, ids of concepts whose notes must be left
+  // as they are (unresolved conflicts).
+  async exportVault(options = {}) {
+    const keep = options.keep || new Set();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
+    const state = (await this.readState()) || { notes: {}, sources: {} };
+    const notes = await this.scanNotes();
+    const scanned = new Map(notes.filter(note => note.id).map(note => [note.id, note]));
+    // New notes written in the vault don't have an id until they are exported
+    const unclaimed = new Map(notes.filter(note => !note.id).map(note => [note.name, note]));
+    const concepts = graph.concepts.filter(concept => !concept.archived_at);
+    const contentItems = graph.content_items || [];
+
+    // File names are unique across the vault's managed folders, since
+    // Obsidian resolves [[links]] by file name
+    const used = new Set();
+    const reserve = name => {
+      const base = toFileName(name) || 'Untitled';
+      let fileName = base;
+      for (let n = 2; used.has(fileName.toLowerCase()); n++) fileName = `${base} (${n})`;
+      used.add(fileName.toLowerCase());
+      return fileName;
+    };
+
+    // Notes keep their file while their concept keeps its name
+    const files = new Map();
+    concepts.forEach(concept => {
+      const note = scanned.get(concept.id) || unclaimed.get(concept.name);
+      if (note && (note.name === concept.name || keep.has(concept.id)) && !used.has(note.fileName.toLowerCase())) {
+        used.add(note.fileName.toLowerCase());
+        files.set(concept.id, note.file);
+      }
+    });
+    concepts.forEach(concept => {
+      if (!files.has(concept.id)) files.set(concept.id, `${CONCEPTS_DIR}/${reserve(concept.name)}.md`);
+    });
+    const sourceFiles = new Map(contentItems.map(item => [
+      item.id,
+      `${SOURCES_DIR}/${reserve(item.title || item.url || item.id)}.md`
+    ]));
+
+    const fileName = file => path.posix.basename(file, '.md');
+    const byId = new Map(concepts.map(concept => [concept.id, concept]));
+    const conceptIds = new Map();
+    concepts.forEach(concept => {
+      [concept.name, ...(concept.aliases || [])].forEach(name => {
+        if (!conceptIds.has(name)) conceptIds.set(name, concept.id);
+      });
+    });
+    const sourcesOf = new Map();
+    contentItems.forEach(item => {
+      new Set((item.key_concepts || []).map(name => conceptIds.get(name)).filter(Boolean)).forEach(id => {
+        if (!sourcesOf.has(id)) sourcesOf.set(id, []);
+        sourcesOf.get(id).push(item);
+      });
+    });
+
+    const nextState = { version: 1, exported_at: new Date().toISOString(), notes: {}, sources: {} };
+    const report = { concepts: 0, sources: 0, removed: [], kept: [] };
+
+    for (const concept of concepts) {
+      const file = files.get(concept.id);
+      if (keep.has(concept.id)) {
+        if (state.notes[concept.id]) nextState.notes[concept.id] = { ...state.notes[concept.id], file };
+        continue;
+      }
+
+      const links = (graph.edges || [])
+        .filter(edge => edge.from === concept.id && byId.has(edge.to))
+        .map(edge => ({ to: edge.to, type: edge.type }));
+      const fields = VaultSync.noteFields(concept);
+      const text = this.renderConceptNote(concept, fields, {
+        links: links.map(link => `- ${link.type}:: ${wikilink(fileName(files.get(link.to)), byId.get(link.to).name)}`),
+        sources: (sourcesOf.get(concept.id) || []).map(item => {
+          const sourceFile = fileName(sourceFiles.get(item.id));
+          return `- ${wikilink(sourceFile, item.title || sourceFile)}`;
+        })
+      });
+
+      await this.writeNote(file, text);
+      nextState.notes[concept.id] = { file, name: concept.name, hash: hashText(text), fields, links };
+      report.concepts++;
+    }
+
+    for (const item of contentItems) {
+      const file = sourceFiles.get(item.id);
+      const mentioned = [...new Set((item.key_concepts || []).map(name => conceptIds.get(name)).filter(Boolean))];
+      const text = this.renderSourceNote(item, mentioned.map(id => `- ${wikilink(fileName(files.get(id)), byId.get(id).name)}`));
+      await this.writeNote(file, text);
+      nextState.sources[item.id] = { file, hash: hashText(text) };
+      report.sources++;
+    }
+
+    // Old copies of notes that moved, and notes of concepts that are gone
+    const current = new Set([...files.values(), ...sourceFiles.values()]);
+    const stale = [
+      ...[...scanned.values()].map(note => ({ id: note.id, file: note.file, exported: state.notes[note.id]?.hash })),
+      ...Object.values(state.sources || {}).map(source => ({ file: source.file, exported: source.hash }))
+    ].filter(note => !current.has(note.file));
+
+    for (const note of stale) {
+      const fullPath = path.join(this.vaultDir, note.file);
+      const text = await fs.readFile(fullPath, 'utf8').catch(() => null);
+      if (text === null) continue;
+      if (hashText(text) === note.exported) {
+        await fs.rm(fullPath, { force: true });
+        report.removed.push(note.file);
+      } else {
+        // Edited since the export: left for the user, and still compared
+        // against the export on the next sync
+        report.kept.push(note.file);
+        if (note.id && state.notes[note.id]) nextState.notes[note.id] = state.notes[note.id];
+      }
+    }
+
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    await writeFileAtomic(this.statePath, JSON.stringify(nextState, null, 2));
+    return report;
+  }
+
+  async writeNote(file, text) {
+    const fullPath = path.join(this.vaultDir, file);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await writeFileAtomic(fullPath, text);
+  }
+
+  renderConceptNote(concept, fields, sections) {
+    const frontMatter = renderFrontMatter({
+      id: concept.id,
+      aliases: fields.aliases,
+      tags: fields.tags,
+      category: fields.category,
+      confidence: fields.confidence,
+      priority: fields.priority,
+      next_review: fields.next_review,
+      last_reinforced: concept.last_reinforced,
+      created: concept.created_at
+    });
+
+    const parts = [frontMatter, '', `# ${concept.name}`, ''];
+    if (fields.description) parts.push(fields.description, '');
+    if (sections.links.length > 0) parts.push('## Connections', '', ...sections.links, '');
+    if (sections.sources.length > 0) parts.push('## Sources', '', ...sections.sources, '');
+    return parts.join('\n');
+  }
+
+  renderSourceNote(item, concepts) {
+    const frontMatter = renderFrontMatter({
+      id: item.id,
+      type: item.type,
+      url: item.url,
+      processed: item.processed_date
+    });
+
+    const parts = [frontMatter, '', `# ${item.title || item.url || item.id}`, ''];
+    if (item.url) parts.push(item.url, '');
+    if (item.key_takeaways?.length > 0) {
+      parts.push('## Key Takeaways', '', ...item.key_takeaways.map(takeaway => `- ${takeaway}`), '');
+    }
+    if (concepts.length > 0) parts.push('## Concepts', '', ...concepts, '');
+    return parts.join('\n');
+  }
+
+  // Compares the vault with the last export and the graph, and returns what
+  // to change without changing anything. A field edited in the vault is
+  // taken when the graph still has the exported value. When both sides
+  // changed it is a conflict: options.prefer ('vault' or 'graph') settles
+  // it, otherwise it is reported and both sides are left alone.
+  async planImport(options = {}) {
+    const state = (await this.readState()) || { notes: {} };
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
+    const concepts = graph.concepts;
+    const byId = new Map(concepts.map(concept => [concept.id, concept]));
+    const notes = await this.scanNotes();
+
+    const plan = {
+      create: [],
+      rename: [],
+      update: [],
+      add_edges: [],
+      remove_edges: [],
+      conflicts: [],
+      unresolved_links: [],
+      missing_notes: [],
+      keep: new Set()
+    };
+
+    const findConcept = name => concepts.find(c => c.name === name) ||
+      concepts.find(c => c.aliases?.includes(name)) || null;
+
+    // Which concept each note belongs to. Notes without a known id are new
+    // concepts, or notes for a concept that already exists under that name.
+    notes.forEach(note => {
+      const base = note.id ? state.notes[note.id] : null;
+      if (note.id && byId.has(note.id)) {
+        note.concept = byId.get(note.id);
+        note.base = base;
+      } else if (note.id && base) {
+        // The concept was deleted or archived in the graph. An unedited
+        // note just goes away on export; an edited one is a conflict.
+        if (note.hash !== base.hash) {
+          plan.conflicts.push({ concept: note.name, file: note.file, field: 'note', vault: 'edited', graph: 'removed' });
+        }
+        note.skip = true;
+      } else if (findConcept(note.name)) {
+        note.concept = findConcept(note.name);
+        note.base = null;
+      } else {
+        note.created = true;
+        plan.create.push({ file: note.file, name: note.name, fields: note.fields });
+      }
+    });
+
+    // Link targets are file names, which may differ from concept names
+    const noteFiles = new Map(notes.filter(note => !note.skip).map(note => [note.fileName.toLowerCase(), note]));
+    const sourceFiles = new Set(Object.values(state.sources || {}).map(source => path.posix.basename(source.file, '.md').toLowerCase()));
+    const resolveLink = target => {
+      const note = noteFiles.get(target.toLowerCase());
+      if (note) return note.concept ? note.concept.id : `new:${note.name}`;
+      const concept = findConcept(target);
+      if (concept) return concept.id;
+      return sourceFiles.has(target.toLowerCase()) ? 'source' : null;
+    };
+
+    notes.filter(note => !note.skip).forEach(note => {
+      const from = note.concept ? note.concept.id : `new:${note.name}`;
+      const base = note.base;
+      const edges = note.concept ? (graph.edges || []).filter(edge => edge.from === note.concept.id) : [];
+
+      if (note.concept) {
+        // A changed title renames the concept
+        if (note.name !== note.concept.name && base && note.concept.name === base.name) {
+          plan.rename.push({ id: note.concept.id, from: note.concept.name, to: note.name });
+        } else if (note.name !== note.concept.name && base && note.name !== base.name) {
+          this.resolveConflict(plan, note, 'name', note.name, note.concept.name, options, () => {
+            plan.rename.push({ id: note.concept.id, from: note.concept.name, to: note.name });
+          });
+        }
+
+        const graphFields = VaultSync.noteFields(note.concept);
+        const changes = {};
+        NOTE_FIELDS.forEach(field => {
+          const vaultValue = note.fields[field];
+          const graphValue = graphFields[field];
+          if (sameValue(vaultValue, graphValue)) return;
+          if (base && sameValue(vaultValue, base.fields[field])) return;
+
+          if (base && sameValue(graphValue, base.fields[field])) {
+            changes[field] = vaultValue;
+          } else {
+            this.resolveConflict(plan, note, field, vaultValue, graphValue, options, () => {
+              changes[field] = vaultValue;
+            });
+          }
+        });
+
+        if (changes.confidence !== undefined && changes.confidence !== null) {
+          const confidence = Number(changes.confidence);
+          if (Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+            plan.conflicts.push({ concept: note.concept.name, file: note.file, field: 'confidence', vault: changes.confidence, graph: graphFields.confidence, reason: 'must be between 0 and 1' });
+            plan.keep.add(note.concept.id);
+            delete changes.confidence;
+          }
+        }
+        if (Object.keys(changes).length > 0) {
+          plan.update.push({ id: note.concept.id, name: note.concept.name, changes });
+        }
+      }
+
+      // Links added in the vault become edges; links removed in the vault
+      // remove their edge, if the graph still has it
+      const baseLinks = new Set((base?.links || []).map(link => `${link.to}|${link.type}`));
+      const vaultLinks = new Set();
+      note.links.forEach(link => {
+        const to = resolveLink(link.target);
+        if (to === 'source') return;
+        if (!to) {
+          plan.unresolved_links.push({ concept: note.name, file: note.file, link: link.target });
+          return;
+        }
+        if (to === from) return;
+        vaultLinks.add(`${to}|${link.type}`);
+
+        const exists = edges.some(edge => edge.to === to && edge.type === link.type);
+        if (!exists && !baseLinks.has(`${to}|${link.type}`)) {
+          plan.add_edges.push({ from, to, type: link.type, name: note.name, target: link.target });
+        }
+      });
+
+      if (base) {
+        edges
+          .filter(edge => baseLinks.has(`${edge.to}|${edge.type}`) && !vaultLinks.has(`${edge.to}|${edge.type}`))
+          .forEach(edge => plan.remove_edges.push({ id: edge.id, from: note.concept.name, to: byId.get(edge.to)?.name, type: edge.type }));
+      }
+    });
+
+    // Notes deleted in the vault are reported, never deleted from the graph
+    const present = new Set(notes.map(note => note.id).filter(Boolean));
+    Object.entries(state.notes).forEach(([id, entry]) => {
+      if (!present.has(id) && byId.has(id)) {
+        plan.missing_notes.push({ concept: byId.get(id).name, file: entry.file });
+      }
+    });
+
+    return plan;
+  }
+
+  resolveConflict(plan, note, field, vaultValue, graphValue, options, takeVault) {
+    const conflict = { concept: note.concept.name, file: note.file, field, vault: vaultValue, graph: graphValue };
+    if (options.prefer === 'vault') {
+      takeVault();
+      conflict.resolution = 'vault';
+    } else if (options.prefer === 'graph') {
+      conflict.resolution = 'graph';
+    } else {
+      plan.keep.add(note.concept.id);
+    }
+    plan.conflicts.push(conflict);
+  }
+
+  // Applies planImport's changes as one change set
+  async applyImport(plan) {
+    return await this.knowledgeGraph.runInChangeSet({ agent: AGENT, description: 'Merge edits from the Obsidian vault' }, async () => {
+      const created = new Map();
+      for (const note of plan.create) {
+        const fields = Object.entries(VaultSync.conceptFields(note.fields))
+          .filter(([, value]) => value !== null && value !== '');
+        const concept = await this.knowledgeGraph.addConcept({ name: note.name, ...Object.fromEntries(fields), sources: [] });
+        created.set(`new:${note.name}`, concept.id);
+      }
+
+      for (const rename of plan.rename) {
+        await this.knowledgeGraph.renameConcept(rename.id, rename.to);
+      }
+
+      for (const update of plan.update) {
+        await this.knowledgeGraph.updateConcept(update.id, VaultSync.conceptFields(update.changes), {
+          agent: AGENT,
+          description: `Update concept "${update.name}" from the vault`
+        });
+      }
+
+      if (plan.add_edges.length > 0) {
+        await this.knowledgeGraph.addEdges(plan.add_edges.map(edge => ({
+          from: created.get(edge.from) || edge.from,
+          to: created.get(edge.to) || edge.to,
+          type: edge.type
+        })), { agent: AGENT, method: 'vault_link' });
+      }
+
+      if (plan.remove_edges.length > 0) {
+        await this.knowledgeGraph.removeEdges(plan.remove_edges.map(edge => edge.id));
+      }
+    });
+  }
+
+  // Merges vault edits into the graph, then exports the result so the
+  // vault and the graph match again. Notes with unresolved conflicts are
+  // left untouched until the conflict is settled. Options: prefer, dryRun.
+  async sync(options = {}) {
+    const plan = await this.planImport(options);
+    const result = {
+      created: plan.create.map(note => note.name),
+      renamed: plan.rename.map(({ from, to }) => ({ from, to })),
+      updated: plan.update.map(update => ({ concept: update.name, fields: Object.keys(update.changes) })),
+      edges_added: plan.add_edges.map(({ name, target, type }) => ({ from: name, to: target, type })),
+      edges_removed: plan.remove_edges.map(({ from, to, type }) => ({ from, to, type })),
+      conflicts: plan.conflicts,
+      unresolved_links: plan.unresolved_links,
+      missing_notes: plan.missing_notes,
+      export: null
+    };
+    if (options.dryRun) return result;
+
+    await this.applyImport(plan);
+    result.export = await this.exportVault({ keep: plan.keep });
+    return result;
+  }
+}
+
+VaultSync.parseFrontMatter = parseFrontMatter;
+VaultSync.renderFrontMatter = renderFrontMatter;
+
+module.exports = VaultSync;
@@ -0,0 +1,141 @@
+const fs = require('fs').promises;
+const path = require('path');
+const KnowledgeGraphManager = require('./knowledge-graph');
+const { WriteLock, writeFileAtomic } = require('./storage/write-lock');
+
+const DEFAULT_WORKSPACE = 'default';
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// "Work ML" -> "work-ml". Ids double as directory names.
+function toWorkspaceId(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^[-_]+|[-_]+$/g, '');
+}
+
+// Keeps track of the workspaces in one installation. The default workspace
+// lives directly in the root data directory so existing installs keep
+// working; every other workspace gets data/workspaces/<id>/ with its own
+// graph, profile, activity log and backups.
+class WorkspaceManager {
+  constructor(rootDir = './data') {
+    this.rootDir = rootDir;
+    this.workspacesDir = path.join(rootDir, 'workspaces');
+    this.registryPath = path.join(this.workspacesDir, 'workspaces.json');
+    this.writeLock = new WriteLock(path.join(this.workspacesDir, '.workspaces.lock'));
+  }
+
+  // Accepts an id or a display name
+  resolveId(nameOrId) {
+    if (!nameOrId) return DEFAULT_WORKSPACE;
+    return toWorkspaceId(nameOrId);
+  }
+
+  dataDirFor(id) {
+    if (id === DEFAULT_WORKSPACE) return this.rootDir;
+    if (!WORKSPACE_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid workspace id: ${id}`);
+    }
+    return path.join(this.workspacesDir, id);
+  }
+
+  async loadRegistry() {
+    try {
+      const data = await fs.readFile(this.registryPath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { workspaces: [] };
+      throw error;
+    }
+  }
+
+  async listWorkspaces() {
+    const registry = await this.loadRegistry();
+    const workspaces = registry.workspaces.filter(workspace => workspace.id !== DEFAULT_WORKSPACE);
+    const defaultWorkspace = registry.workspaces.find(workspace => workspace.id === DEFAULT_WORKSPACE);
+
+    return [
+      { id: DEFAULT_WORKSPACE, name: 'Default', schedule: {}, ...defaultWorkspace },
+      ...workspaces
+    ].map(workspace => ({ ...workspace, data_dir: this.dataDirFor(workspace.id) }));
+  }
+
+  async getWorkspace(nameOrId) {
+    const id = this.resolveId(nameOrId);
+    const workspaces = await this.listWorkspaces();
+    return workspaces.find(workspace => workspace.id === id) || null;
+  }
+
+  async createWorkspace(name, options = {}) {
+    const id = toWorkspaceId(name);
+    if (!WORKSPACE_ID_PATTERN.test(id)) {
+      throw new Error('Workspace name must contain at least one letter or digit');
+    }
+
+    await fs.mkdir(this.workspacesDir, { recursive: true });
+    const workspace = await this.writeLock.runExclusive(async () => {
+      const registry = await this.loadRegistry();
+      if (id === DEFAULT_WORKSPACE || registry.workspaces.some(existing => existing.id === id)) {
+        throw new Error(`Workspace "${id}" already exists`);
+      }
+
+      const created = {
+        id,
+        name: String(name).trim(),
+        schedule: options.schedule || {},
+        created_at: new Date().toISOString()
+      };
+      registry.workspaces.push(created);
+      await writeFileAtomic(this.registryPath, JSON.stringify(registry, null, 2));
+      return created;
+    });
+
+    await fs.mkdir(this.dataDirFor(id), { recursive: true });
+    return { ...workspace, data_dir: this.dataDirFor(id) };
+  }
+
+  // Changes the display name or pipeline schedule. The id never changes.
+  async updateWorkspace(nameOrId, changes = {}) {
+    const id = this.resolveId(nameOrId);
+    const current = await this.getWorkspace(id);
+    if (!current) {
+      throw new Error(`Workspace not found: ${nameOrId}`);
+    }
+
+    await fs.mkdir(this.workspacesDir, { recursive: true });
+    const updated = await this.writeLock.runExclusive(async () => {
+      const registry = await this.loadRegistry();
+      const { data_dir, ...stored } = registry.workspaces.find(workspace => workspace.id === id) || current;
+      const next = {
+        ...stored,
+        name: changes.name ? String(changes.name).trim() : stored.name,
+        schedule: changes.schedule ? { ...stored.schedule, ...changes.schedule } : stored.schedule
+      };
+
+      registry.workspaces = [...registry.workspaces.filter(workspace => workspace.id !== id), next];
+      await writeFileAtomic(this.registryPath, JSON.stringify(registry, null, 2));
+      return next;
+    });
+
+    return { ...updated, data_dir: this.dataDirFor(id) };
+  }
+
+  // An initialized KnowledgeGraphManager for the workspace. Callers close it.
+  async openKnowledgeGraph(nameOrId, options = {}) {
+    const workspace = await this.getWorkspace(nameOrId);
+    if (!workspace) {
+      throw new Error(`Workspace not found: ${nameOrId}. Create it with "eumicus workspace create".`);
+    }
+
+    const knowledgeGraph = new KnowledgeGraphManager(workspace.data_dir, options);
+    await knowledgeGraph.initialize();
+    return knowledgeGraph;
+  }
+}
+
+WorkspaceManager.DEFAULT_WORKSPACE = DEFAULT_WORKSPACE;
+WorkspaceManager.toWorkspaceId = toWorkspaceId;
+
+module.exports = WorkspaceManager;
@@ -4,7 +4,8 @@ const { program } = require('commander');
 const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
-const KnowledgeGraphManager = require('../modules/knowledge-graph');
+const WorkspaceManager = require('../modules/workspace-manager');
+const { ensurePassphrase } = require('./passphrase');
 const UserProfiler = require('../modules/user-profiler');
 const ContentProcessor = require('../modules/content-processor');
 const KnowledgeReinforcer = require('../modules/knowledge-reinforcer');
@@ -12,9 +13,12 @@ const ExplorationSuggester = require('../modules/exploration-suggester');
 const ConnectionMapper = require('../modules/connection-mapper');
 const ReflectionEngine = require('../modules/reflection-engine');
 const OpenAIClient = require('../modules/openai-client');
+const { createLLMProvider } = require('../modules/llm');
+const { groupConceptsByCategory, MAX_DEPTH } = require('../modules/taxonomy');
 
 class EumicusCLI {
-  constructor() {
+  constructor(workspace = process.env.EUMICUS_WORKSPACE) {
+    this.workspace = workspace;
     this.knowledgeGraph = null;
     this.openai = null;
     this.userProfiler = null;
@@ -29,20 +33,25 @@ class EumicusCLI {
     const spinner = ora('Initializing Eumicus CLI...').start();
     
     try {
-      // Check for OpenAI API key
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) {
-        spinner.fail('OpenAI API key not found');
-        console.error(chalk.red('❌ Please set OPENAI_API_KEY environment variable'));
-        console.log(chalk.yellow('💡 You can get an API key from: https://platform.openai.com/api-keys'));
+      // The LLM provider comes from EUMICUS_LLM and its API key variable
+      let llm;
+      try {
+        llm = createLLMProvider();
+      } catch (error) {
+        spinner.fail('No LLM configured');
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.log(chalk.yellow('💡 Set OPENAI_API_KEY, or pick another provider with EUMICUS_LLM (anthropic, openai-compatible, llama.cpp, ollama, or mock to run offline)'));
         process.exit(1);
       }
 
       // Initialize modules
-      this.knowledgeGraph = new KnowledgeGraphManager();
-      await this.knowledgeGraph.initialize();
+      const workspaces = new WorkspaceManager();
+      spinner.stop();
+      await ensurePassphrase(workspaces.dataDirFor(workspaces.resolveId(this.workspace)));
+      spinner.start();
+      this.knowledgeGraph = await workspaces.openKnowledgeGraph(this.workspace);
       
-      this.openai = new OpenAIClient(apiKey);
+      this.openai = new OpenAIClient(llm);
       this.userProfiler = new UserProfiler(this.openai, this.knowledgeGraph);
       this.contentProcessor = new ContentProcessor(this.openai, this.knowledgeGraph);
       this.knowledgeReinforcer = new KnowledgeReinforcer(this.openai, this.knowledgeGraph);
@@ -65,6 +74,9 @@ class EumicusCLI {
     if (this.contentProcessor) {
       await this.contentProcessor.cleanup();
     }
+    if (this.knowledgeGraph) {
+      await this.knowledgeGraph.close();
+    }
   }
 
   async runInteractiveMode() {
@@ -136,7 +148,7 @@ class EumicusCLI {
   async showStats() {
     console.log(chalk.blue('\n📊 Learning Statistics\n'));
     
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     const connectionStats = await this.connectionMapper.getConnectionStats();
     const reinforcementStats = await this.knowledgeReinforcer.getReinforcementStats();
     const explorationStats = await this.explorationSuggester.getExplorationStats();
@@ -200,6 +212,10 @@ class EumicusCLI {
     
     try {
       const result = await this.contentProcessor.processContent(content);
+      if (result.skipped) {
+        spinner.info(`Already processed: "${result.contentItem.title}"`);
+        return;
+      }
       
       spinner.succeed('Content processed successfully!');
       
@@ -368,7 +384,7 @@ class EumicusCLI {
   }
 
   async viewGraph() {
-    const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
     
     console.log(chalk.cyan('\n📊 Knowledge Graph Overview\n'));
     
@@ -381,12 +397,7 @@ class EumicusCLI {
     console.log(chalk.white(`Total connections: ${graph.concepts.reduce((sum, c) => sum + (c.connections?.length || 0), 0)}`));
     
     console.log(chalk.cyan('\n🔍 Concepts by Category:'));
-    const categories = {};
-    graph.concepts.forEach(concept => {
-      const category = concept.category || 'uncategorized';
-      if (!categories[category]) categories[category] = [];
-      categories[category].push(concept);
-    });
+    const categories = groupConceptsByCategory(graph.concepts, graph.categories, MAX_DEPTH);
     
     Object.entries(categories).forEach(([category, concepts]) => {
       console.log(chalk.white(`\n${category}:`));
@@ -403,7 +414,7 @@ class EumicusCLI {
       {
         type: 'confirm',
         name: 'confirm',
-        message: 'Are you sure you want to reset the knowledge graph? This will delete all data!',
+        message: 'Are you sure you want to reset the knowledge graph? This will delete all data (a snapshot is taken first)!',
         default: false
       }
     ]);
@@ -416,9 +427,9 @@ class EumicusCLI {
     const spinner = ora('Resetting knowledge graph...').start();
     
     try {
-      // In a real implementation, you would delete the knowledge graph files
-      // For now, we'll just show a message
+      const { safetySnapshot } = await this.knowledgeGraph.resetKnowledgeGraph();
       spinner.succeed('Knowledge graph reset completed!');
+      console.log(chalk.gray(`   Previous data saved as snapshot ${safetySnapshot.id}`));
       console.log(chalk.yellow('💡 Run the profiling command to start fresh.'));
       
     } catch (error) {
@@ -432,13 +443,14 @@ class EumicusCLI {
 program
   .name('eumicus-cli')
   .description('Eumicus CLI - AI Knowledge Reinforcement System')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('-w, --workspace <name>', 'Workspace to use (defaults to EUMICUS_WORKSPACE or "default")');
 
 program
   .command('interactive')
   .description('Start interactive CLI mode')
   .action(async () => {
-    const cli = new EumicusCLI();
+    const cli = new EumicusCLI(program.opts().workspace || process.env.EUMICUS_WORKSPACE);
     try {
       await cli.initialize();
       await cli.runInteractiveMode();
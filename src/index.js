@@ -1,47 +1,77 @@
+const fs = require('fs').promises;
+const path = require('path');
 const WebServer = require('./web-server');
-const LearningPipeline = require('./learning-pipeline');
 const { program } = require('commander');
+const WorkspaceManager = require('../modules/workspace-manager');
+const { migrateStorage } = require('../modules/storage/migrate');
+const { changeEncryption } = require('../modules/storage/rekey');
+const { isEncryptedDirectory } = require('../modules/storage/encryption');
+const { EXPORT_FORMATS } = require('../modules/graph-exporter');
+const VaultSync = require('../modules/vault-sync');
+const KnowledgeReinforcer = require('../modules/knowledge-reinforcer');
+const { toAnkiTSV, toAnkiPackage, readAnkiReviews } = require('../modules/anki');
+const { mergeDataDirectory } = require('../modules/graph-merge');
+const ConceptDeduplicator = require('../modules/concept-deduplicator');
+const OpenAIClient = require('../modules/openai-client');
+const { createLLMProvider } = require('../modules/llm');
+const { ensurePassphrase, promptNewPassphrase } = require('./passphrase');
 const chalk = require('chalk');
 const ora = require('ora');
+const inquirer = require('inquirer');
 
 class EumicusApp {
   constructor() {
     this.webServer = null;
-    this.learningPipeline = null;
     this.isRunning = false;
+    this.workspaces = new WorkspaceManager();
+    this.workspaceId = this.workspaces.resolveId(process.env.EUMICUS_WORKSPACE);
   }
 
   async initialize() {
     console.log(chalk.blue.bold('\n🧠 Eumicus - AI Knowledge Reinforcement System\n'));
     
-    // Check for OpenAI API key
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      console.error(chalk.red('❌ OpenAI API key not found. Please set OPENAI_API_KEY environment variable.'));
-      console.log(chalk.yellow('💡 You can get an API key from: https://platform.openai.com/api-keys'));
+    // The LLM provider comes from EUMICUS_LLM and its API key variable
+    let llm;
+    try {
+      llm = createLLMProvider();
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      console.log(chalk.yellow('💡 Set OPENAI_API_KEY, or pick another provider with EUMICUS_LLM (anthropic, openai-compatible, llama.cpp, ollama, or mock to run offline)'));
       process.exit(1);
     }
 
+    await ensurePassphrase(this.workspaces.dataDirFor(this.workspaceId));
     const spinner = ora('Initializing Eumicus...').start();
     
     try {
       // Initialize web server
-      this.webServer = new WebServer(process.env.PORT || 3000);
-      const initialized = await this.webServer.initialize(apiKey);
+      this.webServer = new WebServer(process.env.PORT || 3000, { workspace: this.workspaceId });
+      const initialized = await this.webServer.initialize(llm);
       
       if (!initialized) {
         throw new Error('Failed to initialize web server');
       }
-
-      // Initialize learning pipeline
-      this.learningPipeline = new LearningPipeline(this.webServer);
       
       spinner.succeed('Eumicus initialized successfully!');
+
+      if (process.env.EUMICUS_PASSPHRASE && !(await isEncryptedDirectory(this.webServer.workspace.dataDir))) {
+        if (this.webServer.knowledgeGraph.storageType === 'sqlite') {
+          console.log(chalk.yellow('💡 EUMICUS_PASSPHRASE is set but this workspace uses SQLite, which is not encrypted. Encryption at rest needs JSON storage.'));
+        } else {
+          console.log(chalk.yellow('💡 EUMICUS_PASSPHRASE is set but this workspace is not encrypted. Run "eumicus encryption enable" to encrypt it.'));
+        }
+      }
       
+      const { knowledgeGraph } = this.webServer;
       console.log(chalk.green('\n✅ All systems ready!'));
       console.log(chalk.cyan('🌐 Web interface: http://localhost:' + (process.env.PORT || 3000)));
-      console.log(chalk.cyan('📚 Knowledge graph: ./data/knowledge-graph.json'));
-      console.log(chalk.cyan('📊 Activity log: ./data/activity-log.json\n'));
+      console.log(chalk.cyan(`🗂️  Workspace: ${this.webServer.workspace.name} (${this.workspaceId})`));
+      if (knowledgeGraph.storageType === 'sqlite') {
+        console.log(chalk.cyan(`📚 Knowledge graph: ${knowledgeGraph.storage.databasePath} (SQLite)\n`));
+      } else {
+        console.log(chalk.cyan(`📚 Knowledge graph: ${knowledgeGraph.knowledgeGraphPath}`));
+        console.log(chalk.cyan(`📊 Activity log: ${knowledgeGraph.activityDir}\n`));
+      }
       
     } catch (error) {
       spinner.fail('Failed to initialize Eumicus');
@@ -60,8 +90,8 @@ class EumicusApp {
       await this.webServer.start();
       this.isRunning = true;
       
-      // Start background learning pipeline
-      await this.learningPipeline.start();
+      // Start a background learning pipeline for every workspace
+      await this.webServer.startPipelines();
       
       console.log(chalk.green('\n🚀 Eumicus is now running!'));
       console.log(chalk.gray('Press Ctrl+C to stop\n'));
@@ -82,10 +112,6 @@ class EumicusApp {
     console.log(chalk.yellow('\n🛑 Shutting down Eumicus...'));
     
     try {
-      if (this.learningPipeline) {
-        await this.learningPipeline.stop();
-      }
-      
       if (this.webServer) {
         await this.webServer.cleanup();
         await this.webServer.stop();
@@ -112,7 +138,14 @@ class EumicusApp {
       program
         .name('eumicus')
         .description('AI-assisted knowledge reinforcement system')
-        .version('1.0.0');
+        .version('1.0.0')
+        .option('-w, --workspace <name>', 'Workspace to use (defaults to EUMICUS_WORKSPACE or "default")')
+        .hook('preAction', () => {
+          const { workspace } = program.opts();
+          if (workspace) {
+            this.workspaceId = this.workspaces.resolveId(workspace);
+          }
+        });
 
       program
         .command('start')
@@ -136,9 +169,10 @@ class EumicusApp {
         .command('process')
         .description('Process content from command line')
         .argument('<content>', 'Content to process (URL or text)')
-        .action(async (content) => {
+        .option('-f, --force', 'Fetch and extract again even if the content is cached or already processed')
+        .action(async (content, options) => {
           await this.initialize();
-          await this.processContentCLI(content);
+          await this.processContentCLI(content, options);
         });
 
       program
@@ -160,20 +194,340 @@ class EumicusApp {
       program
         .command('stats')
         .description('Show learning statistics')
-        .action(async () => {
+        .option('-l, --level <level>', 'Category tree level to group concepts by (1 for domains)', '1')
+        .action(async (options) => {
           await this.initialize();
-          await this.showStatsCLI();
+          await this.showStatsCLI(options);
         });
 
       program
         .command('reset')
-        .description('Reset knowledge graph (WARNING: This will delete all data)')
+        .description('Reset knowledge graph (a snapshot is taken first, see "backup list")')
         .option('-f, --force', 'Force reset without confirmation')
         .action(async (options) => {
-          await this.initialize();
           await this.resetCLI(options.force);
         });
 
+      const backup = program
+        .command('backup')
+        .description('Snapshot and restore the data directory');
+
+      backup
+        .command('list')
+        .description('List snapshots, newest first')
+        .action(async () => {
+          await this.listBackupsCLI();
+        });
+
+      backup
+        .command('create')
+        .description('Snapshot the data directory now')
+        .option('-l, --label <label>', 'Note to store with the snapshot')
+        .action(async (options) => {
+          await this.createBackupCLI(options.label);
+        });
+
+      backup
+        .command('restore')
+        .description('Replace the data directory with a snapshot')
+        .argument('<id>', 'Snapshot id, as shown by "backup list"')
+        .option('-f, --force', 'Restore without confirmation')
+        .action(async (id, options) => {
+          await this.restoreBackupCLI(id, options.force);
+        });
+
+      program
+        .command('rename-concept')
+        .description('Rename a concept and update every reference to it')
+        .argument('<concept>', 'Concept id, name or alias')
+        .argument('<newName>', 'New concept name')
+        .option('--no-alias', 'Do not keep the old name as an alias')
+        .action(async (concept, newName, options) => {
+          await this.renameConceptCLI(concept, newName, options.alias);
+        });
+
+      program
+        .command('search')
+        .description('Search concepts, content and reflections')
+        .argument('<query...>', 'Words to search for')
+        .option('-t, --type <types>', 'Only these result types, comma separated: concept, content, reflection')
+        .option('-a, --archived <mode>', 'Archived concepts: exclude, include or only', 'exclude')
+        .option('-n, --limit <count>', 'Number of results', '10')
+        .action(async (query, options) => {
+          await this.searchCLI(query.join(' '), options);
+        });
+
+      program
+        .command('export')
+        .description('Export the knowledge graph for Gephi, Neo4j and other tools')
+        .option('-f, --format <format>', `Export format: ${EXPORT_FORMATS.join(', ')}`, 'graphml')
+        .option('-o, --output <path>', 'File to write, "-" for standard output; a directory for neo4j-csv')
+        .action(async (options) => {
+          await this.exportCLI(options);
+        });
+
+      program
+        .command('archive-concept')
+        .description('Hide a concept from review and suggestions without deleting it')
+        .argument('<concept>', 'Concept id, name or alias')
+        .option('-r, --reason <reason>', 'Why the concept was archived')
+        .action(async (concept, options) => {
+          await this.archiveConceptCLI(concept, options.reason);
+        });
+
+      program
+        .command('unarchive-concept')
+        .description('Bring an archived concept back into review and suggestions')
+        .argument('<concept>', 'Concept id, name or alias')
+        .action(async (concept) => {
+          await this.unarchiveConceptCLI(concept);
+        });
+
+      program
+        .command('delete-concept')
+        .description('Delete a concept and remove every reference to it')
+        .argument('<concept>', 'Concept id, name or alias')
+        .option('-f, --force', 'Delete without confirmation')
+        .action(async (concept, options) => {
+          await this.deleteConceptCLI(concept, options.force);
+        });
+
+      program
+        .command('history')
+        .description('List recorded change sets, or the changes in one of them')
+        .option('-c, --change-set <id>', 'Show the individual changes in a change set')
+        .option('--since <timestamp>', 'Only changes at or after this time')
+        .option('--until <timestamp>', 'Only changes at or before this time')
+        .option('-n, --limit <count>', 'Number of change sets to show', '20')
+        .action(async (options) => {
+          await this.showHistory(options);
+        });
+
+      program
+        .command('revert')
+        .description('Undo everything a change set did to the knowledge graph')
+        .argument('<changeSetId>', 'Change set id, as shown by "eumicus history"')
+        .option('-f, --force', 'Revert even if the records were changed again since')
+        .action(async (changeSetId, options) => {
+          await this.revertChangeSetCLI(changeSetId, options.force);
+        });
+
+      program
+        .command('doctor')
+        .description('Check the knowledge graph for broken links, duplicates and invalid fields')
+        .option('--fix', 'Apply the safe fixes (snapshotted and revertible)')
+        .option('--json', 'Print the report as JSON')
+        .action(async (options) => {
+          await this.doctorCLI(options);
+        });
+
+      const categories = program
+        .command('categories')
+        .description('Manage the category tree concepts are filed in (domain > subdomain > topic)');
+
+      categories
+        .command('tree')
+        .description('Show the category tree with concept counts')
+        .option('--json', 'Print the tree as JSON')
+        .action(async (options) => {
+          await this.showCategoriesCLI(options);
+        });
+
+      categories
+        .command('create')
+        .description('Add a category, given as a path such as "Science > Physics > Optics"')
+        .argument('<path>', 'Category path')
+        .action(async (categoryPath) => {
+          await this.categoryCommandCLI(`Add category "${categoryPath}"`, 'Error creating category:', knowledgeGraph =>
+            knowledgeGraph.createCategory(categoryPath), category => `✅ Category "${category.path}" is ready`);
+        });
+
+      categories
+        .command('rename')
+        .description('Rename a category (the old name is kept as an alias)')
+        .argument('<category>', 'Category id, name or path')
+        .argument('<name>', 'New name')
+        .action(async (category, name) => {
+          await this.categoryCommandCLI(`Rename category "${category}" to "${name}"`, 'Error renaming category:', knowledgeGraph =>
+            knowledgeGraph.renameCategory(category, name), renamed => `✅ Renamed to "${renamed.path}"`);
+        });
+
+      categories
+        .command('move')
+        .description('Move a category with everything below it under another one')
+        .argument('<category>', 'Category id, name or path')
+        .argument('[parent]', 'New parent; leave out to make it a domain')
+        .action(async (category, parent) => {
+          await this.categoryCommandCLI(parent ? `Move category "${category}" under "${parent}"` : `Make "${category}" a domain`, 'Error moving category:', knowledgeGraph =>
+            knowledgeGraph.moveCategory(category, parent || null), moved => `✅ Moved to "${moved.path}"`);
+        });
+
+      categories
+        .command('merge')
+        .description('Merge categories into another, refiling their concepts')
+        .argument('<target>', 'Category to keep')
+        .argument('<others...>', 'Categories to merge into it')
+        .action(async (target, others) => {
+          await this.categoryCommandCLI(`Merge categories ${others.map(other => `"${other}"`).join(', ')} into "${target}"`, 'Error merging categories:', knowledgeGraph =>
+            knowledgeGraph.mergeCategories(target, others), merged => `✅ Merged ${merged.merged.join(', ')} into "${merged.path}"`);
+        });
+
+      categories
+        .command('assign')
+        .description('File a concept under a category, creating it if needed')
+        .argument('<concept>', 'Concept id, name or alias')
+        .argument('<category>', 'Category id, name or path')
+        .action(async (concept, category) => {
+          await this.categoryCommandCLI(`File "${concept}" under "${category}"`, 'Error filing concept:', knowledgeGraph =>
+            knowledgeGraph.setConceptCategory(concept, category), filed => `✅ Filed "${filed.name}" under "${filed.category_path}"`);
+        });
+
+      const duplicates = program
+        .command('duplicates')
+        .description('Find concepts that name the same thing and merge them');
+
+      duplicates
+        .command('list')
+        .description('List proposed merges of duplicate and synonym concepts')
+        .option('--no-llm', 'Don\'t ask the LLM to confirm borderline pairs')
+        .option('--json', 'Print the proposals as JSON')
+        .action(async (options) => {
+          await this.listDuplicatesCLI(options);
+        });
+
+      duplicates
+        .command('review')
+        .description('Go through the proposed merges one by one')
+        .option('--no-llm', 'Don\'t ask the LLM to confirm borderline pairs')
+        .action(async (options) => {
+          await this.reviewDuplicatesCLI(options);
+        });
+
+      duplicates
+        .command('merge')
+        .description('Merge concepts into the one to keep')
+        .argument('<keep>', 'Concept to keep (id, name or alias)')
+        .argument('<others...>', 'Concepts to merge into it')
+        .action(async (keep, others) => {
+          await this.mergeDuplicatesCLI(keep, others);
+        });
+
+      duplicates
+        .command('dismiss')
+        .description('Mark concepts as different so they aren\'t proposed again')
+        .argument('<concepts...>', 'Two or more concepts')
+        .action(async (concepts) => {
+          await this.dismissDuplicatesCLI(concepts);
+        });
+
+      program
+        .command('migrate-storage')
+        .description('Copy the data directory into another storage backend')
+        .option('-d, --data-dir <dir>', 'Data directory (defaults to the workspace\'s)')
+        .option('--from <type>', 'Source storage (json or sqlite)', 'json')
+        .option('--to <type>', 'Target storage (json or sqlite)', 'sqlite')
+        .option('-f, --force', 'Overwrite an existing target store')
+        .action(async (options) => {
+          await this.migrateStorageCLI(options);
+        });
+
+      const encryption = program
+        .command('encryption')
+        .description('Encrypt the data directory at rest, change its passphrase or decrypt it');
+
+      encryption
+        .command('enable')
+        .description('Encrypt the workspace\'s data and snapshots with a passphrase')
+        .action(async () => {
+          await this.changeEncryptionCLI('enable');
+        });
+
+      encryption
+        .command('rotate')
+        .description('Re-encrypt the data and snapshots with a new passphrase')
+        .action(async () => {
+          await this.changeEncryptionCLI('rotate');
+        });
+
+      encryption
+        .command('disable')
+        .description('Decrypt the data and snapshots back to plain files')
+        .action(async () => {
+          await this.changeEncryptionCLI('disable');
+        });
+
+      const vault = program
+        .command('vault')
+        .description('Keep an Obsidian vault of Markdown notes in step with the knowledge graph');
+
+      vault
+        .command('export')
+        .description('Write one note per concept and content item into the vault')
+        .argument('<dir>', 'Vault directory')
+        .action(async (dir) => {
+          await this.vaultCLI('export', dir, {});
+        });
+
+      vault
+        .command('sync')
+        .description('Merge edits made in the vault into the graph, then export it again')
+        .argument('<dir>', 'Vault directory')
+        .option('--prefer <side>', 'Settle conflicts in favour of "vault" or "graph"')
+        .option('--dry-run', 'Only report what would change')
+        .action(async (dir, options) => {
+          await this.vaultCLI('sync', dir, options);
+        });
+
+      const anki = program
+        .command('anki')
+        .description('Review concepts in Anki and bring the reviews back');
+
+      anki
+        .command('export')
+        .description('Export concepts and reinforcement questions as an Anki deck')
+        .option('-f, --format <format>', 'tsv (notes to import) or apkg (deck package)', 'apkg')
+        .option('-o, --output <file>', 'File to write')
+        .action(async (options) => {
+          await this.ankiExportCLI(options);
+        });
+
+      anki
+        .command('import')
+        .description('Update confidence and review dates from an Anki review log')
+        .argument('<file>', 'Anki collection (.apkg, .colpkg, .anki2) or CSV review log')
+        .action(async (file) => {
+          await this.ankiImportCLI(file);
+        });
+
+      program
+        .command('merge')
+        .description('Merge the knowledge graph of another data directory into this one')
+        .argument('<other-data-dir>', 'Data directory to merge in, e.g. a copy from another machine')
+        .option('--prefer <side>', 'Settle conflicts with "newer", "ours" or "theirs" instead of asking')
+        .option('--dry-run', 'Only report what would change')
+        .action(async (otherDir, options) => {
+          await this.mergeCLI(otherDir, options);
+        });
+
+      const workspace = program
+        .command('workspace')
+        .description('Manage separate knowledge graphs in one installation');
+
+      workspace
+        .command('list')
+        .description('List workspaces')
+        .action(async () => {
+          await this.listWorkspacesCLI();
+        });
+
+      workspace
+        .command('create')
+        .description('Create a workspace with its own graph, profile and activity log')
+        .argument('<name>', 'Display name, e.g. "work ML"')
+        .action(async (name) => {
+          await this.createWorkspaceCLI(name);
+        });
+
       await program.parseAsync();
     }
   }
@@ -196,11 +550,15 @@ class EumicusApp {
     }
   }
 
-  async processContentCLI(content) {
+  async processContentCLI(content, options = {}) {
     console.log(chalk.blue('\n📚 Processing content...\n'));
     
     try {
-      const result = await this.webServer.contentProcessor.processContent(content);
+      const result = await this.webServer.contentProcessor.processContent(content, { force: options.force });
+      if (result.skipped) {
+        console.log(chalk.yellow(`\n⏭️  Already processed: "${result.contentItem.title}". Use --force to process it again.`));
+        return;
+      }
       
       console.log(chalk.green('\n✅ Content processed successfully!'));
       console.log(chalk.cyan('\n📊 Results:'));
@@ -281,11 +639,11 @@ class EumicusApp {
     }
   }
 
-  async showStatsCLI() {
+  async showStatsCLI(options = {}) {
     console.log(chalk.blue('\n📊 Learning Statistics\n'));
     
     try {
-      const graph = await this.webServer.knowledgeGraph.loadKnowledgeGraph();
+      const graph = await this.webServer.knowledgeGraph.readKnowledgeGraph();
       const connectionStats = await this.webServer.connectionMapper.getConnectionStats();
       const reinforcementStats = await this.webServer.knowledgeReinforcer.getReinforcementStats();
       const explorationStats = await this.webServer.explorationSuggester.getExplorationStats();
@@ -296,6 +654,15 @@ class EumicusApp {
       console.log(chalk.white(`  Total connections: ${connectionStats.total_connections}`));
       console.log(chalk.white(`  Average connections per concept: ${connectionStats.average_connections.toFixed(1)}`));
       
+      const level = parseInt(options.level) || 1;
+      const categoryStats = await this.webServer.knowledgeGraph.getCategoryStats(level);
+      if (categoryStats.length > 0) {
+        console.log(chalk.cyan(`\n🗂️  By category (level ${level}):`));
+        categoryStats.forEach(stat => {
+          console.log(chalk.white(`  ${stat.category}: ${stat.concepts} concepts, ${(stat.average_confidence * 100).toFixed(0)}% average confidence, ${stat.due_for_review} due`));
+        });
+      }
+      
       console.log(chalk.cyan('\n🔄 Reinforcement:'));
       console.log(chalk.white(`  Total sessions: ${reinforcementStats.total_sessions}`));
       console.log(chalk.white(`  Average performance: ${(reinforcementStats.average_performance * 100).toFixed(1)}%`));
@@ -314,39 +681,897 @@ class EumicusApp {
     }
   }
 
+  // Commands that only touch stored data don't need the OpenAI client or browser
+  async openKnowledgeGraph() {
+    await ensurePassphrase(this.workspaces.dataDirFor(this.workspaceId));
+    return await this.workspaces.openKnowledgeGraph(this.workspaceId);
+  }
+
+  async listWorkspacesCLI() {
+    try {
+      const workspaces = await this.workspaces.listWorkspaces();
+      console.log(chalk.cyan('\n🗂️  Workspaces:\n'));
+      workspaces.forEach(workspace => {
+        const marker = workspace.id === this.workspaceId ? chalk.green('*') : ' ';
+        console.log(`${marker} ${chalk.white(workspace.id)}`, chalk.gray(`${workspace.name} · ${workspace.data_dir}`));
+      });
+      console.log(chalk.yellow('\n💡 Select one with --workspace <id> or EUMICUS_WORKSPACE'));
+    } catch (error) {
+      console.error(chalk.red('Error listing workspaces:'), error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  async createWorkspaceCLI(name) {
+    try {
+      const workspace = await this.workspaces.createWorkspace(name);
+      const knowledgeGraph = await this.workspaces.openKnowledgeGraph(workspace.id);
+      await knowledgeGraph.close();
+
+      console.log(chalk.green(`\n✅ Created workspace "${workspace.name}" (${workspace.id})`));
+      console.log(chalk.gray(`   Data: ${workspace.data_dir}`));
+      console.log(chalk.yellow(`💡 Use it with: eumicus --workspace ${workspace.id} <command>`));
+    } catch (error) {
+      console.error(chalk.red('Error creating workspace:'), error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  async renameConceptCLI(conceptName, newName, keepAlias = true) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const concept = await knowledgeGraph.runInChangeSet({
+        agent: 'User',
+        description: `Rename "${conceptName}" to "${newName}"`
+      }, () => knowledgeGraph.renameConcept(conceptName, newName, { keepAlias }));
+      console.log(chalk.green(`\n✅ Renamed "${conceptName}" to "${concept.name}"`));
+      if (concept.aliases.length > 0) {
+        console.log(chalk.gray(`   Aliases: ${concept.aliases.join(', ')}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error renaming concept:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async searchCLI(query, options) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const { total, results } = await knowledgeGraph.search(query, {
+        type: options.type ? options.type.split(',') : undefined,
+        archived: options.archived,
+        limit: parseInt(options.limit) || 10
+      });
+
+      if (results.length === 0) {
+        console.log(chalk.yellow(`No results for "${query}"`));
+        return;
+      }
+
+      const icons = { concept: '🧠', content: '📄', reflection: '🤔' };
+      console.log(chalk.cyan(`\n🔍 ${total} result${total === 1 ? '' : 's'} for "${query}":\n`));
+      results.forEach(result => {
+        // Highlight offsets are in order and don't overlap
+        let snippet = '';
+        let position = 0;
+        result.highlights.forEach(([start, end]) => {
+          snippet += result.snippet.slice(position, start) + chalk.yellow.bold(result.snippet.slice(start, end));
+          position = end;
+        });
+        snippet += result.snippet.slice(position);
+
+        console.log(`${icons[result.type]} ${chalk.white.bold(result.title)}`, chalk.gray(`${result.type} · ${result.field} · ${result.score}`));
+        console.log(`   ${snippet}\n`);
+      });
+    } catch (error) {
+      console.error(chalk.red('Error searching:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async exportCLI(options) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const { files } = await knowledgeGraph.exportGraph(options.format);
+
+      if (files.length === 1 && options.output === '-') {
+        process.stdout.write(files[0].content);
+        return;
+      }
+
+      if (files.length === 1) {
+        const output = options.output || files[0].name;
+        await fs.writeFile(output, files[0].content);
+        console.log(chalk.green(`✅ Exported the knowledge graph to ${output}`));
+        return;
+      }
+
+      // Multi-file formats go into a directory, ready for the importer
+      const output = options.output || `knowledge-graph-${options.format}`;
+      await fs.mkdir(output, { recursive: true });
+      for (const file of files) {
+        await fs.writeFile(path.join(output, file.name), file.content);
+      }
+      console.log(chalk.green(`✅ Exported the knowledge graph to ${output}/`));
+      files.forEach(file => console.log(chalk.gray(`   ${file.name}`)));
+    } catch (error) {
+      console.error(chalk.red('Error exporting the knowledge graph:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async archiveConceptCLI(conceptName, reason) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const concept = await knowledgeGraph.runInChangeSet({
+        agent: 'User',
+        description: `Archive concept "${conceptName}"`
+      }, () => knowledgeGraph.archiveConcept(conceptName, { reason }));
+      console.log(chalk.green(`\n✅ Archived "${concept.name}"`));
+      console.log(chalk.gray(`   Bring it back with: eumicus unarchive-concept "${concept.name}"`));
+    } catch (error) {
+      console.error(chalk.red('Error archiving concept:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async unarchiveConceptCLI(conceptName) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const concept = await knowledgeGraph.runInChangeSet({
+        agent: 'User',
+        description: `Unarchive concept "${conceptName}"`
+      }, () => knowledgeGraph.unarchiveConcept(conceptName));
+      console.log(chalk.green(`\n✅ "${concept.name}" is active again`));
+    } catch (error) {
+      console.error(chalk.red('Error unarchiving concept:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async deleteConceptCLI(conceptName, force = false) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const concept = await knowledgeGraph.getConcept(conceptName);
+      if (!concept) {
+        throw new Error(`Concept not found: ${conceptName}`);
+      }
+
+      if (!force) {
+        console.log(chalk.yellow(`\n⚠️  This deletes "${concept.name}", its edges and every reference to it.`));
+        console.log(chalk.yellow('Use "archive-concept" to hide it instead, or "revert" to undo the deletion.\n'));
+
+        if (!(await this.confirm('Delete this concept?'))) {
+          console.log(chalk.green('Deletion cancelled.'));
+          return;
+        }
+      }
+
+      const { removed, changeSet } = await knowledgeGraph.runInChangeSet({
+        agent: 'User',
+        description: `Delete concept "${concept.name}"`
+      }, async changeSet => ({ ...(await knowledgeGraph.deleteConcept(concept.id)), changeSet }));
+
+      console.log(chalk.green(`\n✅ Deleted "${concept.name}"`));
+      console.log(chalk.gray(`   Removed ${removed.edges} edges, ${removed.connections} connections, ${removed.key_concepts} content references, ${removed.excerpts} source excerpts, ${removed.questions} pending questions and ${removed.suggestion_links} suggestion links`));
+      console.log(chalk.gray(`   Undo with: eumicus revert ${changeSet.id}`));
+    } catch (error) {
+      console.error(chalk.red('Error deleting concept:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async doctorCLI(options) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const result = await knowledgeGraph.checkIntegrity({ fix: !!options.fix });
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      const { problems, summary } = result;
+      if (problems.length === 0) {
+        console.log(chalk.green('\n✅ No problems found'));
+        return;
+      }
+
+      console.log(chalk.cyan('\n🩺 Knowledge graph check:\n'));
+      problems.forEach(problem => {
+        const marker = problem.severity === 'error' ? chalk.red('✖') : chalk.yellow('⚠');
+        const status = problem.fixed ? chalk.green(' (fixed)') : problem.fixable ? chalk.gray(' (fixable)') : '';
+        console.log(`${marker} ${chalk.white(problem.location || 'graph')}: ${problem.message}${status}`);
+      });
+
+      console.log(`\n${summary.errors} error${summary.errors === 1 ? '' : 's'}, ${summary.warnings} warning${summary.warnings === 1 ? '' : 's'}`);
+      if (result.change_set) {
+        console.log(chalk.green(`✅ Fixed ${summary.fixed} problem${summary.fixed === 1 ? '' : 's'}`));
+        console.log(chalk.gray(`   Snapshot taken before fixing: ${result.snapshot}`));
+        console.log(chalk.gray(`   Undo with: eumicus revert ${result.change_set}`));
+      } else if (summary.fixable > 0) {
+        console.log(chalk.yellow(`\n💡 ${summary.fixable} can be fixed automatically with "eumicus doctor --fix"`));
+      }
+      if (summary.errors - problems.filter(problem => problem.severity === 'error' && problem.fixed).length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('Error checking the knowledge graph:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async showCategoriesCLI(options) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const tree = await knowledgeGraph.getCategoryTree();
+      if (options.json) {
+        console.log(JSON.stringify(tree, null, 2));
+        return;
+      }
+      if (tree.length === 0) {
+        console.log(chalk.yellow('No categories yet'));
+        return;
+      }
+
+      console.log(chalk.cyan('\n🗂️  Categories:\n'));
+      const print = (nodes, depth) => nodes.forEach(node => {
+        const aliases = node.aliases.length > 0 ? chalk.gray(` (also ${node.aliases.join(', ')})`) : '';
+        console.log(`${'  '.repeat(depth)}${chalk.white(node.name)} ${chalk.gray(`${node.total}`)}${aliases}`);
+        print(node.children, depth + 1);
+      });
+      print(tree, 0);
+    } catch (error) {
+      console.error(chalk.red('Error loading categories:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  // Runs one change to the category tree as its own change set
+  async categoryCommandCLI(description, errorLabel, task, describe) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const { result, changeSetId } = await knowledgeGraph.runInChangeSet({ agent: 'User', description },
+        async changeSet => ({ result: await task(knowledgeGraph), changeSetId: changeSet.id }));
+      console.log(chalk.green(describe(result)));
+      if ((await knowledgeGraph.getChanges({ changeSet: changeSetId })).length > 0) {
+        console.log(chalk.gray(`   Undo with: eumicus revert ${changeSetId}`));
+      }
+    } catch (error) {
+      console.error(chalk.red(errorLabel), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  // The LLM only confirms borderline pairs, so duplicate detection works
+  // without one configured too
+  createDeduplicator(knowledgeGraph) {
+    let openai = null;
+    try {
+      openai = new OpenAIClient(createLLMProvider());
+    } catch (error) {
+      // No LLM configured
+    }
+    return new ConceptDeduplicator(openai, knowledgeGraph);
+  }
+
+  printDuplicateProposal(proposal, index) {
+    const statusColor = proposal.status === 'unconfirmed' ? chalk.yellow : chalk.green;
+    console.log(chalk.white(`${index + 1}. ${proposal.concepts.map(concept => concept.name).join(' · ')}`), statusColor(`(${proposal.status})`));
+    proposal.pairs.forEach(pair => {
+      console.log(chalk.gray(`   ${pair.a} ↔ ${pair.b}: ${pair.reason} [${pair.method}, ${pair.score}]`));
+    });
+    const keep = proposal.concepts.find(concept => concept.id === proposal.keep);
+    console.log(chalk.gray(`   Suggested to keep: ${keep.name}`));
+  }
+
+  async listDuplicatesCLI(options) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const spinner = options.json ? null : ora('Looking for duplicate concepts...').start();
+      const { proposals, llm } = await this.createDeduplicator(knowledgeGraph).findDuplicates({ confirm: options.llm });
+      spinner?.stop();
+
+      if (options.json) {
+        console.log(JSON.stringify({ proposals, llm }, null, 2));
+        return;
+      }
+      if (proposals.length === 0) {
+        console.log(chalk.green('\n✅ No duplicate concepts found'));
+        return;
+      }
+
+      console.log(chalk.cyan('\n👯 Possible duplicate concepts:\n'));
+      proposals.forEach((proposal, index) => this.printDuplicateProposal(proposal, index));
+      if (llm.checked > 0) {
+        console.log(chalk.gray(`\nThe LLM confirmed ${llm.confirmed} and rejected ${llm.rejected} borderline pairs`));
+      }
+      console.log(chalk.yellow('\n💡 Merge with "eumicus duplicates merge <keep> <others...>" or go through them with "eumicus duplicates review"'));
+    } catch (error) {
+      console.error(chalk.red('Error finding duplicate concepts:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async reviewDuplicatesCLI(options) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const deduplicator = this.createDeduplicator(knowledgeGraph);
+      const { proposals } = await deduplicator.findDuplicates({ confirm: options.llm });
+      if (proposals.length === 0) {
+        console.log(chalk.green('\n✅ No duplicate concepts found'));
+        return;
+      }
+
+      console.log(chalk.cyan(`\n👯 ${proposals.length} possible duplicate${proposals.length === 1 ? '' : 's'} to review:\n`));
+      let merged = 0;
+      for (const [index, proposal] of proposals.entries()) {
+        // An earlier merge may have taken concepts of this proposal already
+        const current = [];
+        for (const concept of proposal.concepts) {
+          const found = await knowledgeGraph.getConcept(concept.id);
+          if (found) current.push(found);
+        }
+        if (current.length < 2) continue;
+
+        this.printDuplicateProposal(proposal, index);
+        const { action } = await inquirer.prompt([{
+          type: 'list',
+          name: 'action',
+          message: 'What should happen?',
+          choices: [
+            ...current.map(concept => ({ name: `Merge into "${concept.name}"`, value: concept.id })),
+            { name: 'Not duplicates', value: 'dismiss' },
+            { name: 'Skip', value: 'skip' }
+          ],
+          default: proposal.keep
+        }]);
+
+        if (action === 'dismiss') {
+          await deduplicator.dismiss(current.map(concept => concept.id));
+        } else if (action !== 'skip') {
+          const result = await deduplicator.merge(action, current.filter(concept => concept.id !== action).map(concept => concept.id));
+          console.log(chalk.green(`✅ Merged ${result.merged.join(', ')} into ${result.concept.name}`));
+          merged++;
+        }
+        console.log();
+      }
+
+      if (merged > 0) {
+        console.log(chalk.gray('Undo a merge with "eumicus revert <id>" (see "eumicus history")'));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error reviewing duplicate concepts:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async mergeDuplicatesCLI(keep, others) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const result = await this.createDeduplicator(knowledgeGraph).merge(keep, others);
+      console.log(chalk.green(`✅ Merged ${result.merged.join(', ')} into ${result.concept.name}`));
+      console.log(chalk.gray(`   Aliases: ${result.concept.aliases.join(', ')}`));
+      console.log(chalk.gray(`   Edges moved: ${result.edges.moved}, duplicate edges dropped: ${result.edges.dropped}`));
+      console.log(chalk.gray(`   Undo with: eumicus revert ${result.change_set}`));
+    } catch (error) {
+      console.error(chalk.red('Error merging concepts:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async dismissDuplicatesCLI(concepts) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const names = await this.createDeduplicator(knowledgeGraph).dismiss(concepts);
+      console.log(chalk.green(`✅ ${names.join(', ')} won't be proposed as duplicates again`));
+    } catch (error) {
+      console.error(chalk.red('Error dismissing duplicates:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async showHistory(options) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      if (options.changeSet) {
+        const changes = await knowledgeGraph.getChanges({ changeSet: options.changeSet });
+        if (changes.length === 0) {
+          console.log(chalk.yellow(`No changes recorded for ${options.changeSet}`));
+          return;
+        }
+
+        console.log(chalk.cyan(`\n📜 ${changes[0].description || options.changeSet}`));
+        console.log(chalk.gray(`   ${changes[0].agent} · ${changes[0].timestamp}\n`));
+        changes.forEach(change => {
+          const record = change.after || change.before;
+          const label = change.collection ? `${change.collection}/${record?.name || change.key}` : change.key;
+          console.log(chalk.white(`  ${change.operation.padEnd(6)} ${label}`));
+        });
+        return;
+      }
+
+      const changeSets = await knowledgeGraph.listChangeSets({
+        since: options.since,
+        until: options.until,
+        limit: parseInt(options.limit)
+      });
+
+      if (changeSets.length === 0) {
+        console.log(chalk.yellow('No changes recorded yet'));
+        return;
+      }
+
+      console.log(chalk.cyan('\n📜 Change history (newest first):\n'));
+      changeSets.forEach(changeSet => {
+        console.log(chalk.white(`${changeSet.id}`), chalk.gray(`${changeSet.started_at} · ${changeSet.agent}`));
+        console.log(chalk.gray(`   ${changeSet.description || '(no description)'} · ${changeSet.changes} changes`));
+      });
+      console.log(chalk.yellow('\n💡 Use "eumicus history -c <id>" for details or "eumicus revert <id>" to undo'));
+    } catch (error) {
+      console.error(chalk.red('Error loading history:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async revertChangeSetCLI(changeSetId, force = false) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const result = await knowledgeGraph.revertChangeSet(changeSetId, { force });
+
+      if (!result.revert_change_set) {
+        console.log(chalk.red(`\n⚠️  ${result.conflicts.length} records were changed after ${changeSetId}:`));
+        result.conflicts.forEach(conflict => {
+          const record = conflict.current || conflict.expected;
+          console.log(chalk.white(`  • ${conflict.collection || 'document'}/${record?.name || conflict.key}`));
+        });
+        console.log(chalk.yellow('\nNothing was reverted. Use --force to revert anyway.'));
+        process.exitCode = 1;
+        return;
+      }
+
+      console.log(chalk.green(`\n✅ Reverted ${result.reverted} records from ${changeSetId}`));
+      console.log(chalk.gray(`   Recorded as ${result.revert_change_set}`));
+    } catch (error) {
+      console.error(chalk.red('Error reverting change set:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async migrateStorageCLI(options) {
+    options.dataDir = options.dataDir || this.workspaces.dataDirFor(this.workspaceId);
+    const spinner = ora(`Migrating ${options.dataDir} from ${options.from} to ${options.to}...`).start();
+
+    try {
+      const summary = await migrateStorage(options.dataDir, options);
+      spinner.succeed('Storage migration completed!');
+
+      console.log(chalk.cyan('\n📦 Migrated:'));
+      console.log(chalk.white(`  Concepts: ${summary.concepts}`));
+      console.log(chalk.white(`  Edges: ${summary.edges}`));
+      console.log(chalk.white(`  Content items: ${summary.content_items}`));
+      console.log(chalk.white(`  Reinforcement sessions: ${summary.reinforcement_sessions}`));
+      console.log(chalk.white(`  Exploration suggestions: ${summary.exploration_suggestions}`));
+      console.log(chalk.white(`  Reflection sessions: ${summary.reflection_sessions}`));
+      console.log(chalk.white(`  Change events: ${summary.changes}`));
+      console.log(chalk.white(`  Activities: ${summary.activities}`));
+      console.log(chalk.white(`  Cached content items: ${summary.cached_items}`));
+      console.log(chalk.gray(`\n   Snapshot taken before migrating: ${summary.snapshot}`));
+      if (summary.source_removed) {
+        console.log(chalk.yellow(`\n💡 The ${options.from} database was removed; snapshot ${summary.snapshot} still has it.`));
+      } else {
+        console.log(chalk.yellow(`\n💡 The original ${options.from} files were left in place. Set EUMICUS_STORAGE=${options.to} to make the choice explicit.`));
+      }
+
+    } catch (error) {
+      spinner.fail('Storage migration failed');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  }
+
+  // The current passphrase comes from EUMICUS_PASSPHRASE or a prompt, the
+  // new one from EUMICUS_NEW_PASSPHRASE or a prompt
+  async changeEncryptionCLI(action) {
+    const dataDir = this.workspaces.dataDirFor(this.workspaceId);
+
+    try {
+      const encrypted = await isEncryptedDirectory(dataDir);
+      if (action === 'enable' && encrypted) {
+        throw new Error(`${dataDir} is already encrypted. Use "eumicus encryption rotate" to change the passphrase.`);
+      }
+      if (action !== 'enable' && !encrypted) {
+        throw new Error(`${dataDir} is not encrypted. Use "eumicus encryption enable" first.`);
+      }
+
+      await ensurePassphrase(dataDir);
+      const newPassphrase = action === 'disable' ? null : await promptNewPassphrase();
+
+      const spinner = ora(`${action === 'disable' ? 'Decrypting' : 'Encrypting'} ${dataDir}...`).start();
+      let result;
+      try {
+        result = await changeEncryption(dataDir, { passphrase: process.env.EUMICUS_PASSPHRASE, newPassphrase });
+      } catch (error) {
+        spinner.fail('Encryption change failed');
+        throw error;
+      }
+      spinner.succeed(result.encrypted ? `${dataDir} is encrypted` : `${dataDir} is decrypted`);
+
+      console.log(chalk.gray(`   Snapshot taken before the change: ${result.snapshot}`));
+      console.log(chalk.gray(`   Snapshots updated: ${result.snapshots.updated.length}`));
+      if (result.snapshots.skipped.length > 0) {
+        console.log(chalk.yellow(`⚠️  Snapshots locked with another passphrase were left as they are: ${result.snapshots.skipped.join(', ')}`));
+      }
+      if (result.encrypted) {
+        console.log(chalk.yellow('\n💡 Set EUMICUS_PASSPHRASE to the new passphrase, or enter it when prompted. Without it the data cannot be recovered.'));
+      }
+
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  async vaultCLI(action, dir, options) {
+    if (options.prefer && !['vault', 'graph'].includes(options.prefer)) {
+      console.error(chalk.red('Error:'), '--prefer must be "vault" or "graph"');
+      process.exitCode = 1;
+      return;
+    }
+
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const vault = new VaultSync(knowledgeGraph, dir);
+
+      if (action === 'export') {
+        this.printVaultExport(await vault.exportVault());
+        return;
+      }
+
+      const result = await vault.sync({ prefer: options.prefer, dryRun: !!options.dryRun });
+      const list = (title, items, format) => {
+        if (items.length === 0) return;
+        console.log(chalk.cyan(`\n${title}:`));
+        items.forEach(item => console.log(`   ${format(item)}`));
+      };
+
+      console.log(chalk.blue.bold(options.dryRun ? '\n🔍 Changes a sync would make:' : '\n🔄 Merged vault edits into the graph:'));
+      list('New concepts', result.created, name => name);
+      list('Renamed', result.renamed, ({ from, to }) => `${from} → ${to}`);
+      list('Updated', result.updated, ({ concept, fields }) => `${concept} (${fields.join(', ')})`);
+      list('Links added', result.edges_added, ({ from, to, type }) => `${from} → ${to} (${type})`);
+      list('Links removed', result.edges_removed, ({ from, to, type }) => `${from} → ${to} (${type})`);
+      list('Unresolved links', result.unresolved_links, ({ concept, link }) => `${concept}: [[${link}]]`);
+      list('Notes deleted in the vault (concepts kept)', result.missing_notes, ({ concept, file }) => `${concept} (${file})`);
+
+      const changes = result.created.length + result.renamed.length + result.updated.length +
+        result.edges_added.length + result.edges_removed.length;
+      if (changes === 0) console.log(chalk.gray('   No edits to merge'));
+
+      if (result.conflicts.length > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${result.conflicts.length} conflict${result.conflicts.length === 1 ? '' : 's'}, changed in both the vault and the graph:`));
+        result.conflicts.forEach(conflict => {
+          const resolution = conflict.resolution ? chalk.gray(` → kept the ${conflict.resolution} value`) : '';
+          console.log(`   ${conflict.concept} · ${conflict.field}: vault ${JSON.stringify(conflict.vault)}, graph ${JSON.stringify(conflict.graph)}${resolution}`);
+          if (conflict.reason) console.log(chalk.gray(`     ${conflict.reason}`));
+        });
+        if (result.conflicts.some(conflict => !conflict.resolution)) {
+          console.log(chalk.yellow('   Their notes were left as they are. Edit them to match, or sync again with --prefer vault or --prefer graph.'));
+        }
+      }
+
+      if (result.export) this.printVaultExport(result.export);
+    } catch (error) {
+      console.error(chalk.red('Error syncing the vault:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  printVaultExport(report) {
+    console.log(chalk.green(`\n✅ Wrote ${report.concepts} concept notes and ${report.sources} source notes`));
+    if (report.removed.length > 0) {
+      console.log(chalk.gray(`   Removed ${report.removed.length} outdated note${report.removed.length === 1 ? '' : 's'}`));
+    }
+    if (report.kept.length > 0) {
+      console.log(chalk.yellow(`⚠️  Outdated notes edited in the vault were kept: ${report.kept.join(', ')}`));
+    }
+  }
+
+  async ankiExportCLI(options) {
+    if (!['tsv', 'apkg'].includes(options.format)) {
+      console.error(chalk.red('Error:'), '--format must be "tsv" or "apkg"');
+      process.exitCode = 1;
+      return;
+    }
+
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const graph = await knowledgeGraph.readKnowledgeGraph();
+      const output = options.output || `eumicus.${options.format === 'tsv' ? 'txt' : 'apkg'}`;
+      await fs.writeFile(output, options.format === 'tsv' ? toAnkiTSV(graph) : toAnkiPackage(graph));
+      console.log(chalk.green(`✅ Wrote the Anki deck to ${output}`));
+      console.log(chalk.gray('   Import it with File > Import in Anki; importing it again updates the same notes.'));
+    } catch (error) {
+      console.error(chalk.red('Error exporting the Anki deck:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async ankiImportCLI(file) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const reviews = await readAnkiReviews(file);
+      if (reviews.length === 0) {
+        console.log(chalk.yellow('No reviews of Eumicus cards found'));
+        return;
+      }
+
+      // Importing reviews needs no language model
+      const reinforcer = new KnowledgeReinforcer(null, knowledgeGraph);
+      const result = await reinforcer.importReviews(reviews);
+
+      console.log(chalk.green(`✅ Applied ${result.applied} review${result.applied === 1 ? '' : 's'} to ${result.concepts.length} concept${result.concepts.length === 1 ? '' : 's'}`));
+      result.concepts.forEach(item => {
+        const before = item.previous_confidence === null ? '–' : item.previous_confidence.toFixed(2);
+        console.log(`   ${chalk.white.bold(item.concept)}: ${item.answers.join(', ')} · confidence ${before} → ${item.confidence.toFixed(2)} · next review ${item.next_review.slice(0, 10)}`);
+      });
+      if (result.skipped > 0) {
+        console.log(chalk.gray(`   Skipped ${result.skipped} review${result.skipped === 1 ? '' : 's'} already counted`));
+      }
+      if (result.unknown > 0) {
+        console.log(chalk.yellow(`⚠️  ${result.unknown} review${result.unknown === 1 ? '' : 's'} of concepts no longer in the graph`));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error importing Anki reviews:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async mergeCLI(otherDir, options) {
+    if (options.prefer && !['newer', 'ours', 'theirs'].includes(options.prefer)) {
+      console.error(chalk.red('Error:'), '--prefer must be "newer", "ours" or "theirs"');
+      process.exitCode = 1;
+      return;
+    }
+
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const show = value => value === null || value === undefined ? chalk.gray('(none)') : JSON.stringify(value);
+      const describe = conflict => conflict.field === null
+        ? `${conflict.label}: deleted on one side, changed on the other`
+        : `${conflict.label} · ${conflict.field}`;
+
+      // Ask about each conflict on a terminal, unless --prefer settles them
+      const resolve = !options.prefer && !options.dryRun && process.stdin.isTTY
+        ? async conflict => {
+          console.log(chalk.yellow(`\n⚠️  ${describe(conflict)}`));
+          const showSide = value => conflict.field !== null ? show(value) : value === null ? chalk.gray('(deleted)') : '(changed)';
+          console.log(`   ours:   ${showSide(conflict.ours)}`);
+          console.log(`   theirs: ${showSide(conflict.theirs)}`);
+          const { side } = await inquirer.prompt([{
+            type: 'list',
+            name: 'side',
+            message: 'Keep:',
+            choices: [{ name: 'ours', value: 'ours' }, { name: 'theirs', value: 'theirs' }],
+            default: conflict.newer
+          }]);
+          return side;
+        }
+        : null;
+
+      const result = await mergeDataDirectory(knowledgeGraph, otherDir, {
+        prefer: options.prefer,
+        resolve,
+        dryRun: !!options.dryRun
+      });
+
+      if (result.base) {
+        const from = result.base.source === 'snapshot' ? `snapshot ${result.base.snapshot}` : 'shared change history';
+        console.log(chalk.gray(`\nCommon ancestor: ${from} (${result.base.at})`));
+      } else {
+        console.log(chalk.yellow('\n⚠️  No common history found: nothing is treated as deleted and fields that differ are conflicts'));
+      }
+      if (result.aligned_concepts > 0) {
+        console.log(chalk.gray(`Matched ${result.aligned_concepts} concept${result.aligned_concepts === 1 ? '' : 's'} created on both sides by name`));
+      }
+
+      console.log(chalk.blue.bold(options.dryRun ? '\n🔍 Changes a merge would make:' : '\n🔀 Merged changes:'));
+      const groups = Object.entries(result.changes);
+      if (groups.length === 0) console.log(chalk.gray('   Nothing to merge'));
+      groups.forEach(([group, { added, updated, removed }]) => {
+        console.log(chalk.cyan(`\n${group.replace(/_/g, ' ')}:`));
+        added.forEach(label => console.log(chalk.green(`   + ${label}`)));
+        updated.forEach(label => console.log(chalk.yellow(`   ~ ${label}`)));
+        removed.forEach(label => console.log(chalk.red(`   - ${label}`)));
+      });
+
+      if (result.conflicts.length > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${result.conflicts.length} conflict${result.conflicts.length === 1 ? '' : 's'}, changed on both sides:`));
+        result.conflicts.forEach(conflict => {
+          const values = conflict.field === null ? '' : `: ours ${show(conflict.ours)}, theirs ${show(conflict.theirs)}`;
+          console.log(`   ${describe(conflict)}${values}${chalk.gray(` → ${options.dryRun ? 'would keep' : 'kept'} ${conflict.resolution}`)}`);
+        });
+      }
+
+      if (result.change_set) {
+        console.log(chalk.green(`\n✅ Merged ${otherDir}`));
+        console.log(chalk.gray(`   Snapshot taken before the merge: ${result.snapshot}`));
+        console.log(chalk.gray(`   Undo with: eumicus revert ${result.change_set}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error merging:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async confirm(question) {
+    const readline = require('readline');
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    
+    const answer = await new Promise(resolve => {
+      rl.question(`${question} Type "yes" to confirm: `, resolve);
+    });
+    
+    rl.close();
+    return answer.toLowerCase() === 'yes';
+  }
+
   async resetCLI(force = false) {
     if (!force) {
       console.log(chalk.red('\n⚠️  WARNING: This will delete all your knowledge graph data!'));
-      console.log(chalk.yellow('This action cannot be undone.\n'));
+      console.log(chalk.yellow('A snapshot is taken first, so it can be brought back with "backup restore".\n'));
       
-      const readline = require('readline');
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
-      
-      const answer = await new Promise(resolve => {
-        rl.question('Are you sure you want to reset? Type "yes" to confirm: ', resolve);
-      });
-      
-      rl.close();
-      
-      if (answer.toLowerCase() !== 'yes') {
+      if (!(await this.confirm('Are you sure you want to reset?'))) {
         console.log(chalk.green('Reset cancelled.'));
         return;
       }
     }
     
     console.log(chalk.blue('\n🗑️  Resetting knowledge graph...'));
+    const knowledgeGraph = await this.openKnowledgeGraph();
     
     try {
-      // This would delete the knowledge graph files
-      // In a real implementation, you'd want to be more careful about this
+      const { safetySnapshot } = await knowledgeGraph.resetKnowledgeGraph();
       console.log(chalk.green('✅ Knowledge graph reset completed!'));
+      console.log(chalk.gray(`   Previous data saved as snapshot ${safetySnapshot.id}`));
       console.log(chalk.yellow('💡 Run the profiling command to start fresh.'));
       
     } catch (error) {
       console.error(chalk.red('Error resetting knowledge graph:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async listBackupsCLI() {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const snapshots = await knowledgeGraph.listSnapshots();
+      if (snapshots.length === 0) {
+        console.log(chalk.yellow('No snapshots yet. Create one with "backup create".'));
+        return;
+      }
+
+      console.log(chalk.cyan('\n💾 Snapshots (newest first):\n'));
+      snapshots.forEach(snapshot => {
+        const size = `${(snapshot.size / 1024).toFixed(1)} KB`;
+        const label = snapshot.label ? ` · ${snapshot.label}` : '';
+        console.log(chalk.white(snapshot.id), chalk.gray(`${snapshot.reason}${label} · ${size}`));
+      });
+    } catch (error) {
+      console.error(chalk.red('Error listing snapshots:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async createBackupCLI(label) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+    const spinner = ora('Creating snapshot...').start();
+
+    try {
+      const snapshot = await knowledgeGraph.createSnapshot({ reason: 'manual', label });
+      spinner.succeed(`Created snapshot ${snapshot.id}`);
+      console.log(chalk.gray(`   ${snapshot.files.length} files, ${(snapshot.size / 1024).toFixed(1)} KB`));
+    } catch (error) {
+      spinner.fail('Failed to create snapshot');
+      console.error(chalk.red('Error:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
+    }
+  }
+
+  async restoreBackupCLI(id, force = false) {
+    const knowledgeGraph = await this.openKnowledgeGraph();
+
+    try {
+      const snapshot = await knowledgeGraph.getSnapshot(id);
+      if (!snapshot) {
+        console.error(chalk.red(`Snapshot not found: ${id}`));
+        process.exitCode = 1;
+        return;
+      }
+
+      if (!force) {
+        console.log(chalk.yellow(`\nThis replaces the data directory with snapshot ${id} (${snapshot.reason}, ${snapshot.created_at}).`));
+        console.log(chalk.yellow('The current data is snapshotted first. Stop any running Eumicus server before restoring.\n'));
+        if (!(await this.confirm('Restore this snapshot?'))) {
+          console.log(chalk.green('Restore cancelled.'));
+          return;
+        }
+      }
+
+      const { safetySnapshot } = await knowledgeGraph.restoreSnapshot(id);
+      console.log(chalk.green(`\n✅ Restored snapshot ${id}`));
+      console.log(chalk.gray(`   Previous data saved as snapshot ${safetySnapshot.id}`));
+    } catch (error) {
+      console.error(chalk.red('Error restoring snapshot:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await knowledgeGraph.close();
     }
   }
 }
@@ -1,25 +1,41 @@
-const KnowledgeGraphManager = require('../modules/knowledge-graph');
-const UserProfiler = require('../modules/user-profiler');
-const ContentProcessor = require('../modules/content-processor');
-const KnowledgeReinforcer = require('../modules/knowledge-reinforcer');
-const ExplorationSuggester = require('../modules/exploration-suggester');
-const ConnectionMapper = require('../modules/connection-mapper');
-const ReflectionEngine = require('../modules/reflection-engine');
-const OpenAIClient = require('../modules/openai-client');
+// Default hours between runs of each periodic task. A workspace can override
+// any of them through its schedule; 0 turns a task off.
+const DEFAULT_SCHEDULE = {
+  dailyAnalysis: 24,
+  weeklyReflection: 7 * 24,
+  connectionDiscovery: 6,
+  healthCheck: 1,
+  backup: 24
+};
 
 class LearningPipeline {
-  constructor(webServer) {
+  // Runs the background tasks of one workspace (the web server's default
+  // workspace unless another is given)
+  constructor(webServer, workspace = webServer.workspace) {
     this.webServer = webServer;
-    this.knowledgeGraph = webServer.knowledgeGraph;
-    this.userProfiler = webServer.userProfiler;
-    this.contentProcessor = webServer.contentProcessor;
-    this.knowledgeReinforcer = webServer.knowledgeReinforcer;
-    this.explorationSuggester = webServer.explorationSuggester;
-    this.connectionMapper = webServer.connectionMapper;
-    this.reflectionEngine = webServer.reflectionEngine;
+    this.workspace = workspace;
+    this.knowledgeGraph = workspace.knowledgeGraph;
+    this.userProfiler = workspace.userProfiler;
+    this.contentProcessor = workspace.contentProcessor;
+    this.knowledgeReinforcer = workspace.knowledgeReinforcer;
+    this.explorationSuggester = workspace.explorationSuggester;
+    this.connectionMapper = workspace.connectionMapper;
+    this.reflectionEngine = workspace.reflectionEngine;
     
     this.isRunning = false;
     this.intervals = {};
+    this.connectionListener = null;
+  }
+
+  // Milliseconds between runs of a task, or null when it is turned off
+  intervalFor(task) {
+    const envBackupHours = process.env.EUMICUS_BACKUP_INTERVAL_HOURS;
+    const fallback = task === 'backup' && envBackupHours !== undefined
+      ? parseFloat(envBackupHours)
+      : DEFAULT_SCHEDULE[task];
+    const hours = this.workspace.schedule?.[task] ?? fallback;
+
+    return hours > 0 ? hours * 60 * 60 * 1000 : null;
   }
 
   async start() {
@@ -29,7 +45,7 @@ class LearningPipeline {
     }
 
     this.isRunning = true;
-    console.log('🚀 Starting learning pipeline...');
+    console.log(`🚀 Starting learning pipeline for workspace "${this.workspace.id}"...`);
 
     // Start background processes
     this.startPeriodicTasks();
@@ -43,57 +59,54 @@ class LearningPipeline {
       return;
     }
 
-    console.log('🛑 Stopping learning pipeline...');
+    console.log(`🛑 Stopping learning pipeline for workspace "${this.workspace.id}"...`);
 
     // Clear all intervals
     Object.values(this.intervals).forEach(interval => clearInterval(interval));
     this.intervals = {};
 
+    if (this.connectionListener) {
+      this.webServer.io.off('connection', this.connectionListener);
+      this.connectionListener = null;
+    }
+
     this.isRunning = false;
     console.log('✅ Learning pipeline stopped');
   }
 
   startPeriodicTasks() {
-    // Daily knowledge gap analysis (every 24 hours)
-    this.intervals.dailyAnalysis = setInterval(async () => {
-      try {
-        await this.runDailyAnalysis();
-      } catch (error) {
-        console.error('Error in daily analysis:', error);
-      }
-    }, 24 * 60 * 60 * 1000); // 24 hours
-
-    // Weekly reflection (every 7 days)
-    this.intervals.weeklyReflection = setInterval(async () => {
-      try {
-        await this.runWeeklyReflection();
-      } catch (error) {
-        console.error('Error in weekly reflection:', error);
-      }
-    }, 7 * 24 * 60 * 60 * 1000); // 7 days
-
-    // Hidden connection discovery (every 6 hours)
-    this.intervals.connectionDiscovery = setInterval(async () => {
-      try {
-        await this.discoverHiddenConnections();
-      } catch (error) {
-        console.error('Error in connection discovery:', error);
-      }
-    }, 6 * 60 * 60 * 1000); // 6 hours
-
-    // Knowledge graph health check (every hour)
-    this.intervals.healthCheck = setInterval(async () => {
-      try {
-        await this.runHealthCheck();
-      } catch (error) {
-        console.error('Error in health check:', error);
-      }
-    }, 60 * 60 * 1000); // 1 hour
+    const tasks = {
+      // Daily knowledge gap analysis
+      dailyAnalysis: ['daily analysis', () => this.runDailyAnalysis()],
+      // Weekly reflection
+      weeklyReflection: ['weekly reflection', () => this.runWeeklyReflection()],
+      // Hidden connection discovery
+      connectionDiscovery: ['connection discovery', () => this.discoverHiddenConnections()],
+      // Knowledge graph health check
+      healthCheck: ['health check', () => this.runHealthCheck()],
+      // Data directory snapshot
+      backup: ['scheduled backup', () => this.runScheduledBackup()]
+    };
+
+    Object.entries(tasks).forEach(([task, [label, run]]) => {
+      const interval = this.intervalFor(task);
+      if (!interval) return;
+
+      this.intervals[task] = setInterval(async () => {
+        try {
+          await run();
+        } catch (error) {
+          console.error(`Error in ${label}:`, error);
+        }
+      }, interval);
+    });
   }
 
   startEventListeners() {
-    // Listen for content processing events
-    this.webServer.io.on('connection', (socket) => {
+    // Listen for content processing events from this workspace's clients
+    this.connectionListener = (socket) => {
+      if (socket.workspace !== this.workspace) return;
+
       socket.on('content-processed', async (data) => {
         try {
           await this.handleContentProcessed(data);
@@ -109,7 +122,8 @@ class LearningPipeline {
           console.error('Error handling reinforcement completed event:', error);
         }
       });
-    });
+    };
+    this.webServer.io.on('connection', this.connectionListener);
   }
 
   async runDailyAnalysis() {
@@ -120,7 +134,7 @@ class LearningPipeline {
       const conceptsToReview = await this.knowledgeGraph.getConceptsForReinforcement();
       
       if (conceptsToReview.length > 0) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           `Found ${conceptsToReview.length} concepts ready for reinforcement`,
           'Learning Pipeline',
           'completed',
@@ -132,7 +146,7 @@ class LearningPipeline {
       const suggestions = await this.explorationSuggester.generateExplorationSuggestions();
       
       if (suggestions.personalizedSuggestions.length > 0) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           `Generated ${suggestions.personalizedSuggestions.length} exploration suggestions`,
           'Learning Pipeline',
           'completed',
@@ -143,7 +157,7 @@ class LearningPipeline {
       // Analyze knowledge structure
       const structure = await this.connectionMapper.analyzeKnowledgeStructure();
       
-      this.webServer.emitActivity(
+      this.workspace.emitActivity(
         `Knowledge structure analysis: ${structure.total_concepts} concepts, ${structure.knowledge_clusters.length} clusters`,
         'Learning Pipeline',
         'completed',
@@ -156,7 +170,7 @@ class LearningPipeline {
 
     } catch (error) {
       console.error('Error in daily analysis:', error);
-      this.webServer.emitActivity(
+      this.workspace.emitActivity(
         'Daily analysis failed',
         'Learning Pipeline',
         'error',
@@ -172,7 +186,7 @@ class LearningPipeline {
       const reflection = await this.reflectionEngine.generateWeeklyReflection();
       
       if (reflection) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           'Weekly reflection completed',
           'Learning Pipeline',
           'completed',
@@ -182,13 +196,13 @@ class LearningPipeline {
           }
         );
 
-        // Emit reflection to all connected clients
-        this.webServer.io.emit('weekly-reflection', reflection);
+        // Emit reflection to the workspace's connected clients
+        this.workspace.emit('weekly-reflection', reflection);
       }
 
     } catch (error) {
       console.error('Error in weekly reflection:', error);
-      this.webServer.emitActivity(
+      this.workspace.emitActivity(
         'Weekly reflection failed',
         'Learning Pipeline',
         'error',
@@ -204,21 +218,17 @@ class LearningPipeline {
       const connections = await this.connectionMapper.discoverHiddenConnections();
       
       if (connections.length > 0) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           `Discovered ${connections.length} hidden connections`,
           'Learning Pipeline',
           'completed',
           { connections_found: connections.length }
         );
-
-        // Update graph visualization
-        const graph = await this.knowledgeGraph.loadKnowledgeGraph();
-        this.webServer.io.emit('graph-update', graph);
       }
 
     } catch (error) {
       console.error('Error in connection discovery:', error);
-      this.webServer.emitActivity(
+      this.workspace.emitActivity(
         'Connection discovery failed',
         'Learning Pipeline',
         'error',
@@ -230,7 +240,7 @@ class LearningPipeline {
   async runHealthCheck() {
     try {
       // Check knowledge graph integrity
-      const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+      const graph = await this.knowledgeGraph.readKnowledgeGraph();
       
       // Check for orphaned concepts (concepts with no connections)
       const orphanedConcepts = graph.concepts.filter(c => 
@@ -238,7 +248,7 @@ class LearningPipeline {
       );
 
       if (orphanedConcepts.length > graph.concepts.length * 0.3) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           `Warning: ${orphanedConcepts.length} concepts have no connections`,
           'Learning Pipeline',
           'completed',
@@ -256,7 +266,7 @@ class LearningPipeline {
       );
 
       if (lowConfidenceConcepts.length > 0) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           `${lowConfidenceConcepts.length} concepts have low confidence and may need reinforcement`,
           'Learning Pipeline',
           'completed',
@@ -264,9 +274,20 @@ class LearningPipeline {
         );
       }
 
+      // Validate the graph as "eumicus doctor" does; fixing is left to the user
+      const { problems, summary } = await this.knowledgeGraph.checkIntegrity();
+      if (summary.total > 0) {
+        this.workspace.emitActivity(
+          `Integrity check found ${summary.errors} errors and ${summary.warnings} warnings (${summary.fixable} fixable with "eumicus doctor --fix")`,
+          'Learning Pipeline',
+          'completed',
+          { ...summary, problems: problems.slice(0, 20) }
+        );
+      }
+
     } catch (error) {
       console.error('Error in health check:', error);
-      this.webServer.emitActivity(
+      this.workspace.emitActivity(
         'Health check failed',
         'Learning Pipeline',
         'error',
@@ -275,6 +296,30 @@ class LearningPipeline {
     }
   }
 
+  async runScheduledBackup() {
+    console.log('💾 Creating scheduled snapshot...');
+
+    try {
+      const snapshot = await this.knowledgeGraph.createSnapshot({ reason: 'scheduled' });
+
+      this.workspace.emitActivity(
+        `Created scheduled snapshot ${snapshot.id}`,
+        'Learning Pipeline',
+        'completed',
+        { snapshot_id: snapshot.id, files: snapshot.files.length, size: snapshot.size }
+      );
+
+    } catch (error) {
+      console.error('Error in scheduled backup:', error);
+      this.workspace.emitActivity(
+        'Scheduled snapshot failed',
+        'Learning Pipeline',
+        'error',
+        { error: error.message }
+      );
+    }
+  }
+
   async handleContentProcessed(data) {
     try {
       const { concepts, contentItem } = data;
@@ -283,7 +328,7 @@ class LearningPipeline {
         // Map connections for new concepts
         const connectionResult = await this.connectionMapper.mapNewConnections(concepts);
         
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           `Mapped ${connectionResult.connections.length} connections for new concepts`,
           'Learning Pipeline',
           'completed',
@@ -292,17 +337,13 @@ class LearningPipeline {
             connections_mapped: connectionResult.connections.length
           }
         );
-
-        // Update graph visualization
-        const graph = await this.knowledgeGraph.loadKnowledgeGraph();
-        this.webServer.io.emit('graph-update', graph);
       }
 
       // Check if this content suggests new exploration areas
       const suggestions = await this.explorationSuggester.generateExplorationSuggestions();
       
       if (suggestions.personalizedSuggestions.length > 0) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           `Generated ${suggestions.personalizedSuggestions.length} new exploration suggestions`,
           'Learning Pipeline',
           'completed',
@@ -322,7 +363,7 @@ class LearningPipeline {
       // Update user profile based on reinforcement performance
       if (sessionResults.overall_performance < 0.6) {
         // Low performance - suggest review
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           'Reinforcement session completed with low performance - consider reviewing concepts',
           'Learning Pipeline',
           'completed',
@@ -334,7 +375,7 @@ class LearningPipeline {
       const suggestions = await this.explorationSuggester.generateExplorationSuggestions();
       
       if (suggestions.knowledgeGaps.length > 0) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           `Identified ${suggestions.knowledgeGaps.length} knowledge gaps for further exploration`,
           'Learning Pipeline',
           'completed',
@@ -351,11 +392,11 @@ class LearningPipeline {
     console.log('🔧 Running initial setup...');
     
     try {
-      const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+      const graph = await this.knowledgeGraph.readKnowledgeGraph();
       
       // Check if user profile exists
       if (!graph.user_profile.goals || graph.user_profile.goals.length === 0) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           'No user profile found - ready for initial profiling',
           'Learning Pipeline',
           'completed'
@@ -365,7 +406,7 @@ class LearningPipeline {
 
       // Check if knowledge graph has concepts
       if (graph.concepts.length === 0) {
-        this.webServer.emitActivity(
+        this.workspace.emitActivity(
           'Knowledge graph is empty - ready for content processing',
           'Learning Pipeline',
           'completed'
@@ -376,7 +417,7 @@ class LearningPipeline {
       // Run initial analysis
       await this.runDailyAnalysis();
       
-      this.webServer.emitActivity(
+      this.workspace.emitActivity(
         'Initial setup completed successfully',
         'Learning Pipeline',
         'completed',
@@ -388,7 +429,7 @@ class LearningPipeline {
 
     } catch (error) {
       console.error('Error in initial setup:', error);
-      this.webServer.emitActivity(
+      this.workspace.emitActivity(
         'Initial setup failed',
         'Learning Pipeline',
         'error',
@@ -399,12 +440,14 @@ class LearningPipeline {
 
   async getPipelineStats() {
     return {
+      workspace: this.workspace.id,
       is_running: this.isRunning,
       active_intervals: Object.keys(this.intervals).length,
       last_daily_analysis: new Date().toISOString(), // In real implementation, track actual times
       last_weekly_reflection: new Date().toISOString(),
       last_connection_discovery: new Date().toISOString(),
-      last_health_check: new Date().toISOString()
+      last_health_check: new Date().toISOString(),
+      last_backup: (await this.knowledgeGraph.listSnapshots())[0]?.created_at || null
     };
   }
 }
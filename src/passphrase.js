@@ -0,0 +1,41 @@
+const inquirer = require('inquirer');
+const { isEncryptedDirectory } = require('../modules/storage/encryption');
+
+// Encrypted data directories are unlocked with EUMICUS_PASSPHRASE. When it
+// isn't set, ask on the terminal and keep the answer in this process's
+// environment, so every storage adapter opened afterwards picks it up.
+// Without a terminal the storage layer's own error explains what to set.
+async function ensurePassphrase(dataDir) {
+  if (process.env.EUMICUS_PASSPHRASE || !process.stdin.isTTY) return;
+  if (!(await isEncryptedDirectory(dataDir))) return;
+
+  const { passphrase } = await inquirer.prompt([
+    { type: 'password', name: 'passphrase', mask: '*', message: `Passphrase for ${dataDir}:` }
+  ]);
+  process.env.EUMICUS_PASSPHRASE = passphrase;
+}
+
+// EUMICUS_NEW_PASSPHRASE, or asked twice on the terminal
+async function promptNewPassphrase() {
+  if (process.env.EUMICUS_NEW_PASSPHRASE) return process.env.EUMICUS_NEW_PASSPHRASE;
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      mask: '*',
+      message: 'New passphrase:',
+      validate: input => input.length >= 8 || 'Use at least 8 characters'
+    },
+    { type: 'password', name: 'confirmation', mask: '*', message: 'Repeat the new passphrase:' }
+  ]);
+  if (answers.passphrase !== answers.confirmation) {
+    throw new Error('The passphrases do not match');
+  }
+  return answers.passphrase;
+}
+
+module.exports = {
+  ensurePassphrase,
+  promptNewPassphrase
+};
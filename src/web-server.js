@@ -2,25 +2,38 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
-const KnowledgeGraphManager = require('../modules/knowledge-graph');
-const UserProfiler = require('../modules/user-profiler');
-const ContentProcessor = require('../modules/content-processor');
-const KnowledgeReinforcer = require('../modules/knowledge-reinforcer');
-const ExplorationSuggester = require('../modules/exploration-suggester');
-const ConnectionMapper = require('../modules/connection-mapper');
-const ReflectionEngine = require('../modules/reflection-engine');
+const WorkspaceManager = require('../modules/workspace-manager');
 const OpenAIClient = require('../modules/openai-client');
+const { createZip } = require('../modules/zip');
+const { toAnkiTSV, toAnkiPackage } = require('../modules/anki');
+const Workspace = require('./workspace');
+const LearningPipeline = require('./learning-pipeline');
+
+// Error codes thrown by the category operations in modules/taxonomy.js
+const CATEGORY_ERROR_STATUS = {
+  INVALID_CATEGORY: 400,
+  CATEGORY_NOT_FOUND: 404,
+  CATEGORY_CONFLICT: 409
+};
 
 class WebServer {
-  constructor(port = 3000) {
+  constructor(port = 3000, options = {}) {
     this.port = port;
     this.app = express();
     this.server = http.createServer(this.app);
     this.io = socketIo(this.server);
     
-    // Initialize modules
-    this.knowledgeGraph = new KnowledgeGraphManager();
-    this.openai = null; // Will be initialized when API key is provided
+    // Workspaces are opened on first use and each runs its own pipeline
+    this.workspaces = new WorkspaceManager(options.dataDir);
+    this.defaultWorkspaceId = this.workspaces.resolveId(options.workspace);
+    this.openWorkspaces = new Map();
+    this.pipelines = new Map();
+    this.pipelinesRunning = false;
+    this.workspace = null;
+
+    // Modules of the default workspace, used by the CLI commands
+    this.knowledgeGraph = null;
+    this.openai = null; // Will be initialized with the LLM provider
     this.userProfiler = null;
     this.contentProcessor = null;
     this.knowledgeReinforcer = null;
@@ -33,24 +46,25 @@ class WebServer {
     this.setupSocketHandlers();
   }
 
-  async initialize(openaiApiKey) {
+  // llm is a provider from modules/llm, or an OpenAI API key
+  async initialize(llm) {
     try {
-      // Initialize knowledge graph
-      await this.knowledgeGraph.initialize();
-      
-      // Initialize OpenAI client
-      this.openai = new OpenAIClient(openaiApiKey);
+      // Initialize the LLM client
+      this.openai = new OpenAIClient(llm);
       
-      // Initialize other modules
-      this.userProfiler = new UserProfiler(this.openai, this.knowledgeGraph);
-      this.contentProcessor = new ContentProcessor(this.openai, this.knowledgeGraph);
-      this.knowledgeReinforcer = new KnowledgeReinforcer(this.openai, this.knowledgeGraph);
-      this.explorationSuggester = new ExplorationSuggester(this.openai, this.knowledgeGraph);
-      this.connectionMapper = new ConnectionMapper(this.openai, this.knowledgeGraph);
-      this.reflectionEngine = new ReflectionEngine(this.openai, this.knowledgeGraph);
-      
-      // Initialize content processor browser
-      await this.contentProcessor.initialize();
+      // Initialize the default workspace; it owns the browser the others share
+      this.workspace = await this.getWorkspace(this.defaultWorkspaceId);
+      if (!this.workspace) {
+        throw new Error(`Workspace not found: ${this.defaultWorkspaceId}. Create it with "eumicus workspace create".`);
+      }
+
+      this.knowledgeGraph = this.workspace.knowledgeGraph;
+      this.userProfiler = this.workspace.userProfiler;
+      this.contentProcessor = this.workspace.contentProcessor;
+      this.knowledgeReinforcer = this.workspace.knowledgeReinforcer;
+      this.explorationSuggester = this.workspace.explorationSuggester;
+      this.connectionMapper = this.workspace.connectionMapper;
+      this.reflectionEngine = this.workspace.reflectionEngine;
       
       console.log('✅ All modules initialized successfully');
       return true;
@@ -63,6 +77,93 @@ class WebServer {
   setupMiddleware() {
     this.app.use(express.json());
     this.app.use(express.static(path.join(__dirname, '../public')));
+
+    // Socket clients pick their workspace with io({ query: { workspace } })
+    // and only receive events from that workspace's room
+    this.io.use(async (socket, next) => {
+      try {
+        const workspace = await this.getWorkspace(socket.handshake.query.workspace || this.defaultWorkspaceId);
+        if (!workspace) {
+          return next(new Error('Workspace not found'));
+        }
+
+        socket.workspace = workspace;
+        socket.join(workspace.room);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  // Opens a workspace the first time it is used. Returns null for unknown ids.
+  async getWorkspace(nameOrId) {
+    const id = this.workspaces.resolveId(nameOrId);
+
+    if (!this.openWorkspaces.has(id)) {
+      const opening = this.openWorkspace(id);
+      this.openWorkspaces.set(id, opening);
+      opening.catch(() => this.openWorkspaces.delete(id));
+    }
+
+    const workspace = await this.openWorkspaces.get(id);
+    if (!workspace) {
+      this.openWorkspaces.delete(id);
+    }
+    return workspace;
+  }
+
+  async openWorkspace(id) {
+    const info = await this.workspaces.getWorkspace(id);
+    if (!info) return null;
+
+    const workspace = new Workspace(info, this.openai, this.io);
+    await workspace.initialize(this.workspace ? this.workspace.contentProcessor.browser : null);
+
+    if (this.pipelinesRunning) {
+      await this.startPipeline(workspace);
+    }
+    return workspace;
+  }
+
+  async startPipelines() {
+    this.pipelinesRunning = true;
+    for (const info of await this.workspaces.listWorkspaces()) {
+      await this.startPipeline(await this.getWorkspace(info.id));
+    }
+  }
+
+  async startPipeline(workspace) {
+    if (this.pipelines.has(workspace.id)) return;
+
+    const pipeline = new LearningPipeline(this, workspace);
+    this.pipelines.set(workspace.id, pipeline);
+    await pipeline.start();
+  }
+
+  async stopPipelines() {
+    this.pipelinesRunning = false;
+    for (const pipeline of this.pipelines.values()) {
+      await pipeline.stop();
+    }
+    this.pipelines.clear();
+  }
+
+  // Picks the workspace for an API request from the /api/workspaces/:workspace
+  // prefix or the X-Eumicus-Workspace header, falling back to the default
+  async resolveWorkspace(req, res, next) {
+    try {
+      const requested = req.params.workspace || req.get('X-Eumicus-Workspace') || this.defaultWorkspaceId;
+      const workspace = await this.getWorkspace(requested);
+      if (!workspace) {
+        return res.status(404).json({ error: `Workspace not found: ${requested}` });
+      }
+
+      req.workspace = workspace;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
 
   setupRoutes() {
@@ -70,6 +171,7 @@ class WebServer {
     this.app.get('/api/status', (req, res) => {
       res.json({ 
         status: 'running',
+        default_workspace: this.defaultWorkspaceId,
         modules: {
           knowledgeGraph: !!this.knowledgeGraph,
           openai: !!this.openai,
@@ -83,103 +185,748 @@ class WebServer {
       });
     });
 
-    this.app.get('/api/knowledge-graph', async (req, res) => {
+    this.app.get('/api/workspaces', async (req, res) => {
+      try {
+        const workspaces = await this.workspaces.listWorkspaces();
+        res.json(workspaces.map(workspace => ({
+          ...workspace,
+          is_default: workspace.id === this.defaultWorkspaceId,
+          pipeline_running: this.pipelines.has(workspace.id)
+        })));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/workspaces', async (req, res) => {
       try {
-        const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+        const { name, schedule } = req.body;
+        if (!name || !WorkspaceManager.toWorkspaceId(name)) {
+          return res.status(400).json({ error: 'Workspace name must contain at least one letter or digit' });
+        }
+
+        if (await this.workspaces.getWorkspace(name)) {
+          return res.status(409).json({ error: `Workspace "${this.workspaces.resolveId(name)}" already exists` });
+        }
+
+        const workspace = await this.workspaces.createWorkspace(name, { schedule });
+        await this.getWorkspace(workspace.id);
+        res.status(201).json(workspace);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.patch('/api/workspaces/:workspace', async (req, res) => {
+      try {
+        const { name, schedule } = req.body;
+        if (!(await this.workspaces.getWorkspace(req.params.workspace))) {
+          return res.status(404).json({ error: 'Workspace not found' });
+        }
+
+        const updated = await this.workspaces.updateWorkspace(req.params.workspace, { name, schedule });
+
+        // Pick up the new schedule by restarting the workspace's pipeline
+        const workspace = await this.getWorkspace(updated.id);
+        workspace.name = updated.name;
+        workspace.schedule = updated.schedule;
+        const pipeline = this.pipelines.get(updated.id);
+        if (pipeline) {
+          await pipeline.stop();
+          this.pipelines.delete(updated.id);
+          await this.startPipeline(workspace);
+        }
+
+        res.json(updated);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Everything below is scoped to one workspace
+    const api = express.Router({ mergeParams: true });
+    const resolveWorkspace = this.resolveWorkspace.bind(this);
+
+    api.get('/knowledge-graph', async (req, res) => {
+      try {
+        // ?at=<timestamp> rebuilds the graph as it was at that time
+        const { at } = req.query;
+        if (at && isNaN(Date.parse(at))) {
+          return res.status(400).json({ error: `Invalid timestamp: ${at}` });
+        }
+
+        const graph = at
+          ? await req.workspace.knowledgeGraph.getKnowledgeGraphAt(at)
+          : await req.workspace.knowledgeGraph.readKnowledgeGraph();
         res.json(graph);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.get('/api/activity-log', async (req, res) => {
+    api.get('/history/change-sets', async (req, res) => {
+      try {
+        const { since, until, limit } = req.query;
+        if ([since, until].some(value => value && isNaN(Date.parse(value)))) {
+          return res.status(400).json({ error: 'since and until must be timestamps' });
+        }
+
+        const changeSets = await req.workspace.knowledgeGraph.listChangeSets({
+          since,
+          until,
+          limit: limit ? parseInt(limit) : undefined
+        });
+        res.json(changeSets);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.get('/history/changes', async (req, res) => {
+      try {
+        const { changeSet, since, until } = req.query;
+        if ([since, until].some(value => value && isNaN(Date.parse(value)))) {
+          return res.status(400).json({ error: 'since and until must be timestamps' });
+        }
+
+        const changes = await req.workspace.knowledgeGraph.getChanges({ changeSet, since, until });
+        res.json(changes);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/history/change-sets/:id/revert', async (req, res) => {
+      try {
+        const changes = await req.workspace.knowledgeGraph.getChanges({ changeSet: req.params.id });
+        if (changes.length === 0) {
+          return res.status(404).json({ error: 'Change set not found' });
+        }
+
+        const result = await req.workspace.knowledgeGraph.revertChangeSet(req.params.id, { force: !!req.body.force });
+        if (!result.revert_change_set) {
+          return res.status(409).json({
+            error: 'Records changed since this change set; pass force to revert anyway',
+            ...result
+          });
+        }
+
+        req.workspace.emitActivity(`Reverted change set ${req.params.id} (${result.reverted} records)`, 'System', 'completed');
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Filtering, sorting and cursor pagination; see modules/graph-query.js
+    api.get('/concepts', async (req, res) => {
+      try {
+        const { sort, limit, cursor, ...filters } = req.query;
+        res.json(await req.workspace.knowledgeGraph.queryConcepts(filters, { sort, limit, cursor }));
+      } catch (error) {
+        res.status(error.code === 'INVALID_QUERY' ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    api.get('/content-items', async (req, res) => {
+      try {
+        const { sort, limit, cursor, ...filters } = req.query;
+        res.json(await req.workspace.knowledgeGraph.queryContentItems(filters, { sort, limit, cursor }));
+      } catch (error) {
+        res.status(error.code === 'INVALID_QUERY' ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    api.get('/reinforcement-sessions', async (req, res) => {
+      try {
+        const { sort, limit, cursor, ...filters } = req.query;
+        res.json(await req.workspace.knowledgeGraph.queryReinforcementSessions(filters, { sort, limit, cursor }));
+      } catch (error) {
+        res.status(error.code === 'INVALID_QUERY' ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    api.get('/search', async (req, res) => {
+      try {
+        const { q, type, archived, limit } = req.query;
+        if (!q || !q.trim()) {
+          return res.status(400).json({ error: 'Query parameter q is required' });
+        }
+
+        const results = await req.workspace.knowledgeGraph.search(q, {
+          type: type ? type.split(',') : undefined,
+          archived,
+          limit: limit ? Math.min(parseInt(limit) || 20, 100) : 20
+        });
+        res.json(results);
+      } catch (error) {
+        res.status(error.code === 'INVALID_QUERY' ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    // ?format=graphml|gexf|neo4j-csv|jsonld, sent as a download. neo4j-csv
+    // is several files and comes zipped.
+    api.get('/export', async (req, res) => {
+      try {
+        const format = req.query.format || 'graphml';
+        const result = await req.workspace.knowledgeGraph.exportGraph(format);
+
+        if (result.files.length === 1) {
+          const [file] = result.files;
+          res.attachment(file.name).type(result.contentType).send(file.content);
+        } else {
+          res.attachment(`knowledge-graph-${format}.zip`).type('application/zip').send(createZip(result.files));
+        }
+      } catch (error) {
+        res.status(error.code === 'INVALID_QUERY' ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    // ?format=apkg (default) or tsv
+    api.get('/anki/deck', async (req, res) => {
+      try {
+        const format = req.query.format || 'apkg';
+        if (!['apkg', 'tsv'].includes(format)) {
+          return res.status(400).json({ error: 'format must be apkg or tsv' });
+        }
+
+        const graph = await req.workspace.knowledgeGraph.readKnowledgeGraph();
+        if (format === 'tsv') {
+          res.attachment('eumicus.txt').type('text/tab-separated-values').send(toAnkiTSV(graph));
+        } else {
+          res.attachment('eumicus.apkg').type('application/octet-stream').send(toAnkiPackage(graph));
+        }
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.get('/concepts/:concept', async (req, res) => {
+      try {
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+        res.json(concept);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/concepts/:concept/rename', async (req, res) => {
+      try {
+        const { name, keepAlias } = req.body;
+        if (!name || !name.trim()) {
+          return res.status(400).json({ error: 'New name is required' });
+        }
+
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+
+        const conflict = await req.workspace.knowledgeGraph.getConcept(name.trim());
+        if (conflict && conflict.id !== concept.id) {
+          return res.status(409).json({ error: `"${name.trim()}" is already used by concept "${conflict.name}"` });
+        }
+
+        const renamed = await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: `Rename "${concept.name}" to "${name.trim()}"`
+        }, () => req.workspace.knowledgeGraph.renameConcept(concept.id, name, { keepAlias }));
+        req.workspace.emitActivity(`Renamed concept "${concept.name}" to "${renamed.name}"`, 'System', 'completed');
+        res.json(renamed);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/concepts/:concept/merge', async (req, res) => {
+      try {
+        const { concepts } = req.body;
+        if (!Array.isArray(concepts) || concepts.length === 0) {
+          return res.status(400).json({ error: 'concepts must be a list of concepts to merge' });
+        }
+
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+        for (const other of concepts) {
+          if (!(await req.workspace.knowledgeGraph.getConcept(other))) {
+            return res.status(404).json({ error: `Concept not found: ${other}` });
+          }
+        }
+
+        const result = await req.workspace.conceptDeduplicator.merge(concept.id, concepts);
+        req.workspace.emitActivity(`Merged ${result.merged.join(', ')} into "${result.concept.name}"`, 'Concept Deduplicator', 'completed');
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/concepts/:concept/aliases', async (req, res) => {
+      try {
+        const { alias } = req.body;
+        if (!alias || !alias.trim()) {
+          return res.status(400).json({ error: 'Alias is required' });
+        }
+
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+
+        const conflict = await req.workspace.knowledgeGraph.getConcept(alias.trim());
+        if (conflict && conflict.id !== concept.id) {
+          return res.status(409).json({ error: `"${alias.trim()}" is already used by concept "${conflict.name}"` });
+        }
+
+        const updated = await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: `Add alias "${alias.trim()}" to "${concept.name}"`
+        }, () => req.workspace.knowledgeGraph.addConceptAlias(concept.id, alias));
+        res.json(updated);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/concepts/:concept/tags', async (req, res) => {
+      try {
+        const { add, remove } = req.body;
+        if (!Array.isArray(add || []) || !Array.isArray(remove || [])) {
+          return res.status(400).json({ error: 'add and remove must be lists of tags' });
+        }
+
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+
+        const updated = await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: `Update tags of "${concept.name}"`
+        }, () => req.workspace.knowledgeGraph.updateConceptTags(concept.id, { add, remove }));
+        res.json(updated);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/concepts/:concept/archive', async (req, res) => {
+      try {
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+
+        const archived = await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: `Archive concept "${concept.name}"`
+        }, () => req.workspace.knowledgeGraph.archiveConcept(concept.id, { reason: req.body?.reason }));
+        req.workspace.emitActivity(`Archived concept "${concept.name}"`, 'System', 'completed');
+        res.json(archived);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/concepts/:concept/unarchive', async (req, res) => {
+      try {
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+
+        const restored = await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: `Unarchive concept "${concept.name}"`
+        }, () => req.workspace.knowledgeGraph.unarchiveConcept(concept.id));
+        req.workspace.emitActivity(`Unarchived concept "${concept.name}"`, 'System', 'completed');
+        res.json(restored);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.delete('/concepts/:concept', async (req, res) => {
+      try {
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+
+        const result = await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: `Delete concept "${concept.name}"`
+        }, async changeSet => ({
+          ...(await req.workspace.knowledgeGraph.deleteConcept(concept.id)),
+          change_set: changeSet.id
+        }));
+        req.workspace.emitActivity(`Deleted concept "${concept.name}"`, 'System', 'completed', result.removed);
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/concepts/:concept/category', async (req, res) => {
+      try {
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+
+        const { category } = req.body;
+        res.json(await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: category ? `File "${concept.name}" under "${category}"` : `Remove "${concept.name}" from its category`
+        }, () => req.workspace.knowledgeGraph.setConceptCategory(concept.id, category || null)));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // The category tree; see modules/taxonomy.js
+    api.get('/categories', async (req, res) => {
+      try {
+        res.json(await req.workspace.knowledgeGraph.getCategoryTree());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.get('/categories/stats', async (req, res) => {
+      try {
+        const level = req.query.level ? parseInt(req.query.level) : 1;
+        if (!Number.isInteger(level) || level < 1) {
+          return res.status(400).json({ error: 'level must be a positive number' });
+        }
+        res.json(await req.workspace.knowledgeGraph.getCategoryStats(level));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/categories', async (req, res) => {
+      try {
+        const { path } = req.body;
+        if (!path || !String(path).trim()) {
+          return res.status(400).json({ error: 'Category path is required' });
+        }
+        res.json(await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: `Add category "${path}"`
+        }, () => req.workspace.knowledgeGraph.createCategory(path)));
+      } catch (error) {
+        res.status(CATEGORY_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+      }
+    });
+
+    api.post('/categories/:category/rename', async (req, res) => {
+      try {
+        const { name } = req.body;
+        if (!name || !String(name).trim()) {
+          return res.status(400).json({ error: 'New name is required' });
+        }
+        res.json(await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: `Rename category "${req.params.category}" to "${name}"`
+        }, () => req.workspace.knowledgeGraph.renameCategory(req.params.category, name)));
+      } catch (error) {
+        res.status(CATEGORY_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+      }
+    });
+
+    api.post('/categories/:category/move', async (req, res) => {
+      try {
+        const { parent } = req.body;
+        res.json(await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: parent ? `Move category "${req.params.category}" under "${parent}"` : `Make "${req.params.category}" a domain`
+        }, () => req.workspace.knowledgeGraph.moveCategory(req.params.category, parent || null)));
+      } catch (error) {
+        res.status(CATEGORY_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+      }
+    });
+
+    api.post('/categories/:category/merge', async (req, res) => {
+      try {
+        const { categories } = req.body;
+        if (!Array.isArray(categories) || categories.length === 0) {
+          return res.status(400).json({ error: 'categories must be a list of categories to merge' });
+        }
+        const merged = await req.workspace.knowledgeGraph.runInChangeSet({
+          agent: 'User',
+          description: `Merge categories ${categories.map(category => `"${category}"`).join(', ')} into "${req.params.category}"`
+        }, () => req.workspace.knowledgeGraph.mergeCategories(req.params.category, categories));
+        req.workspace.emitActivity(`Merged ${merged.merged.join(', ')} into category "${merged.path}"`, 'System', 'completed');
+        res.json(merged);
+      } catch (error) {
+        res.status(CATEGORY_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+      }
+    });
+
+    api.get('/edges', async (req, res) => {
+      try {
+        const { concept, direction, type, minStrength, agent } = req.query;
+        const edges = await req.workspace.knowledgeGraph.getEdges({
+          concept,
+          direction,
+          type: type ? type.split(',') : undefined,
+          minStrength: minStrength !== undefined ? parseFloat(minStrength) : undefined,
+          agent
+        });
+        res.json(edges);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.get('/concepts/:concept/neighbors', async (req, res) => {
       try {
-        const log = await this.knowledgeGraph.loadActivityLog();
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+
+        const { direction, type, minStrength } = req.query;
+        const neighbors = await req.workspace.knowledgeGraph.getConceptNeighbors(concept.id, {
+          direction,
+          type: type ? type.split(',') : undefined,
+          minStrength: minStrength !== undefined ? parseFloat(minStrength) : undefined
+        });
+        res.json(neighbors);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // The passages of the stored content the concept was extracted from
+    api.get('/concepts/:concept/excerpts', async (req, res) => {
+      try {
+        const concept = await req.workspace.knowledgeGraph.getConcept(req.params.concept);
+        if (!concept) {
+          return res.status(404).json({ error: 'Concept not found' });
+        }
+        res.json(await req.workspace.knowledgeGraph.getConceptExcerpts(concept.id));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.get('/backups', async (req, res) => {
+      try {
+        const snapshots = await req.workspace.knowledgeGraph.listSnapshots();
+        res.json(snapshots);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/backups', async (req, res) => {
+      try {
+        const snapshot = await req.workspace.knowledgeGraph.createSnapshot({ reason: 'manual', label: req.body.label });
+        req.workspace.emitActivity(`Created snapshot ${snapshot.id}`, 'System', 'completed');
+        res.status(201).json(snapshot);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/backups/:id/restore', async (req, res) => {
+      try {
+        const snapshot = await req.workspace.knowledgeGraph.getSnapshot(req.params.id);
+        if (!snapshot) {
+          return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        const result = await req.workspace.knowledgeGraph.restoreSnapshot(req.params.id);
+        req.workspace.emitActivity(`Restored snapshot ${req.params.id}`, 'System', 'completed', {
+          safety_snapshot: result.safetySnapshot.id
+        });
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Integrity check; POST applies the safe fixes
+    api.get('/doctor', async (req, res) => {
+      try {
+        res.json(await req.workspace.knowledgeGraph.checkIntegrity());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/doctor/fix', async (req, res) => {
+      try {
+        const result = await req.workspace.knowledgeGraph.checkIntegrity({ fix: true });
+        if (result.summary.fixed > 0) {
+          req.workspace.emitActivity(`Fixed ${result.summary.fixed} integrity problems`, 'System', 'completed', {
+            change_set: result.change_set,
+            snapshot: result.snapshot
+          });
+        }
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.get('/duplicates', async (req, res) => {
+      try {
+        res.json(await req.workspace.conceptDeduplicator.findDuplicates({ confirm: req.query.llm !== 'false' }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/duplicates/dismiss', async (req, res) => {
+      try {
+        const { concepts } = req.body;
+        if (!Array.isArray(concepts) || concepts.length < 2) {
+          return res.status(400).json({ error: 'concepts must list at least two concepts' });
+        }
+        for (const concept of concepts) {
+          if (!(await req.workspace.knowledgeGraph.getConcept(concept))) {
+            return res.status(404).json({ error: `Concept not found: ${concept}` });
+          }
+        }
+
+        res.json({ dismissed: await req.workspace.conceptDeduplicator.dismiss(concepts) });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.get('/activity', async (req, res) => {
+      try {
+        const { sort, limit, cursor, ...filters } = req.query;
+        res.json(await req.workspace.knowledgeGraph.queryActivities(filters, { sort, limit, cursor }));
+      } catch (error) {
+        res.status(error.code === 'INVALID_QUERY' ? 400 : 500).json({ error: error.message });
+      }
+    });
+
+    api.get('/activity-log', async (req, res) => {
+      try {
+        const log = await req.workspace.knowledgeGraph.loadActivityLog();
         res.json(log);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.post('/api/process-content', async (req, res) => {
+    api.post('/process-content', async (req, res) => {
       try {
-        const { content } = req.body;
+        const { content, force } = req.body;
         if (!content) {
           return res.status(400).json({ error: 'Content is required' });
         }
 
-        const result = await this.contentProcessor.processContent(content);
+        const result = await req.workspace.contentProcessor.processContent(content, { force: !!force });
         res.json(result);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.post('/api/generate-reinforcement', async (req, res) => {
+    api.get('/content-cache', async (req, res) => {
       try {
-        const session = await this.knowledgeReinforcer.generateReinforcementSession();
+        res.json(await req.workspace.contentProcessor.cache.stats());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // ?url= removes one page, ?expired=true only what is past the TTL;
+    // without either the whole cache is cleared
+    api.delete('/content-cache', async (req, res) => {
+      try {
+        const { url, expired } = req.query;
+        if (url && !this.isUrl(url)) {
+          return res.status(400).json({ error: 'url must be a valid URL' });
+        }
+
+        const removed = await req.workspace.contentProcessor.cache.purge({ url, expired: expired === 'true' });
+        res.json({ removed });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    api.post('/generate-reinforcement', async (req, res) => {
+      try {
+        const session = await req.workspace.knowledgeReinforcer.generateReinforcementSession();
         res.json(session);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.post('/api/exploration-suggestions', async (req, res) => {
+    api.post('/exploration-suggestions', async (req, res) => {
       try {
-        const suggestions = await this.explorationSuggester.generateExplorationSuggestions();
+        const suggestions = await req.workspace.explorationSuggester.generateExplorationSuggestions();
         res.json(suggestions);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.post('/api/reflection-session', async (req, res) => {
+    api.post('/reflection-session', async (req, res) => {
       try {
-        const session = await this.reflectionEngine.initiateReflectionSession();
+        const session = await req.workspace.reflectionEngine.initiateReflectionSession();
         res.json(session);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.get('/api/reflection-question/:sessionId', async (req, res) => {
+    api.get('/reflection-question/:sessionId', async (req, res) => {
       try {
         const { sessionId } = req.params;
-        const question = await this.reflectionEngine.getCurrentQuestion(sessionId);
+        const question = await req.workspace.reflectionEngine.getCurrentQuestion(sessionId);
         res.json(question);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.post('/api/reflection-response', async (req, res) => {
+    api.post('/reflection-response', async (req, res) => {
       try {
         const { sessionId, response } = req.body;
-        const result = await this.reflectionEngine.processReflectionResponse(sessionId, response);
+        const result = await req.workspace.reflectionEngine.processReflectionResponse(sessionId, response);
         res.json(result);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.post('/api/weekly-reflection', async (req, res) => {
+    api.post('/weekly-reflection', async (req, res) => {
       try {
-        const report = await this.reflectionEngine.generateWeeklyReflection();
+        const report = await req.workspace.reflectionEngine.generateWeeklyReflection();
         res.json(report);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    this.app.post('/api/learning-patterns', async (req, res) => {
+    api.post('/learning-patterns', async (req, res) => {
       try {
-        const patterns = await this.reflectionEngine.identifyLearningPatterns();
+        const patterns = await req.workspace.reflectionEngine.identifyLearningPatterns();
         res.json(patterns);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    this.app.use('/api/workspaces/:workspace', resolveWorkspace, api);
+    this.app.use('/api', resolveWorkspace, api);
+
     // Serve the main page
     this.app.get('/', (req, res) => {
       res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -188,20 +935,20 @@ class WebServer {
 
   setupSocketHandlers() {
     this.io.on('connection', (socket) => {
-      console.log('👤 User connected:', socket.id);
+      console.log(`👤 User connected to workspace "${socket.workspace.id}":`, socket.id);
       
       // Store conversation state for each socket
       socket.conversationState = null;
 
       socket.on('start-profiling', async () => {
         try {
-          this.emitActivity('Starting user profiling session', 'User Profiler', 'in_progress');
+          socket.workspace.emitActivity('Starting user profiling session', 'User Profiler', 'in_progress');
           
           // Initialize the conversation state
-          socket.conversationState = await this.userProfiler.conductDeepDiveConversation();
+          socket.conversationState = await socket.workspace.userProfiler.conductDeepDiveConversation();
           
           // Get the first question
-          const currentQuestion = this.userProfiler.getCurrentQuestion(socket.conversationState);
+          const currentQuestion = socket.workspace.userProfiler.getCurrentQuestion(socket.conversationState);
           
           if (currentQuestion) {
             socket.emit('profiling-question', {
@@ -213,21 +960,21 @@ class WebServer {
           }
           
         } catch (error) {
-          this.emitActivity('Error starting profiling', 'User Profiler', 'error', { error: error.message });
+          socket.workspace.emitActivity('Error starting profiling', 'User Profiler', 'error', { error: error.message });
         }
       });
 
       socket.on('load-profile', async () => {
         try {
-          const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+          const graph = await socket.workspace.knowledgeGraph.readKnowledgeGraph();
           if (graph.user_profile.goals.length > 0) {
             socket.emit('profile-loaded', graph.user_profile);
-            this.emitActivity('Existing profile loaded', 'System', 'completed');
+            socket.workspace.emitActivity('Existing profile loaded', 'System', 'completed');
           } else {
             socket.emit('no-profile', { message: 'No existing profile found' });
           }
         } catch (error) {
-          this.emitActivity('Error loading profile', 'System', 'error', { error: error.message });
+          socket.workspace.emitActivity('Error loading profile', 'System', 'error', { error: error.message });
         }
       });
 
@@ -259,13 +1006,13 @@ class WebServer {
   async processProfilingResponse(socket, content) {
     try {
       // Process the user's response in the conversation state
-      socket.conversationState = await this.userProfiler.processUserResponse(socket.conversationState, content);
+      socket.conversationState = await socket.workspace.userProfiler.processUserResponse(socket.conversationState, content);
       
       if (socket.conversationState.isComplete) {
         // Profiling is complete, analyze and save the profile
-        const profile = await this.userProfiler.completeProfiling(socket.conversationState);
+        const profile = await socket.workspace.userProfiler.completeProfiling(socket.conversationState);
         
-        this.emitActivity('User profiling completed', 'User Profiler', 'completed', {
+        socket.workspace.emitActivity('User profiling completed', 'User Profiler', 'completed', {
           goals_identified: profile.goals.length,
           interests_identified: profile.interests.length
         });
@@ -274,7 +1021,7 @@ class WebServer {
         socket.conversationState = null; // Clear the conversation state
       } else {
         // Get the next question
-        const currentQuestion = this.userProfiler.getCurrentQuestion(socket.conversationState);
+        const currentQuestion = socket.workspace.userProfiler.getCurrentQuestion(socket.conversationState);
         
         if (currentQuestion) {
           socket.emit('profiling-question', {
@@ -295,27 +1042,31 @@ class WebServer {
     try {
       // Check if it's a URL
       if (this.isUrl(content)) {
-        this.emitActivity(`Processing URL: ${content}`, 'Content Processor', 'in_progress');
+        socket.workspace.emitActivity(`Processing URL: ${content}`, 'Content Processor', 'in_progress');
         
-        const result = await this.contentProcessor.processContent(content);
+        const result = await socket.workspace.contentProcessor.processContent(content);
+        if (result.skipped) {
+          socket.workspace.emitActivity(`Already processed: "${result.contentItem.title}"`, 'Content Processor', 'completed');
+          socket.emit('message', {
+            content: `I've already processed "${result.contentItem.title}" and it hasn't changed since, so there's nothing new to add.`,
+            type: 'ai'
+          });
+          return;
+        }
         
-        this.emitActivity(`Processed content: "${result.contentItem.title}"`, 'Content Processor', 'completed', {
+        socket.workspace.emitActivity(`Processed content: "${result.contentItem.title}"`, 'Content Processor', 'completed', {
           concepts_extracted: result.concepts.length,
           insights_generated: result.insights.length
         });
 
         // Map connections
         if (result.concepts.length > 0) {
-          this.emitActivity('Mapping concept connections', 'Connection Mapper', 'in_progress');
-          const connectionResult = await this.connectionMapper.mapNewConnections(result.concepts);
+          socket.workspace.emitActivity('Mapping concept connections', 'Connection Mapper', 'in_progress');
+          const connectionResult = await socket.workspace.connectionMapper.mapNewConnections(result.concepts);
           
-          this.emitActivity(`Mapped ${connectionResult.connections.length} connections`, 'Connection Mapper', 'completed');
+          socket.workspace.emitActivity(`Mapped ${connectionResult.connections.length} connections`, 'Connection Mapper', 'completed');
         }
 
-        // Update graph visualization
-        const graph = await this.knowledgeGraph.loadKnowledgeGraph();
-        this.io.emit('graph-update', graph);
-
         socket.emit('message', {
           content: `I've processed the content and extracted ${result.concepts.length} key concepts. The knowledge graph has been updated with new connections.`,
           type: 'ai'
@@ -323,7 +1074,7 @@ class WebServer {
 
       } else {
         // Regular text message - could be part of profiling or general conversation
-        const response = await this.generateConversationalResponse(content);
+        const response = await this.generateConversationalResponse(socket.workspace, content);
         socket.emit('message', {
           content: response,
           type: 'ai'
@@ -338,13 +1089,13 @@ class WebServer {
     }
   }
 
-  async generateConversationalResponse(message) {
+  async generateConversationalResponse(workspace, message) {
     if (!this.openai) {
       return "I'm not fully initialized yet. Please make sure the OpenAI API key is configured.";
     }
 
     try {
-      const graph = await this.knowledgeGraph.loadKnowledgeGraph();
+      const graph = await workspace.knowledgeGraph.readKnowledgeGraph();
       const userProfile = graph.user_profile;
       
       const messages = [
@@ -380,14 +1131,13 @@ class WebServer {
     }
   }
 
+  // Default workspace shortcuts; per-workspace code uses Workspace's own
+  async emitGraphUpdate() {
+    await this.workspace.emitGraphUpdate();
+  }
+
   emitActivity(message, agent, status, details = null) {
-    this.io.emit('activity', {
-      message,
-      agent,
-      status,
-      details,
-      timestamp: new Date().toISOString()
-    });
+    this.workspace.emitActivity(message, agent, status, details);
   }
 
   async start() {
@@ -413,9 +1163,17 @@ class WebServer {
   }
 
   async cleanup() {
-    if (this.contentProcessor) {
-      await this.contentProcessor.cleanup();
+    await this.stopPipelines();
+
+    // The default workspace owns the shared browser, so it closes last
+    const workspaces = await Promise.all(this.openWorkspaces.values());
+    const ordered = workspaces
+      .filter(Boolean)
+      .sort((a, b) => (a === this.workspace) - (b === this.workspace));
+    for (const workspace of ordered) {
+      await workspace.cleanup();
     }
+    this.openWorkspaces.clear();
   }
 }
 
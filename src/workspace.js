@@ -0,0 +1,86 @@
+const KnowledgeGraphManager = require('../modules/knowledge-graph');
+const UserProfiler = require('../modules/user-profiler');
+const ContentProcessor = require('../modules/content-processor');
+const KnowledgeReinforcer = require('../modules/knowledge-reinforcer');
+const ExplorationSuggester = require('../modules/exploration-suggester');
+const ConnectionMapper = require('../modules/connection-mapper');
+const ReflectionEngine = require('../modules/reflection-engine');
+const ConceptDeduplicator = require('../modules/concept-deduplicator');
+
+// Changes arrive one record at a time; clients get one graph-update per burst
+const GRAPH_UPDATE_DELAY = 250;
+
+// One workspace's knowledge graph and agents, plus the Socket.IO room its
+// clients join so activity and graph updates stay inside the workspace
+class Workspace {
+  constructor(info, openai, io) {
+    this.id = info.id;
+    this.name = info.name;
+    this.schedule = info.schedule || {};
+    this.dataDir = info.data_dir;
+    this.io = io;
+    this.room = `workspace:${info.id}`;
+
+    this.knowledgeGraph = new KnowledgeGraphManager(info.data_dir);
+    this.userProfiler = new UserProfiler(openai, this.knowledgeGraph);
+    this.contentProcessor = new ContentProcessor(openai, this.knowledgeGraph);
+    this.knowledgeReinforcer = new KnowledgeReinforcer(openai, this.knowledgeGraph);
+    this.explorationSuggester = new ExplorationSuggester(openai, this.knowledgeGraph);
+    this.connectionMapper = new ConnectionMapper(openai, this.knowledgeGraph);
+    this.reflectionEngine = new ReflectionEngine(openai, this.knowledgeGraph);
+    this.conceptDeduplicator = new ConceptDeduplicator(openai, this.knowledgeGraph);
+
+    this.graphUpdateTimer = null;
+    this.scheduleGraphUpdate = this.scheduleGraphUpdate.bind(this);
+    this.knowledgeGraph.on('changes', this.scheduleGraphUpdate);
+    this.knowledgeGraph.on('graph-reloaded', this.scheduleGraphUpdate);
+  }
+
+  async initialize(browser = null) {
+    await this.knowledgeGraph.initialize();
+    await this.contentProcessor.initialize(browser);
+  }
+
+  async cleanup() {
+    clearTimeout(this.graphUpdateTimer);
+    this.knowledgeGraph.off('changes', this.scheduleGraphUpdate);
+    this.knowledgeGraph.off('graph-reloaded', this.scheduleGraphUpdate);
+    await this.contentProcessor.cleanup();
+    await this.knowledgeGraph.close();
+  }
+
+  emit(event, data) {
+    this.io.to(this.room).emit(event, data);
+  }
+
+  emitActivity(message, agent, status, details = null) {
+    this.emit('activity', {
+      message,
+      agent,
+      status,
+      details,
+      workspace: this.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  scheduleGraphUpdate() {
+    if (this.graphUpdateTimer) return;
+
+    this.graphUpdateTimer = setTimeout(async () => {
+      this.graphUpdateTimer = null;
+      try {
+        await this.emitGraphUpdate();
+      } catch (error) {
+        console.error('Error emitting graph update:', error);
+      }
+    }, GRAPH_UPDATE_DELAY);
+  }
+
+  async emitGraphUpdate() {
+    const graph = await this.knowledgeGraph.readKnowledgeGraph();
+    this.emit('graph-update', graph);
+  }
+}
+
+module.exports = Workspace;
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { openGraph, tempDir, exists } = require('./helpers');
+
+// The sample log shipped with the repository is a single activity-log.json
+const SAMPLE_LOG = path.join(__dirname, '..', 'data', 'activity-log.json');
+
+async function legacyGraph(t) {
+  const dataDir = await tempDir(t);
+  await fs.copyFile(SAMPLE_LOG, path.join(dataDir, 'activity-log.json'));
+  return await openGraph(t, { dataDir });
+}
+
+test('the legacy log becomes daily segments with ids for every entry', async (t) => {
+  const legacy = JSON.parse(await fs.readFile(SAMPLE_LOG, 'utf8')).activities;
+  const knowledgeGraph = await legacyGraph(t);
+  const activityDir = path.join(knowledgeGraph.dataDir, 'activity');
+
+  assert.equal(await exists(path.join(knowledgeGraph.dataDir, 'activity-log.json')), false);
+  assert.deepEqual(await fs.readdir(activityDir), ['2025-10-21.jsonl']);
+
+  const activities = await knowledgeGraph.loadActivities();
+  assert.deepEqual(activities.map(activity => activity.timestamp), legacy.map(activity => activity.timestamp));
+  assert.equal(new Set(activities.map(activity => activity.id)).size, legacy.length);
+});
+
+test('segments of earlier days are gzipped on the first append of a day', async (t) => {
+  const knowledgeGraph = await legacyGraph(t);
+  const activityDir = path.join(knowledgeGraph.dataDir, 'activity');
+  const added = await knowledgeGraph.addActivity({ type: 'test', agent: 'Test', status: 'completed' });
+
+  const today = added.timestamp.slice(0, 10);
+  assert.deepEqual((await fs.readdir(activityDir)).sort(), ['2025-10-21.jsonl.gz', `${today}.jsonl`]);
+
+  // Entries appended to an archived day are folded into its archive
+  await knowledgeGraph.storage.appendActivity({ id: 'activity_late', timestamp: '2025-10-21T23:00:00.000Z', type: 'test' });
+  assert.deepEqual(await knowledgeGraph.storage.archiveActivity(today), ['2025-10-21']);
+  assert.deepEqual((await fs.readdir(activityDir)).sort(), ['2025-10-21.jsonl.gz', `${today}.jsonl`]);
+
+  const activities = await knowledgeGraph.loadActivities({ until: '2025-10-22T00:00:00.000Z' });
+  assert.equal(activities.length, 27);
+  assert.equal(activities[activities.length - 1].id, 'activity_late');
+});
+
+test('activities are queried across archived and current segments', async (t) => {
+  const knowledgeGraph = await legacyGraph(t);
+  await knowledgeGraph.addActivity({ type: 'reflection', agent: 'Reflection Engine', status: 'completed' });
+
+  const reflections = await knowledgeGraph.queryActivities({ type: 'reflection' });
+  assert.ok(reflections.total > 1);
+  // Newest first, so the entry added today leads
+  assert.equal(reflections.activities[0].timestamp.slice(0, 4), String(new Date().getUTCFullYear()));
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = await knowledgeGraph.queryActivities({ agent: 'user profiler' }, { limit: 2, cursor });
+    seen.push(...page.activities.map(activity => activity.id));
+    cursor = page.next_cursor;
+  } while (cursor);
+  assert.equal(seen.length, new Set(seen).size);
+  assert.equal(seen.length, (await knowledgeGraph.queryActivities({ agent: 'User Profiler' })).total);
+
+  const window = await knowledgeGraph.queryActivities({ since: '2025-10-21T15:00:00Z', until: '2025-10-21T15:23:00Z' });
+  assert.deepEqual(window.activities.map(activity => activity.timestamp), ['2025-10-21T15:22:12.801Z', '2025-10-21T15:12:34.802Z']);
+
+  await assert.rejects(knowledgeGraph.queryActivities({ since: 'last week' }), error => error.code === 'INVALID_QUERY');
+});
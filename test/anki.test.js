@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const Database = require('better-sqlite3');
+const { openGraph, tempDir, mockClient } = require('./helpers');
+const { toAnkiTSV, toAnkiPackage, readAnkiReviews, conceptIdFromGuid } = require('../modules/anki');
+const { readZip } = require('../modules/zip');
+const KnowledgeReinforcer = require('../modules/knowledge-reinforcer');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function seedGraph(t) {
+  const knowledgeGraph = await openGraph(t);
+  const entropy = await knowledgeGraph.addConcept({ name: 'Entropy', description: 'Disorder of a system', confidence: 0.5, category: 'Physics' });
+  const enthalpy = await knowledgeGraph.addConcept({ name: 'Enthalpy', description: 'Heat content of a system', confidence: 0.5 });
+  return { knowledgeGraph, entropy, enthalpy };
+}
+
+test('every active concept becomes a note with a stable GUID', async (t) => {
+  const { knowledgeGraph, entropy, enthalpy } = await seedGraph(t);
+  await knowledgeGraph.archiveConcept('Enthalpy');
+
+  const tsv = toAnkiTSV(await knowledgeGraph.readKnowledgeGraph());
+  const rows = tsv.split('\n').filter(line => line && !line.startsWith('#'));
+  assert.equal(rows.length, 1);
+  assert.ok(rows[0].startsWith(`"eumicus:${entropy.id}"\t"Eumicus::Physics"`));
+  assert.ok(!tsv.includes(enthalpy.id));
+  assert.equal(conceptIdFromGuid(`eumicus:${entropy.id}:abc`), entropy.id);
+  assert.equal(conceptIdFromGuid('other:123'), null);
+});
+
+test('reviews logged in an exported deck are read back from the collection', async (t) => {
+  const { knowledgeGraph, entropy } = await seedGraph(t);
+  const dir = await tempDir(t);
+
+  const files = readZip(toAnkiPackage(await knowledgeGraph.readKnowledgeGraph()));
+  const collection = files.find(file => file.name === 'collection.anki2');
+  const collectionPath = path.join(dir, 'collection.anki2');
+  await fs.writeFile(collectionPath, collection.content);
+
+  // Review the Entropy card twice, the way Anki logs it
+  const db = new Database(collectionPath);
+  const card = db.prepare('SELECT cards.id AS id FROM cards JOIN notes ON notes.id = cards.nid WHERE notes.guid = ?')
+    .get(`eumicus:${entropy.id}`);
+  const reviewedAt = Date.now() - DAY;
+  const insert = db.prepare('INSERT INTO revlog VALUES (?, ?, 0, ?, 3, 0, 2500, 4000, 1)');
+  insert.run(reviewedAt, card.id, 3);
+  insert.run(reviewedAt - DAY, card.id, 1);
+  db.close();
+
+  const reviews = await readAnkiReviews(collectionPath);
+  assert.deepEqual(reviews.map(review => [review.concept_id, review.ease]), [[entropy.id, 1], [entropy.id, 3]]);
+  assert.equal(reviews[1].reviewed_at, new Date(reviewedAt).toISOString());
+});
+
+test('imported reviews update confidence and the schedule once', async (t) => {
+  const { knowledgeGraph, entropy, enthalpy } = await seedGraph(t);
+  const dir = await tempDir(t);
+  const reviewedAt = new Date(Date.now() - DAY).toISOString();
+  const logPath = path.join(dir, 'reviews.csv');
+  await fs.writeFile(logPath, [
+    'guid,ease,reviewed_at',
+    `eumicus:${entropy.id},4,${reviewedAt}`,
+    `eumicus:${enthalpy.id}:0123456789,1,${reviewedAt}`,
+    `eumicus:concept_gone,3,${reviewedAt}`,
+    `other:123,3,${reviewedAt}`
+  ].join('\n'));
+
+  const reinforcer = new KnowledgeReinforcer(mockClient(), knowledgeGraph);
+  const result = await reinforcer.importReviews(await readAnkiReviews(logPath));
+  assert.deepEqual([result.applied, result.skipped, result.unknown], [2, 0, 1]);
+
+  const known = await knowledgeGraph.getConcept(entropy.id);
+  const forgotten = await knowledgeGraph.getConcept(enthalpy.id);
+  assert.ok(known.confidence > 0.5);
+  assert.ok(forgotten.confidence < 0.5);
+  assert.equal(known.last_reinforced, reviewedAt);
+  assert.ok(Date.parse(known.reinforcement_schedule) > Date.parse(forgotten.reinforcement_schedule));
+  // Fields the import doesn't own are kept
+  assert.equal(known.category, 'Physics');
+
+  const sessions = (await knowledgeGraph.readKnowledgeGraph()).reinforcement_sessions;
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].source, 'anki');
+
+  const again = await reinforcer.importReviews(await readAnkiReviews(logPath));
+  assert.deepEqual([again.applied, again.skipped], [0, 2]);
+  assert.equal((await knowledgeGraph.getConcept(entropy.id)).confidence, known.confidence);
+});
+
+test('a review log without the needed columns is rejected', async (t) => {
+  const logPath = path.join(await tempDir(t), 'reviews.csv');
+  await fs.writeFile(logPath, 'front,back\nEntropy,Disorder\n');
+  await assert.rejects(readAnkiReviews(logPath), error => error.code === 'INVALID_REVIEW_LOG');
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openGraph } = require('./helpers');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Concepts and an edge added as one change set, then built on by later ones
+async function graphWithHistory(t) {
+  const knowledgeGraph = await openGraph(t);
+  const changeSet = await knowledgeGraph.runInChangeSet({ agent: 'Test', description: 'Add thermodynamics' }, async changeSet => {
+    await knowledgeGraph.addConcept({ name: 'Entropy', confidence: 0.5 });
+    await knowledgeGraph.addConcept({ name: 'Enthalpy', confidence: 0.5 });
+    await knowledgeGraph.addEdge({ from: 'Entropy', to: 'Enthalpy', type: 'related_to' });
+    return changeSet.id;
+  });
+  return { knowledgeGraph, changeSet };
+}
+
+test('every change is recorded with its value before and after', async (t) => {
+  const { knowledgeGraph, changeSet } = await graphWithHistory(t);
+  const events = [];
+  knowledgeGraph.on('concept-updated', event => events.push(event));
+
+  await knowledgeGraph.updateConcept('Entropy', { confidence: 0.8 });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].before.confidence, 0.5);
+  assert.equal(events[0].after.confidence, 0.8);
+
+  const [latest, first] = await knowledgeGraph.listChangeSets();
+  assert.equal(first.id, changeSet);
+  assert.equal(first.agent, 'Test');
+  assert.notEqual(latest.id, changeSet);
+  assert.ok((await knowledgeGraph.getChanges({ changeSet })).every(event => event.change_set === changeSet));
+});
+
+test('the graph can be read as it was at an earlier time', async (t) => {
+  const { knowledgeGraph } = await graphWithHistory(t);
+  await sleep(5);
+  const before = new Date().toISOString();
+  await sleep(5);
+  await knowledgeGraph.updateConcept('Entropy', { confidence: 0.8 });
+  await knowledgeGraph.addConcept({ name: 'Temperature', confidence: 0.5 });
+
+  const past = await knowledgeGraph.getKnowledgeGraphAt(before);
+  assert.deepEqual(past.concepts.map(concept => [concept.name, concept.confidence]), [['Entropy', 0.5], ['Enthalpy', 0.5]]);
+  // Nothing is written
+  assert.equal((await knowledgeGraph.readKnowledgeGraph()).concepts.length, 3);
+});
+
+test('a change set is reverted only while nothing changed since', async (t) => {
+  const { knowledgeGraph, changeSet } = await graphWithHistory(t);
+  const update = await knowledgeGraph.runInChangeSet({ description: 'Raise confidence' }, async changeSet => {
+    await knowledgeGraph.updateConcept('Entropy', { confidence: 0.8 });
+    return changeSet.id;
+  });
+
+  const refused = await knowledgeGraph.revertChangeSet(changeSet);
+  assert.equal(refused.reverted, 0);
+  assert.deepEqual(refused.conflicts.map(conflict => conflict.key), [(await knowledgeGraph.getConcept('Entropy')).id]);
+
+  const reverted = await knowledgeGraph.revertChangeSet(update);
+  assert.equal(reverted.reverted, 1);
+  assert.equal((await knowledgeGraph.getConcept('Entropy')).confidence, 0.5);
+
+  // The revert is a change set of its own and can be undone in turn
+  await knowledgeGraph.revertChangeSet(reverted.revert_change_set);
+  assert.equal((await knowledgeGraph.getConcept('Entropy')).confidence, 0.8);
+});
+
+test('a forced revert removes the concepts it created with everything pointing at them', async (t) => {
+  const { knowledgeGraph, changeSet } = await graphWithHistory(t);
+  await knowledgeGraph.addConcept({ name: 'Temperature', confidence: 0.5 });
+  await knowledgeGraph.addEdge({ from: 'Temperature', to: 'Entropy', type: 'depends_on' });
+  await knowledgeGraph.updateConcept('Enthalpy', { confidence: 0.7 });
+  const entropy = await knowledgeGraph.getConcept('Entropy');
+  const text = 'Entropy measures disorder.';
+  await knowledgeGraph.addContentItem({
+    title: 'Notes',
+    content: text,
+    key_concepts: ['Entropy', 'Temperature'],
+    excerpts: [{ concept_id: entropy.id, start: 0, end: text.length, text }]
+  });
+
+  const result = await knowledgeGraph.revertChangeSet(changeSet, { force: true });
+  assert.ok(result.conflicts.length > 0);
+
+  const graph = await knowledgeGraph.readKnowledgeGraph();
+  assert.deepEqual(graph.concepts.map(concept => concept.name), ['Temperature']);
+  assert.deepEqual(graph.edges, []);
+  assert.deepEqual(graph.concepts[0].connections, []);
+  assert.deepEqual(graph.content_items[0].key_concepts, ['Temperature']);
+  assert.deepEqual(graph.content_items[0].excerpts, []);
+  assert.deepEqual((await knowledgeGraph.checkIntegrity()).problems, []);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openGraph, mockClient } = require('./helpers');
+const ConceptDeduplicator = require('../modules/concept-deduplicator');
+
+async function seedGraph(t) {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Neural Networks', description: 'Layers of weighted units', confidence: 0.4, sources: ['a'] });
+  await knowledgeGraph.addConcept({ name: 'neural network', description: 'Learns weights from data', confidence: 0.8, sources: ['b'] });
+  await knowledgeGraph.addConcept({ name: 'ANN', description: 'Short for artificial neural network' });
+  await knowledgeGraph.addConcept({ name: 'Backpropagation', description: 'Computes gradients layer by layer' });
+  await knowledgeGraph.addConcept({ name: 'Entropy', description: 'Disorder of a system' });
+  await knowledgeGraph.addConcept({ name: 'Enthalpy', description: 'Heat content of a system' });
+  await knowledgeGraph.addEdges([
+    { from: 'neural network', to: 'Backpropagation', type: 'depends_on', strength: 0.9 },
+    { from: 'Neural Networks', to: 'Backpropagation', type: 'depends_on', strength: 0.5 },
+    { from: 'ANN', to: 'Neural Networks', type: 'related_to' }
+  ]);
+  return knowledgeGraph;
+}
+
+test('spelling variants and synonyms are proposed as one merge', async (t) => {
+  const knowledgeGraph = await seedGraph(t);
+  const deduplicator = new ConceptDeduplicator(null, knowledgeGraph);
+
+  const { proposals } = await deduplicator.findDuplicates({ confirm: false });
+  const proposal = proposals.find(item => item.concepts.some(concept => concept.name === 'ANN'));
+  assert.ok(proposal);
+  assert.deepEqual(proposal.concepts.map(concept => concept.name).sort(), ['ANN', 'Neural Networks', 'neural network']);
+  assert.notEqual(proposal.status, 'unconfirmed');
+  assert.ok(!proposals.some(item => item.concepts.some(concept => concept.name === 'Backpropagation')));
+});
+
+test('merging keeps one concept with the others as aliases and their edges', async (t) => {
+  const knowledgeGraph = await seedGraph(t);
+  const deduplicator = new ConceptDeduplicator(null, knowledgeGraph);
+  const keep = await knowledgeGraph.getConcept('Neural Networks');
+
+  const result = await deduplicator.merge(keep.id, ['neural network', 'ANN']);
+  assert.deepEqual(result.merged.sort(), ['ANN', 'neural network']);
+  assert.ok(result.change_set);
+
+  const graph = await knowledgeGraph.readKnowledgeGraph();
+  assert.equal(graph.concepts.length, 4);
+  const merged = await knowledgeGraph.getConcept('ANN');
+  assert.equal(merged.id, keep.id);
+  assert.deepEqual(merged.aliases.sort(), ['ANN', 'neural network']);
+  assert.deepEqual(merged.sources.sort(), ['a', 'b']);
+  assert.match(merged.description, /Layers of weighted units/);
+  assert.match(merged.description, /Learns weights from data/);
+
+  // The two prerequisite edges collapse into the stronger one; the edge
+  // between merged concepts is gone
+  assert.equal(graph.edges.length, 1);
+  assert.equal(graph.edges[0].from, keep.id);
+  assert.equal(graph.edges[0].strength, 0.9);
+
+  // A merge is one change set and can be reverted
+  await knowledgeGraph.revertChangeSet(result.change_set);
+  assert.equal((await knowledgeGraph.readKnowledgeGraph()).concepts.length, 6);
+});
+
+test('borderline pairs are settled by the LLM once and dismissed pairs stay apart', async (t) => {
+  const knowledgeGraph = await seedGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Gradient Boosting', description: 'An ensemble of weak trees' });
+  await knowledgeGraph.addConcept({ name: 'GB', description: 'Gradient boosting, as in XGBoost' });
+  const deduplicator = new ConceptDeduplicator(mockClient(), knowledgeGraph);
+
+  const first = await deduplicator.findDuplicates();
+  assert.ok(first.llm.checked > 0);
+  const boosting = first.proposals.find(item => item.concepts.some(concept => concept.name === 'GB'));
+  assert.equal(boosting.status, 'confirmed');
+
+  // Verdicts are stored, so the same pairs aren't sent again
+  const second = await deduplicator.findDuplicates();
+  assert.equal(second.llm.checked, 0);
+  assert.equal(second.proposals.length, first.proposals.length);
+
+  await deduplicator.dismiss(['Neural Networks', 'neural network', 'ANN']);
+  const { proposals } = await deduplicator.findDuplicates();
+  assert.ok(!proposals.some(item => item.concepts.some(concept => concept.name === 'ANN')));
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openGraph, mockClient } = require('./helpers');
+const ConnectionMapper = require('../modules/connection-mapper');
+
+test('mapping connections keeps concept changes made during the LLM calls', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const concepts = [
+    await knowledgeGraph.addConcept({ name: 'Entropy', description: 'Disorder of a system', confidence: 0.5 }),
+    await knowledgeGraph.addConcept({ name: 'Enthalpy', description: 'Heat content of a system', confidence: 0.5 })
+  ];
+
+  // A review lands while the mapper waits for the LLM
+  const client = mockClient();
+  const findConceptConnections = client.findConceptConnections.bind(client);
+  client.findConceptConnections = async (...args) => {
+    await knowledgeGraph.updateConcept('Entropy', { confidence: 0.9, last_reinforced: '2026-01-01T00:00:00.000Z' });
+    return await findConceptConnections(...args);
+  };
+
+  const { updatedConcepts } = await new ConnectionMapper(client, knowledgeGraph).mapNewConnections(concepts);
+
+  const entropy = await knowledgeGraph.getConcept('Entropy');
+  assert.equal(entropy.confidence, 0.9);
+  assert.equal(entropy.last_reinforced, '2026-01-01T00:00:00.000Z');
+  assert.equal(updatedConcepts.find(concept => concept.name === 'Entropy').confidence, 0.9);
+  assert.ok((await knowledgeGraph.getEdges()).length > 0);
+});
+
+test('concepts that are not stored yet are added before they are linked', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const concepts = [
+    { name: 'Entropy', description: 'Disorder of a system' },
+    { name: 'Enthalpy', description: 'Heat content of a system' }
+  ];
+
+  await new ConnectionMapper(mockClient(), knowledgeGraph).mapNewConnections(concepts);
+
+  const graph = await knowledgeGraph.readKnowledgeGraph();
+  assert.deepEqual(graph.concepts.map(concept => concept.name).sort(), ['Enthalpy', 'Entropy']);
+  assert.ok(graph.edges.length > 0);
+});
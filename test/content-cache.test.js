@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openGraph, mockClient } = require('./helpers');
+const ContentCache = require('../modules/content-cache');
+const ContentProcessor = require('../modules/content-processor');
+
+const PAGE_URL = 'https://example.com/notes/gradient-descent';
+
+const ARTICLE = [
+  'Gradient descent minimizes a loss function by following its negative gradient.',
+  'The learning rate controls the step size of gradient descent.'
+].join(' ');
+
+// A processor whose pages come from pages[url] instead of the network
+function offlineProcessor(t, knowledgeGraph, pages) {
+  const processor = new ContentProcessor(mockClient(), knowledgeGraph);
+  const fetches = t.mock.method(processor, 'processUrl', async url => ({
+    type: 'webpage',
+    url,
+    title: 'Gradient descent',
+    content: pages[url]
+  }));
+  return { processor, fetches };
+}
+
+test('one spelling is kept per page', () => {
+  const { normalizeUrl } = ContentCache;
+  assert.equal(normalizeUrl('https://WWW.Example.com/notes/?utm_source=feed&b=2&a=1#top'), 'https://example.com/notes?a=1&b=2');
+  assert.equal(normalizeUrl('https://youtu.be/abc123'), 'https://youtube.com/watch?v=abc123');
+  assert.equal(normalizeUrl('https://www.youtube.com/watch?v=abc123&t=30'), 'https://youtube.com/watch?v=abc123');
+  assert.equal(ContentCache.hashContent('a  b\n'), ContentCache.hashContent('a b'));
+});
+
+test('cached pages are served until they expire and can be purged', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const cache = new ContentCache(knowledgeGraph, { ttl: 60 * 1000 });
+
+  assert.equal(await cache.get(PAGE_URL), null);
+  await cache.put(`${PAGE_URL}/?utm_campaign=mail`, { title: 'Gradient descent', content: ARTICLE });
+  assert.equal((await cache.get(PAGE_URL)).content, ARTICLE);
+
+  const stale = new ContentCache(knowledgeGraph, { ttl: 0 });
+  assert.equal(await stale.get(PAGE_URL), null);
+
+  const stats = await cache.stats();
+  assert.deepEqual([stats.entries, stats.hits, stats.misses], [1, 1, 1]);
+  assert.equal(await stale.purge({ expired: true }), 1);
+  assert.equal((await cache.stats()).entries, 0);
+});
+
+test('a page submitted again is read from the cache and skipped', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const { processor, fetches } = offlineProcessor(t, knowledgeGraph, { [PAGE_URL]: ARTICLE });
+
+  const first = await processor.processContent(PAGE_URL);
+  assert.equal(first.skipped, false);
+  assert.equal(first.cached, false);
+
+  const again = await processor.processContent('https://www.example.com/notes/gradient-descent/#learning-rate');
+  assert.equal(again.skipped, true);
+  assert.equal(again.cached, true);
+  assert.equal(again.contentItem.id, first.contentItem.id);
+  assert.equal(fetches.mock.callCount(), 1);
+});
+
+test('a page that changed is merged into its existing item', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const pages = { [PAGE_URL]: ARTICLE };
+  const { processor, fetches } = offlineProcessor(t, knowledgeGraph, pages);
+  const first = await processor.processContent(PAGE_URL);
+
+  pages[PAGE_URL] = `${ARTICLE} Momentum keeps gradient descent moving through flat regions.`;
+  const updated = await processor.processContent(PAGE_URL, { force: true });
+  assert.equal(fetches.mock.callCount(), 2);
+  assert.equal(updated.skipped, false);
+  assert.equal(updated.merged, true);
+  assert.equal(updated.contentItem.id, first.contentItem.id);
+
+  const graph = await knowledgeGraph.readKnowledgeGraph();
+  assert.equal(graph.content_items.length, 1);
+  assert.equal(graph.content_items[0].content, pages[PAGE_URL]);
+  assert.equal(graph.content_items[0].content_hash, ContentCache.hashContent(pages[PAGE_URL]));
+});
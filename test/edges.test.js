@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { openGraph, tempDir } = require('./helpers');
+
+async function thermodynamics(t) {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy', aliases: ['Disorder'] });
+  await knowledgeGraph.addConcept({ name: 'Enthalpy' });
+  await knowledgeGraph.addConcept({ name: 'Temperature' });
+  return knowledgeGraph;
+}
+
+test('edges are typed, weighted and stored once per direction and type', async (t) => {
+  const knowledgeGraph = await thermodynamics(t);
+
+  const stored = await knowledgeGraph.addEdges([
+    { from: 'Disorder', to: 'Temperature', type: 'depends on', strength: 1.4 },
+    { from: 'Entropy', to: 'Enthalpy', relationship_type: 'contrasts with' },
+    { from: 'Entropy', to: 'Phlogiston', type: 'related_to' },
+    { from: 'Entropy', to: 'Disorder', type: 'related_to' }
+  ], { agent: 'Test' });
+  assert.deepEqual(stored.map(edge => [edge.type, edge.strength]), [['prerequisite', 1], ['contrasts-with', null]]);
+  assert.equal(stored[0].provenance.agent, 'Test');
+
+  // The same relationship again updates the stored edge
+  const again = await knowledgeGraph.addEdge({ from: 'Entropy', to: 'Temperature', type: 'prerequisite', strength: 0.4 });
+  assert.equal(again.id, stored[0].id);
+  assert.equal((await knowledgeGraph.getEdges()).length, 2);
+
+  assert.deepEqual((await knowledgeGraph.getEdges({ concept: 'Temperature', direction: 'in' })).map(edge => edge.strength), [0.4]);
+  assert.equal((await knowledgeGraph.getEdges({ concept: 'Temperature', direction: 'out' })).length, 0);
+  assert.equal((await knowledgeGraph.getEdges({ type: 'contrasts_with' })).length, 1);
+  assert.equal((await knowledgeGraph.getEdges({ minStrength: 0.5 })).length, 0);
+
+  // Both ends list each other for older readers
+  assert.deepEqual((await knowledgeGraph.getConcept('Entropy')).connections, ['Temperature', 'Enthalpy']);
+  assert.deepEqual((await knowledgeGraph.getConcept('Temperature')).connections, ['Entropy']);
+});
+
+test('removing an edge unlinks its ends unless another edge still joins them', async (t) => {
+  const knowledgeGraph = await thermodynamics(t);
+  const [related, contrast] = await knowledgeGraph.addEdges([
+    { from: 'Entropy', to: 'Enthalpy', type: 'related_to' },
+    { from: 'Enthalpy', to: 'Entropy', type: 'contrasts_with' }
+  ]);
+
+  await knowledgeGraph.removeEdges([related.id]);
+  assert.deepEqual((await knowledgeGraph.getConcept('Entropy')).connections, ['Enthalpy']);
+
+  await knowledgeGraph.removeEdges([contrast.id]);
+  assert.deepEqual((await knowledgeGraph.getConcept('Entropy')).connections, []);
+  assert.deepEqual((await knowledgeGraph.getConcept('Enthalpy')).connections, []);
+});
+
+test('legacy one-way connections become edges listed on both ends', async (t) => {
+  const dataDir = await tempDir(t);
+  await fs.copyFile(path.join(__dirname, '..', 'data', 'knowledge-graph.json'), path.join(dataDir, 'knowledge-graph.json'));
+  const knowledgeGraph = await openGraph(t, { dataDir });
+
+  const edges = await knowledgeGraph.getEdges({ concept: 'AI Application Development' });
+  assert.equal(edges.length, 2);
+  assert.deepEqual((await knowledgeGraph.getConcept('AI Application Development')).connections.sort(), ['Sora AI', 'Technological Singularity']);
+
+  const { problems } = await knowledgeGraph.checkIntegrity();
+  assert.deepEqual(problems.map(problem => problem.code), []);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { openGraph, exists } = require('./helpers');
+const KnowledgeGraphManager = require('../modules/knowledge-graph');
+const { changeEncryption } = require('../modules/storage/rekey');
+const { migrateStorage } = require('../modules/storage/migrate');
+const SqliteAdapter = require('../modules/storage/sqlite-adapter');
+
+async function open(dataDir, passphrase) {
+  const knowledgeGraph = new KnowledgeGraphManager(dataDir, { storageType: 'json', passphrase });
+  await knowledgeGraph.initialize();
+  return knowledgeGraph;
+}
+
+async function seededDirectory(t) {
+  const knowledgeGraph = await openGraph(t, { storageType: 'json' });
+  await knowledgeGraph.addConcept({ name: 'Entropy', description: 'Disorder of a system' });
+  await knowledgeGraph.addActivity({ type: 'test', agent: 'Test', message: 'Added Entropy', status: 'completed' });
+  await knowledgeGraph.createSnapshot({ label: 'before encryption' });
+  await knowledgeGraph.close();
+  return knowledgeGraph.dataDir;
+}
+
+test('encrypting leaves no plain text behind, in the data or its snapshots', async (t) => {
+  const dataDir = await seededDirectory(t);
+
+  const result = await changeEncryption(dataDir, { newPassphrase: 'first secret' });
+  assert.equal(result.encrypted, true);
+  assert.equal(result.snapshots.skipped.length, 0);
+
+  const raw = await fs.readFile(path.join(dataDir, 'knowledge-graph.json'), 'utf8');
+  assert.ok(!raw.includes('Entropy'));
+  for (const id of result.snapshots.updated) {
+    const copy = await fs.readFile(path.join(dataDir, 'backups', 'snapshots', id, 'data', 'knowledge-graph.json'), 'utf8');
+    assert.ok(!copy.includes('Entropy'));
+  }
+
+  const knowledgeGraph = await open(dataDir, 'first secret');
+  t.after(() => knowledgeGraph.close());
+  assert.equal((await knowledgeGraph.getConcept('Entropy')).description, 'Disorder of a system');
+});
+
+test('a key rotation locks out the old passphrase', async (t) => {
+  const dataDir = await seededDirectory(t);
+  await changeEncryption(dataDir, { newPassphrase: 'first secret' });
+
+  await assert.rejects(
+    changeEncryption(dataDir, { passphrase: 'wrong', newPassphrase: 'second secret' }),
+    error => error.code === 'WRONG_PASSPHRASE'
+  );
+
+  const result = await changeEncryption(dataDir, { passphrase: 'first secret', newPassphrase: 'second secret' });
+  assert.equal(result.snapshots.skipped.length, 0);
+
+  await assert.rejects(open(dataDir, 'first secret'), error => error.code === 'WRONG_PASSPHRASE');
+  await assert.rejects(open(dataDir, null), error => error.code === 'PASSPHRASE_REQUIRED');
+
+  const knowledgeGraph = await open(dataDir, 'second secret');
+  t.after(() => knowledgeGraph.close());
+  assert.ok(await knowledgeGraph.getConcept('Entropy'));
+
+  // Snapshots taken under the old key open with the new one
+  const [snapshot] = (await knowledgeGraph.listSnapshots()).filter(item => item.label === 'before encryption');
+  await knowledgeGraph.addConcept({ name: 'Enthalpy' });
+  await knowledgeGraph.restoreSnapshot(snapshot.id);
+  assert.equal(await knowledgeGraph.getConcept('Enthalpy'), null);
+  assert.ok(await knowledgeGraph.getConcept('Entropy'));
+});
+
+test('decrypting writes the data back as plain text', async (t) => {
+  const dataDir = await seededDirectory(t);
+  await changeEncryption(dataDir, { newPassphrase: 'first secret' });
+
+  const result = await changeEncryption(dataDir, { passphrase: 'first secret', newPassphrase: null });
+  assert.equal(result.encrypted, false);
+
+  const raw = await fs.readFile(path.join(dataDir, 'knowledge-graph.json'), 'utf8');
+  assert.ok(raw.includes('Entropy'));
+  await assert.rejects(changeEncryption(dataDir, {}), /not encrypted/);
+});
+
+test('the change history and every activity segment are encrypted too', async (t) => {
+  const dataDir = await seededDirectory(t);
+  const knowledgeGraph = await open(dataDir, null);
+  await knowledgeGraph.storage.appendActivity({ id: 'activity_old', timestamp: '2025-10-21T12:00:00.000Z', message: 'Entropy reviewed' });
+  await knowledgeGraph.storage.archiveActivity('2025-10-22');
+  await knowledgeGraph.close();
+
+  await changeEncryption(dataDir, { newPassphrase: 'first secret' });
+
+  const activityDir = path.join(dataDir, 'activity');
+  const files = [path.join(dataDir, 'changes.jsonl'), ...(await fs.readdir(activityDir)).map(name => path.join(activityDir, name))];
+  assert.ok(files.some(file => file.endsWith('.jsonl.gz')));
+  for (const file of files) {
+    const data = await fs.readFile(file);
+    const text = (file.endsWith('.gz') ? zlib.gunzipSync(data) : data).toString('utf8');
+    assert.ok(!text.includes('Entropy'), file);
+  }
+
+  const reopened = await open(dataDir, 'first secret');
+  t.after(() => reopened.close());
+  assert.deepEqual((await reopened.loadActivities()).map(activity => activity.message), ['Entropy reviewed', 'Added Entropy']);
+  assert.ok((await reopened.getChanges()).length > 0);
+});
+
+test('encrypted data is never copied into SQLite, which can not be encrypted', async (t) => {
+  const dataDir = await seededDirectory(t);
+  await changeEncryption(dataDir, { newPassphrase: 'first secret' });
+
+  const unsupported = error => error.code === 'ENCRYPTION_UNSUPPORTED';
+  await assert.rejects(migrateStorage(dataDir, { from: 'json', to: 'sqlite' }), unsupported);
+  assert.equal(await exists(path.join(dataDir, 'eumicus.db')), false);
+  await assert.rejects(new SqliteAdapter(dataDir).initialize(), unsupported);
+
+  const plain = await seededDirectory(t);
+  await migrateStorage(plain, { from: 'json', to: 'sqlite' });
+  await assert.rejects(changeEncryption(plain, { newPassphrase: 'first secret' }), unsupported);
+});
@@ -0,0 +1,25 @@
+// Adds concepts and bumps a counter in the user profile, as fast as it can,
+// for the concurrent writer tests: node concurrent-writer.js <dataDir>
+// <storageType> <name> <count>
+const KnowledgeGraphManager = require('../../modules/knowledge-graph');
+
+console.log = () => {};
+
+async function main() {
+  const [dataDir, storageType, name, count] = process.argv.slice(2);
+  const knowledgeGraph = new KnowledgeGraphManager(dataDir, { storageType });
+  await knowledgeGraph.initialize();
+
+  for (let index = 0; index < Number(count); index++) {
+    await knowledgeGraph.addConcept({ name: `${name} ${index}` });
+    await knowledgeGraph.updateKnowledgeGraph(graph => {
+      graph.user_profile.counter = (graph.user_profile.counter || 0) + 1;
+    });
+  }
+  await knowledgeGraph.close();
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
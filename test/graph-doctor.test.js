@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openGraph } = require('./helpers');
+
+test('a connection missing on one side is one problem, checked or fixed', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy', confidence: 0.5 });
+  await knowledgeGraph.addConcept({ name: 'Enthalpy', confidence: 0.5 });
+  await knowledgeGraph.addEdge({ from: 'Entropy', to: 'Enthalpy', type: 'related_to' });
+  await knowledgeGraph.addEdge({ from: 'Enthalpy', to: 'Entropy', type: 'depends_on' });
+  await knowledgeGraph.updateKnowledgeGraph(graph => {
+    graph.concepts.find(concept => concept.name === 'Enthalpy').connections = [];
+  });
+
+  const checked = await knowledgeGraph.checkIntegrity();
+  assert.deepEqual(checked.problems.map(problem => problem.code), ['edge-without-connection']);
+
+  const fixed = await knowledgeGraph.checkIntegrity({ fix: true });
+  assert.deepEqual(fixed.summary, { ...checked.summary, fixed: checked.summary.fixable });
+  assert.equal((await knowledgeGraph.checkIntegrity()).summary.total, 0);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportGraph } = require('../modules/graph-exporter');
+const { openGraph } = require('./helpers');
+
+const graph = {
+  concepts: [
+    { id: 'concept_a', name: 'Entropy', aliases: ['Disorder'], description: 'Heat <in> & "out", of a system', confidence: 0.4, tags: ['thermo', 'physics'] },
+    { id: 'concept_b', name: 'Enthalpy', confidence: 0.6 }
+  ],
+  edges: [
+    { id: 'edge_1', from: 'concept_a', to: 'concept_b', type: 'contrasts-with', strength: 0.7, provenance: { agent: 'Test' } },
+    // Points at a concept that is gone
+    { id: 'edge_2', from: 'concept_a', to: 'concept_gone', type: 'related-to' }
+  ],
+  content_items: [
+    { id: 'content_1', type: 'article', title: 'Heat', url: 'https://physics.example/heat', key_concepts: ['Disorder', 'Entropy', 'Phlogiston'] }
+  ]
+};
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+test('GraphML and GEXF hold every node and the edges between known nodes', () => {
+  const [{ content: graphml }] = exportGraph(graph, 'graphml').files;
+  assert.equal(count(graphml, /<node /g), 3);
+  assert.equal(count(graphml, /<edge /g), 2);
+  assert.ok(graphml.includes('<edge id="content_1_concept_a" source="content_1" target="concept_a">'));
+  assert.ok(graphml.includes('Heat &lt;in&gt; &amp; &quot;out&quot;, of a system'));
+  assert.ok(graphml.includes('<data key="n_tags">thermo, physics</data>'));
+  assert.ok(!graphml.includes('concept_gone'));
+
+  const { contentType, files: [{ content: gexf }] } = exportGraph(graph, 'gexf');
+  assert.equal(contentType, 'application/gexf+xml');
+  assert.ok(gexf.includes('<edge id="edge_1" source="concept_a" target="concept_b" label="contrasts-with" weight="0.7">'));
+  assert.ok(gexf.includes('<attvalue for="agent" value="Test"/>'));
+  assert.equal(count(gexf, /<node /g), 3);
+});
+
+test('neo4j CSV files have import headers and quote what needs quoting', () => {
+  const files = Object.fromEntries(exportGraph(graph, 'neo4j-csv').files.map(file => [file.name, file.content]));
+  assert.deepEqual(Object.keys(files), ['concepts.csv', 'content.csv', 'relationships.csv', 'mentions.csv']);
+
+  const [header, entropy] = files['concepts.csv'].split('\n');
+  assert.ok(header.startsWith('id:ID(Concept),name,description'));
+  assert.ok(entropy.startsWith('concept_a,Entropy,"Heat <in> & ""out"", of a system",,,0.4,thermo;physics,Disorder,'));
+  assert.equal(files['relationships.csv'].split('\n')[1], 'concept_a,concept_b,CONTRASTS_WITH,edge_1,0.7,,Test,,');
+  assert.equal(files['mentions.csv'], ':START_ID(Content),:END_ID(Concept),:TYPE\ncontent_1,concept_a,MENTIONS\n');
+});
+
+test('JSON-LD nests relations under the concept they start from', () => {
+  const document = JSON.parse(exportGraph(graph, 'jsonld').files[0].content);
+  const [entropy, enthalpy, heat] = document['@graph'];
+
+  assert.equal(entropy['@id'], 'urn:eumicus:concept_a');
+  assert.equal(entropy['@type'], 'Concept');
+  assert.deepEqual(entropy.aliases, ['Disorder']);
+  assert.deepEqual(entropy.relations, [{ relation_type: 'contrasts-with', target: 'urn:eumicus:concept_b', strength: 0.7, agent: 'Test' }]);
+  assert.equal(enthalpy.relations, undefined);
+  assert.deepEqual(heat.mentions, ['urn:eumicus:concept_a']);
+  assert.equal(document['@context'].name, 'schema:name');
+});
+
+test('an unknown format is an invalid query', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy' });
+
+  const exported = await knowledgeGraph.exportGraph('graphml');
+  assert.equal(exported.files[0].name, 'knowledge-graph.graphml');
+  await assert.rejects(knowledgeGraph.exportGraph('dot'), error => error.code === 'INVALID_QUERY' && /graphml, gexf, neo4j-csv, jsonld/.test(error.message));
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { openGraph, tempDir } = require('./helpers');
+const { mergeDataDirectory, mergeGraphs } = require('../modules/graph-merge');
+
+// Ours and a copy of it that went its own way since
+async function divergedDirectories(t) {
+  const ours = await openGraph(t);
+  await ours.addConcept({ name: 'Entropy', description: 'Disorder of a system', confidence: 0.5 });
+  await ours.addConcept({ name: 'Enthalpy', description: 'Heat content of a system' });
+
+  const otherDir = path.join(await tempDir(t), 'laptop');
+  await fs.cp(ours.dataDir, otherDir, { recursive: true });
+  const theirs = await openGraph(t, { dataDir: otherDir });
+
+  await ours.addConcept({ name: 'Free energy', description: 'Work a system can do' });
+  await ours.updateConcept('Entropy', { confidence: 0.7 });
+  await theirs.addConcept({ name: 'Heat capacity', description: 'Heat needed per degree' });
+  await theirs.addEdge({ from: 'Entropy', to: 'Enthalpy', type: 'related_to' });
+  await theirs.updateConcept('Entropy', { confidence: 0.9 });
+  await theirs.close();
+
+  return { ours, otherDir };
+}
+
+test('a merge takes what either side added and reports conflicting edits', async (t) => {
+  const { ours, otherDir } = await divergedDirectories(t);
+
+  const preview = await mergeDataDirectory(ours, otherDir, { prefer: 'ours', dryRun: true });
+  assert.equal(preview.base.source, 'history');
+  assert.equal(preview.conflicts.length, 1);
+  assert.equal(preview.conflicts[0].field, 'confidence');
+  assert.equal(preview.conflicts[0].base, 0.5);
+  assert.equal((await ours.readKnowledgeGraph()).concepts.length, 3);
+
+  const result = await mergeDataDirectory(ours, otherDir, { prefer: 'ours' });
+  assert.ok(result.snapshot && result.change_set);
+
+  const graph = await ours.readKnowledgeGraph();
+  assert.deepEqual(graph.concepts.map(concept => concept.name).sort(), ['Enthalpy', 'Entropy', 'Free energy', 'Heat capacity']);
+  assert.equal(graph.edges.length, 1);
+  assert.equal((await ours.getConcept('Entropy')).confidence, 0.7);
+
+  // Merging again brings nothing new
+  const again = await mergeDataDirectory(ours, otherDir, { dryRun: true });
+  assert.equal(again.conflicts.length, 0);
+  assert.equal(again.changes.concepts, undefined);
+});
+
+test('conflicts can be settled one by one, and the merge reverted', async (t) => {
+  const { ours, otherDir } = await divergedDirectories(t);
+
+  const asked = [];
+  const result = await mergeDataDirectory(ours, otherDir, {
+    resolve: async conflict => {
+      asked.push(conflict.field);
+      return 'theirs';
+    }
+  });
+  assert.deepEqual(asked, ['confidence']);
+  assert.equal((await ours.getConcept('Entropy')).confidence, 0.9);
+
+  await ours.revertChangeSet(result.change_set);
+  assert.equal((await ours.getConcept('Entropy')).confidence, 0.7);
+  assert.equal(await ours.getConcept('Heat capacity'), null);
+});
+
+test('the same concept added on both sides is aligned by name', () => {
+  const base = { concepts: [], edges: [] };
+  const ours = { concepts: [{ id: 'concept_a', name: 'Entropy', sources: ['a'] }], edges: [] };
+  const theirs = { concepts: [{ id: 'concept_b', name: 'entropy', sources: ['b'] }], edges: [] };
+
+  const { graph, aligned } = mergeGraphs(base, ours, theirs);
+  assert.equal(graph.concepts.length, 1);
+  assert.equal(graph.concepts[0].id, 'concept_a');
+  assert.equal(aligned, 1);
+});
+
+test('a directory cannot be merged with itself', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await assert.rejects(mergeDataDirectory(knowledgeGraph, knowledgeGraph.dataDir), /with itself/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { queryConcepts, queryContentItems, queryReinforcementSessions } = require('../modules/graph-query');
+
+const graph = {
+  categories: [
+    { id: 'category_science', name: 'Science', parent: null },
+    { id: 'category_physics', name: 'Physics', parent: 'category_science' },
+    { id: 'category_cooking', name: 'Cooking', parent: null }
+  ],
+  concepts: [
+    { id: 'concept_a', name: 'Entropy', confidence: 0.3, tags: ['Thermo'], category_id: 'category_physics', created_at: '2026-01-01T00:00:00.000Z' },
+    { id: 'concept_b', name: 'Enthalpy', confidence: 0.6, tags: ['thermo'], category_id: 'category_physics', created_at: '2026-02-01T00:00:00.000Z' },
+    { id: 'concept_c', name: 'Temperature', confidence: 0.9, tags: [], category_id: 'category_science', created_at: '2026-03-01T00:00:00.000Z' },
+    { id: 'concept_d', name: 'Sourdough', confidence: 0.5, category_id: 'category_cooking', sources: ['https://bread.example/starter'] },
+    { id: 'concept_e', name: 'Phlogiston', confidence: 0.1, category_id: 'category_science', archived_at: '2026-03-05T00:00:00.000Z' }
+  ],
+  edges: [
+    { id: 'edge_1', from: 'concept_a', to: 'concept_b' },
+    { id: 'edge_2', from: 'concept_a', to: 'concept_c' }
+  ],
+  content_items: [
+    { id: 'content_1', type: 'article', title: 'Heat', url: 'https://physics.example/heat', key_concepts: ['Entropy'], processed_date: '2026-01-02T00:00:00.000Z' },
+    { id: 'content_2', type: 'video', title: 'Bread', url: 'https://bread.example/video', key_concepts: ['Sourdough'], processed_date: '2026-01-03T00:00:00.000Z' }
+  ],
+  reinforcement_sessions: [
+    { id: 'session_1', date: '2026-01-05T00:00:00.000Z', concepts_reviewed: ['Entropy'], overall_performance: 0.4 },
+    { id: 'session_2', date: '2026-01-06T00:00:00.000Z', concepts_reviewed: ['Entropy', 'Enthalpy'], overall_performance: 0.8 }
+  ]
+};
+
+const names = result => result.concepts.map(concept => concept.name);
+
+test('concept filters combine, and archived concepts are left out by default', () => {
+  assert.deepEqual(names(queryConcepts(graph, { category: 'Science' })), ['Enthalpy', 'Entropy', 'Temperature']);
+  assert.deepEqual(names(queryConcepts(graph, { category: 'science > physics', tag: 'THERMO', maxConfidence: 0.5 })), ['Entropy']);
+  assert.deepEqual(names(queryConcepts(graph, { minDegree: 2 })), ['Entropy']);
+  assert.deepEqual(names(queryConcepts(graph, { createdAfter: '2026-01-15', createdBefore: '2026-02-15' })), ['Enthalpy']);
+  assert.deepEqual(names(queryConcepts(graph, { source: 'BREAD.example' })), ['Sourdough']);
+  assert.deepEqual(names(queryConcepts(graph, { archived: 'only' })), ['Phlogiston']);
+  assert.equal(queryConcepts(graph, { archived: 'include' }).total, 5);
+});
+
+test('pages follow each other through the cursor without gaps or repeats', () => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = queryConcepts(graph, {}, { sort: '-confidence', limit: 2, cursor });
+    assert.equal(page.total, 4);
+    seen.push(...names(page));
+    cursor = page.next_cursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, ['Temperature', 'Enthalpy', 'Sourdough', 'Entropy']);
+  assert.deepEqual(names(queryConcepts(graph, {}, { sort: 'degree', limit: 1 })), ['Sourdough']);
+});
+
+test('invalid filters and options are rejected as invalid queries', () => {
+  const invalid = error => error.code === 'INVALID_QUERY';
+  assert.throws(() => queryConcepts(graph, { minConfidence: 'high' }), invalid);
+  assert.throws(() => queryConcepts(graph, { createdAfter: 'yesterday' }), invalid);
+  assert.throws(() => queryConcepts(graph, { archived: 'all' }), invalid);
+  assert.throws(() => queryConcepts(graph, {}, { sort: 'colour' }), invalid);
+  assert.throws(() => queryConcepts(graph, {}, { limit: 0 }), invalid);
+  assert.throws(() => queryConcepts(graph, {}, { cursor: 'not a cursor' }), invalid);
+});
+
+test('content items and sessions are filtered and sorted newest first', () => {
+  const items = queryContentItems(graph, { type: 'article,video' });
+  assert.deepEqual(items.content_items.map(item => item.id), ['content_2', 'content_1']);
+  assert.deepEqual(queryContentItems(graph, { concept: 'Entropy', source: 'physics' }).content_items.map(item => item.id), ['content_1']);
+
+  const sessions = queryReinforcementSessions(graph, { concept: 'Entropy', minPerformance: 0.5 });
+  assert.deepEqual(sessions.sessions.map(session => session.id), ['session_2']);
+  assert.deepEqual(queryReinforcementSessions(graph, {}, { sort: 'overall_performance' }).sessions.map(session => session.id), ['session_1', 'session_2']);
+});
@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Tests run offline against the mock provider, and the environment of the
+// machine running them must not change where or how data is stored
+process.env.EUMICUS_LLM = 'mock';
+[
+  'EUMICUS_STORAGE',
+  'EUMICUS_PASSPHRASE',
+  'EUMICUS_WORKSPACE',
+  'EUMICUS_BACKUP_KEEP_LAST',
+  'EUMICUS_BACKUP_KEEP_DAILY',
+  'EUMICUS_BACKUP_KEEP_WEEKLY'
+].forEach(name => delete process.env[name]);
+
+// The modules report progress on stdout, which would drown the test report
+if (!process.env.EUMICUS_TEST_VERBOSE) {
+  console.log = () => {};
+}
+
+const KnowledgeGraphManager = require('../modules/knowledge-graph');
+const OpenAIClient = require('../modules/openai-client');
+const { createLLMProvider } = require('../modules/llm');
+
+// An empty directory that is removed when the test ends
+async function tempDir(t, prefix = 'eumicus-test-') {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// An initialized graph in a fresh data directory, closed when the test ends
+async function openGraph(t, options = {}) {
+  const dataDir = options.dataDir || await tempDir(t);
+  const knowledgeGraph = new KnowledgeGraphManager(dataDir, options);
+  await knowledgeGraph.initialize();
+  t.after(() => knowledgeGraph.close());
+  return knowledgeGraph;
+}
+
+function mockClient() {
+  return new OpenAIClient(createLLMProvider({ provider: 'mock' }));
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  tempDir,
+  openGraph,
+  mockClient,
+  exists
+};
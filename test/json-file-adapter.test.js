@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { openGraph, tempDir } = require('./helpers');
+const JsonFileAdapter = require('../modules/storage/json-file-adapter');
+
+// Rewrites the graph file the way another program might: in place, with
+// the same size, within the same tick of a coarse filesystem clock
+async function rewriteInPlace(filePath, tick, edit) {
+  const { size } = await fs.stat(filePath);
+  const text = edit(await fs.readFile(filePath, 'utf8'));
+  assert.equal(Buffer.byteLength(text), size);
+  await fs.writeFile(filePath, text);
+  await fs.utimes(filePath, tick, tick);
+}
+
+test('an outside write is noticed even when size and mtime stay the same', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy', confidence: 0.4 });
+  const tick = new Date(Math.floor(Date.now() / 1000) * 1000);
+  await fs.utimes(knowledgeGraph.knowledgeGraphPath, tick, tick);
+  assert.equal((await knowledgeGraph.getConcept('Entropy')).confidence, 0.4);
+
+  const reloaded = [];
+  knowledgeGraph.on('graph-reloaded', event => reloaded.push(event.reason));
+  await rewriteInPlace(knowledgeGraph.knowledgeGraphPath, tick, text => text.replace('"confidence": 0.4', '"confidence": 0.9'));
+
+  assert.equal((await knowledgeGraph.getConcept('Entropy')).confidence, 0.9);
+  assert.deepEqual(reloaded, ['external-write']);
+});
+
+test('record writes parse the file only after someone else wrote it', async (t) => {
+  const dataDir = await tempDir(t);
+  const adapter = new JsonFileAdapter(dataDir);
+  await adapter.initialize();
+  await adapter.saveKnowledgeGraph({ concepts: [], edges: [] });
+  const loads = t.mock.method(adapter, 'loadKnowledgeGraph');
+
+  const concept = { id: 'concept_1', name: 'Entropy' };
+  await adapter.putRecord('concepts', concept);
+  await adapter.putRecord('concepts', { id: 'concept_2', name: 'Enthalpy' });
+  await adapter.putDocument('user_profile', { goals: [] });
+  assert.equal(loads.mock.callCount(), 1);
+
+  // The stored record is a copy of the caller's
+  concept.name = 'Changed';
+  await adapter.putRecord('edges', { id: 'edge_1', from: 'concept_1', to: 'concept_2' });
+  assert.equal((await adapter.getRecord('concepts', 'concept_1')).name, 'Entropy');
+
+  // Another process adds a concept
+  const other = new JsonFileAdapter(dataDir);
+  await other.initialize();
+  await other.putRecord('concepts', { id: 'concept_3', name: 'Temperature' });
+
+  loads.mock.resetCalls();
+  await adapter.putRecord('concepts', { id: 'concept_1', name: 'Entropy', confidence: 0.5 });
+  assert.equal(loads.mock.callCount(), 1);
+  const graph = JSON.parse(await fs.readFile(path.join(dataDir, 'knowledge-graph.json'), 'utf8'));
+  assert.deepEqual(graph.concepts.map(record => record.id), ['concept_1', 'concept_2', 'concept_3']);
+  assert.deepEqual(graph.user_profile, { goals: [] });
+});
+
+test('every recorded change is emitted as a typed event', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const events = [];
+  ['concept-added', 'concept-updated', 'edge-added', 'user-profile-updated', 'changes'].forEach(name =>
+    knowledgeGraph.on(name, event => events.push(name === 'changes' ? `changes:${event.length}` : name))
+  );
+
+  await knowledgeGraph.addConcept({ name: 'Entropy' });
+  await knowledgeGraph.addConcept({ name: 'Enthalpy' });
+  events.length = 0;
+  await knowledgeGraph.addEdge({ from: 'Entropy', to: 'Enthalpy' });
+  await knowledgeGraph.updateUserProfile({ goals: ['thermodynamics'] });
+
+  assert.deepEqual(events.filter(event => !event.startsWith('changes')).sort(),
+    ['concept-updated', 'concept-updated', 'edge-added', 'user-profile-updated']);
+  assert.ok(events.some(event => event.startsWith('changes:')));
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openGraph } = require('./helpers');
+
+async function graphWithArchivedConcept(t) {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy', description: 'Disorder of a system', confidence: 0.8 });
+  await knowledgeGraph.addConcept({ name: 'Phlogiston', description: 'Fire element released by burning a system', confidence: 0.2 });
+  await knowledgeGraph.archiveConcept('Phlogiston');
+  return knowledgeGraph;
+}
+
+test('knowledge gaps leave archived concepts out of every figure', async (t) => {
+  const knowledgeGraph = await graphWithArchivedConcept(t);
+
+  const gaps = await knowledgeGraph.getKnowledgeGaps();
+  assert.deepEqual(gaps.low_confidence_concepts, []);
+  assert.equal(gaps.total_concepts, 1);
+  assert.equal(gaps.average_confidence, 0.8);
+});
+
+test('search leaves archived concepts out unless asked for them', async (t) => {
+  const knowledgeGraph = await graphWithArchivedConcept(t);
+  const titles = async options => (await knowledgeGraph.search('system', options)).results.map(result => result.title).sort();
+
+  assert.deepEqual(await titles(), ['Entropy']);
+  assert.deepEqual(await titles({ archived: 'include' }), ['Entropy', 'Phlogiston']);
+  assert.deepEqual(await titles({ archived: 'only' }), ['Phlogiston']);
+  await assert.rejects(knowledgeGraph.search('system', { archived: 'all' }), error => error.code === 'INVALID_QUERY');
+
+  // The index follows archiving both ways
+  await knowledgeGraph.unarchiveConcept('Phlogiston');
+  assert.deepEqual(await titles(), ['Entropy', 'Phlogiston']);
+});
+
+test('content items added in the same moment get their own ids', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+
+  const items = await Promise.all(['First', 'Second', 'Third'].map(title => knowledgeGraph.addContentItem({ title })));
+  assert.equal(new Set(items.map(item => item.id)).size, 3);
+  assert.equal((await knowledgeGraph.readKnowledgeGraph()).content_items.length, 3);
+});
+
+test('a concept keeps its id through a rename and is found by its old name', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const entropy = await knowledgeGraph.addConcept({ name: 'Entropy', confidence: 0.5 });
+  await knowledgeGraph.addConcept({ name: 'Enthalpy', connections: ['Entropy'] });
+  await knowledgeGraph.addContentItem({ title: 'Thermodynamics', key_concepts: ['Entropy'] });
+
+  const renamed = await knowledgeGraph.renameConcept('Entropy', 'Thermodynamic entropy');
+  assert.equal(renamed.id, entropy.id);
+  assert.deepEqual(renamed.aliases, ['Entropy']);
+  assert.equal((await knowledgeGraph.getConcept('Entropy')).id, entropy.id);
+  assert.equal((await knowledgeGraph.getConcept(entropy.id)).name, 'Thermodynamic entropy');
+
+  // References by name follow the rename
+  assert.deepEqual((await knowledgeGraph.getConcept('Enthalpy')).connections, ['Thermodynamic entropy']);
+  const [item] = (await knowledgeGraph.readKnowledgeGraph()).content_items;
+  assert.deepEqual(item.key_concepts, ['Thermodynamic entropy']);
+
+  // Adding under an alias updates the concept instead of creating another
+  await knowledgeGraph.addConcept({ name: 'Entropy', confidence: 0.7 });
+  const concepts = (await knowledgeGraph.readKnowledgeGraph()).concepts;
+  assert.equal(concepts.length, 2);
+  assert.equal((await knowledgeGraph.getConcept(entropy.id)).confidence, 0.7);
+});
+
+test('names and aliases belong to one concept only', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy' });
+  await knowledgeGraph.addConcept({ name: 'Enthalpy' });
+
+  await knowledgeGraph.addConceptAlias('Entropy', 'Disorder');
+  assert.equal((await knowledgeGraph.getConcept('Disorder')).name, 'Entropy');
+  await assert.rejects(knowledgeGraph.addConceptAlias('Enthalpy', 'Disorder'), /already used by concept "Entropy"/);
+  await assert.rejects(knowledgeGraph.renameConcept('Enthalpy', 'Entropy'), /already used/);
+
+  const renamed = await knowledgeGraph.renameConcept('Enthalpy', 'Heat content', { keepAlias: false });
+  assert.deepEqual(renamed.aliases, []);
+  assert.equal(await knowledgeGraph.getConcept('Enthalpy'), null);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { resolveLLMConfig, createLLMProvider } = require('../modules/llm');
+
+const code = expected => error => error.code === expected;
+
+// Answers every request with reply(url, body) and keeps the requests
+function stubFetch(t, reply, status = 200) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push({ url, headers: init.headers, body });
+    return new Response(JSON.stringify(reply(url, body)), { status });
+  });
+  return requests;
+}
+
+test('anthropic gets the system prompt apart from alternating turns', async (t) => {
+  const requests = stubFetch(t, () => ({ content: [{ type: 'text', text: 'Sure:\n```json\n{"concepts": []}\n```' }] }));
+  const provider = createLLMProvider({ provider: 'anthropic', apiKey: 'secret' });
+
+  const reply = await provider.generateStructuredResponse([
+    { role: 'system', content: 'You extract concepts.' },
+    { role: 'user', content: 'Entropy' },
+    { role: 'user', content: 'Enthalpy' }
+  ], { type: 'object' });
+  assert.deepEqual(reply, { concepts: [] });
+
+  const [{ url, headers, body }] = requests;
+  assert.equal(url, 'https://api.anthropic.com/v1/messages');
+  assert.equal(headers['x-api-key'], 'secret');
+  assert.equal(body.model, 'claude-3-5-sonnet-latest');
+  assert.equal(body.temperature, 0.3);
+  assert.match(body.system, /^You extract concepts\.\n\nRespond with valid JSON/);
+  assert.deepEqual(body.messages, [{ role: 'user', content: 'Entropy\n\nEnthalpy' }]);
+
+  await assert.rejects(provider.createEmbeddings(['Entropy']), code('EMBEDDINGS_UNSUPPORTED'));
+});
+
+test('a failed request keeps the status and what the server said', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  stubFetch(t, () => ({ error: 'model not found' }), 404);
+  const provider = createLLMProvider({ provider: 'ollama', baseURL: 'http://ollama.local:11434/' });
+
+  await assert.rejects(provider.generateResponse([{ role: 'user', content: 'Hi' }]), error =>
+    error.code === 'LLM_REQUEST_FAILED' && error.status === 404 && /model not found/.test(error.message));
+});
+
+test('ollama is asked for JSON and embeddings through its native API', async (t) => {
+  const requests = stubFetch(t, url => url.endsWith('/api/embed')
+    ? { embeddings: [[0.1, 0.2]] }
+    : { message: { content: '{"answer": 42}' } });
+  const provider = createLLMProvider({ provider: 'ollama', baseURL: 'http://ollama.local:11434/' });
+
+  assert.deepEqual(await provider.generateStructuredResponse([{ role: 'user', content: 'Answer' }], {}, { max_tokens: 50 }), { answer: 42 });
+  assert.deepEqual(await provider.createEmbeddings(['Entropy']), [[0.1, 0.2]]);
+
+  const [chat, embed] = requests;
+  assert.equal(chat.url, 'http://ollama.local:11434/api/chat');
+  assert.deepEqual([chat.body.model, chat.body.format, chat.body.stream], ['llama3.1', 'json', false]);
+  assert.deepEqual(chat.body.options, { temperature: 0.3, num_predict: 50 });
+  assert.deepEqual(embed.body, { model: 'nomic-embed-text', input: ['Entropy'] });
+});
+
+test('openai-compatible servers need an address, a model and an embedding model', async (t) => {
+  const env = { EUMICUS_LLM: 'openai-compatible' };
+  assert.throws(() => resolveLLMConfig({}, env), /EUMICUS_LLM_BASE_URL/);
+  assert.throws(() => resolveLLMConfig({}, { ...env, EUMICUS_LLM_BASE_URL: 'http://vllm.local/v1' }), /EUMICUS_LLM_MODEL/);
+
+  const provider = createLLMProvider({}, { ...env, EUMICUS_LLM_BASE_URL: 'http://vllm.local/v1', EUMICUS_LLM_MODEL: 'qwen' });
+  const create = t.mock.method(provider.client.embeddings, 'create', async () => ({
+    data: [{ index: 1, embedding: [2] }, { index: 0, embedding: [1] }]
+  }));
+  await assert.rejects(provider.createEmbeddings(['Entropy']), error =>
+    error.code === 'LLM_NOT_CONFIGURED' && /EUMICUS_EMBEDDING_MODEL/.test(error.message));
+  assert.equal(create.mock.callCount(), 0);
+
+  // Vectors come back in the order of the texts
+  assert.deepEqual(await provider.createEmbeddings(['Entropy', 'Enthalpy'], { model: 'bge-small' }), [[1], [2]]);
+  assert.equal(create.mock.calls[0].arguments[0].model, 'bge-small');
+});
+
+test('openai providers ask for a JSON object when a schema is given', async (t) => {
+  const provider = createLLMProvider({ provider: 'llama.cpp' });
+  assert.equal(provider.embeddingModel, 'default');
+  const create = t.mock.method(provider.client.chat.completions, 'create', async () => ({
+    choices: [{ message: { content: '{"ok": true}' } }]
+  }));
+
+  assert.deepEqual(await provider.generateStructuredResponse([{ role: 'user', content: 'Check' }], { type: 'object' }), { ok: true });
+  const [request] = create.mock.calls[0].arguments;
+  assert.deepEqual(request.response_format, { type: 'json_object' });
+  assert.equal(request.model, 'default');
+  assert.equal(request.messages.length, 2);
+});
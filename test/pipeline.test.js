@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openGraph, mockClient } = require('./helpers');
+const ContentProcessor = require('../modules/content-processor');
+const ConnectionMapper = require('../modules/connection-mapper');
+const KnowledgeReinforcer = require('../modules/knowledge-reinforcer');
+const { createLLMProvider } = require('../modules/llm');
+
+const ARTICLE = [
+  'Gradient descent minimizes a loss function by following its negative gradient.',
+  'The learning rate controls the step size of gradient descent.',
+  'A learning rate that is too large makes gradient descent diverge.',
+  'Stochastic gradient descent estimates the gradient from a mini batch.'
+].join(' ');
+
+test('EUMICUS_LLM=mock selects the offline provider', () => {
+  const provider = createLLMProvider();
+  assert.equal(provider.name, 'mock');
+});
+
+test('the mock provider answers the same prompt the same way', async () => {
+  const first = await mockClient().extractConcepts(ARTICLE);
+  const second = await mockClient().extractConcepts(ARTICLE);
+  assert.deepEqual(first, second);
+  assert.ok(first.concepts.length > 0);
+});
+
+test('text is processed into concepts with source excerpts', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const processor = new ContentProcessor(mockClient(), knowledgeGraph);
+
+  const result = await processor.processContent(ARTICLE);
+  assert.equal(result.skipped, false);
+  assert.ok(result.concepts.some(concept => concept.name === 'Gradient descent'));
+
+  const graph = await knowledgeGraph.readKnowledgeGraph();
+  assert.equal(graph.content_items.length, 1);
+  assert.equal(graph.concepts.length, result.concepts.length);
+
+  // Every excerpt is a verbatim span of the stored content
+  const [item] = graph.content_items;
+  assert.ok(item.excerpts.length > 0);
+  item.excerpts.forEach(excerpt => {
+    assert.equal(item.content.slice(excerpt.start, excerpt.end), excerpt.text);
+    assert.ok(graph.concepts.some(concept => concept.id === excerpt.concept_id));
+  });
+
+  const again = await processor.processContent(ARTICLE);
+  assert.equal(again.skipped, true);
+});
+
+test('new concepts are connected by typed edges', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const client = mockClient();
+  const { concepts } = await new ContentProcessor(client, knowledgeGraph).processContent(ARTICLE);
+
+  const { connections } = await new ConnectionMapper(client, knowledgeGraph).mapNewConnections(concepts);
+  assert.ok(connections.length > 0);
+
+  const edges = await knowledgeGraph.getEdges();
+  assert.ok(edges.length > 0);
+  const ids = new Set((await knowledgeGraph.readKnowledgeGraph()).concepts.map(concept => concept.id));
+  edges.forEach(edge => {
+    assert.ok(ids.has(edge.from) && ids.has(edge.to));
+    assert.notEqual(edge.from, edge.to);
+  });
+});
+
+test('reinforcement questions cite source excerpts and answers update confidence', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const client = mockClient();
+  await new ContentProcessor(client, knowledgeGraph).processContent(ARTICLE);
+  const reinforcer = new KnowledgeReinforcer(client, knowledgeGraph);
+  const concept = await knowledgeGraph.getConcept('Gradient descent');
+  const graph = await knowledgeGraph.readKnowledgeGraph();
+
+  const questions = await reinforcer.generateQuestionsForConcept(concept, graph.user_profile);
+  assert.ok(questions.length > 0);
+  assert.ok(questions.every(question => question.concept_id === concept.id && question.question));
+  assert.ok(questions.some(question => question.source_excerpt));
+
+  const results = await reinforcer.completeReinforcementSession(
+    { concepts: [concept], questions },
+    [{ concept_name: concept.name, answer: concept.description }]
+  );
+  assert.equal(results.performance_scores.length, 1);
+  assert.equal(typeof results.overall_performance, 'number');
+
+  const reviewed = await knowledgeGraph.getConcept(concept.id);
+  assert.ok(reviewed.last_reinforced);
+  assert.equal((await knowledgeGraph.readKnowledgeGraph()).reinforcement_sessions.length, 1);
+});
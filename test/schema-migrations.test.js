@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { openGraph, tempDir } = require('./helpers');
+const { MIGRATIONS, CURRENT_SCHEMA_VERSION, migrateGraph } = require('../modules/schema-migrations');
+
+// The sample data shipped with the repository predates schema versioning
+const SAMPLE_GRAPH = path.join(__dirname, '..', 'data', 'knowledge-graph.json');
+
+async function legacyDataDir(t) {
+  const dataDir = await tempDir(t);
+  await fs.copyFile(SAMPLE_GRAPH, path.join(dataDir, 'knowledge-graph.json'));
+  return dataDir;
+}
+
+test('an unversioned graph is upgraded on startup after a snapshot', async (t) => {
+  const dataDir = await legacyDataDir(t);
+  const legacy = JSON.parse(await fs.readFile(SAMPLE_GRAPH, 'utf8'));
+
+  const knowledgeGraph = await openGraph(t, { dataDir });
+  const graph = await knowledgeGraph.readKnowledgeGraph();
+  assert.equal(graph.schema_version, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(graph.concepts.map(concept => concept.name), legacy.concepts.map(concept => concept.name));
+  assert.ok(graph.concepts.every(concept => concept.id && Array.isArray(concept.aliases)));
+
+  const snapshots = await knowledgeGraph.listSnapshots();
+  assert.deepEqual(snapshots.map(snapshot => snapshot.reason), ['schema-migration']);
+  const { activities: [activity] } = await knowledgeGraph.queryActivities({ type: 'schema_migration' });
+  assert.equal(activity.details.snapshot, snapshots[0].id);
+  assert.deepEqual(activity.details.migrations.map(step => step.version), MIGRATIONS.map(step => step.version));
+
+  // The snapshot holds the graph as it was before the upgrade
+  const saved = path.join(knowledgeGraph.backups.snapshotDir, snapshots[0].id, 'data', 'knowledge-graph.json');
+  assert.equal(JSON.parse(await fs.readFile(saved, 'utf8')).schema_version, undefined);
+  await knowledgeGraph.close();
+
+  // A graph that is up to date is left alone
+  const reopened = await openGraph(t, { dataDir });
+  assert.equal((await reopened.listSnapshots()).length, 1);
+  assert.equal(await reopened.migrateSchema(), null);
+});
+
+test('steps run in order and stop at the target version', () => {
+  const graph = { concepts: [{ name: 'Entropy' }] };
+
+  const applied = migrateGraph(graph, 3);
+  assert.deepEqual(applied.map(step => step.version), [1, 2, 3]);
+  assert.equal(graph.schema_version, 3);
+  assert.ok(graph.concepts[0].id);
+  assert.equal(graph.edges, undefined);
+
+  assert.deepEqual(migrateGraph(graph).map(step => step.version), MIGRATIONS.slice(3).map(step => step.version));
+  assert.equal(graph.schema_version, CURRENT_SCHEMA_VERSION);
+});
+
+test('a graph from a newer version of Eumicus is refused', async (t) => {
+  const dataDir = await tempDir(t);
+  const graph = { schema_version: CURRENT_SCHEMA_VERSION + 1, concepts: [] };
+  await fs.writeFile(path.join(dataDir, 'knowledge-graph.json'), JSON.stringify(graph));
+
+  await assert.rejects(openGraph(t, { dataDir }), /newer than this version of Eumicus supports/);
+  assert.deepEqual(JSON.parse(await fs.readFile(path.join(dataDir, 'knowledge-graph.json'), 'utf8')), graph);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { openGraph, tempDir } = require('./helpers');
+const BackupManager = require('../modules/backup-manager');
+
+for (const storageType of ['json', 'sqlite']) {
+  test(`a snapshot restores the graph as it was (${storageType})`, async (t) => {
+    const knowledgeGraph = await openGraph(t, { storageType });
+    await knowledgeGraph.addConcept({ name: 'Entropy', description: 'Disorder of a system' });
+    const snapshot = await knowledgeGraph.createSnapshot({ label: 'one concept' });
+
+    await knowledgeGraph.addConcept({ name: 'Enthalpy', description: 'Heat content of a system' });
+    await knowledgeGraph.updateConcept('Entropy', { confidence: 0.9 });
+
+    const reloaded = [];
+    knowledgeGraph.on('graph-reloaded', event => reloaded.push(event));
+    const { restored, safetySnapshot } = await knowledgeGraph.restoreSnapshot(snapshot.id);
+    assert.equal(restored.id, snapshot.id);
+    assert.equal(reloaded.length, 1);
+
+    const graph = await knowledgeGraph.readKnowledgeGraph();
+    assert.deepEqual(graph.concepts.map(concept => concept.name), ['Entropy']);
+    assert.equal(graph.concepts[0].confidence, undefined);
+
+    // The restore can itself be undone
+    await knowledgeGraph.restoreSnapshot(safetySnapshot.id);
+    assert.equal((await knowledgeGraph.readKnowledgeGraph()).concepts.length, 2);
+  });
+}
+
+for (const storageType of ['json', 'sqlite']) {
+  test(`the oldest retained snapshot can be restored (${storageType})`, async (t) => {
+    const knowledgeGraph = await openGraph(t, { storageType });
+    const retention = knowledgeGraph.backups.retention;
+
+    const snapshots = [];
+    for (let index = 0; index < retention.last; index++) {
+      await knowledgeGraph.addConcept({ name: `Concept ${index}` });
+      snapshots.push(await knowledgeGraph.createSnapshot());
+    }
+    assert.equal((await knowledgeGraph.listSnapshots()).length, retention.last);
+
+    await knowledgeGraph.restoreSnapshot(snapshots[0].id);
+    const graph = await knowledgeGraph.readKnowledgeGraph();
+    assert.deepEqual(graph.concepts.map(concept => concept.name), ['Concept 0']);
+
+    // Retention still applies once the restore is done
+    assert.equal((await knowledgeGraph.listSnapshots()).length, retention.last);
+  });
+}
+
+test('a restore that fails puts the data back and leaves the graph usable', async (t) => {
+  const knowledgeGraph = await openGraph(t, { storageType: 'sqlite' });
+  await knowledgeGraph.addConcept({ name: 'Entropy' });
+  const snapshot = await knowledgeGraph.createSnapshot();
+  await knowledgeGraph.addConcept({ name: 'Enthalpy' });
+
+  // A snapshot whose files went missing
+  await fs.rm(path.join(knowledgeGraph.backups.snapshotDir, snapshot.id, 'data'), { recursive: true });
+
+  await assert.rejects(knowledgeGraph.restoreSnapshot(snapshot.id));
+  assert.ok(await knowledgeGraph.getConcept('Enthalpy'));
+  await knowledgeGraph.addConcept({ name: 'Free energy' });
+  assert.equal((await knowledgeGraph.readKnowledgeGraph()).concepts.length, 3);
+});
+
+test('restoring an unknown snapshot leaves the graph usable', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy' });
+
+  await assert.rejects(knowledgeGraph.restoreSnapshot('no-such-snapshot'), /Snapshot not found/);
+  await assert.rejects(knowledgeGraph.restoreSnapshot('../data'), /Snapshot not found/);
+  assert.ok(await knowledgeGraph.getConcept('Entropy'));
+});
+
+test('a reset empties the graph after snapshotting it', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy' });
+
+  const { safetySnapshot } = await knowledgeGraph.resetKnowledgeGraph();
+  assert.equal((await knowledgeGraph.readKnowledgeGraph()).concepts.length, 0);
+
+  await knowledgeGraph.restoreSnapshot(safetySnapshot.id);
+  assert.ok(await knowledgeGraph.getConcept('Entropy'));
+});
+
+test('pruning keeps the newest snapshots and the newest of each day and week', async (t) => {
+  const dataDir = await tempDir(t);
+  const backups = new BackupManager(dataDir, { retention: { last: 2, daily: 3, weekly: 2 } });
+  await fs.writeFile(path.join(dataDir, 'knowledge-graph.json'), '{}');
+
+  // Two snapshots a day over ten days, oldest first
+  const ids = [];
+  for (let day = 10; day >= 1; day--) {
+    for (const hour of ['08', '20']) {
+      const snapshot = await backups.createSnapshot();
+      const created_at = new Date(Date.UTC(2026, 0, 31 - day, Number(hour))).toISOString();
+      const manifestPath = path.join(backups.snapshotDir, snapshot.id, 'manifest.json');
+      await fs.writeFile(manifestPath, JSON.stringify({ ...snapshot, created_at }));
+      ids.push({ id: snapshot.id, created_at });
+    }
+  }
+
+  const removed = await backups.pruneSnapshots();
+  const kept = (await backups.listSnapshots()).map(snapshot => snapshot.created_at);
+  assert.equal(removed.length + kept.length, ids.length);
+
+  assert.deepEqual(kept, [
+    // The newest two, which are also the newest of Jan 30 and the week of Jan 26
+    '2026-01-30T20:00:00.000Z',
+    '2026-01-30T08:00:00.000Z',
+    // Newest of Jan 29 and Jan 28
+    '2026-01-29T20:00:00.000Z',
+    '2026-01-28T20:00:00.000Z',
+    // Newest of the week of Jan 19
+    '2026-01-25T20:00:00.000Z'
+  ]);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { openGraph, exists } = require('./helpers');
+const KnowledgeGraphManager = require('../modules/knowledge-graph');
+const { migrateStorage } = require('../modules/storage/migrate');
+const { resolveStorageType } = require('../modules/storage');
+const SqliteAdapter = require('../modules/storage/sqlite-adapter');
+const { WriteLock } = require('../modules/storage/write-lock');
+const BackupManager = require('../modules/backup-manager');
+
+async function seedGraph(t) {
+  const knowledgeGraph = await openGraph(t, { storageType: 'json' });
+  await knowledgeGraph.addConcept({ name: 'Entropy', description: 'Disorder of a system', confidence: 0.4 });
+  await knowledgeGraph.addConcept({ name: 'Enthalpy', description: 'Heat content of a system', confidence: 0.6 });
+  await knowledgeGraph.addEdge({ from: 'Entropy', to: 'Enthalpy', type: 'related_to' });
+  await knowledgeGraph.addActivity({ type: 'test', agent: 'Test', message: 'Seeded', status: 'completed' });
+  await knowledgeGraph.close();
+  return knowledgeGraph.dataDir;
+}
+
+test('JSON data is copied to SQLite, which is then used by default', async (t) => {
+  const dataDir = await seedGraph(t);
+
+  const summary = await migrateStorage(dataDir, { from: 'json', to: 'sqlite' });
+  assert.equal(summary.concepts, 2);
+  assert.equal(summary.edges, 1);
+  assert.ok(summary.changes > 0);
+  assert.ok(summary.activities > 0);
+  assert.ok(summary.snapshot);
+
+  assert.equal(resolveStorageType(dataDir), 'sqlite');
+  // The JSON files are left in place
+  assert.ok(await exists(path.join(dataDir, 'knowledge-graph.json')));
+
+  const migrated = await openGraph(t, { dataDir });
+  assert.equal(migrated.storageType, 'sqlite');
+  const graph = await migrated.readKnowledgeGraph();
+  assert.deepEqual(graph.concepts.map(concept => concept.name).sort(), ['Enthalpy', 'Entropy']);
+  assert.equal(graph.edges.length, 1);
+  assert.equal((await migrated.getChanges()).length, summary.changes);
+});
+
+test('an existing target is only overwritten with force', async (t) => {
+  const dataDir = await seedGraph(t);
+  await migrateStorage(dataDir, { from: 'json', to: 'sqlite' });
+
+  await assert.rejects(migrateStorage(dataDir, { from: 'json', to: 'sqlite' }), /already exists/);
+
+  const again = await migrateStorage(dataDir, { from: 'json', to: 'sqlite', force: true });
+  // Change events copied the first time are not repeated
+  assert.equal(again.changes, 0);
+});
+
+test('SQLite data can be migrated back to JSON', async (t) => {
+  const dataDir = await seedGraph(t);
+  await migrateStorage(dataDir, { from: 'json', to: 'sqlite' });
+
+  const knowledgeGraph = new KnowledgeGraphManager(dataDir, { storageType: 'sqlite' });
+  await knowledgeGraph.initialize();
+  await knowledgeGraph.addConcept({ name: 'Free energy', description: 'Work a system can do' });
+  await knowledgeGraph.close();
+
+  const summary = await migrateStorage(dataDir, { from: 'sqlite', to: 'json', force: true });
+  assert.equal(summary.concepts, 3);
+  assert.ok(summary.source_removed);
+
+  // Without the database the JSON files are picked on the next start
+  assert.equal(await exists(path.join(dataDir, 'eumicus.db')), false);
+  assert.equal(resolveStorageType(dataDir), 'json');
+  const { snapshotDir } = new BackupManager(dataDir);
+  assert.ok(await exists(path.join(snapshotDir, summary.snapshot, 'data', 'eumicus.db')));
+  const json = await openGraph(t, { dataDir });
+  assert.equal(json.storageType, 'json');
+  assert.ok(await json.getConcept('Free energy'));
+});
+
+test('a missing source graph is reported', async (t) => {
+  const knowledgeGraph = await openGraph(t, { storageType: 'json' });
+  await knowledgeGraph.close();
+  const dataDir = path.join(knowledgeGraph.dataDir, 'empty');
+
+  await assert.rejects(migrateStorage(dataDir, { from: 'json', to: 'sqlite' }), /No json knowledge graph/);
+});
+
+test('a migration that fails leaves no partial store behind', async (t) => {
+  const dataDir = await seedGraph(t);
+  const before = (await fs.readdir(dataDir)).filter(name => name !== 'backups').sort();
+  t.mock.method(SqliteAdapter.prototype, 'saveActivityLog', async () => {
+    throw new Error('disk full');
+  });
+
+  await assert.rejects(migrateStorage(dataDir, { from: 'json', to: 'sqlite' }), /disk full/);
+  assert.deepEqual((await fs.readdir(dataDir)).filter(name => name !== 'backups').sort(), before);
+  assert.equal(resolveStorageType(dataDir), 'json');
+});
+
+test('a migration waits for the write lock', async (t) => {
+  const dataDir = await seedGraph(t);
+  const order = [];
+
+  let migration;
+  await new WriteLock(path.join(dataDir, '.eumicus.lock')).runExclusive(async () => {
+    migration = migrateStorage(dataDir, { from: 'json', to: 'sqlite' }).then(() => order.push('migrated'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    order.push('released');
+  });
+  await migration;
+  assert.deepEqual(order, ['released', 'migrated']);
+});
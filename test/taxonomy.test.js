@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openGraph } = require('./helpers');
+const { normalizeCategoryName, findCategory } = require('../modules/taxonomy');
+
+const code = expected => error => error.code === expected;
+
+test('category names an LLM makes up are filed into one tree', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const first = await knowledgeGraph.addConcept({ name: 'Backpropagation', category: 'Science > Machine Learning' });
+  const second = await knowledgeGraph.addConcept({ name: 'Gradient descent', category: 'machine-learnings' });
+  assert.equal(second.category_id, first.category_id);
+  assert.equal(second.category, 'Machine Learning');
+
+  // Paths stop at domain > subdomain > topic
+  const deep = await knowledgeGraph.createCategory('Science :: Physics > Optics > Lasers');
+  assert.equal(deep.path, 'Science > Physics > Optics');
+  // A path starting below the domains continues from where it names
+  assert.equal((await knowledgeGraph.createCategory('Physics > Optics')).id, deep.id);
+
+  assert.equal(normalizeCategoryName('Arts & Crafts'), 'art and craft');
+  await assert.rejects(knowledgeGraph.createCategory(' > '), code('INVALID_CATEGORY'));
+});
+
+test('renaming and moving keep concepts filed and refuse clashes', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy', category: 'Science > Thermo' });
+  await knowledgeGraph.createCategory('Science > Optics');
+  await knowledgeGraph.createCategory('Engineering > Optics');
+
+  const renamed = await knowledgeGraph.renameCategory('Science > Thermo', 'Thermodynamics');
+  assert.deepEqual(renamed.aliases, ['Thermo']);
+  assert.equal((await knowledgeGraph.getConcept('Entropy')).category, 'Thermodynamics');
+  assert.equal((await knowledgeGraph.getCategory('Thermo')).id, renamed.id);
+  await assert.rejects(knowledgeGraph.renameCategory(renamed.id, 'optics'), code('CATEGORY_CONFLICT'));
+  await assert.rejects(knowledgeGraph.renameCategory(renamed.id, 'A > B'), code('INVALID_CATEGORY'));
+
+  await assert.rejects(knowledgeGraph.moveCategory('Engineering > Optics', 'Science'), code('CATEGORY_CONFLICT'));
+  await assert.rejects(knowledgeGraph.moveCategory('Science', 'Science > Optics'), code('INVALID_CATEGORY'));
+  await assert.rejects(knowledgeGraph.moveCategory('Alchemy', null), code('CATEGORY_NOT_FOUND'));
+
+  const moved = await knowledgeGraph.moveCategory(renamed.id, 'Engineering');
+  assert.equal(moved.path, 'Engineering > Thermodynamics');
+  const domain = await knowledgeGraph.moveCategory(renamed.id, null);
+  assert.equal(domain.path, 'Thermodynamics');
+});
+
+test('merging folds concepts, names and subcategories into the target', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Backpropagation', category: 'ML > Neural Networks' });
+  await knowledgeGraph.addConcept({ name: 'Gradient descent', category: 'ML' });
+  await knowledgeGraph.addConcept({ name: 'Perceptron', category: 'Machine Learning > Neural Nets' });
+  await knowledgeGraph.createCategory('AI > Neural Networks');
+
+  const merged = await knowledgeGraph.mergeCategories('AI', ['ML', 'Machine Learning']);
+  // Subcategories with the same name as one of the target's are merged too
+  assert.deepEqual(merged.merged, ['ML > Neural Networks', 'ML', 'Machine Learning']);
+  assert.deepEqual(merged.aliases, ['ML', 'Machine Learning']);
+
+  const graph = await knowledgeGraph.readKnowledgeGraph();
+  assert.deepEqual(graph.categories.map(category => category.name).sort(), ['AI', 'Neural Nets', 'Neural Networks']);
+  assert.equal(findCategory(graph.categories, 'AI > Neural Networks').id,
+    (await knowledgeGraph.getConcept('Backpropagation')).category_id);
+  assert.equal((await knowledgeGraph.getConcept('Gradient descent')).category, 'AI');
+
+  await assert.rejects(knowledgeGraph.mergeCategories('AI > Neural Nets', ['AI']), code('INVALID_CATEGORY'));
+  await assert.rejects(knowledgeGraph.mergeCategories('AI', ['AI']), code('INVALID_CATEGORY'));
+});
+
+test('the tree counts active concepts at and below each node', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy', category: 'Science > Physics' });
+  await knowledgeGraph.addConcept({ name: 'Enthalpy', category: 'Science > Physics' });
+  await knowledgeGraph.addConcept({ name: 'Phlogiston', category: 'Science > Physics' });
+  await knowledgeGraph.addConcept({ name: 'Sourdough' });
+  await knowledgeGraph.archiveConcept('Phlogiston', 'Disproved');
+
+  const filed = await knowledgeGraph.setConceptCategory('Sourdough', 'Cooking > Baking');
+  assert.equal(filed.category_path, 'Cooking > Baking');
+  const removed = await knowledgeGraph.setConceptCategory('Enthalpy', null);
+  assert.equal(removed.category_id, null);
+
+  const tree = await knowledgeGraph.getCategoryTree();
+  assert.deepEqual(tree.map(node => [node.name, node.concepts, node.total]), [['Cooking', 0, 1], ['Science', 0, 1]]);
+  assert.deepEqual(tree[1].children.map(node => [node.path, node.concepts]), [['Science > Physics', 1]]);
+  assert.deepEqual((await knowledgeGraph.getCategoryStats()).map(stats => [stats.category, stats.concepts]),
+    [['Cooking', 1], ['Science', 1], ['Uncategorized', 1]]);
+});
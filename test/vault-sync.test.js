@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { openGraph, tempDir, exists } = require('./helpers');
+const VaultSync = require('../modules/vault-sync');
+
+async function exportedVault(t) {
+  const knowledgeGraph = await openGraph(t);
+  await knowledgeGraph.addConcept({ name: 'Entropy', description: 'Disorder of a system', confidence: 0.5, tags: ['thermo'] });
+  await knowledgeGraph.addConcept({ name: 'Enthalpy', description: 'Heat content of a system' });
+  await knowledgeGraph.addEdge({ from: 'Entropy', to: 'Enthalpy', type: 'related_to' });
+
+  const vault = new VaultSync(knowledgeGraph, await tempDir(t, 'eumicus-vault-'));
+  const result = await vault.exportVault();
+  assert.equal(result.concepts, 2);
+  return { knowledgeGraph, vault, notePath: name => path.join(vault.vaultDir, 'Concepts', `${name}.md`) };
+}
+
+async function editNote(file, edit) {
+  await fs.writeFile(file, edit(await fs.readFile(file, 'utf8')));
+}
+
+test('an export reads back without changes', async (t) => {
+  const { vault, notePath } = await exportedVault(t);
+
+  const text = await fs.readFile(notePath('Entropy'), 'utf8');
+  assert.match(text, /^# Entropy$/m);
+  assert.match(text, /\[\[Enthalpy\]\]/);
+
+  const result = await vault.sync();
+  assert.deepEqual(
+    [result.created, result.renamed, result.updated, result.edges_added, result.edges_removed, result.conflicts],
+    [[], [], [], [], [], []]
+  );
+});
+
+test('edits, new notes and links made in the vault are merged into the graph', async (t) => {
+  const { knowledgeGraph, vault, notePath } = await exportedVault(t);
+
+  await editNote(notePath('Entropy'), text => text
+    .replace('confidence: 0.5', 'confidence: 0.8')
+    .replace('Disorder of a system', 'A measure of disorder')
+    .replace('- related-to:: [[Enthalpy]]', '- related-to:: [[Enthalpy]]\n- depends-on:: [[Temperature]]'));
+  await fs.writeFile(notePath('Temperature'), '# Temperature\n\nAverage kinetic energy of particles\n');
+
+  const result = await vault.sync();
+  assert.deepEqual(result.created, ['Temperature']);
+  assert.deepEqual(result.updated, [{ concept: 'Entropy', fields: ['description', 'confidence'] }]);
+  assert.equal(result.edges_added.length, 1);
+
+  const entropy = await knowledgeGraph.getConcept('Entropy');
+  assert.equal(entropy.confidence, 0.8);
+  assert.equal(entropy.description, 'A measure of disorder');
+  const temperature = await knowledgeGraph.getConcept('Temperature');
+  assert.equal(temperature.description, 'Average kinetic energy of particles');
+  const edges = await knowledgeGraph.getEdges({ concept: 'Entropy' });
+  assert.ok(edges.some(edge => edge.to === temperature.id && edge.type === 'prerequisite'));
+
+  // The new note now carries the concept's id
+  assert.match(await fs.readFile(notePath('Temperature'), 'utf8'), new RegExp(`^id: ${temperature.id}$`, 'm'));
+});
+
+test('a field changed on both sides is a conflict until one side is preferred', async (t) => {
+  const { knowledgeGraph, vault, notePath } = await exportedVault(t);
+
+  await editNote(notePath('Entropy'), text => text.replace('confidence: 0.5', 'confidence: 0.8'));
+  await knowledgeGraph.updateConcept('Entropy', { confidence: 0.3 });
+
+  const result = await vault.sync();
+  assert.equal(result.conflicts.length, 1);
+  assert.equal(result.conflicts[0].field, 'confidence');
+  assert.equal((await knowledgeGraph.getConcept('Entropy')).confidence, 0.3);
+  // The note keeps the vault's edit while the conflict is open
+  assert.match(await fs.readFile(notePath('Entropy'), 'utf8'), /confidence: 0.8/);
+
+  await vault.sync({ prefer: 'vault' });
+  assert.equal((await knowledgeGraph.getConcept('Entropy')).confidence, 0.8);
+});
+
+test('notes of deleted concepts are removed on the next export', async (t) => {
+  const { knowledgeGraph, vault, notePath } = await exportedVault(t);
+
+  await knowledgeGraph.deleteConcept('Enthalpy');
+  await vault.sync();
+  assert.equal(await exists(notePath('Enthalpy')), false);
+  assert.doesNotMatch(await fs.readFile(notePath('Entropy'), 'utf8'), /\[\[Enthalpy\]\]/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const WorkspaceManager = require('../modules/workspace-manager');
+
+test('workspaces keep their data apart', async (t) => {
+  const rootDir = await tempDir(t);
+  const workspaces = new WorkspaceManager(rootDir);
+
+  const created = await workspaces.createWorkspace('Work ML', { schedule: { interval_hours: 6 } });
+  assert.equal(created.id, 'work-ml');
+  assert.equal(created.data_dir, path.join(rootDir, 'workspaces', 'work-ml'));
+
+  const work = await workspaces.openKnowledgeGraph('Work ML');
+  t.after(() => work.close());
+  const personal = await workspaces.openKnowledgeGraph();
+  t.after(() => personal.close());
+  assert.equal(personal.dataDir, rootDir);
+
+  await work.addConcept({ name: 'Gradient descent' });
+  await personal.addConcept({ name: 'Sourdough' });
+  assert.deepEqual((await work.readKnowledgeGraph()).concepts.map(concept => concept.name), ['Gradient descent']);
+  assert.deepEqual((await personal.readKnowledgeGraph()).concepts.map(concept => concept.name), ['Sourdough']);
+});
+
+test('workspaces are listed with the default first and can be renamed', async (t) => {
+  const workspaces = new WorkspaceManager(await tempDir(t));
+  await workspaces.createWorkspace('Research');
+
+  await assert.rejects(workspaces.createWorkspace('research'), /already exists/);
+  await assert.rejects(workspaces.createWorkspace('Default'), /already exists/);
+  await assert.rejects(workspaces.createWorkspace('!!!'), /at least one letter or digit/);
+  await assert.rejects(workspaces.openKnowledgeGraph('missing'), /Workspace not found/);
+
+  const updated = await workspaces.updateWorkspace('research', { name: 'Papers', schedule: { enabled: false } });
+  assert.equal(updated.id, 'research');
+  assert.deepEqual((await workspaces.listWorkspaces()).map(workspace => [workspace.id, workspace.name]), [
+    ['default', 'Default'],
+    ['research', 'Papers']
+  ]);
+  assert.deepEqual((await workspaces.getWorkspace('research')).schedule, { enabled: false });
+});
+
+test('workspace ids can not leave the workspaces directory', async (t) => {
+  const workspaces = new WorkspaceManager(await tempDir(t));
+  assert.equal(workspaces.resolveId('../Secrets'), 'secrets');
+  assert.throws(() => workspaces.dataDirFor('../secrets'), /Invalid workspace id/);
+});
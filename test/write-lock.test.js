@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { openGraph, tempDir, exists } = require('./helpers');
+const { WriteLock, writeFileAtomic } = require('../modules/storage/write-lock');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Process ids never go this high, so this one cannot be running
+const GONE_PID = 2 ** 30;
+
+function lockFile(owner) {
+  return JSON.stringify({ host: os.hostname(), token: 'other', acquired_at: new Date().toISOString(), ...owner });
+}
+
+test('tasks under one lock never overlap', async (t) => {
+  const lockPath = path.join(await tempDir(t), '.eumicus.lock');
+  // Two instances on one file share the in-process queue
+  const locks = [new WriteLock(lockPath), new WriteLock(lockPath)];
+  let running = 0;
+  let overlapped = false;
+
+  await Promise.all(Array.from({ length: 10 }, (_, index) => locks[index % 2].runExclusive(async () => {
+    running++;
+    overlapped = overlapped || running > 1;
+    await sleep(2);
+    running--;
+  })));
+
+  assert.equal(overlapped, false);
+  assert.equal(await exists(lockPath), false);
+});
+
+test('a failing task releases the lock', async (t) => {
+  const lockPath = path.join(await tempDir(t), '.eumicus.lock');
+  const lock = new WriteLock(lockPath);
+
+  await assert.rejects(lock.runExclusive(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await exists(lockPath), false);
+  assert.equal(await lock.runExclusive(async () => 'next'), 'next');
+});
+
+test('a lock left by a process that is gone is taken over', async (t) => {
+  const lockPath = path.join(await tempDir(t), '.eumicus.lock');
+  await fs.writeFile(lockPath, lockFile({ pid: GONE_PID }));
+
+  const lock = new WriteLock(lockPath, { timeout: 1000 });
+  assert.equal(await lock.runExclusive(async () => 'acquired'), 'acquired');
+  assert.equal(await exists(lockPath), false);
+});
+
+test('a lock held by a running process times out', async (t) => {
+  const lockPath = path.join(await tempDir(t), '.eumicus.lock');
+  await fs.writeFile(lockPath, lockFile({ pid: process.ppid }));
+  // However old it looks, a running owner keeps its lock
+  const past = new Date(Date.now() - 60000);
+  await fs.utimes(lockPath, past, past);
+
+  const lock = new WriteLock(lockPath, { timeout: 100, staleAfter: 50 });
+  await assert.rejects(lock.runExclusive(async () => {}), /Timed out waiting for lock/);
+  assert.ok(await exists(lockPath));
+});
+
+test('a lock from another machine is taken over once it is no longer touched', async (t) => {
+  const lockPath = path.join(await tempDir(t), '.eumicus.lock');
+  await fs.writeFile(lockPath, lockFile({ pid: process.ppid, host: 'elsewhere' }));
+
+  await assert.rejects(new WriteLock(lockPath, { timeout: 100 }).runExclusive(async () => {}), /Timed out/);
+
+  const past = new Date(Date.now() - 60000);
+  await fs.utimes(lockPath, past, past);
+  assert.equal(await new WriteLock(lockPath, { timeout: 1000 }).runExclusive(async () => 'acquired'), 'acquired');
+});
+
+test('the owner keeps touching the lock during a long task', async (t) => {
+  const lockPath = path.join(await tempDir(t), '.eumicus.lock');
+  const lock = new WriteLock(lockPath, { staleAfter: 150, refreshInterval: 30 });
+
+  await lock.runExclusive(async () => {
+    const { mtimeMs: acquiredAt } = await fs.stat(lockPath);
+    await sleep(300);
+    const { mtimeMs: touchedAt } = await fs.stat(lockPath);
+    assert.ok(touchedAt - acquiredAt >= 150);
+  });
+});
+
+test('a lock that changed hands is not removed by the previous owner', async (t) => {
+  const lockPath = path.join(await tempDir(t), '.eumicus.lock');
+  const lock = new WriteLock(lockPath);
+  const taken = lockFile({ pid: process.ppid, token: 'new owner' });
+
+  const errors = [];
+  const consoleError = console.error;
+  console.error = message => errors.push(message);
+  t.after(() => { console.error = consoleError; });
+
+  await lock.runExclusive(async () => {
+    await fs.writeFile(lockPath, taken);
+  });
+  assert.equal(await fs.readFile(lockPath, 'utf8'), taken);
+  assert.match(errors[0], /taken over/);
+  assert.deepEqual(await fs.readdir(path.dirname(lockPath)), ['.eumicus.lock']);
+});
+
+test('a stale lock is only removed while it still holds what was read', async (t) => {
+  const lockPath = path.join(await tempDir(t), '.eumicus.lock');
+  const lock = new WriteLock(lockPath);
+  const abandoned = lockFile({ pid: GONE_PID });
+  const taken = lockFile({ pid: process.ppid, token: 'new owner' });
+
+  // Another process took the lock over after this one read it
+  await fs.writeFile(lockPath, taken);
+  assert.equal(await lock.removeFileLock(abandoned), false);
+  assert.equal(await fs.readFile(lockPath, 'utf8'), taken);
+
+  assert.equal(await lock.removeFileLock(taken), true);
+  assert.equal(await exists(lockPath), false);
+  assert.equal(await lock.removeFileLock(taken), false);
+});
+
+for (const storageType of ['json', 'sqlite']) {
+  test(`writers in separate processes lose no updates (${storageType})`, async (t) => {
+    const knowledgeGraph = await openGraph(t, { storageType });
+    await knowledgeGraph.close();
+    const { dataDir } = knowledgeGraph;
+    // Both writers find an abandoned lock and race to take it over
+    await fs.writeFile(path.join(dataDir, '.eumicus.lock'), lockFile({ pid: GONE_PID }));
+
+    const writer = path.join(__dirname, 'fixtures', 'concurrent-writer.js');
+    const count = 15;
+    await Promise.all(['First', 'Second'].map(name =>
+      promisify(execFile)(process.execPath, [writer, dataDir, storageType, name, String(count)], { timeout: 60000 })
+    ));
+
+    const reopened = await openGraph(t, { dataDir, storageType });
+    const graph = await reopened.readKnowledgeGraph();
+    assert.equal(graph.concepts.length, 2 * count);
+    assert.equal(graph.user_profile.counter, 2 * count);
+    assert.equal(await exists(path.join(dataDir, '.eumicus.lock')), false);
+  });
+}
+
+test('concurrent updates of the graph are all kept', async (t) => {
+  const knowledgeGraph = await openGraph(t);
+  const names = Array.from({ length: 20 }, (_, index) => `Concept ${index}`);
+
+  await Promise.all(names.map(name => knowledgeGraph.addConcept({ name })));
+  await Promise.all(names.map(name => knowledgeGraph.updateKnowledgeGraph(graph => {
+    graph.concepts.find(concept => concept.name === name).confidence = 0.5;
+  })));
+
+  const graph = await knowledgeGraph.readKnowledgeGraph();
+  assert.equal(graph.concepts.length, names.length);
+  assert.ok(graph.concepts.every(concept => concept.confidence === 0.5));
+});
+
+test('atomic writes replace the file whole and leave no temporary files', async (t) => {
+  const dir = await tempDir(t);
+  const filePath = path.join(dir, 'data.json');
+  await fs.writeFile(filePath, 'old');
+
+  await Promise.all(Array.from({ length: 5 }, (_, index) => writeFileAtomic(filePath, `value ${index}`)));
+
+  assert.match(await fs.readFile(filePath, 'utf8'), /^value \d$/);
+  assert.deepEqual(await fs.readdir(dir), ['data.json']);
+});